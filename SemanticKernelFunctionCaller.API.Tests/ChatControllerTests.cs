@@ -6,12 +6,14 @@ using System.Threading;
 using System.Threading.Tasks;
 using Microsoft.AspNetCore.Http;
 using Microsoft.AspNetCore.Mvc;
+using Microsoft.Extensions.DependencyInjection;
 using Microsoft.Extensions.Logging;
 using Microsoft.Extensions.Logging.Abstractions;
 using Moq;
 using SemanticKernelFunctionCaller.API.Controllers;
 using SemanticKernelFunctionCaller.Application.DTOs;
 using SemanticKernelFunctionCaller.Application.Interfaces;
+using SemanticKernelFunctionCaller.Application.Services;
 using SemanticKernelFunctionCaller.Domain.Enums;
 using Xunit;
 
@@ -23,6 +25,9 @@ public class ChatControllerTests
     private readonly Mock<IStreamChatMessageUseCase> _mockStreamMessageUseCase;
     private readonly Mock<IStreamWithToolsUseCase> _mockStreamWithToolsUseCase;
     private readonly Mock<IGetAvailablePluginsUseCase> _mockGetAvailablePluginsUseCase;
+    private readonly Mock<IInvokePluginFunctionUseCase> _mockInvokePluginFunctionUseCase;
+    private readonly Mock<IToolApprovalService> _mockToolApprovalService;
+    private readonly StreamSessionService _streamSessionService;
     private readonly ChatController _controller;
 
     public ChatControllerTests()
@@ -31,12 +36,24 @@ public class ChatControllerTests
         _mockStreamMessageUseCase = new Mock<IStreamChatMessageUseCase>();
         _mockStreamWithToolsUseCase = new Mock<IStreamWithToolsUseCase>();
         _mockGetAvailablePluginsUseCase = new Mock<IGetAvailablePluginsUseCase>();
+        _mockInvokePluginFunctionUseCase = new Mock<IInvokePluginFunctionUseCase>();
+        _mockToolApprovalService = new Mock<IToolApprovalService>();
+
+        // Streams resolve their use cases from a scope of their own, as they do in the running app
+        var services = new ServiceCollection()
+            .AddSingleton(_mockStreamMessageUseCase.Object)
+            .AddSingleton(_mockStreamWithToolsUseCase.Object)
+            .BuildServiceProvider();
+        _streamSessionService = new StreamSessionService(
+            services.GetRequiredService<IServiceScopeFactory>(),
+            NullLogger<StreamSessionService>.Instance);
 
         _controller = new ChatController(
             _mockSendMessageUseCase.Object,
-            _mockStreamMessageUseCase.Object,
-            _mockStreamWithToolsUseCase.Object,
             _mockGetAvailablePluginsUseCase.Object,
+            _mockInvokePluginFunctionUseCase.Object,
+            _mockToolApprovalService.Object,
+            _streamSessionService,
             NullLogger<ChatController>.Instance);
     }
 
@@ -165,6 +182,30 @@ public class ChatControllerTests
         _mockSendMessageUseCase.Verify(x => x.ExecuteAsync(request), Times.Once);
     }
 
+    [Fact]
+    public async Task SendMessage_WithToolsAndApprovalRequired_ReturnsBadRequest()
+    {
+        // Arrange
+        var request = new ChatRequestDto
+        {
+            ProviderId = "OpenRouter",
+            ModelId = "gpt-3.5-turbo",
+            UseTools = true,
+            RequireToolApproval = true,
+            Messages = new List<MessageDto>
+            {
+                new() { Role = ChatRole.User, Content = "What time is it?" }
+            }
+        };
+
+        // Act
+        var result = await _controller.SendMessage(request);
+
+        // Assert
+        Assert.IsType<BadRequestObjectResult>(result);
+        _mockSendMessageUseCase.Verify(x => x.ExecuteAsync(It.IsAny<ChatRequestDto>()), Times.Never);
+    }
+
     #endregion
 
     #region StreamMessage Tests
@@ -360,6 +401,42 @@ public class ChatControllerTests
         mockResponse.Verify(r => r.Body.FlushAsync(It.IsAny<CancellationToken>()), Times.AtLeastOnce);
     }*/
 
+    [Fact]
+    public async Task StreamMessage_WhenClientCancels_DoesNotWriteErrorToStream()
+    {
+        // Arrange
+        var request = new ChatRequestDto
+        {
+            ProviderId = "OpenRouter",
+            ModelId = "gpt-3.5-turbo",
+            Messages = new List<MessageDto>
+            {
+                new() { Role = ChatRole.User, Content = "Hello" }
+            }
+        };
+
+        using var cts = new CancellationTokenSource();
+        cts.Cancel();
+
+        var httpContext = new DefaultHttpContext { RequestAborted = cts.Token };
+        var responseStream = new MemoryStream();
+        httpContext.Response.Body = responseStream;
+
+        _controller.ControllerContext = new ControllerContext
+        {
+            HttpContext = httpContext
+        };
+
+        _mockStreamMessageUseCase.Setup(x => x.ExecuteAsync(request, It.IsAny<CancellationToken>()))
+            .Throws(new OperationCanceledException(cts.Token));
+
+        // Act
+        await _controller.StreamMessage(request);
+
+        // Assert
+        Assert.Equal(0, responseStream.Length);
+    }
+
     #endregion
 
     #region StreamWithTools Tests
@@ -497,6 +574,42 @@ public class ChatControllerTests
         Assert.Contains("error", streamContent.ToLowerInvariant());
     }
 
+    [Fact]
+    public async Task StreamWithTools_WhenClientCancels_DoesNotWriteErrorToStream()
+    {
+        // Arrange
+        var request = new ChatRequestDto
+        {
+            ProviderId = "OpenRouter",
+            ModelId = "gpt-3.5-turbo",
+            Messages = new List<MessageDto>
+            {
+                new() { Role = ChatRole.User, Content = "What time is it?" }
+            }
+        };
+
+        using var cts = new CancellationTokenSource();
+        cts.Cancel();
+
+        var httpContext = new DefaultHttpContext { RequestAborted = cts.Token };
+        var responseStream = new MemoryStream();
+        httpContext.Response.Body = responseStream;
+
+        _controller.ControllerContext = new ControllerContext
+        {
+            HttpContext = httpContext
+        };
+
+        _mockStreamWithToolsUseCase.Setup(x => x.ExecuteAsync(request, It.IsAny<CancellationToken>()))
+            .Throws(new OperationCanceledException(cts.Token));
+
+        // Act
+        await _controller.StreamWithTools(request);
+
+        // Assert
+        Assert.Equal(0, responseStream.Length);
+    }
+
     #endregion
 
     #region GetAvailablePlugins Tests
@@ -588,6 +701,241 @@ public class ChatControllerTests
 
     #endregion
 
+    #region InvokePluginFunction Tests
+
+    [Fact]
+    public async Task InvokePluginFunction_WithExistingFunction_ReturnsOkResult_WithInvocationResult()
+    {
+        // Arrange
+        var request = new InvokeFunctionRequestDto
+        {
+            Arguments = new Dictionary<string, string?> { ["timezone"] = "UTC" }
+        };
+
+        var expectedResult = new FunctionInvocationResultDto
+        {
+            PluginName = "TimePlugin",
+            FunctionName = "GetCurrentTime",
+            Succeeded = true,
+            Result = "3:00 PM",
+            DurationMs = 5
+        };
+
+        _mockInvokePluginFunctionUseCase.Setup(x => x.ExecuteAsync("TimePlugin", "GetCurrentTime", request.Arguments, It.IsAny<CancellationToken>()))
+            .ReturnsAsync(expectedResult);
+
+        _controller.ControllerContext = new ControllerContext { HttpContext = new DefaultHttpContext() };
+
+        // Act
+        var result = await _controller.InvokePluginFunction("TimePlugin", "GetCurrentTime", request);
+
+        // Assert
+        var okResult = Assert.IsType<OkObjectResult>(result);
+        var actualResult = Assert.IsType<FunctionInvocationResultDto>(okResult.Value);
+        Assert.True(actualResult.Succeeded);
+        Assert.Equal("3:00 PM", actualResult.Result);
+    }
+
+    [Fact]
+    public async Task InvokePluginFunction_WithUnknownFunction_ReturnsNotFound()
+    {
+        // Arrange
+        _mockInvokePluginFunctionUseCase.Setup(x => x.ExecuteAsync("TimePlugin", "Missing", It.IsAny<IDictionary<string, string?>>(), It.IsAny<CancellationToken>()))
+            .ThrowsAsync(new KeyNotFoundException("Function 'TimePlugin.Missing' was not found"));
+
+        _controller.ControllerContext = new ControllerContext { HttpContext = new DefaultHttpContext() };
+
+        // Act
+        var result = await _controller.InvokePluginFunction("TimePlugin", "Missing", new InvokeFunctionRequestDto());
+
+        // Assert
+        var notFoundResult = Assert.IsType<NotFoundObjectResult>(result);
+        Assert.Contains("TimePlugin.Missing", notFoundResult.Value?.ToString());
+    }
+
+    [Fact]
+    public async Task InvokePluginFunction_WhenUseCaseThrowsException_Returns500StatusCode_WithErrorMessage()
+    {
+        // Arrange
+        var exceptionMessage = "Kernel unavailable";
+        _mockInvokePluginFunctionUseCase.Setup(x => x.ExecuteAsync(It.IsAny<string>(), It.IsAny<string>(), It.IsAny<IDictionary<string, string?>>(), It.IsAny<CancellationToken>()))
+            .ThrowsAsync(new Exception(exceptionMessage));
+
+        _controller.ControllerContext = new ControllerContext { HttpContext = new DefaultHttpContext() };
+
+        // Act
+        var result = await _controller.InvokePluginFunction("TimePlugin", "GetCurrentTime", new InvokeFunctionRequestDto());
+
+        // Assert
+        var statusCodeResult = Assert.IsType<ObjectResult>(result);
+        Assert.Equal(500, statusCodeResult.StatusCode);
+        Assert.Contains(exceptionMessage, statusCodeResult.Value?.ToString());
+    }
+
+    #endregion
+
+    #region SubmitToolApproval Tests
+
+    [Fact]
+    public void SubmitToolApproval_WithPendingCall_ReturnsNoContent()
+    {
+        // Arrange
+        var decision = new ToolApprovalDecisionDto
+        {
+            Approved = true,
+            Arguments = new Dictionary<string, string?> { ["timezone"] = "Europe/Amsterdam" }
+        };
+        _mockToolApprovalService.Setup(x => x.SubmitDecision("call_1", decision)).Returns(true);
+
+        // Act
+        var result = _controller.SubmitToolApproval("call_1", decision);
+
+        // Assert
+        Assert.IsType<NoContentResult>(result);
+        _mockToolApprovalService.Verify(x => x.SubmitDecision("call_1", decision), Times.Once);
+    }
+
+    [Fact]
+    public void SubmitToolApproval_WithUnknownCall_ReturnsNotFound()
+    {
+        // Arrange
+        _mockToolApprovalService.Setup(x => x.SubmitDecision(It.IsAny<string>(), It.IsAny<ToolApprovalDecisionDto>())).Returns(false);
+
+        // Act
+        var result = _controller.SubmitToolApproval("call_missing", new ToolApprovalDecisionDto { Approved = false });
+
+        // Assert
+        var notFoundResult = Assert.IsType<NotFoundObjectResult>(result);
+        Assert.Contains("call_missing", notFoundResult.Value?.ToString());
+    }
+
+    #endregion
+
+    #region Stream Session Tests
+
+    [Fact]
+    public async Task StreamMessage_WritesNumberedTypedEventsAndStreamId()
+    {
+        // Arrange
+        var request = new ChatRequestDto
+        {
+            ProviderId = "OpenRouter",
+            ModelId = "gpt-3.5-turbo",
+            Messages = new List<MessageDto>
+            {
+                new() { Role = ChatRole.User, Content = "Hello" }
+            }
+        };
+
+        var httpContext = new DefaultHttpContext();
+        var responseStream = new MemoryStream();
+        httpContext.Response.Body = responseStream;
+        _controller.ControllerContext = new ControllerContext { HttpContext = httpContext };
+
+        _mockStreamMessageUseCase.Setup(x => x.ExecuteAsync(request, It.IsAny<CancellationToken>()))
+            .Returns(CreateAsyncEnumerable(new List<StreamingChatUpdate>
+            {
+                new() { Content = "Hi", IsFinal = false },
+                new() { Content = string.Empty, IsFinal = true, Usage = new TokenUsageDto { TotalTokens = 5 } }
+            }));
+
+        // Act
+        await _controller.StreamMessage(request);
+
+        // Assert
+        Assert.False(string.IsNullOrEmpty(httpContext.Response.Headers["X-Stream-Id"]));
+        var streamContent = System.Text.Encoding.UTF8.GetString(responseStream.ToArray());
+        Assert.Contains("id: 1\nevent: content\ndata: ", streamContent);
+        Assert.Contains("id: 2\nevent: usage\ndata: ", streamContent);
+        Assert.Contains("id: 3\nevent: done\ndata: ", streamContent);
+    }
+
+    [Fact]
+    public async Task ResumeStream_WithLastEventId_WritesOnlyLaterEvents()
+    {
+        // Arrange
+        var streamId = _streamSessionService.Start((_, _) => CreateAsyncEnumerable(new List<StreamEvent>
+        {
+            new() { Type = StreamEventTypes.Content, Data = new { Content = "first" } },
+            new() { Type = StreamEventTypes.Content, Data = new { Content = "second" } },
+            new() { Type = StreamEventTypes.Done, Data = new { IsFinal = true } }
+        }));
+
+        var httpContext = new DefaultHttpContext();
+        var responseStream = new MemoryStream();
+        httpContext.Response.Body = responseStream;
+        _controller.ControllerContext = new ControllerContext { HttpContext = httpContext };
+
+        // Act
+        await _controller.ResumeStream(streamId, 1);
+
+        // Assert
+        var streamContent = System.Text.Encoding.UTF8.GetString(responseStream.ToArray());
+        Assert.DoesNotContain("first", streamContent);
+        Assert.Contains("id: 2\nevent: content", streamContent);
+        Assert.Contains("id: 3\nevent: done", streamContent);
+    }
+
+    [Fact]
+    public async Task ResumeStream_WithUnknownStream_ReturnsNotFound()
+    {
+        // Arrange
+        var httpContext = new DefaultHttpContext();
+        _controller.ControllerContext = new ControllerContext { HttpContext = httpContext };
+
+        // Act
+        await _controller.ResumeStream("stream_missing", 3);
+
+        // Assert
+        Assert.Equal(StatusCodes.Status404NotFound, httpContext.Response.StatusCode);
+    }
+
+    [Fact]
+    public async Task ResumeStream_WhenStreamExpiresBeforeReading_WritesErrorEvent()
+    {
+        // Arrange
+        var mockStreamSessionService = new Mock<IStreamSessionService>();
+        mockStreamSessionService.Setup(x => x.Exists("stream_expiring")).Returns(true);
+        mockStreamSessionService.Setup(x => x.ReadAsync("stream_expiring", 2, It.IsAny<CancellationToken>()))
+            .Returns(CreateFailingAsyncEnumerable(
+                new List<StreamEvent>(),
+                new KeyNotFoundException("Stream 'stream_expiring' was not found")));
+        var controller = new ChatController(
+            _mockSendMessageUseCase.Object,
+            _mockGetAvailablePluginsUseCase.Object,
+            _mockInvokePluginFunctionUseCase.Object,
+            _mockToolApprovalService.Object,
+            mockStreamSessionService.Object,
+            NullLogger<ChatController>.Instance);
+
+        var httpContext = new DefaultHttpContext();
+        var responseStream = new MemoryStream();
+        httpContext.Response.Body = responseStream;
+        controller.ControllerContext = new ControllerContext { HttpContext = httpContext };
+
+        // Act
+        await controller.ResumeStream("stream_expiring", 2);
+
+        // Assert
+        var streamContent = System.Text.Encoding.UTF8.GetString(responseStream.ToArray());
+        Assert.Equal(StatusCodes.Status200OK, httpContext.Response.StatusCode);
+        Assert.StartsWith("event: error\ndata: ", streamContent);
+        Assert.Contains("stream_expiring", streamContent);
+    }
+
+    [Fact]
+    public void CancelStream_WithUnknownStream_ReturnsNotFound()
+    {
+        // Act
+        var result = _controller.CancelStream("stream_missing");
+
+        // Assert
+        var notFoundResult = Assert.IsType<NotFoundObjectResult>(result);
+        Assert.Contains("stream_missing", notFoundResult.Value?.ToString());
+    }
+
+    #endregion
+
     #region Helper Methods
 
     private static async IAsyncEnumerable<T> CreateAsyncEnumerable<T>(IEnumerable<T> items)
@@ -605,5 +953,14 @@ public class ChatControllerTests
         yield break;
     }
 
+    private static async IAsyncEnumerable<T> CreateFailingAsyncEnumerable<T>(IEnumerable<T> items, Exception exception)
+    {
+        await foreach (var item in CreateAsyncEnumerable(items))
+        {
+            yield return item;
+        }
+        throw exception;
+    }
+
     #endregion
 }
\ No newline at end of file
@@ -0,0 +1,119 @@
+import { test, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { ChatApiService } from '../../SemanticKernelFunctionCaller.API/wwwroot/js/services/ChatApiService.js';
+
+const encoder = new TextEncoder();
+const originalFetch = globalThis.fetch;
+
+function streamResponse(chunks, { fail = false, streamId = 'stream_1' } = {}) {
+    const body = new ReadableStream({
+        start(controller) {
+            chunks.forEach(chunk => controller.enqueue(encoder.encode(chunk)));
+            if (fail) {
+                // Erroring right away would discard the queued chunks
+                setTimeout(() => controller.error(new TypeError('network error')), 10);
+            } else {
+                controller.close();
+            }
+        }
+    });
+    return new Response(body, { headers: { 'Content-Type': 'text/event-stream', 'X-Stream-Id': streamId } });
+}
+
+function event(id, type, data) {
+    return `id: ${id}\nevent: ${type}\ndata: ${JSON.stringify(data)}\n\n`;
+}
+
+async function collect(generator) {
+    const updates = [];
+    for await (const update of generator) {
+        updates.push(update);
+    }
+    return updates;
+}
+
+function stream(service, signal = null) {
+    return service.streamChatMessage('OpenRouter', 'model', [{ role: 'User', content: 'Hi' }], signal);
+}
+
+afterEach(() => {
+    globalThis.fetch = originalFetch;
+});
+
+test('resumes after the last received event when the connection drops', async () => {
+    const requests = [];
+    globalThis.fetch = async (url, options = {}) => {
+        requests.push({ url, options });
+        if (requests.length === 1) {
+            return streamResponse([event(1, 'content', { Content: 'Hel' })], { fail: true });
+        }
+        return streamResponse([
+            event(2, 'content', { Content: 'lo' }),
+            event(3, 'usage', { TotalTokens: 5 }),
+            event(4, 'done', { Content: '', IsFinal: true })
+        ]);
+    };
+
+    const updates = await collect(stream(new ChatApiService()));
+
+    assert.deepEqual(updates.map(update => update.Content), ['Hel', 'lo', '']);
+    assert.deepEqual(updates.at(-1).Usage, { TotalTokens: 5 });
+    assert.equal(requests[1].url, '/api/chat/streams/stream_1');
+    assert.equal(requests[1].options.headers['Last-Event-ID'], '1');
+});
+
+test('throws the server error without reconnecting', async () => {
+    let requestCount = 0;
+    globalThis.fetch = async () => {
+        requestCount++;
+        return streamResponse([event(1, 'error', { error: 'An error occurred: boom' })]);
+    };
+
+    await assert.rejects(collect(stream(new ChatApiService())), /boom/);
+    assert.equal(requestCount, 1);
+});
+
+test('fails when the stream has expired on the server', async () => {
+    globalThis.fetch = async (url) => url.includes('/streams/')
+        ? new Response('', { status: 404 })
+        : streamResponse([event(1, 'content', { Content: 'Hel' })], { fail: true });
+
+    await assert.rejects(collect(stream(new ChatApiService())), /no longer available/);
+});
+
+test('cancels the server stream when the caller aborts', async () => {
+    const requests = [];
+    const abortController = new AbortController();
+    globalThis.fetch = async (url, options = {}) => {
+        requests.push({ url, method: options.method });
+        if (options.method === 'DELETE') {
+            return new Response(null, { status: 204 });
+        }
+        const body = new ReadableStream({
+            start(controller) {
+                controller.enqueue(encoder.encode(event(1, 'content', { Content: 'Hel' })));
+                options.signal.addEventListener('abort', () => controller.error(new DOMException('Aborted', 'AbortError')));
+            }
+        });
+        return new Response(body, { headers: { 'X-Stream-Id': 'stream_1' } });
+    };
+
+    const generator = stream(new ChatApiService(), abortController.signal);
+    await generator.next();
+    abortController.abort();
+
+    await assert.rejects(generator.next(), { name: 'AbortError' });
+    assert.deepEqual(requests.at(-1), { url: '/api/chat/streams/stream_1', method: 'DELETE' });
+});
+
+test('marks a stream that failed before any event as safe to retry without streaming', async () => {
+    globalThis.fetch = async () => new Response('Bad gateway', { status: 502 });
+
+    await assert.rejects(collect(stream(new ChatApiService())), error => error.canFallBack === true);
+});
+
+test('does not offer the fallback once the server has answered', async () => {
+    globalThis.fetch = async () => streamResponse([event(1, 'error', { error: 'An error occurred: boom' })]);
+
+    await assert.rejects(collect(stream(new ChatApiService())), error => error.canFallBack === false);
+});
\ No newline at end of file
@@ -0,0 +1,52 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+const storage = new Map();
+globalThis.localStorage = {
+    getItem: key => (storage.has(key) ? storage.get(key) : null),
+    setItem: (key, value) => storage.set(key, String(value)),
+    removeItem: key => storage.delete(key)
+};
+
+const { ChatModel } = await import('../../SemanticKernelFunctionCaller.API/wwwroot/js/models/ChatModel.js');
+
+const messages = [
+    { id: 'm3', role: 'User', content: 'And tomorrow?' }
+];
+
+test('the summary of dropped messages follows the system prompt as a user turn', () => {
+    const model = new ChatModel();
+    model.setSystemPrompt('Be brief.');
+
+    assert.deepEqual(model.toApiMessages(messages, 'We talked about the weather.'), [
+        { role: 'System', content: 'Be brief.' },
+        { role: 'User', content: 'Summary of our earlier conversation:\nWe talked about the weather.' },
+        { role: 'User', content: 'And tomorrow?' }
+    ]);
+});
+
+test('without a system prompt or summary only the messages are sent', () => {
+    const model = new ChatModel();
+
+    assert.deepEqual(model.toApiMessages(messages), [{ role: 'User', content: 'And tomorrow?' }]);
+    assert.deepEqual(model.toApiMessages(messages, 'Earlier').map(message => message.role), ['User', 'User']);
+});
+
+test('images past the size limit are left out from the oldest, with a note in their place', () => {
+    const model = new ChatModel();
+    // 8 base64 characters are 6 bytes
+    const image = name => ({ kind: 'image', name, mediaType: 'image/png', data: 'AAAAAAAA' });
+    const history = [
+        { id: 'm1', role: 'User', content: 'First', attachments: [image('old.png')] },
+        { id: 'm2', role: 'User', content: 'Second', attachments: [image('a.png'), image('b.png')] }
+    ];
+
+    const apiMessages = model.toApiMessages(history, null, { maxImageBytes: 12 });
+
+    assert.deepEqual(apiMessages[0], {
+        role: 'User',
+        content: 'First\n\n[Image "old.png" not shown again: earlier images are left out to keep the request small]'
+    });
+    assert.deepEqual(apiMessages[1].attachments.map(attachment => attachment.name), ['a.png', 'b.png']);
+    assert.equal(model.toApiMessages(history)[0].attachments.length, 1);
+});
\ No newline at end of file
@@ -0,0 +1,97 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { JSDOM, ResourceLoader, VirtualConsole } from 'jsdom';
+import { CodeSandbox } from '../../SemanticKernelFunctionCaller.API/wwwroot/js/services/CodeSandbox.js';
+
+const { window } = new JSDOM('');
+globalThis.window = window;
+globalThis.document = window.document;
+globalThis.DOMParser = window.DOMParser;
+
+const sandbox = new CodeSandbox();
+
+test('only JavaScript, HTML and CSS blocks can be run', () => {
+    assert.equal(sandbox.getRunnableLanguage('js'), 'javascript');
+    assert.equal(sandbox.getRunnableLanguage('JavaScript'), 'javascript');
+    assert.equal(sandbox.getRunnableLanguage('html'), 'html');
+    assert.equal(sandbox.getRunnableLanguage('css'), 'css');
+    assert.equal(sandbox.getRunnableLanguage('python'), null);
+    assert.equal(sandbox.getRunnableLanguage(undefined), null);
+});
+
+test('the document blocks the network before any code runs', () => {
+    const html = sandbox.buildDocument('javascript', 'console.log(1)', 'run_1');
+
+    const policy = html.indexOf('Content-Security-Policy');
+    assert.ok(policy > -1);
+    assert.ok(policy < html.indexOf('console.log(1)'));
+    assert.match(html, /default-src 'none'/);
+    assert.match(html, /"run_1"/);
+});
+
+test('JavaScript runs in a worker and cannot close its script element early', () => {
+    const code = 'const tag = "</script><img src=x>"; // <!-- note';
+    const html = sandbox.buildDocument('javascript', code, 'run_1');
+
+    assert.equal(html.match(/<\/script>/g).length, 1);
+    assert.ok(!html.includes('<!--'));
+    assert.match(html, /new Worker\(/);
+    const source = JSON.parse(html.match(/new Blob\(\[("(?:[^"\\]|\\.)*")\]/)[1]);
+    assert.ok(source.endsWith(`\n${code}`));
+});
+
+test('an HTML preview that tries to navigate away makes no request', async () => {
+    const code = '<meta http-equiv="refresh" content="0; url=https://example.com/refresh"><base href="https://example.com/">'
+        + '<a id="link" href="https://example.com/link">Go</a><svg><a href="https://example.com/svg"><text>Go</text></a></svg>'
+        + '<script>location.href = "https://example.com/script";</script>';
+    const container = document.createElement('div');
+    const run = sandbox.run('html', code, container, { timeoutMs: 10 });
+    const frame = container.querySelector('iframe');
+    await run;
+
+    // Without allow-scripts the script does not run, like in jsdom by default
+    assert.equal(frame.getAttribute('sandbox'), '');
+    const requests = [];
+    const virtualConsole = new VirtualConsole();
+    virtualConsole.on('jsdomError', error => requests.push(error.message));
+    const resources = new class extends ResourceLoader {
+        fetch(url) {
+            requests.push(url);
+            return null;
+        }
+    }();
+    const preview = new JSDOM(frame.srcdoc, { resources, virtualConsole });
+    preview.window.document.getElementById('link').click();
+    preview.window.document.querySelector('svg a').dispatchEvent(new preview.window.MouseEvent('click', { bubbles: true }));
+    await new Promise(resolve => setTimeout(resolve, 0));
+
+    assert.deepEqual(requests, []);
+    const { head } = preview.window.document;
+    assert.equal(head.firstElementChild.nextElementSibling.httpEquiv, 'Content-Security-Policy');
+    assert.equal(preview.window.document.querySelector('meta[http-equiv="refresh"], base, [href]'), null);
+    preview.window.close();
+});
+
+test('CSS is previewed on sample markup', () => {
+    const html = sandbox.buildDocument('css', 'h1 { color: red; }', 'run_1');
+
+    assert.match(html, /<style>h1 \{ color: red; \}<\/style>/);
+    assert.match(html, /<h1>Heading<\/h1>/);
+});
+
+test('output is formatted for the model with the level of warnings and errors', () => {
+    const text = sandbox.formatOutput('javascript', [
+        { level: 'log', text: 'hello' },
+        { level: 'error', text: 'TypeError: x is not a function' }
+    ], { timedOut: false, durationMs: 12 });
+
+    assert.equal(text, 'Output of running the JavaScript code:\n\n```text\nhello\n[error] TypeError: x is not a function\n```');
+});
+
+test('output fences outlast backticks in the output and a stopped run says so', () => {
+    const text = sandbox.formatOutput('html', [{ level: 'log', text: 'a ```fenced``` word' }], { timedOut: true, durationMs: 5004 });
+
+    assert.ok(text.startsWith('Output of running the HTML code:\n\n````text\n'));
+    assert.ok(text.endsWith('\n````\n\nThe run was stopped after 5 s.'));
+    assert.match(sandbox.formatOutput('css', []), /\(no output\)/);
+});
\ No newline at end of file
@@ -0,0 +1,107 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { CommandCatalog } from '../../SemanticKernelFunctionCaller.API/wwwroot/js/services/CommandCatalog.js';
+
+const catalog = new CommandCatalog();
+
+const context = {
+    providers: [{ id: 'OpenRouter', name: 'OpenRouter' }, { id: 'NanoGPT', name: 'Nano GPT' }],
+    modelOptions: [
+        {
+            providerId: 'OpenRouter',
+            providerName: 'OpenRouter',
+            models: [
+                { id: 'openai/gpt-4o', name: 'GPT-4o' },
+                { id: 'openai/gpt-4o-mini', name: 'GPT-4o mini' },
+                { id: 'anthropic/claude-3.5-sonnet', name: 'Claude 3.5 Sonnet' }
+            ]
+        },
+        { providerId: 'NanoGPT', providerName: 'Nano GPT', models: [{ id: 'openai/gpt-4o', name: 'GPT-4o' }] }
+    ],
+    plugins: [
+        { PluginName: 'WeatherPlugin', FunctionName: 'GetForecast' },
+        { PluginName: 'WeatherPlugin', FunctionName: 'GetAlerts' },
+        { PluginName: 'DateTimePlugin', FunctionName: 'Now' }
+    ],
+    conversations: [
+        { id: 'c1', title: 'Trip planning', tags: ['travel'], messageCount: 4 },
+        { id: 'c2', title: 'Current chat', tags: [], messageCount: 2 }
+    ],
+    selectedProvider: 'NanoGPT',
+    selectedModel: 'openai/gpt-4o',
+    useTools: false,
+    activeConversationId: 'c2'
+};
+
+test('text that is not a known slash command is sent as a message', () => {
+    assert.equal(catalog.parseSlashCommand('hello', context), null);
+    assert.equal(catalog.parseSlashCommand('/usr/bin is a directory', context), null);
+    assert.equal(catalog.parseSlashCommand('/unknown thing', context), null);
+});
+
+test('models resolve by id, short id or name, preferring the current provider', () => {
+    assert.deepEqual(catalog.parseSlashCommand('/model openai/gpt-4o', context),
+        { type: 'selectModel', providerId: 'NanoGPT', modelId: 'openai/gpt-4o' });
+    assert.deepEqual(catalog.parseSlashCommand('/model gpt-4o-mini', context),
+        { type: 'selectModel', providerId: 'OpenRouter', modelId: 'openai/gpt-4o-mini' });
+    assert.deepEqual(catalog.parseSlashCommand('/model claude 3.5 sonnet', context),
+        { type: 'selectModel', providerId: 'OpenRouter', modelId: 'anthropic/claude-3.5-sonnet' });
+    assert.deepEqual(catalog.parseSlashCommand('/model sonnet', context),
+        { type: 'selectModel', providerId: 'OpenRouter', modelId: 'anthropic/claude-3.5-sonnet' });
+});
+
+test('unknown or ambiguous models are reported', () => {
+    assert.throws(() => catalog.parseSlashCommand('/model llama', context), /No loaded model matches "llama"/);
+    assert.throws(() => catalog.parseSlashCommand('/model gpt', context), /matches several models/);
+    assert.throws(() => catalog.parseSlashCommand('/model', context), /needs a model name/);
+});
+
+test('tools, system prompt, retry and export commands are read', () => {
+    assert.deepEqual(catalog.parseSlashCommand('/tools on', context), { type: 'setTools', enabled: true });
+    assert.deepEqual(catalog.parseSlashCommand('/tools off weatherplugin', context),
+        { type: 'setTools', enabled: false, pluginName: 'WeatherPlugin' });
+    assert.throws(() => catalog.parseSlashCommand('/tools maybe', context), /\/tools on or \/tools off/);
+    assert.throws(() => catalog.parseSlashCommand('/tools on Missing', context), /Unknown plugin "Missing"/);
+
+    assert.deepEqual(catalog.parseSlashCommand('/system You are terse.\nAnswer in French.', context),
+        { type: 'setSystemPrompt', prompt: 'You are terse.\nAnswer in French.' });
+    assert.deepEqual(catalog.parseSlashCommand('/provider nano gpt', context), { type: 'selectProvider', providerId: 'NanoGPT' });
+    assert.deepEqual(catalog.parseSlashCommand('/RETRY', context), { type: 'retry' });
+    assert.deepEqual(catalog.parseSlashCommand('/export', context), { type: 'export', format: 'markdown' });
+    assert.deepEqual(catalog.parseSlashCommand('/export json', context), { type: 'export', format: 'json' });
+    assert.throws(() => catalog.parseSlashCommand('/export pdf', context), /md, json or html/);
+});
+
+test('suggestions complete command names, then their arguments', () => {
+    assert.deepEqual(catalog.getSlashSuggestions('/', context).map(s => s.value).slice(0, 3), ['/model ', '/provider ', '/tools ']);
+    assert.deepEqual(catalog.getSlashSuggestions('/ex', context).map(s => s.value), ['/export ']);
+    assert.deepEqual(catalog.getSlashSuggestions('/model 4o-m', context).map(s => s.value), ['/model openai/gpt-4o-mini']);
+    assert.deepEqual(catalog.getSlashSuggestions('/tools o', context).map(s => s.value), ['/tools on', '/tools off']);
+    assert.deepEqual(catalog.getSlashSuggestions('/tools on we', context).map(s => s.value), ['/tools on WeatherPlugin']);
+    assert.deepEqual(catalog.getSlashSuggestions('hello', context), []);
+});
+
+test('a complete command has no suggestions, so Enter runs it', () => {
+    assert.deepEqual(catalog.getSlashSuggestions('/clear', context), []);
+    assert.deepEqual(catalog.getSlashSuggestions('/model openai/gpt-4o', context), []);
+    assert.deepEqual(catalog.getSlashSuggestions('/tools on', context), []);
+});
+
+test('the palette offers actions, providers, models and the other conversations', () => {
+    const commands = catalog.getPaletteCommands(context);
+
+    assert.deepEqual(commands.find(c => c.type === 'setTools'), { type: 'setTools', enabled: true, label: 'Turn tools on', detail: '/tools', group: 'Actions' });
+    assert.equal(commands.filter(c => c.group === 'Models').length, 4);
+    assert.equal(commands.find(c => c.providerId === 'NanoGPT' && c.group === 'Models').detail, 'Nano GPT · current model');
+    assert.deepEqual(commands.filter(c => c.group === 'Conversations').map(c => c.conversationId), ['c1']);
+    assert.equal(commands.find(c => c.conversationId === 'c1').detail, '#travel 4 messages');
+});
+
+test('palette filtering needs every word and ranks label prefixes first', () => {
+    const commands = catalog.getPaletteCommands(context);
+
+    assert.deepEqual(catalog.filterCommands(commands, 'gpt mini').map(c => c.modelId), ['openai/gpt-4o-mini']);
+    assert.deepEqual(catalog.filterCommands(commands, 'travel').map(c => c.label), ['Trip planning']);
+    assert.equal(catalog.filterCommands(commands, 'export')[0].label, 'Export as Markdown (.md)');
+    assert.equal(catalog.filterCommands(commands, '').length, commands.length);
+});
\ No newline at end of file
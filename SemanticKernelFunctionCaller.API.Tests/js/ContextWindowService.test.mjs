@@ -0,0 +1,97 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { ContextWindowService } from '../../SemanticKernelFunctionCaller.API/wwwroot/js/services/ContextWindowService.js';
+
+const service = new ContextWindowService();
+
+// 40 characters are 10 tokens, plus 4 for the message itself
+const TEXT = 'x'.repeat(40);
+
+function createConversation(roles) {
+    return roles.map((role, index) => ({ id: `m${index + 1}`, role, content: TEXT }));
+}
+
+const ids = messages => messages.map(message => message.id);
+
+test('tokens are estimated from the text length, images at a flat rate', () => {
+    assert.equal(service.estimateTokens('abcd'), 1);
+    assert.equal(service.estimateTokens('abcde'), 2);
+    assert.equal(service.estimateTokens(null), 0);
+
+    assert.equal(service.estimateMessage({ role: 'User', content: TEXT }), 14);
+    assert.equal(service.estimateMessage({
+        role: 'User',
+        content: TEXT,
+        attachments: [{ kind: 'image' }, { kind: 'document', text: 'x'.repeat(8) }]
+    }), 14 + 1000 + 2);
+    assert.equal(service.estimateMessages(createConversation(['User', 'Assistant'])), 28);
+});
+
+test('the prompt budget leaves room for the answer', () => {
+    assert.equal(service.getPromptBudget(128000), 128000 - 4096);
+    assert.equal(service.getPromptBudget(8000), 6000);
+    assert.equal(service.getPromptBudget(128000, 1000), 127000);
+    assert.equal(service.getPromptBudget(100, 500), 0);
+});
+
+test('everything is sent while it fits, and always with the none strategy', () => {
+    const messages = createConversation(['User', 'Assistant', 'User', 'Assistant', 'User']);
+
+    assert.deepEqual(service.fit(messages, { budget: 70 }), { messages, dropped: [], estimatedTokens: 70 });
+    assert.deepEqual(service.fit(messages, { budget: 10, strategy: 'none' }), { messages, dropped: [], estimatedTokens: 70 });
+});
+
+test('the oldest messages are dropped until the prompt fits', () => {
+    const messages = createConversation(['User', 'Assistant', 'User', 'Assistant', 'User']);
+    const result = service.fit(messages, { budget: 50 });
+
+    assert.deepEqual(ids(result.messages), ['m3', 'm4', 'm5']);
+    assert.deepEqual(ids(result.dropped), ['m1', 'm2']);
+    assert.equal(result.estimatedTokens, 42);
+});
+
+test('an answer is not kept without its question', () => {
+    const messages = createConversation(['User', 'Assistant', 'User', 'Assistant', 'User']);
+    const result = service.fit(messages, { budget: 60 });
+
+    assert.deepEqual(ids(result.messages), ['m3', 'm4', 'm5']);
+    assert.equal(result.estimatedTokens, 42);
+});
+
+test('pin-first keeps the first message and drops the ones after it', () => {
+    const messages = createConversation(['User', 'Assistant', 'User', 'Assistant', 'User']);
+    const result = service.fit(messages, { budget: 50, strategy: 'pin-first' });
+
+    assert.deepEqual(ids(result.messages), ['m1', 'm5']);
+    assert.deepEqual(ids(result.dropped), ['m2', 'm3', 'm4']);
+    assert.equal(result.estimatedTokens, 28);
+});
+
+test('the system prompt and summary count against the budget', () => {
+    const messages = createConversation(['User', 'Assistant', 'User', 'Assistant', 'User']);
+    const result = service.fit(messages, { budget: 80, fixedText: TEXT });
+
+    assert.deepEqual(ids(result.messages), ['m3', 'm4', 'm5']);
+    assert.equal(result.estimatedTokens, 14 + 42);
+});
+
+test('the message being answered is kept even when it alone is over budget', () => {
+    const messages = [
+        { id: 'm1', role: 'User', content: TEXT },
+        { id: 'm2', role: 'User', content: 'x'.repeat(400) }
+    ];
+    const result = service.fit(messages, { budget: 50 });
+
+    assert.deepEqual(ids(result.messages), ['m2']);
+    assert.equal(result.estimatedTokens, 104);
+    assert.deepEqual(ids(service.fit([messages[1]], { budget: 50 }).messages), ['m2']);
+});
+
+test('the previous summary opens the transcript and the latest part is kept when it is too long', () => {
+    const messages = [{ role: 'User', content: 'Hi' }, { role: 'Assistant', content: 'Hello' }];
+
+    assert.equal(service.toTranscript(messages, 'Earlier', 100),
+        'Summary of what came before: Earlier\n\nUser: Hi\n\nAssistant: Hello');
+    assert.equal(service.toTranscript(messages, null, 100), 'User: Hi\n\nAssistant: Hello');
+    assert.equal(service.toTranscript(messages, 'Earlier', 2), 't: Hello');
+});
\ No newline at end of file
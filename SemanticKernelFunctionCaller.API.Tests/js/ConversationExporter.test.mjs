@@ -0,0 +1,137 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { ConversationExporter } from '../../SemanticKernelFunctionCaller.API/wwwroot/js/services/ConversationExporter.js';
+
+const exporter = new ConversationExporter();
+
+function createRecord(overrides = {}) {
+    return {
+        id: 'conversation_1',
+        title: 'Weather in Oslo',
+        titleSource: 'generated',
+        tags: ['travel'],
+        pinned: true,
+        providerId: 'OpenRouter',
+        modelId: 'openai/gpt-4o',
+        useTools: true,
+        streaming: false,
+        systemPrompt: 'Answer in one line.',
+        personaId: null,
+        contextSummary: { content: 'Earlier turns', upToMessageId: 'm1' },
+        createdAt: new Date('2024-05-01T09:00:00Z'),
+        updatedAt: new Date('2024-05-01T09:05:00Z'),
+        messages: [
+            {
+                id: 'm1',
+                role: 'User',
+                content: 'Weather in Oslo?',
+                timestamp: new Date('2024-05-01T09:00:00Z'),
+                attachments: [{ kind: 'document', name: 'notes.txt', mediaType: 'text/plain', text: 'Pack a coat' }]
+            },
+            {
+                id: 'm2',
+                role: 'Assistant',
+                content: 'Rainy, 12 °C.',
+                timestamp: new Date('2024-05-01T09:00:05Z'),
+                providerId: 'OpenRouter',
+                modelId: 'openai/gpt-4o',
+                settings: { temperature: 0.2 },
+                usage: { promptTokens: 10, completionTokens: 5, cost: null },
+                toolSteps: [{ callId: 'call_1', pluginName: 'WeatherPlugin', functionName: 'GetForecast', arguments: { city: 'Oslo' }, status: 'completed', result: 'rain' }],
+                versions: [{ content: 'Sunny.', status: 'stopped' }, { content: 'Rainy, 12 °C.' }],
+                activeVersion: 1
+            }
+        ],
+        ...overrides
+    };
+}
+
+function createExport(conversation, overrides = {}) {
+    return JSON.stringify({ format: 'semantic-kernel-function-caller/conversation', version: 1, conversation, ...overrides });
+}
+
+test('a JSON export reads back into the same record', () => {
+    const record = createRecord();
+
+    assert.deepEqual(exporter.fromJson(exporter.toJson(record)), record);
+});
+
+test('files that are not a conversation export are rejected', () => {
+    assert.throws(() => exporter.fromJson('{ not json'), /not valid JSON/);
+    assert.throws(() => exporter.fromJson(createExport(createRecord(), { format: 'something-else' })), /not an exported conversation/);
+    assert.throws(() => exporter.fromJson(JSON.stringify({ format: 'semantic-kernel-function-caller/conversation', version: 1 })), /not an exported conversation/);
+    assert.throws(() => exporter.fromJson(createExport(createRecord(), { version: 2 })), /newer version/);
+});
+
+test('conversations without messages or with malformed ones are rejected', () => {
+    assert.throws(() => exporter.fromJson(createExport(createRecord({ messages: [] }))), /has no messages/);
+    assert.throws(() => exporter.fromJson(createExport(createRecord({ messages: null }))), /has no messages/);
+
+    const malformed = [
+        { role: 'User', content: 'no id' },
+        { id: 'm1', role: 'Tool', content: 'unknown role' },
+        { id: 'm1', role: 'User', content: 42 },
+        null
+    ];
+    malformed.forEach(message => {
+        assert.throws(() => exporter.fromJson(createExport(createRecord({ messages: [message] }))), /malformed messages/);
+    });
+});
+
+test('Markdown lists the system prompt, attachments, tool calls and answers in order', () => {
+    const lines = exporter.toMarkdown(createRecord()).split('\n');
+
+    assert.equal(lines[0], '# Weather in Oslo');
+    assert.match(lines[2], /^_Exported .* · OpenRouter · openai\/gpt-4o · 2 messages_$/);
+    assert.deepEqual(lines.slice(4), [
+        '## System prompt',
+        '',
+        '> Answer in one line.',
+        '',
+        '## User',
+        '',
+        '📎 notes.txt (text sent with the message)',
+        '',
+        'Weather in Oslo?',
+        '',
+        '## Assistant (openai/gpt-4o)',
+        '',
+        '> 🔧 WeatherPlugin.GetForecast(city=Oslo) completed → rain',
+        '',
+        'Rainy, 12 °C.',
+        ''
+    ]);
+});
+
+test('HTML escapes the title, system prompt, attachment names and user text', () => {
+    const html = exporter.toHtml(createRecord({
+        title: '<script>alert(1)</script>',
+        systemPrompt: 'Use "quotes" & <b>tags</b>',
+        messages: [{
+            id: 'm1',
+            role: 'User',
+            content: '<img src=x onerror=alert(1)>',
+            attachments: [
+                { kind: 'document', name: '<svg onload=alert(1)>.txt' },
+                { kind: 'image', name: '" onerror="alert(1)', mediaType: 'image/png', data: 'AAAA' }
+            ]
+        }]
+    }));
+
+    assert.ok(!html.includes('<script>alert(1)</script>'));
+    assert.ok(html.includes('<title>&lt;script&gt;alert(1)&lt;/script&gt;</title>'));
+    assert.ok(html.includes('<h1>&lt;script&gt;alert(1)&lt;/script&gt;</h1>'));
+    assert.ok(html.includes('Use &quot;quotes&quot; &amp; &lt;b&gt;tags&lt;/b&gt;'));
+    assert.ok(html.includes('📎 &lt;svg onload=alert(1)&gt;.txt'));
+    assert.ok(html.includes('alt="&quot; onerror=&quot;alert(1)"'));
+    assert.ok(html.includes('&lt;img src=x onerror=alert(1)&gt;'));
+});
+
+test('export names the file after the title', () => {
+    const file = exporter.export(createRecord({ title: 'Weather in Oslo?!' }), 'json');
+
+    assert.equal(file.fileName, 'weather-in-oslo.json');
+    assert.equal(file.mimeType, 'application/json');
+    assert.equal(exporter.export(createRecord({ title: '' }), 'markdown').fileName, 'conversation.md');
+    assert.throws(() => exporter.export(createRecord(), 'pdf'), /Unknown export format/);
+});
\ No newline at end of file
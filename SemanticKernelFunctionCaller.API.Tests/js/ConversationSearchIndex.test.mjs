@@ -0,0 +1,161 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { ConversationSearchIndex } from '../../SemanticKernelFunctionCaller.API/wwwroot/js/services/ConversationSearchIndex.js';
+
+function createRecord(id, overrides = {}) {
+    return {
+        id,
+        title: 'Untitled',
+        providerId: 'OpenRouter',
+        modelId: 'gpt-4o',
+        updatedAt: new Date('2024-05-10T12:00:00Z'),
+        messages: [],
+        ...overrides
+    };
+}
+
+function createIndex() {
+    const index = new ConversationSearchIndex();
+    index.build([
+        createRecord('c1', {
+            title: 'Rust lifetimes',
+            messages: [
+                { id: 'm1', role: 'User', content: 'How do lifetimes work?', timestamp: new Date('2024-05-01T09:00:00Z') },
+                {
+                    id: 'm2', role: 'Assistant', content: 'A lifetime tells the borrow checker how long a reference is valid.',
+                    providerId: 'OpenRouter', modelId: 'claude-3', timestamp: new Date('2024-05-01T09:00:05Z')
+                }
+            ]
+        }),
+        createRecord('c2', {
+            title: 'Weekend plans',
+            providerId: 'Ollama',
+            modelId: 'llama3',
+            messages: [
+                { id: 'm3', role: 'User', content: 'Will it rain in Zürich?', timestamp: new Date('2024-05-09T08:00:00Z') },
+                {
+                    id: 'm4', role: 'Assistant', content: 'Light showers are expected on Saturday.',
+                    providerId: 'Ollama', modelId: 'llama3', timestamp: new Date('2024-05-09T08:00:03Z'),
+                    toolSteps: [{ callId: 't1', pluginName: 'WeatherPlugin', functionName: 'GetForecast', status: 'completed' }]
+                }
+            ]
+        })
+    ]);
+    return index;
+}
+
+function snippetText(result) {
+    return result.snippet.map(part => part.text).join('');
+}
+
+test('finds messages by their content and highlights the matching words', () => {
+    const results = createIndex().search('borrow checker');
+
+    assert.equal(results.length, 1);
+    assert.equal(results[0].conversationId, 'c1');
+    assert.equal(results[0].messageId, 'm2');
+    assert.equal(results[0].field, 'content');
+    assert.deepEqual(results[0].snippet.filter(part => part.highlight).map(part => part.text), ['borrow', 'checker']);
+    assert.equal(snippetText(results[0]), 'A lifetime tells the borrow checker how long a reference is valid.');
+});
+
+test('requires every query word to match', () => {
+    const index = createIndex();
+
+    assert.equal(index.search('borrow rain').length, 0);
+});
+
+test('matches the last word as a prefix', () => {
+    const results = createIndex().search('show');
+
+    assert.equal(results.length, 1);
+    assert.equal(results[0].messageId, 'm4');
+});
+
+test('ignores case and accents', () => {
+    const results = createIndex().search('ZURICH');
+
+    assert.equal(results.length, 1);
+    assert.equal(results[0].messageId, 'm3');
+});
+
+test('finds tool calls by plugin, function and camelCase part names', () => {
+    const index = createIndex();
+
+    for (const query of ['WeatherPlugin.GetForecast', 'forecast', 'weather']) {
+        const results = index.search(query);
+        assert.equal(results.length, 1, query);
+        assert.equal(results[0].messageId, 'm4');
+        assert.equal(results[0].field, 'tool');
+    }
+});
+
+test('ranks title matches first and whole words above prefixes', () => {
+    const results = createIndex().search('lifetime');
+
+    assert.equal(results[0].messageId, null);
+    assert.equal(results[0].conversationTitle, 'Rust lifetimes');
+    assert.deepEqual(results.map(result => result.messageId), [null, 'm2', 'm1']);
+});
+
+test('finds conversations by their tags', () => {
+    const index = createIndex();
+    index.update(createRecord('c3', { title: 'Release notes', tags: ['work', 'Q3 planning'] }));
+
+    const results = index.search('planning');
+
+    assert.equal(results.length, 1);
+    assert.equal(results[0].conversationId, 'c3');
+    assert.equal(results[0].field, 'tags');
+    assert.equal(snippetText(results[0]), '#work #Q3 planning');
+});
+
+test('filters by provider, model and date', () => {
+    const index = createIndex();
+
+    assert.deepEqual(index.search('lifetime', { modelId: 'claude-3' }).map(result => result.messageId), ['m2']);
+    assert.equal(index.search('rain', { providerId: 'OpenRouter' }).length, 0);
+    assert.equal(index.search('rain', { from: new Date('2024-05-08T00:00:00Z') }).length, 1);
+    assert.equal(index.search('rain', { to: new Date('2024-05-08T00:00:00Z') }).length, 0);
+});
+
+test('replaces and removes conversations', () => {
+    const index = createIndex();
+
+    index.update(createRecord('c1', {
+        title: 'Rust lifetimes',
+        messages: [{ id: 'm5', role: 'User', content: 'What about async traits?', timestamp: new Date('2024-05-11T10:00:00Z') }]
+    }));
+    assert.equal(index.search('borrow').length, 0);
+    assert.equal(index.search('async')[0].messageId, 'm5');
+
+    index.remove('c2');
+    assert.equal(index.search('rain').length, 0);
+    assert.deepEqual(index.getFilterOptions().providers, ['OpenRouter']);
+});
+
+test('cuts long messages around the first match', () => {
+    const index = new ConversationSearchIndex();
+    const content = `${'lorem ipsum '.repeat(20)}the needle is here ${'dolor sit '.repeat(20)}`;
+    index.update(createRecord('c3', {
+        messages: [{ id: 'm6', role: 'Assistant', content, timestamp: new Date() }]
+    }));
+
+    const snippet = snippetText(index.search('needle')[0]);
+
+    assert.ok(snippet.startsWith('…'));
+    assert.ok(snippet.endsWith('…'));
+    assert.ok(snippet.includes('the needle is here'));
+    assert.ok(snippet.length < content.length);
+});
+
+test('lists the providers and models found in the index', () => {
+    assert.deepEqual(createIndex().getFilterOptions(), {
+        providers: ['Ollama', 'OpenRouter'],
+        models: [
+            { providerId: 'OpenRouter', modelId: 'claude-3' },
+            { providerId: 'OpenRouter', modelId: 'gpt-4o' },
+            { providerId: 'Ollama', modelId: 'llama3' }
+        ]
+    });
+});
\ No newline at end of file
@@ -0,0 +1,76 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { JSDOM } from 'jsdom';
+
+const { window } = new JSDOM('');
+globalThis.document = window.document;
+globalThis.Node = window.Node;
+
+const { HtmlSanitizer } = await import('../../SemanticKernelFunctionCaller.API/wwwroot/js/services/HtmlSanitizer.js');
+
+const sanitizer = new HtmlSanitizer();
+
+test('event handlers are removed and scripts dropped with their content', () => {
+    assert.equal(sanitizer.sanitize('<img src="data:image/png;base64,AAAA" onerror="alert(1)" alt="a">'),
+        '<img src="data:image/png;base64,AAAA" alt="a">');
+    assert.equal(sanitizer.sanitize('<p onclick="alert(1)">Hi<script>alert(2)</script></p>'), '<p>Hi</p>');
+});
+
+test('links keep only safe schemes, whitespace inside the scheme included', () => {
+    assert.equal(sanitizer.sanitize('<a href="javascript:alert(1)">x</a>'), '<a>x</a>');
+    assert.equal(sanitizer.sanitize('<a href="java\tscript:alert(1)">x</a>'), '<a>x</a>');
+    assert.equal(sanitizer.sanitize('<a href=" JAVASCRIPT:alert(1)">x</a>'), '<a>x</a>');
+    assert.equal(sanitizer.sanitize('<a href="data:text/html,<script>alert(1)</script>">x</a>'), '<a>x</a>');
+
+    assert.equal(sanitizer.sanitize('<a href="https://example.com">x</a>'), '<a href="https://example.com">x</a>');
+    assert.equal(sanitizer.sanitize('<a href="mailto:me@example.com">x</a>'), '<a href="mailto:me@example.com">x</a>');
+    assert.equal(sanitizer.sanitize('<a href="#notes">x</a>'), '<a href="#notes">x</a>');
+    assert.equal(sanitizer.sanitize('<a href="docs/setup.md">x</a>'), '<a href="docs/setup.md">x</a>');
+});
+
+test('images load only from inline raster data or blobs', () => {
+    assert.equal(sanitizer.sanitize('<img src="data:text/html;base64,PHNjcmlwdD4=">'), '<img>');
+    assert.equal(sanitizer.sanitize('<img src="data:image/svg+xml;base64,PHN2Zz4=">'), '<img>');
+    assert.equal(sanitizer.sanitize('<img src="javascript:alert(1)">'), '<img>');
+    assert.equal(sanitizer.sanitize('<img src="//example.com/a.png">'), '<img>');
+
+    assert.equal(sanitizer.sanitize('<img src="data:image/png;base64,AAAA">'), '<img src="data:image/png;base64,AAAA">');
+    assert.equal(sanitizer.sanitize('<img src="blob:https://example.com/1f2e">'), '<img src="blob:https://example.com/1f2e">');
+});
+
+test('images from the web become links that do not load them', () => {
+    assert.equal(sanitizer.sanitize('<p><img src="https://example.com/a.png?q=1&amp;r=2" alt="Chart" onerror="alert(1)"></p>'),
+        '<p><a href="https://example.com/a.png?q=1&amp;r=2" title="https://example.com/a.png?q=1&amp;r=2" '
+        + 'data-remote-image="Chart">🖼 Chart</a></p>');
+    assert.equal(sanitizer.sanitize('<img src=" HTTP://example.com/a.png">'),
+        '<a href="HTTP://example.com/a.png" title="HTTP://example.com/a.png" data-remote-image="">🖼 Image</a>');
+    // Only the sanitizer marks links as images
+    assert.equal(sanitizer.sanitize('<a href="https://example.com" data-remote-image="x">x</a>'), '<a href="https://example.com">x</a>');
+});
+
+test('SVG and MathML are removed with everything inside them', () => {
+    assert.equal(sanitizer.sanitize('<p>a<svg><a href="javascript:alert(1)"><text>x</text></a></svg>b</p>'), '<p>ab</p>');
+    assert.equal(sanitizer.sanitize('<p>a<math><mi xlink:href="javascript:alert(1)">x</mi></math>b</p>'), '<p>ab</p>');
+    // The parser moves an HTML element out of foreign content, where it is cleaned like any other
+    assert.equal(sanitizer.sanitize('<svg><style><img src=x onerror=alert(1)></style></svg>'), '<img>');
+});
+
+test('unknown elements are unwrapped and keep their text', () => {
+    assert.equal(sanitizer.sanitize('<section><font color="red">Hello</font></section>'), 'Hello');
+    assert.equal(sanitizer.sanitize('<p>a<!-- note -->b</p>'), '<p>ab</p>');
+});
+
+test('only task list checkboxes survive, and they cannot be ticked', () => {
+    assert.equal(sanitizer.sanitize('<li><input type="checkbox" checked> done</li>'),
+        '<li><input type="checkbox" checked="" disabled=""> done</li>');
+    assert.equal(sanitizer.sanitize('<p><input type="text" value="x">a</p>'), '<p>a</p>');
+    assert.equal(sanitizer.sanitize('<p><input type="image" src="https://example.com/a.png">a</p>'), '<p>a</p>');
+    assert.equal(sanitizer.sanitize('<p><input>a</p>'), '<p>a</p>');
+});
+
+test('code keeps only its language class, other elements none', () => {
+    assert.equal(sanitizer.sanitize('<code class="language-js hidden fixed">x</code>'), '<code class="language-js">x</code>');
+    assert.equal(sanitizer.sanitize('<code class="absolute inset-0">x</code>'), '<code>x</code>');
+    assert.equal(sanitizer.sanitize('<p class="language-js">x</p>'), '<p>x</p>');
+    assert.equal(sanitizer.sanitize('<div style="position:fixed" id="login">x</div>'), '<div>x</div>');
+});
\ No newline at end of file
@@ -0,0 +1,157 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { JSDOM } from 'jsdom';
+import * as marked from 'marked';
+
+const { window } = new JSDOM('');
+globalThis.document = window.document;
+globalThis.Node = window.Node;
+globalThis.marked = marked;
+// Highlighting is left to highlight.js in the browser
+globalThis.hljs = { highlightElement() {} };
+
+const { MarkdownRenderer } = await import('../../SemanticKernelFunctionCaller.API/wwwroot/js/views/MarkdownRenderer.js');
+
+const renderer = new MarkdownRenderer();
+
+const firstToken = markdown => renderer.markdown.lexer(markdown)[0];
+
+test('a fenced code block is complete once a long enough fence of the same kind closes it', () => {
+    assert.equal(renderer._isOpenCode(firstToken('```js\nconst a = 1;')), true);
+    assert.equal(renderer._isOpenCode(firstToken('```js\nconst a = 1;\n```')), false);
+    assert.equal(renderer._isOpenCode(firstToken('```js\nconst a = 1;\n```\n\n')), false);
+    assert.equal(renderer._isOpenCode(firstToken('````md\n```\nnested\n```')), true);
+    assert.equal(renderer._isOpenCode(firstToken('````md\n```\nnested\n```\n````')), false);
+    assert.equal(renderer._isOpenCode(firstToken('~~~\ncode\n```')), true);
+    assert.equal(renderer._isOpenCode(firstToken('~~~\ncode\n~~~')), false);
+});
+
+test('indented code may still continue, other blocks are never open code', () => {
+    assert.equal(renderer._isOpenCode(firstToken('    const a = 1;')), true);
+    assert.equal(renderer._isOpenCode(firstToken('Some text')), false);
+});
+
+test('a streamed code block is decorated only after its closing fence arrives', () => {
+    const element = document.createElement('div');
+
+    renderer.render(element, 'Intro\n\n```python\nprint(1)', { streaming: true });
+    assert.equal(element.querySelector('button[aria-label="Copy code"]'), null);
+
+    renderer.render(element, 'Intro\n\n```python\nprint(1)\n```', { streaming: true });
+    assert.ok(element.querySelector('button[aria-label="Copy code"]'));
+    assert.equal(element.querySelector('.group div').textContent, 'python');
+});
+
+test('blocks that did not change keep their nodes', () => {
+    const element = document.createElement('div');
+
+    renderer.render(element, 'First paragraph\n\nSecond', { streaming: true });
+    const first = element.firstChild;
+    renderer.render(element, 'First paragraph\n\nSecond paragraph', { streaming: true });
+
+    assert.equal(element.firstChild, first);
+    assert.equal(element.textContent.replace(/\n/g, ''), 'First paragraphSecond paragraph');
+});
+
+test('reference links resolve from definitions anywhere in the text', () => {
+    const element = document.createElement('div');
+
+    renderer.render(element, 'See [the docs][docs] and [home].\n\n[docs]: https://example.com/docs "Docs"\n[home]: https://example.com\n');
+
+    const links = Array.from(element.querySelectorAll('a')).map(link => [link.textContent, link.getAttribute('href'), link.title]);
+    assert.deepEqual(links, [['the docs', 'https://example.com/docs', 'Docs'], ['home', 'https://example.com', '']]);
+});
+
+test('HTML and links in the model output are sanitized', () => {
+    const element = document.createElement('div');
+
+    renderer.render(element, 'Hi <img src=x onerror="alert(1)"> [x](javascript:alert(1)) <span class="fixed">y</span>');
+
+    assert.equal(element.innerHTML, '<p>Hi <img> <a>x</a> <span>y</span></p>\n');
+});
+
+test('an image from the web loads only once its link is clicked', () => {
+    const element = document.createElement('div');
+
+    renderer.render(element, 'Here: ![A chart](https://example.com/chart.png)');
+    assert.equal(element.querySelector('img'), null);
+    const link = element.querySelector('a[data-remote-image]');
+    assert.equal(link.textContent, '🖼 A chart');
+
+    link.click();
+
+    const image = element.querySelector('img');
+    assert.equal(image.getAttribute('src'), 'https://example.com/chart.png');
+    assert.equal(image.alt, 'A chart');
+    assert.equal(element.querySelector('a'), null);
+});
+
+test('math without KaTeX stays as its source text', () => {
+    const element = document.createElement('div');
+
+    renderer.render(element, 'Euler: $e^{i\\pi} + 1 = 0$ costs $5 and $10');
+
+    assert.equal(element.textContent.trim(), 'Euler: $e^{i\\pi} + 1 = 0$ costs $5 and $10');
+});
+
+// Like mermaid, draws in a temporary element in the body and leaves it there on failure
+function stubMermaid(svg) {
+    globalThis.mermaid = {
+        render: async (id, source) => {
+            const temporary = document.createElement('div');
+            temporary.id = `d${id}`;
+            document.body.appendChild(temporary);
+            await Promise.resolve();
+            if (source.includes('error')) {
+                throw new Error('Parse error');
+            }
+            return { svg };
+        }
+    };
+}
+
+async function renderDiagram(element, source) {
+    try {
+        renderer.render(element, `\`\`\`mermaid\n${source}\n\`\`\``);
+        await new Promise(resolve => setTimeout(resolve, 0));
+    } finally {
+        delete globalThis.mermaid;
+    }
+}
+
+test('Mermaid diagrams are shown as images, so nothing in the SVG can run', async () => {
+    const svg = '<svg xmlns="http://www.w3.org/2000/svg" width="100%" style="max-width: 320.5px;" onload="alert(1)"><script>alert(2)</script></svg>';
+    stubMermaid(svg);
+    const element = document.body.appendChild(document.createElement('div'));
+
+    await renderDiagram(element, 'graph TD; A-->B');
+
+    const image = element.querySelector('img');
+    assert.equal(element.querySelector('svg, script, pre'), null);
+    assert.equal(image.getAttribute('src'), `data:image/svg+xml;charset=utf-8,${encodeURIComponent(svg)}`);
+    assert.equal(image.width, 321);
+    assert.equal(document.querySelector('[id^="dmermaid-diagram-"]'), null);
+    element.remove();
+});
+
+test('a diagram finished after its block left the page is dropped, and failures leave nothing behind', async () => {
+    const warn = console.warn;
+    console.warn = () => {};
+    try {
+        stubMermaid('<svg></svg>');
+        const detached = document.createElement('div');
+        await renderDiagram(detached, 'graph TD; A-->B');
+        assert.equal(detached.querySelector('img'), null);
+        assert.ok(detached.querySelector('pre'));
+
+        stubMermaid('<svg></svg>');
+        const element = document.body.appendChild(document.createElement('div'));
+        await renderDiagram(element, 'graph error');
+        assert.ok(element.querySelector('pre'));
+        element.remove();
+    } finally {
+        console.warn = warn;
+    }
+
+    assert.equal(document.querySelector('[id^="dmermaid-diagram-"]'), null);
+});
\ No newline at end of file
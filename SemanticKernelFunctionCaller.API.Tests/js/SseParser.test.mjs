@@ -0,0 +1,91 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { SseParser } from '../../SemanticKernelFunctionCaller.API/wwwroot/js/services/SseParser.js';
+
+const encoder = new TextEncoder();
+
+function parseChunks(chunks) {
+    const parser = new SseParser();
+    const events = chunks.flatMap(chunk => parser.push(chunk));
+    return [...events, ...parser.end()];
+}
+
+function splitEvery(bytes, size) {
+    const chunks = [];
+    for (let i = 0; i < bytes.length; i += size) {
+        chunks.push(bytes.slice(i, i + size));
+    }
+    return chunks;
+}
+
+test('parses typed events with ids', () => {
+    const events = parseChunks(['id: 1\nevent: content\ndata: {"Content":"Hi"}\n\nid: 2\nevent: done\ndata: {}\n\n']);
+
+    assert.deepEqual(events, [
+        { id: '1', type: 'content', data: '{"Content":"Hi"}' },
+        { id: '2', type: 'done', data: '{}' }
+    ]);
+});
+
+test('gives events without an event field the message type', () => {
+    assert.deepEqual(parseChunks(['data: plain\n\n']), [{ id: '', type: 'message', data: 'plain' }]);
+});
+
+test('joins multi-line data with newlines', () => {
+    assert.deepEqual(parseChunks(['data: first\ndata:second\ndata\n\n'])[0].data, 'first\nsecond\n');
+});
+
+test('strips only one leading space from values', () => {
+    assert.equal(parseChunks(['data:  indented\n\n'])[0].data, ' indented');
+});
+
+test('handles every split of a stream delivered byte by byte', () => {
+    const bytes = encoder.encode('id: 7\r\nevent: content\r\ndata: {"Content":"héllo 👋"}\r\n\r\n');
+
+    const events = parseChunks(splitEvery(bytes, 1));
+
+    assert.deepEqual(events, [{ id: '7', type: 'content', data: '{"Content":"héllo 👋"}' }]);
+});
+
+test('does not break a multi-byte character split across chunks', () => {
+    const bytes = encoder.encode('data: 👋\n\n');
+    // The emoji starts at byte 6 and takes four bytes
+    const events = parseChunks([bytes.slice(0, 8), bytes.slice(8)]);
+
+    assert.equal(events[0].data, '👋');
+});
+
+test('treats a CRLF split across chunks as one line break', () => {
+    const events = parseChunks(['data: a\r', '\n\r', '\ndata: b\r\n\r\n']);
+
+    assert.deepEqual(events.map(event => event.data), ['a', 'b']);
+});
+
+test('accepts lone CR line endings', () => {
+    assert.deepEqual(parseChunks(['data: a\r\rdata: b\r\r']).map(event => event.data), ['a', 'b']);
+});
+
+test('ignores comments such as heartbeats', () => {
+    const events = parseChunks([': heartbeat\n\n', 'data: x\n', ': heartbeat\n', '\n']);
+
+    assert.deepEqual(events.map(event => event.data), ['x']);
+});
+
+test('keeps the last event id for events without one', () => {
+    const parser = new SseParser();
+    const events = parser.push('id: 3\ndata: a\n\ndata: b\n\n');
+
+    assert.deepEqual(events.map(event => event.id), ['3', '3']);
+    assert.equal(parser.lastEventId, '3');
+});
+
+test('records the retry interval', () => {
+    const parser = new SseParser();
+    parser.push('retry: 2500\n\nretry: soon\n\n');
+
+    assert.equal(parser.retry, 2500);
+});
+
+test('drops an event that was not terminated by a blank line', () => {
+    assert.deepEqual(parseChunks(['data: complete\n\ndata: cut off']).map(event => event.data), ['complete']);
+});
\ No newline at end of file
@@ -0,0 +1,224 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { JSDOM } from 'jsdom';
+
+const { window } = new JSDOM('');
+globalThis.document = window.document;
+globalThis.requestAnimationFrame = callback => setTimeout(callback, 0);
+globalThis.cancelAnimationFrame = handle => clearTimeout(handle);
+const observers = [];
+globalThis.ResizeObserver = class {
+    constructor(callback) {
+        this.callback = callback;
+        this.connected = false;
+        observers.push(this);
+    }
+    observe() {
+        this.connected = true;
+    }
+    disconnect() {
+        this.connected = false;
+    }
+};
+
+// jsdom has no layout: elements are stacked by their style height or data-height, and the chat is 500px tall
+const VIEWPORT_HEIGHT = 500;
+const heightOf = element => parseFloat(element.style.height) || Number(element.dataset.height) || 0;
+Object.defineProperty(window.HTMLElement.prototype, 'offsetTop', {
+    get() {
+        let top = 0;
+        for (let sibling = this.previousElementSibling; sibling; sibling = sibling.previousElementSibling) {
+            top += heightOf(sibling);
+        }
+        return top;
+    }
+});
+window.HTMLElement.prototype.scrollIntoView = function () {};
+
+const { VirtualMessageList } = await import('../../SemanticKernelFunctionCaller.API/wwwroot/js/views/VirtualMessageList.js');
+
+function createList(heights) {
+    const scrollElement = document.createElement('div');
+    const container = document.createElement('div');
+    const jumpButton = document.createElement('button');
+    jumpButton.className = 'hidden';
+    scrollElement.appendChild(container);
+
+    let scrollTop = 0;
+    const scrollHeight = () => Array.from(container.children).reduce((total, child) => total + heightOf(child), 0);
+    Object.defineProperties(scrollElement, {
+        clientHeight: { get: () => VIEWPORT_HEIGHT },
+        scrollHeight: { get: scrollHeight },
+        scrollTop: {
+            get: () => scrollTop,
+            set: value => { scrollTop = Math.max(0, Math.min(value, scrollHeight() - VIEWPORT_HEIGHT)); }
+        },
+        getBoundingClientRect: { value: () => ({ top: 0, bottom: VIEWPORT_HEIGHT }) }
+    });
+
+    const list = new VirtualMessageList({
+        container,
+        scrollElement,
+        jumpButton,
+        createElement: id => {
+            const element = document.createElement('div');
+            element.dataset.messageId = id;
+            element.dataset.height = heights.get(id);
+            element.getBoundingClientRect = () => {
+                const top = element.offsetTop - scrollTop;
+                return { top, bottom: top + heightOf(element) };
+            };
+            return element;
+        }
+    });
+    // Spacers need rects like the messages
+    Array.from(container.children).forEach(spacer => {
+        spacer.getBoundingClientRect = () => ({ top: spacer.offsetTop - scrollTop, bottom: spacer.offsetTop - scrollTop + heightOf(spacer) });
+    });
+
+    const scrollTo = value => {
+        scrollElement.scrollTop = value;
+        scrollElement.dispatchEvent(new window.Event('scroll'));
+    };
+    const rendered = () => Array.from(container.querySelectorAll('[data-message-id]')).map(element => element.dataset.messageId);
+    const spacers = () => [heightOf(container.firstElementChild), heightOf(container.lastElementChild)];
+    return { list, scrollElement, jumpButton, scrollTo, rendered, spacers };
+}
+
+function createIds(count, height = () => 100) {
+    const ids = Array.from({ length: count }, (_, index) => `m${index}`);
+    return { ids, heights: new Map(ids.map((id, index) => [id, height(index)])) };
+}
+
+const nextFrame = () => new Promise(resolve => setTimeout(resolve, 0));
+
+test('at the bottom only the last messages filling the view and overscan are rendered', () => {
+    const { ids, heights } = createIds(100);
+    const { list, scrollElement, rendered, spacers } = createList(heights);
+
+    list.setItems(ids);
+
+    // 500px of view and 1000px of overscan are 15 messages of 100px
+    assert.deepEqual(rendered(), ids.slice(85));
+    assert.deepEqual(spacers(), [8500, 0]);
+    assert.equal(scrollElement.scrollTop, 10000 - VIEWPORT_HEIGHT);
+});
+
+test('scrolled up, the messages around the view are rendered and the spacers stand in for the rest', () => {
+    const { ids, heights } = createIds(100);
+    const { list, scrollElement, jumpButton, rendered, spacers } = createList(heights);
+    list.setItems(ids);
+
+    list.scrollToItem('m20');
+
+    // The view starts at 1750px, so 750px to 3250px is rendered
+    assert.equal(scrollElement.scrollTop, 1750);
+    assert.deepEqual(rendered(), ids.slice(7, 33));
+    assert.deepEqual(spacers(), [700, 6700]);
+    assert.equal(jumpButton.classList.contains('hidden'), false);
+});
+
+test('messages never rendered count as the average height of the measured ones', () => {
+    const { ids, heights } = createIds(100, index => (index % 2 ? 300 : 100));
+    const { list, rendered, spacers } = createList(heights);
+
+    list.setItems(ids);
+
+    // Estimated at 160px, m90 to m99 are rendered and measured first: 2000px, 200px on average.
+    // Measured, the last 7 messages (1500px) fill the view and overscan.
+    assert.deepEqual(rendered(), ids.slice(93));
+    assert.deepEqual(spacers(), [90 * 200 + 100 + 300 + 100, 0]);
+    assert.equal(list._sumHeights(0, 4), 4 * 200);
+});
+
+test('new output is followed only while the user is at the bottom', async () => {
+    const { ids, heights } = createIds(100);
+    const { list, scrollElement, jumpButton, scrollTo } = createList(heights);
+    list.setItems(ids);
+
+    heights.set('m100', 100);
+    list.append('m100');
+    list.followOutput();
+    assert.equal(scrollElement.scrollTop, 10100 - VIEWPORT_HEIGHT);
+    assert.equal(jumpButton.classList.contains('hidden'), true);
+
+    scrollTo(3000);
+    await nextFrame();
+    heights.set('m101', 100);
+    list.append('m101');
+    list.followOutput();
+    await nextFrame();
+
+    assert.equal(list.getElement('m101'), null);
+    assert.equal(scrollElement.scrollTop, 3000);
+    assert.equal(jumpButton.classList.contains('hidden'), false);
+    assert.equal(list._computeRange().start, 20);
+});
+
+test('jump to latest renders the last messages and hides itself', async () => {
+    const { ids, heights } = createIds(100);
+    const { list, scrollElement, jumpButton, scrollTo, rendered } = createList(heights);
+    list.setItems(ids);
+    scrollTo(0);
+    await nextFrame();
+    assert.deepEqual(rendered(), ids.slice(0, 15));
+
+    jumpButton.click();
+
+    assert.deepEqual(rendered(), ids.slice(85));
+    assert.equal(scrollElement.scrollTop, 10000 - VIEWPORT_HEIGHT);
+    assert.equal(jumpButton.classList.contains('hidden'), true);
+});
+
+test('clearing forgets the messages and their heights', () => {
+    const { ids, heights } = createIds(10);
+    const { list, jumpButton, rendered, spacers } = createList(heights);
+    list.setItems(ids);
+    list.scrollToItem('m0');
+
+    list.clear();
+
+    assert.deepEqual(rendered(), []);
+    assert.deepEqual(spacers(), [0, 0]);
+    assert.equal(list.lastId, null);
+    // Messages of the next conversation start from the estimate again
+    assert.equal(list._getAverageHeight(), 160);
+    assert.equal(jumpButton.classList.contains('hidden'), true);
+});
+
+test('heights add up the same way whatever order they were measured in', () => {
+    const { ids, heights } = createIds(50, index => 100 + index);
+    const { list } = createList(heights);
+    list.setItems(ids.slice(0, 30));
+    ids.slice(30).forEach(id => list.append(id));
+    // Measure the rest out of order, some twice
+    [...ids].reverse().forEach(id => list._setHeight(id, heights.get(id)));
+    list._setHeight('m7', 107);
+
+    const sumOf = (start, end) => ids.slice(start, end).reduce((total, id) => total + heights.get(id), 0);
+    for (const [start, end] of [[0, 0], [0, 1], [0, 50], [13, 37], [31, 32], [49, 50]]) {
+        assert.equal(list._sumHeights(start, end), sumOf(start, end));
+    }
+    assert.equal(list._findFirst(top => top > sumOf(0, 20)), 21);
+    assert.equal(list._findFirst(top => top >= sumOf(0, 20)), 20);
+    assert.equal(list._findFirst(() => false), 51);
+});
+
+test('destroying the list stops it following scrolling and resizing', async () => {
+    const { ids, heights } = createIds(100);
+    const { list, scrollElement, jumpButton, scrollTo, rendered } = createList(heights);
+    list.setItems(ids);
+    scrollTo(3000);
+    await nextFrame();
+    const observer = observers.at(-1);
+
+    list.destroy();
+    assert.equal(observer.connected, false);
+    assert.deepEqual(rendered(), []);
+    assert.equal(scrollElement.firstElementChild.children.length, 0);
+
+    scrollTo(0);
+    assert.equal(list._renderFrame, null);
+    jumpButton.click();
+    assert.equal(jumpButton.classList.contains('hidden'), false);
+});
\ No newline at end of file
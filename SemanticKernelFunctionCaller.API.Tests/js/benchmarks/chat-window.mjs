@@ -0,0 +1,57 @@
+// Opens a 2,000-message conversation in the chat and streams 500 tokens into a new answer, then reports the time
+// taken and how much of the conversation is in the DOM. Run with `npm run bench`. jsdom has no layout, so this
+// measures the DOM work, not painting; compare runs on the same machine.
+import { readFile } from 'node:fs/promises';
+import { JSDOM } from 'jsdom';
+import * as marked from 'marked';
+
+const MESSAGE_COUNT = 2000;
+const TOKEN_COUNT = 500;
+
+const indexUrl = new URL('../../../SemanticKernelFunctionCaller.API/wwwroot/index.html', import.meta.url);
+const html = (await readFile(indexUrl, 'utf8')).replace(/<script[\s\S]*?<\/script>/g, '');
+const { window } = new JSDOM(html, { pretendToBeVisual: true });
+Object.assign(globalThis, {
+    window,
+    document: window.document,
+    Node: window.Node,
+    requestAnimationFrame: window.requestAnimationFrame,
+    cancelAnimationFrame: window.cancelAnimationFrame,
+    ResizeObserver: class { observe() {} },
+    marked,
+    hljs: { highlightElement() {} }
+});
+
+const { ChatView } = await import('../../../SemanticKernelFunctionCaller.API/wwwroot/js/views/ChatView.js');
+
+const startedAt = Date.now();
+const messages = Array.from({ length: MESSAGE_COUNT }, (_, index) => {
+    const role = index % 2 ? 'Assistant' : 'User';
+    const content = role === 'User'
+        ? `Question ${index}?`
+        : `Answer **${index}** with a list:\n\n- one\n- two\n\n\`\`\`js\nconsole.log(${index})\n\`\`\`\n`;
+    return { id: `m${index}`, role, content, modelId: 'model', timestamp: new Date(startedAt + index * 1000) };
+});
+
+const view = new ChatView();
+const chatWindow = document.getElementById('chat-window');
+
+let start = performance.now();
+view.renderConversation(messages);
+const openMs = performance.now() - start;
+
+const answer = { id: 'live', role: 'Assistant', content: '', timestamp: new Date() };
+view.renderMessage(answer, true);
+let text = '';
+start = performance.now();
+for (let index = 0; index < TOKEN_COUNT; index++) {
+    text += `token${index} `;
+    view.renderStreamingUpdate(answer, text);
+}
+const streamMs = performance.now() - start;
+
+console.log(`Opening ${MESSAGE_COUNT} messages: ${openMs.toFixed(0)} ms, `
+    + `${chatWindow.querySelectorAll('[data-message-id]').length} message elements, `
+    + `${chatWindow.querySelectorAll('*').length} nodes in the chat`);
+console.log(`Streaming ${TOKEN_COUNT} tokens: ${streamMs.toFixed(0)} ms`);
+window.close();
\ No newline at end of file
@@ -1,4 +1,5 @@
 using Microsoft.AspNetCore.Mvc;
+using Microsoft.Extensions.DependencyInjection;
 using SemanticKernelFunctionCaller.Application.DTOs;
 using SemanticKernelFunctionCaller.Application.Interfaces;
 using System.Text.Json;
@@ -9,26 +10,33 @@ namespace SemanticKernelFunctionCaller.API.Controllers;
 [Route("api/[controller]")]
 public class ChatController : ControllerBase
 {
+    private const string StreamIdHeader = "X-Stream-Id";
+    // Proxies tend to close connections that stay silent for a minute
+    private static readonly TimeSpan HeartbeatInterval = TimeSpan.FromSeconds(15);
+
     private readonly ISendChatMessageUseCase _sendMessageUseCase;
-    private readonly IStreamChatMessageUseCase _streamMessageUseCase;
-    private readonly IStreamWithToolsUseCase _streamWithToolsUseCase;
     private readonly IGetAvailablePluginsUseCase _getAvailablePluginsUseCase;
+    private readonly IInvokePluginFunctionUseCase _invokePluginFunctionUseCase;
+    private readonly IToolApprovalService _toolApprovalService;
+    private readonly IStreamSessionService _streamSessionService;
     private readonly ILogger<ChatController> _logger;
 
     public ChatController(
         ISendChatMessageUseCase sendMessageUseCase,
-        IStreamChatMessageUseCase streamMessageUseCase,
-        IStreamWithToolsUseCase streamWithToolsUseCase,
         IGetAvailablePluginsUseCase getAvailablePluginsUseCase,
+        IInvokePluginFunctionUseCase invokePluginFunctionUseCase,
+        IToolApprovalService toolApprovalService,
+        IStreamSessionService streamSessionService,
         ILogger<ChatController> logger)
     {
         _logger = logger ?? throw new ArgumentNullException(nameof(logger));
         _logger.LogInformation("ChatController constructor - DI injection starting");
         
         _sendMessageUseCase = sendMessageUseCase ?? throw new ArgumentNullException(nameof(sendMessageUseCase));
-        _streamMessageUseCase = streamMessageUseCase ?? throw new ArgumentNullException(nameof(streamMessageUseCase));
-        _streamWithToolsUseCase = streamWithToolsUseCase ?? throw new ArgumentNullException(nameof(streamWithToolsUseCase));
         _getAvailablePluginsUseCase = getAvailablePluginsUseCase ?? throw new ArgumentNullException(nameof(getAvailablePluginsUseCase));
+        _invokePluginFunctionUseCase = invokePluginFunctionUseCase ?? throw new ArgumentNullException(nameof(invokePluginFunctionUseCase));
+        _toolApprovalService = toolApprovalService ?? throw new ArgumentNullException(nameof(toolApprovalService));
+        _streamSessionService = streamSessionService ?? throw new ArgumentNullException(nameof(streamSessionService));
         
         _logger.LogInformation("ChatController constructor - All dependencies injected successfully");
     }
@@ -37,6 +45,12 @@ public class ChatController : ControllerBase
     [HttpPost("send")]
     public async Task<IActionResult> SendMessage(ChatRequestDto request)
     {
+        // Approval requests reach the client as stream events, which a single response cannot carry
+        if (request.UseTools && request.RequireToolApproval)
+        {
+            return BadRequest("Tool approval needs a streaming request");
+        }
+
         try
         {
             var response = await _sendMessageUseCase.ExecuteAsync(request);
@@ -49,72 +63,202 @@ public class ChatController : ControllerBase
         }
     }
 
+    // Streams outlive this request, so their use cases come from the stream's own scope rather than the constructor
     [HttpPost("stream")]
     public async Task StreamMessage(ChatRequestDto request)
     {
-        Response.ContentType = "text/event-stream";
-        Response.Headers.Append("Cache-Control", "no-cache");
-        Response.Headers.Append("Connection", "keep-alive");
+        var streamId = _streamSessionService.Start((services, cancellationToken) =>
+            ToStreamEvents(services.GetRequiredService<IStreamChatMessageUseCase>().ExecuteAsync(request, cancellationToken)));
+
+        await WriteStreamAsync(streamId, lastEventId: 0);
+    }
+
+    [HttpPost("stream-with-tools")]
+    public async Task StreamWithTools([FromBody] ChatRequestDto request)
+    {
+        var streamId = _streamSessionService.Start((services, cancellationToken) =>
+            ToStreamEvents(services.GetRequiredService<IStreamWithToolsUseCase>().ExecuteAsync(request, cancellationToken)));
+
+        await WriteStreamAsync(streamId, lastEventId: 0);
+    }
 
+    [HttpGet("streams/{streamId}")]
+    public async Task ResumeStream(string streamId, [FromHeader(Name = "Last-Event-ID")] long? lastEventId)
+    {
+        if (!_streamSessionService.Exists(streamId))
+        {
+            Response.StatusCode = StatusCodes.Status404NotFound;
+            return;
+        }
+
+        _logger.LogInformation("Resuming stream {StreamId} after event {LastEventId}", streamId, lastEventId ?? 0);
+        await WriteStreamAsync(streamId, lastEventId ?? 0);
+    }
+
+    [HttpDelete("streams/{streamId}")]
+    public IActionResult CancelStream(string streamId)
+    {
+        if (!_streamSessionService.Cancel(streamId))
+        {
+            return NotFound($"No stream '{streamId}' is running");
+        }
+
+        _logger.LogInformation("Stream {StreamId} cancelled by the client", streamId);
+        return NoContent();
+    }
+
+    [HttpGet("plugins")]
+    public IActionResult GetAvailablePlugins()
+    {
         try
         {
-            var stream = _streamMessageUseCase.ExecuteAsync(request, HttpContext.RequestAborted);
+            var plugins = _getAvailablePluginsUseCase.Execute();
+            return Ok(plugins);
+        }
+        catch (Exception ex)
+        {
+            _logger.LogError(ex, "An error occurred while retrieving plugins.");
+            return StatusCode(500, $"An error occurred: {ex.Message}");
+        }
+    }
 
-            await foreach (var update in stream)
-            {
-                var jsonUpdate = JsonSerializer.Serialize(update);
-                await Response.WriteAsync($"data: {jsonUpdate}\n\n");
-                await Response.Body.FlushAsync();
-            }
+    [HttpPost("plugins/{pluginName}/{functionName}/invoke")]
+    public async Task<IActionResult> InvokePluginFunction(string pluginName, string functionName, [FromBody] InvokeFunctionRequestDto request)
+    {
+        try
+        {
+            var result = await _invokePluginFunctionUseCase.ExecuteAsync(pluginName, functionName, request.Arguments, HttpContext.RequestAborted);
+            return Ok(result);
+        }
+        catch (KeyNotFoundException ex)
+        {
+            return NotFound(ex.Message);
         }
         catch (Exception ex)
         {
-            _logger.LogError(ex, "An error occurred during streaming.");
-            var jsonError = JsonSerializer.Serialize(new { error = $"An error occurred: {ex.Message}" });
-            await Response.WriteAsync($"data: {jsonError}\n\n");
-            await Response.Body.FlushAsync();
+            _logger.LogError(ex, "An error occurred while invoking {PluginName}.{FunctionName}.", pluginName, functionName);
+            return StatusCode(500, $"An error occurred: {ex.Message}");
         }
     }
 
-    [HttpPost("stream-with-tools")]
-    public async Task StreamWithTools([FromBody] ChatRequestDto request)
+    [HttpPost("tool-approvals/{callId}")]
+    public IActionResult SubmitToolApproval(string callId, [FromBody] ToolApprovalDecisionDto decision)
     {
+        if (!_toolApprovalService.SubmitDecision(callId, decision))
+        {
+            return NotFound($"No tool call '{callId}' is waiting for approval");
+        }
+
+        _logger.LogInformation("Tool call {CallId} {Decision}", callId, decision.Approved ? "approved" : "denied");
+        return NoContent();
+    }
+
+    /// <summary>
+    /// Writes the events of a stream as server-sent events, with a heartbeat comment whenever it goes quiet.
+    /// When the client disconnects the stream keeps running, so it can reconnect and resume.
+    /// </summary>
+    private async Task WriteStreamAsync(string streamId, long lastEventId)
+    {
+        var cancellationToken = HttpContext.RequestAborted;
         Response.ContentType = "text/event-stream";
         Response.Headers.Append("Cache-Control", "no-cache");
         Response.Headers.Append("Connection", "keep-alive");
+        Response.Headers.Append(StreamIdHeader, streamId);
 
+        var events = _streamSessionService.ReadAsync(streamId, lastEventId, cancellationToken).GetAsyncEnumerator(cancellationToken);
+        var next = events.MoveNextAsync().AsTask();
         try
         {
-            var stream = _streamWithToolsUseCase.ExecuteAsync(request, HttpContext.RequestAborted);
-
-            await foreach (var update in stream)
+            while (true)
             {
-                var jsonUpdate = JsonSerializer.Serialize(update);
-                await Response.WriteAsync($"data: {jsonUpdate}\n\n");
-                await Response.Body.FlushAsync();
+                bool hasEvent;
+                try
+                {
+                    hasEvent = await next.WaitAsync(HeartbeatInterval, cancellationToken);
+                }
+                catch (TimeoutException)
+                {
+                    await Response.WriteAsync(": heartbeat\n\n", cancellationToken);
+                    await Response.Body.FlushAsync(cancellationToken);
+                    continue;
+                }
+
+                if (!hasEvent)
+                {
+                    break;
+                }
+
+                var streamEvent = events.Current;
+                var jsonData = JsonSerializer.Serialize(streamEvent.Data);
+                await Response.WriteAsync($"id: {streamEvent.Id}\nevent: {streamEvent.Type}\ndata: {jsonData}\n\n", cancellationToken);
+                await Response.Body.FlushAsync(cancellationToken);
+                next = events.MoveNextAsync().AsTask();
             }
         }
-        catch (Exception ex)
+        catch (OperationCanceledException) when (cancellationToken.IsCancellationRequested)
         {
-            _logger.LogError(ex, "An error occurred during stream-with-tools.");
-            var jsonError = JsonSerializer.Serialize(new { error = $"An error occurred: {ex.Message}" });
-            await Response.WriteAsync($"data: {jsonError}\n\n");
-            await Response.Body.FlushAsync();
+            // The connection is gone, so there is nothing to write; the stream stays resumable for a while
+            _logger.LogInformation("Connection to stream {StreamId} closed by the client.", streamId);
+        }
+        catch (KeyNotFoundException ex)
+        {
+            // The stream expired after a resume checked for it; the headers may be out, so end with an error event
+            _logger.LogWarning("Stream {StreamId} expired before it could be read.", streamId);
+            var jsonData = JsonSerializer.Serialize(new { error = ex.Message });
+            await Response.WriteAsync($"event: {StreamEventTypes.Error}\ndata: {jsonData}\n\n", cancellationToken);
+            await Response.Body.FlushAsync(cancellationToken);
+        }
+        finally
+        {
+            // A read still in flight ends with the request token and has to finish before disposing
+            await Task.WhenAny(next);
+            await events.DisposeAsync();
         }
     }
 
-    [HttpGet("plugins")]
-    public IActionResult GetAvailablePlugins()
+    private static async IAsyncEnumerable<StreamEvent> ToStreamEvents(IAsyncEnumerable<StreamingChatUpdate> updates)
     {
-        try
+        await foreach (var update in updates)
         {
-            var plugins = _getAvailablePluginsUseCase.Execute();
-            return Ok(plugins);
+            if (update.IsFinal)
+            {
+                foreach (var streamEvent in ToFinalEvents(update, update.Usage))
+                {
+                    yield return streamEvent;
+                }
+                continue;
+            }
+
+            yield return new StreamEvent { Type = StreamEventTypes.Content, Data = update };
         }
-        catch (Exception ex)
+    }
+
+    private static async IAsyncEnumerable<StreamEvent> ToStreamEvents(IAsyncEnumerable<ToolStreamingUpdate> updates)
+    {
+        await foreach (var update in updates)
         {
-            _logger.LogError(ex, "An error occurred while retrieving plugins.");
-            return StatusCode(500, $"An error occurred: {ex.Message}");
+            if (update.IsFinal)
+            {
+                foreach (var streamEvent in ToFinalEvents(update, update.Usage))
+                {
+                    yield return streamEvent;
+                }
+                continue;
+            }
+
+            var type = update.Type is StreamEventTypes.ToolCall or StreamEventTypes.ApprovalRequired
+                ? update.Type
+                : StreamEventTypes.Content;
+            yield return new StreamEvent { Type = type, Data = update };
+        }
+    }
+
+    private static IEnumerable<StreamEvent> ToFinalEvents(object finalUpdate, TokenUsageDto? usage)
+    {
+        if (usage is not null)
+        {
+            yield return new StreamEvent { Type = StreamEventTypes.Usage, Data = usage };
         }
+        yield return new StreamEvent { Type = StreamEventTypes.Done, Data = finalUpdate };
     }
 }
\ No newline at end of file
@@ -1,6 +1,7 @@
 using SemanticKernelFunctionCaller.API.HealthChecks;
 using SemanticKernelFunctionCaller.API.Middleware;
 using SemanticKernelFunctionCaller.Application.Interfaces;
+using SemanticKernelFunctionCaller.Application.Services;
 using SemanticKernelFunctionCaller.Application.UseCases;
 using SemanticKernelFunctionCaller.Infrastructure.Configuration;
 using SemanticKernelFunctionCaller.Infrastructure.Extensions;
@@ -86,6 +87,13 @@ builder.Services.AddScoped<ISendChatMessageUseCase, SendChatMessageUseCase>();
 builder.Services.AddScoped<IStreamChatMessageUseCase, StreamChatMessageUseCase>();
 builder.Services.AddScoped<IStreamWithToolsUseCase, StreamWithToolsUseCase>();
 builder.Services.AddScoped<IGetAvailablePluginsUseCase, GetAvailablePluginsUseCase>();
+builder.Services.AddScoped<IInvokePluginFunctionUseCase, InvokePluginFunctionUseCase>();
+
+// Register tool approvals - singleton so the decision request reaches the paused stream
+builder.Services.AddSingleton<IToolApprovalService, ToolApprovalService>();
+
+// Register stream sessions - singleton so a dropped connection can resume a stream started by an earlier request
+builder.Services.AddSingleton<IStreamSessionService, StreamSessionService>();
 
 // Register configuration manager
 builder.Services.AddSingleton<IProviderConfigurationManager, ProviderConfigurationManager>();
@@ -1,5 +1,16 @@
 import { ChatViewModel } from './viewmodels/ChatViewModel.js';
 import { ChatView } from './views/ChatView.js';
+import { ConversationSidebarView } from './views/ConversationSidebarView.js';
+import { ConversationSearchView } from './views/ConversationSearchView.js';
+import { ComparisonView } from './views/ComparisonView.js';
+import { FunctionConsoleView } from './views/FunctionConsoleView.js';
+import { PersonaView } from './views/PersonaView.js';
+import { GenerationSettingsView } from './views/GenerationSettingsView.js';
+import { ContextMeterView } from './views/ContextMeterView.js';
+import { AttachmentView } from './views/AttachmentView.js';
+import { MessageQueueView } from './views/MessageQueueView.js';
+import { CommandPaletteView } from './views/CommandPaletteView.js';
+import { SlashCommandView } from './views/SlashCommandView.js';
 
 /**
  * Main Application Bootstrap
@@ -9,6 +20,22 @@ document.addEventListener('DOMContentLoaded', () => {
     // Initialize MVVM components
     const viewModel = new ChatViewModel();
     const view = new ChatView();
+    // Before ChatView binds Enter to send, so accepting a suggestion does not send the message
+    const slashCommandView = new SlashCommandView();
+    const sidebarView = new ConversationSidebarView();
+    const searchView = new ConversationSearchView();
+    const comparisonView = new ComparisonView();
+    const functionConsoleView = new FunctionConsoleView();
+    const personaView = new PersonaView();
+    const generationSettingsView = new GenerationSettingsView();
+    const contextMeterView = new ContextMeterView();
+    const attachmentView = new AttachmentView();
+    const messageQueueView = new MessageQueueView();
+    const commandPaletteView = new CommandPaletteView();
+    const appTitle = document.title;
+    // Models of every provider and the plugins are loaded the first time a command is looked up
+    let commandOptionsLoaded = false;
+    let commandOptionsRequest = null;
 
     // Wire up ViewModel events to View updates
     viewModel.subscribe(handleViewModelEvents);
@@ -26,6 +53,7 @@ document.addEventListener('DOMContentLoaded', () => {
         switch (event.type) {
             case 'providersLoaded':
                 view.renderProviders(event.providers);
+                commandOptionsLoaded = false;
                 // Restore saved selection if available
                 if (viewModel.selectedProvider) {
                     view.selectProvider(viewModel.selectedProvider);
@@ -38,22 +66,65 @@ document.addEventListener('DOMContentLoaded', () => {
 
             case 'modelsLoaded':
                 view.renderModels(event.models);
+                view.setModelOptions(viewModel.getLoadedModelOptions());
+                comparisonView.setModelOptions(viewModel.getLoadedModelOptions());
+                sidebarView.setModelOptions(viewModel.getLoadedModelOptions());
                 // Restore saved selection if available and it matches the current provider
                 if (viewModel.selectedModel && viewModel.selectedProvider === event.providerId) {
                     view.selectModel(viewModel.selectedModel);
                 }
+                // Catalog defaults and context lengths are only known once the models are loaded
+                renderGenerationSettings();
+                renderContextMeter();
+                break;
+
+            case 'providerSelected':
+            case 'modelSelected':
+            case 'generationSettingsChanged':
+                renderGenerationSettings();
+                renderContextMeter();
+                break;
+
+            case 'contextStrategyChanged':
+                renderContextMeter();
+                break;
+
+            case 'attachmentsChanged':
+                attachmentView.render(event.attachments);
+                view.setHasAttachments(event.attachments.length > 0);
+                break;
+
+            case 'messageQueued':
+                if (!event.keepInput) {
+                    view.clearMessageInput();
+                }
+                break;
+
+            case 'messageQueueChanged':
+                messageQueueView.render(event.queue, { paused: event.paused });
                 break;
 
             case 'messageSent':
                 view.renderMessage(event.message);
                 view.showTypingIndicator();
-                view.clearMessageInput();
+                if (!event.isEdit && !event.keepInput) {
+                    view.clearMessageInput();
+                }
                 view.setLoading(true);
                 break;
 
+            case 'historyChanged':
+                view.renderConversation(event.messages);
+                break;
+
             case 'streamingStarted':
                 view.hideTypingIndicator();
-                view.renderMessage(event.message);
+                view.renderMessage(event.message, true);
+                break;
+
+            case 'regenerationStarted':
+                view.showTypingIndicator();
+                view.setLoading(true);
                 break;
 
             case 'streamingUpdate':
@@ -64,6 +135,43 @@ document.addEventListener('DOMContentLoaded', () => {
                 view.renderMessage(event.message, true);
                 break;
 
+            case 'modelOptionsLoaded':
+                view.setModelOptions(event.options);
+                comparisonView.setModelOptions(event.options);
+                sidebarView.setModelOptions(event.options);
+                break;
+
+            case 'utilityModelChanged':
+                sidebarView.setUtilityModel(event.utilityModel);
+                break;
+
+            case 'compareModeChanged':
+                comparisonView.setCompareMode(event.enabled);
+                comparisonView.renderTargets(event.targets);
+                break;
+
+            case 'compareTargetsChanged':
+                comparisonView.renderTargets(event.targets);
+                break;
+
+            case 'comparisonStarted':
+                view.hideTypingIndicator();
+                comparisonView.renderComparison(event.comparison);
+                break;
+
+            case 'comparisonUpdate':
+                comparisonView.updateColumn(event.column);
+                break;
+
+            case 'comparisonResolved':
+                comparisonView.removeComparison();
+                view.renderMessage(event.message);
+                break;
+
+            case 'comparisonDismissed':
+                comparisonView.removeComparison();
+                break;
+
             case 'errorMessage':
                 view.showError(event.error);
                 view.setLoading(false);
@@ -71,6 +179,34 @@ document.addEventListener('DOMContentLoaded', () => {
 
             case 'conversationCleared':
                 view.clearMessages();
+                renderPersonas();
+                updateDocumentTitle();
+                break;
+
+            case 'conversationsUpdated':
+                sidebarView.renderConversations(event.conversations, event.activeId);
+                updateDocumentTitle();
+                searchView.setFilterOptions(viewModel.getSearchFilterOptions());
+                searchView.refresh();
+                break;
+
+            case 'conversationLoaded':
+                view.renderConversation(event.messages);
+                updateDocumentTitle();
+                renderPersonas();
+                view.setToolsEnabled(viewModel.useTools);
+                view.setStreamingEnabled(viewModel.streaming);
+                togglePluginsContainer(viewModel.useTools);
+                if (viewModel.selectedProvider) {
+                    view.selectProvider(viewModel.selectedProvider);
+                    viewModel.loadModelsForProvider(viewModel.selectedProvider).catch(error => {
+                        console.warn('Failed to load models for conversation provider:', error);
+                    });
+                }
+                break;
+
+            case 'messageFocusRequested':
+                view.focusMessage(event.messageId);
                 break;
 
             case 'loadingComplete':
@@ -83,21 +219,57 @@ document.addEventListener('DOMContentLoaded', () => {
                 view.setLoading(false);
                 break;
 
-            case 'toolInvocation':
-                view.showToolInvocation(event.functionName, event.content);
+            case 'streamingAborted':
+                view.hideTypingIndicator();
+                // Another conversation may have been opened while the answer was stopped
+                if (event.message && event.conversationId === viewModel.activeConversationId) {
+                    view.renderMessage(event.message, true);
+                }
+                break;
+
+            case 'toolStepsUpdated':
+                view.renderToolSteps(event.message);
+                break;
+
+            case 'systemPromptChanged':
+            case 'personasChanged':
+                renderPersonas();
+                break;
+
+            case 'personaApplied':
+                renderPersonas();
+                if (event.persona) {
+                    view.setToolsEnabled(viewModel.useTools);
+                    togglePluginsContainer(viewModel.useTools);
+                    renderPlugins();
+                    if (event.persona.providerId && event.persona.modelId) {
+                        view.selectProvider(viewModel.selectedProvider);
+                        viewModel.loadModelsForProvider(viewModel.selectedProvider).catch(error => {
+                            console.warn('Failed to load models for persona provider:', error);
+                        });
+                    }
+                }
                 break;
 
             case 'pluginsLoaded':
-                view.renderPlugins(event.plugins);
+            case 'enabledFunctionsChanged':
+            case 'toolApprovalSettingsChanged':
+                renderPlugins();
                 break;
 
             case 'error':
                 view.showError(event.error);
                 break;
 
+            case 'streamingFallback':
+                view.showNotice(`Streaming from ${event.modelId} did not start, so the answer was requested in one piece`);
+                break;
+
             case 'modelUpdated':
                 // Handle general model state updates
                 view.setLoading(viewModel.isLoading);
+                view.renderConversationUsage(viewModel.conversationUsage);
+                renderContextMeter();
                 break;
         }
     }
@@ -122,31 +294,439 @@ document.addEventListener('DOMContentLoaded', () => {
             viewModel.selectModel(modelId);
         });
 
+        generationSettingsView.bindSettingsSubmit((settings) => {
+            viewModel.setGenerationSettings(settings);
+        });
+
+        generationSettingsView.bindSettingsReset(() => {
+            viewModel.resetGenerationSettings();
+        });
+
+        contextMeterView.bindStrategyChange((strategy) => {
+            viewModel.setContextStrategy(strategy);
+        });
+
+        attachmentView.bindAddFiles(async (files) => {
+            await viewModel.addAttachments(files);
+        });
+
+        attachmentView.bindRemoveAttachment((attachmentId) => {
+            viewModel.removeAttachment(attachmentId);
+        });
+
+        messageQueueView.bindEditQueuedMessage((queuedId, content) => {
+            try {
+                viewModel.updateQueuedMessage(queuedId, content);
+            } catch (error) {
+                view.showError(error.message);
+            }
+        });
+
+        messageQueueView.bindCancelQueuedMessage((queuedId) => {
+            viewModel.cancelQueuedMessage(queuedId);
+        });
+
         view.bindSendMessage(async (messageContent) => {
             try {
-                await viewModel.sendMessage(messageContent);
+                const command = viewModel.parseSlashCommand(messageContent);
+                if (command) {
+                    view.clearMessageInput();
+                    await runCommand(command);
+                } else if (viewModel.compareMode) {
+                    await viewModel.sendComparison(messageContent);
+                } else {
+                    await viewModel.sendMessage(messageContent);
+                }
+            } catch (error) {
+                view.showError(error.message);
+            }
+        });
+
+        view.bindSendRunOutput(async (output) => {
+            try {
+                await viewModel.sendRunOutput(output);
             } catch (error) {
                 view.showError(error.message);
             }
         });
 
-        view.bindClearConversation(() => {
-            viewModel.clearConversation();
+        view.bindEditMessage(async (messageId, newContent) => {
+            try {
+                await viewModel.editMessage(messageId, newContent);
+            } catch (error) {
+                view.showError(error.message);
+            }
+        });
+
+        view.bindSwitchMessageVersion((messageId, versionIndex) => {
+            viewModel.switchMessageVersion(messageId, versionIndex);
+        });
+
+        view.bindRegenerateResponse(async (messageId, { providerId, modelId }) => {
+            try {
+                await viewModel.regenerateResponse(messageId, { providerId, modelId });
+            } catch (error) {
+                view.showError(error.message);
+            }
+        });
+
+        view.bindStopGeneration(() => {
+            viewModel.abortCurrentRequest();
+        });
+
+        view.bindFunctionToggle((functionNames, enabled) => {
+            viewModel.setFunctionsEnabled(functionNames, enabled);
+        });
+
+        view.bindToolApprovalMode((enabled) => {
+            viewModel.setRequireToolApproval(enabled);
+        });
+
+        view.bindAutoApproveFunction((functionName, autoApproved) => {
+            viewModel.setFunctionAutoApproved(functionName, autoApproved);
+        });
+
+        view.bindToolApproval(async (messageId, callId, decision) => {
+            await viewModel.resolveToolApproval(messageId, callId, decision);
+        });
+
+        personaView.bindPersonaChange(async (personaId) => {
+            try {
+                await viewModel.applyPersona(personaId);
+            } catch (error) {
+                view.showError(error.message);
+            }
+        });
+
+        personaView.bindSystemPromptSubmit(async (prompt) => {
+            await viewModel.setSystemPrompt(prompt);
+        });
+
+        personaView.bindSavePersona(async (name, prompt) => {
+            try {
+                await viewModel.setSystemPrompt(prompt);
+                await viewModel.savePersona(name);
+            } catch (error) {
+                view.showError(error.message);
+            }
+        });
+
+        personaView.bindDeletePersona(async (personaId) => {
+            await viewModel.deletePersona(personaId);
+        });
+
+        view.bindTryFunction((plugin) => {
+            functionConsoleView.open(plugin);
+        });
+
+        functionConsoleView.bindInvoke(async (pluginName, functionName, args) => {
+            functionConsoleView.setRunning(true);
+            try {
+                functionConsoleView.renderResult(await viewModel.invokePluginFunction(pluginName, functionName, args));
+            } catch (error) {
+                functionConsoleView.renderError(error.message);
+            } finally {
+                functionConsoleView.setRunning(false);
+            }
+        });
+
+        functionConsoleView.bindInsertResult((text) => {
+            view.insertIntoMessageInput(text);
+        });
+
+        view.bindClearConversation(async () => {
+            await viewModel.clearConversation();
         });
 
         view.bindToolsToggle(async (useTools) => {
             viewModel.useTools = useTools;
-            
-            // Show/hide plugins container based on tools toggle
-            const pluginsContainer = document.getElementById('plugins-container');
-            if (useTools) {
-                pluginsContainer.classList.remove('hidden');
-                // Load plugins when tools are enabled
-                await viewModel.loadPlugins();
-            } else {
-                pluginsContainer.classList.add('hidden');
+            await togglePluginsContainer(useTools);
+        });
+
+        view.bindStreamingToggle((streaming) => {
+            viewModel.streaming = streaming;
+        });
+
+        comparisonView.bindCompareModeToggle(async (enabled) => {
+            viewModel.setCompareMode(enabled);
+            if (enabled) {
+                await enterCompareMode();
+            }
+        });
+
+        comparisonView.bindTargetsChange((targets) => {
+            viewModel.setCompareTargets(targets);
+        });
+
+        comparisonView.bindStopColumn((columnId) => {
+            viewModel.stopComparisonColumn(columnId);
+        });
+
+        comparisonView.bindKeepResponse(async (columnId) => {
+            try {
+                await viewModel.keepComparisonResponse(columnId);
+            } catch (error) {
+                view.showError(error.message);
+            }
+        });
+
+        comparisonView.bindDiscardComparison(() => {
+            viewModel.discardComparison();
+        });
+
+        sidebarView.bindNewConversation(async () => {
+            await viewModel.clearConversation();
+            view.focusMessageInput();
+        });
+
+        sidebarView.bindSelectConversation(async (conversationId) => {
+            try {
+                await viewModel.openConversation(conversationId);
+            } catch (error) {
+                view.showError(`Failed to open conversation: ${error.message}`);
+            }
+        });
+
+        sidebarView.bindRenameConversation((conversationId, title) => {
+            viewModel.renameConversation(conversationId, title).catch(error => {
+                view.showError(`Failed to rename conversation: ${error.message}`);
+            });
+        });
+
+        sidebarView.bindTagConversation((conversationId, tags) => {
+            viewModel.setConversationTags(conversationId, tags).catch(error => {
+                view.showError(`Failed to update tags: ${error.message}`);
+            });
+        });
+
+        sidebarView.bindPinConversation((conversationId, pinned) => {
+            viewModel.setConversationPinned(conversationId, pinned).catch(error => {
+                view.showError(`Failed to pin conversation: ${error.message}`);
+            });
+        });
+
+        sidebarView.bindDeleteConversation(async (conversationId) => {
+            await viewModel.deleteConversation(conversationId);
+        });
+
+        sidebarView.bindExportConversation((format) => {
+            try {
+                sidebarView.downloadFile(viewModel.exportConversation(format));
+            } catch (error) {
+                view.showError(`Failed to export conversation: ${error.message}`);
+            }
+        });
+
+        sidebarView.bindImportConversation(async (file) => {
+            try {
+                await viewModel.importConversation(file);
+            } catch (error) {
+                view.showError(`Failed to import conversation: ${error.message}`);
+            }
+        });
+
+        sidebarView.bindUtilityModelOpen(() => {
+            viewModel.loadModelOptions().catch(error => {
+                console.warn('Failed to load model options:', error);
+            });
+        });
+
+        sidebarView.bindUtilityModelChange((target) => {
+            viewModel.setUtilityModel(target);
+        });
+
+        searchView.bindSearch((query, filters) => {
+            searchView.renderResults(viewModel.searchConversations(query, filters));
+        });
+
+        searchView.bindOpenResult(async (result) => {
+            try {
+                await viewModel.openSearchResult(result);
+            } catch (error) {
+                view.showError(`Failed to open conversation: ${error.message}`);
             }
         });
+
+        commandPaletteView.bindOpen(() => {
+            commandPaletteView.open();
+            loadCommandOptions(() => commandPaletteView.refresh());
+        });
+
+        commandPaletteView.bindSearch((query) => {
+            commandPaletteView.renderCommands(viewModel.searchPaletteCommands(query));
+        });
+
+        commandPaletteView.bindRun(async (command) => {
+            try {
+                await runCommand(command);
+            } catch (error) {
+                view.showError(error.message);
+            }
+        });
+
+        slashCommandView.bindSuggest((text) => {
+            slashCommandView.renderSuggestions(viewModel.getSlashSuggestions(text));
+            loadCommandOptions(() => slashCommandView.refresh());
+        });
+    }
+
+    /**
+     * Runs a command picked in the command palette or typed as a slash command
+     * @param {Object} command - A command of CommandCatalog
+     */
+    async function runCommand(command) {
+        switch (command.type) {
+            case 'selectProvider':
+                await switchProvider(command.providerId);
+                break;
+
+            case 'selectModel':
+                await switchModel(command.providerId, command.modelId);
+                break;
+
+            case 'setTools':
+                await setToolsEnabled(command.enabled, command.pluginName);
+                break;
+
+            case 'setSystemPrompt':
+                await viewModel.setSystemPrompt(command.prompt);
+                break;
+
+            case 'clearConversation':
+                await viewModel.clearConversation();
+                break;
+
+            case 'retry':
+                await viewModel.retryLastResponse();
+                break;
+
+            case 'export':
+                sidebarView.downloadFile(viewModel.exportConversation(command.format));
+                break;
+
+            case 'openConversation':
+                await viewModel.openConversation(command.conversationId);
+                break;
+        }
+    }
+
+    async function switchProvider(providerId) {
+        viewModel.selectProvider(providerId);
+        view.selectProvider(providerId);
+        await viewModel.loadModelsForProvider(providerId);
+    }
+
+    async function switchModel(providerId, modelId) {
+        if (providerId !== viewModel.selectedProvider) {
+            await switchProvider(providerId);
+        }
+        viewModel.selectModel(modelId);
+        view.selectModel(modelId);
+    }
+
+    /**
+     * Turns tool calling on or off. With a plugin only its functions are switched,
+     * and switching one on turns tool calling on as well.
+     */
+    async function setToolsEnabled(enabled, pluginName = null) {
+        if (enabled || !pluginName) {
+            viewModel.useTools = enabled;
+            view.setToolsEnabled(enabled);
+            await togglePluginsContainer(enabled);
+        }
+        if (pluginName) {
+            viewModel.setPluginEnabled(pluginName, enabled);
+        }
+    }
+
+    /**
+     * Loads the models of every provider and the plugins once, then calls back
+     * so that open suggestions or palette results can offer them
+     */
+    function loadCommandOptions(onLoaded) {
+        if (commandOptionsLoaded) {
+            return;
+        }
+
+        if (!commandOptionsRequest) {
+            commandOptionsRequest = Promise.all([
+                viewModel.loadModelOptions(),
+                viewModel.plugins.length === 0 ? viewModel.loadPlugins() : null
+            ]).catch(error => {
+                console.warn('Failed to load command options:', error);
+            }).then(() => {
+                commandOptionsLoaded = true;
+                commandOptionsRequest = null;
+            });
+        }
+        commandOptionsRequest.then(onLoaded);
+    }
+
+    function renderPersonas() {
+        personaView.render(viewModel.personas, viewModel.activePersonaId, viewModel.systemPrompt);
+    }
+
+    function renderGenerationSettings() {
+        generationSettingsView.render(
+            viewModel.generationSettings,
+            viewModel.defaultGenerationSettings,
+            viewModel.selectedModel);
+    }
+
+    function renderContextMeter() {
+        contextMeterView.render(viewModel.contextUsage, viewModel.contextStrategy);
+    }
+
+    function renderPlugins() {
+        view.renderPlugins(viewModel.plugins, viewModel.enabledFunctions, {
+            requireToolApproval: viewModel.requireToolApproval,
+            autoApprovedFunctions: viewModel.autoApprovedFunctions
+        });
+    }
+
+    /**
+     * Show/hide plugins container based on tools toggle
+     */
+    async function togglePluginsContainer(useTools) {
+        const pluginsContainer = document.getElementById('plugins-container');
+        if (useTools) {
+            pluginsContainer.classList.remove('hidden');
+            // Load plugins when tools are enabled
+            if (viewModel.plugins.length === 0) {
+                await viewModel.loadPlugins();
+            }
+        } else {
+            pluginsContainer.classList.add('hidden');
+        }
+    }
+
+    /**
+     * Shows the conversation title in the browser tab
+     */
+    function updateDocumentTitle() {
+        document.title = viewModel.title ? `${viewModel.title} · ${appTitle}` : appTitle;
+    }
+
+    /**
+     * Load models of every provider and pre-fill the compare targets
+     * with the current selection plus one other model
+     */
+    async function enterCompareMode() {
+        const options = await viewModel.loadModelOptions();
+        if (viewModel.compareTargets.length >= 2) {
+            return;
+        }
+
+        const candidates = options.flatMap(option =>
+            option.models.map(model => ({ providerId: option.providerId, modelId: model.id })));
+        const current = candidates.find(c => c.providerId === viewModel.selectedProvider && c.modelId === viewModel.selectedModel);
+        const targets = current ? [current] : [];
+        candidates
+            .filter(c => c !== current)
+            .slice(0, 2 - targets.length)
+            .forEach(c => targets.push(c));
+
+        viewModel.setCompareTargets(targets);
     }
 
     /**
@@ -154,15 +734,32 @@ document.addEventListener('DOMContentLoaded', () => {
      */
     async function initializeApplication() {
         try {
+            // Rehydrate the last active conversation before providers load,
+            // so its provider/model selection is restored
+            await viewModel.loadConversations();
+            await viewModel.restoreLastConversation().catch(error => {
+                console.warn('Failed to restore last conversation:', error);
+            });
+
+            renderPersonas();
+            renderGenerationSettings();
+            renderContextMeter();
+            sidebarView.setUtilityModel(viewModel.utilityModel);
+
             // Load initial providers
             const providers = await viewModel.loadProviders();
             console.log('Providers loaded successfully:', providers.length);
 
             // Check if tools are enabled by default and load plugins if needed
             if (viewModel.useTools) {
-                await viewModel.loadPlugins();
-                const pluginsContainer = document.getElementById('plugins-container');
-                pluginsContainer.classList.remove('hidden');
+                await togglePluginsContainer(true);
+            }
+
+            // Restore compare mode from the previous session
+            comparisonView.setCompareMode(viewModel.compareMode);
+            comparisonView.renderTargets(viewModel.compareTargets);
+            if (viewModel.compareMode) {
+                await enterCompareMode();
             }
 
             // Focus on message input
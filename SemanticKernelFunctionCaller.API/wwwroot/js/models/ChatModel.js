@@ -7,9 +7,19 @@ export class ChatModel {
         this._conversationHistory = [];
         this._selectedProvider = localStorage.getItem('selectedProvider') || '';
         this._selectedModel = localStorage.getItem('selectedModel') || '';
+        this._compareMode = localStorage.getItem('compareMode') === 'true';
+        this._compareTargets = this._loadStoredList('compareTargets');
+        this._disabledFunctions = new Set(this._loadStoredList('disabledFunctions'));
+        this._requireToolApproval = localStorage.getItem('requireToolApproval') === 'true';
+        this._autoApprovedFunctions = new Set(this._loadStoredList('autoApprovedFunctions'));
+        this._personas = this._loadStoredList('personas');
+        this._generationSettings = this._loadStoredObject('generationSettings');
+        this._contextStrategy = localStorage.getItem('contextStrategy') || 'drop-oldest';
+        this._utilityModel = this._loadStoredObject('utilityModel');
         this._isLoading = false;
         this._abortController = null;
         this._listeners = [];
+        this._resetConversationMetadata();
     }
 
     // Getters
@@ -17,6 +27,60 @@ export class ChatModel {
         return [...this._conversationHistory];
     }
 
+    get conversationId() {
+        return this._conversationId;
+    }
+
+    get title() {
+        return this._title;
+    }
+
+    /** 'message' while the title is taken from the first message, then 'generated' or 'user' */
+    get titleSource() {
+        return this._titleSource;
+    }
+
+    get tags() {
+        return [...this._tags];
+    }
+
+    get pinned() {
+        return this._pinned;
+    }
+
+    get useTools() {
+        return this._useTools;
+    }
+
+    get streaming() {
+        return this._streaming;
+    }
+
+    get systemPrompt() {
+        return this._systemPrompt;
+    }
+
+    get personaId() {
+        return this._personaId;
+    }
+
+    get personas() {
+        return this._personas.map(persona => ({ ...persona }));
+    }
+
+    get contextStrategy() {
+        return this._contextStrategy;
+    }
+
+    /** Provider/model pair for background tasks such as naming conversations, or null for the chat model */
+    get utilityModel() {
+        return this._utilityModel.providerId && this._utilityModel.modelId ? { ...this._utilityModel } : null;
+    }
+
+    get contextSummary() {
+        return this._contextSummary ? { ...this._contextSummary } : null;
+    }
+
     get selectedProvider() {
         return this._selectedProvider;
     }
@@ -25,6 +89,26 @@ export class ChatModel {
         return this._selectedModel;
     }
 
+    get compareMode() {
+        return this._compareMode;
+    }
+
+    get compareTargets() {
+        return this._compareTargets.map(target => ({ ...target }));
+    }
+
+    get disabledFunctions() {
+        return new Set(this._disabledFunctions);
+    }
+
+    get requireToolApproval() {
+        return this._requireToolApproval;
+    }
+
+    get autoApprovedFunctions() {
+        return new Set(this._autoApprovedFunctions);
+    }
+
     get isLoading() {
         return this._isLoading;
     }
@@ -46,6 +130,128 @@ export class ChatModel {
         this._notifyListeners();
     }
 
+    setCompareMode(enabled) {
+        this._compareMode = Boolean(enabled);
+        localStorage.setItem('compareMode', String(this._compareMode));
+        this._notifyListeners();
+    }
+
+    setCompareTargets(targets) {
+        this._compareTargets = targets.map(({ providerId, modelId }) => ({ providerId, modelId }));
+        localStorage.setItem('compareTargets', JSON.stringify(this._compareTargets));
+        this._notifyListeners();
+    }
+
+    /**
+     * Allows or blocks plugin functions for tool calling. Blocked functions are
+     * stored rather than allowed ones, so newly added plugins start enabled.
+     * @param {Array} functionNames - Qualified "PluginName.FunctionName" entries
+     * @param {boolean} enabled - Whether the functions may be called
+     */
+    setFunctionsEnabled(functionNames, enabled) {
+        functionNames.forEach(name => {
+            if (enabled) {
+                this._disabledFunctions.delete(name);
+            } else {
+                this._disabledFunctions.add(name);
+            }
+        });
+        localStorage.setItem('disabledFunctions', JSON.stringify([...this._disabledFunctions]));
+        this._notifyListeners();
+    }
+
+    setRequireToolApproval(enabled) {
+        this._requireToolApproval = Boolean(enabled);
+        localStorage.setItem('requireToolApproval', String(this._requireToolApproval));
+        this._notifyListeners();
+    }
+
+    /**
+     * Marks a plugin function as safe to run without asking when approvals are required
+     * @param {string} functionName - Qualified "PluginName.FunctionName" entry
+     * @param {boolean} autoApproved - Whether the function skips the approval prompt
+     */
+    setFunctionAutoApproved(functionName, autoApproved) {
+        if (autoApproved) {
+            this._autoApprovedFunctions.add(functionName);
+        } else {
+            this._autoApprovedFunctions.delete(functionName);
+        }
+        localStorage.setItem('autoApprovedFunctions', JSON.stringify([...this._autoApprovedFunctions]));
+        this._notifyListeners();
+    }
+
+    /**
+     * Sets the system prompt of the current conversation
+     * @param {string} prompt - The prompt; empty leaves the server default in place
+     * @param {string|null} personaId - The persona the prompt came from, if any
+     */
+    setSystemPrompt(prompt, personaId = null) {
+        this._systemPrompt = prompt;
+        this._personaId = personaId;
+        this._touch();
+        this._notifyListeners();
+    }
+
+    /**
+     * Adds a persona to the library, replacing one with the same id
+     * @param {Object} persona - { id, name, prompt, providerId, modelId, useTools, enabledFunctions }
+     */
+    savePersona(persona) {
+        const index = this._personas.findIndex(p => p.id === persona.id);
+        if (index === -1) {
+            this._personas.push({ ...persona });
+        } else {
+            this._personas[index] = { ...persona };
+        }
+        this._storePersonas();
+        this._notifyListeners();
+    }
+
+    deletePersona(personaId) {
+        this._personas = this._personas.filter(p => p.id !== personaId);
+        if (this._personaId === personaId) {
+            this._personaId = null;
+        }
+        this._storePersonas();
+        this._notifyListeners();
+    }
+
+    /**
+     * Returns the generation settings chosen for a provider/model pair
+     * @returns {Object} Settings by camelCase name; missing entries use the model default
+     */
+    getGenerationSettings(providerId, modelId) {
+        return { ...(this._generationSettings[`${providerId}/${modelId}`] || {}) };
+    }
+
+    setGenerationSettings(providerId, modelId, settings) {
+        const key = `${providerId}/${modelId}`;
+        if (Object.keys(settings).length === 0) {
+            delete this._generationSettings[key];
+        } else {
+            this._generationSettings[key] = { ...settings };
+        }
+        localStorage.setItem('generationSettings', JSON.stringify(this._generationSettings));
+        this._notifyListeners();
+    }
+
+    setContextStrategy(strategy) {
+        this._contextStrategy = strategy;
+        localStorage.setItem('contextStrategy', strategy);
+        this._notifyListeners();
+    }
+
+    /**
+     * Sets the rolling summary that stands in for the oldest messages of the conversation
+     * @param {Object|null} summary - { content, upToMessageId } where upToMessageId is the last summarised message
+     */
+    setContextSummary(summary) {
+        this._contextSummary = summary ? { ...summary } : null;
+        this._touch();
+        this._notifyListeners();
+    }
+
     setLoading(isLoading) {
         this._isLoading = isLoading;
         this._notifyListeners();
@@ -55,37 +261,206 @@ export class ChatModel {
         this._abortController = abortController;
     }
 
+    setUseTools(useTools) {
+        this._useTools = Boolean(useTools);
+        this._notifyListeners();
+    }
+
+    setStreaming(streaming) {
+        this._streaming = Boolean(streaming);
+        this._notifyListeners();
+    }
+
+    setTitle(title, source = 'user') {
+        this._title = title;
+        this._titleSource = source;
+        this._touch();
+        this._notifyListeners();
+    }
+
+    setTags(tags) {
+        this._tags = [...tags];
+        this._notifyListeners();
+    }
+
+    setPinned(pinned) {
+        this._pinned = Boolean(pinned);
+        this._notifyListeners();
+    }
+
+    setUtilityModel(target) {
+        this._utilityModel = target ? { providerId: target.providerId, modelId: target.modelId } : {};
+        localStorage.setItem('utilityModel', JSON.stringify(this._utilityModel));
+        this._notifyListeners();
+    }
+
     // Conversation management
-    addUserMessage(content) {
+    addUserMessage(content, attachments = []) {
         const message = {
             id: `user_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
             role: 'User',
             content: content,
             timestamp: new Date()
         };
+        if (attachments.length > 0) {
+            message.attachments = attachments;
+        }
         this._conversationHistory.push(message);
+        if (!this._title) {
+            this._title = this._deriveTitle(content || attachments[0].name);
+            this._titleSource = 'message';
+        }
+        this._touch();
         this._notifyListeners();
         return message;
     }
 
-    addAssistantMessage(content) {
+    addAssistantMessage(content, metadata = {}) {
         const message = {
             id: `assistant_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
             role: 'Assistant',
             content: content,
-            timestamp: new Date()
+            timestamp: new Date(),
+            ...metadata
         };
         this._conversationHistory.push(message);
+        this._touch();
+        this._notifyListeners();
+        return message;
+    }
+
+    /**
+     * Records a tool call step on an assistant message. Updates for the same
+     * call (running, then completed or failed) replace the earlier step.
+     */
+    upsertToolStep(message, step) {
+        const toolSteps = message.toolSteps || [];
+        const index = toolSteps.findIndex(s => s.callId === step.callId);
+        if (index === -1) {
+            toolSteps.push(step);
+        } else {
+            toolSteps[index] = { ...toolSteps[index], ...step };
+        }
+        message.toolSteps = toolSteps;
+
+        this._touch();
         this._notifyListeners();
         return message;
     }
 
+    /**
+     * Replaces a message with an edited copy and drops everything after it.
+     * The previous content and the messages that followed it are kept as an
+     * alternative version that can be switched back to.
+     */
+    branchFromMessage(messageId, changes) {
+        const index = this._findMessageIndex(messageId);
+        if (index === -1) {
+            throw new Error('Message not found');
+        }
+
+        const message = this._conversationHistory[index];
+        if (!message.versions) {
+            message.versions = [this._snapshotVersion(index)];
+        } else {
+            message.versions[message.activeVersion] = this._snapshotVersion(index);
+        }
+
+        this._applyVersionFields(message, { ...this._snapshotVersion(index), ...changes });
+        this._conversationHistory = this._conversationHistory.slice(0, index + 1);
+
+        message.versions.push(this._snapshotVersion(index));
+        message.activeVersion = message.versions.length - 1;
+
+        this._touch();
+        this._notifyListeners();
+        return message;
+    }
+
+    switchMessageVersion(messageId, versionIndex) {
+        const index = this._findMessageIndex(messageId);
+        const message = this._conversationHistory[index];
+        if (!message || !message.versions || !message.versions[versionIndex]) {
+            return false;
+        }
+
+        message.versions[message.activeVersion] = this._snapshotVersion(index);
+
+        const { branch, ...fields } = message.versions[versionIndex];
+        this._applyVersionFields(message, fields);
+        message.activeVersion = versionIndex;
+        this._conversationHistory = this._conversationHistory.slice(0, index + 1).concat(branch);
+
+        this._touch();
+        this._notifyListeners();
+        return true;
+    }
+
     clearConversation() {
+        if (this._abortController) {
+            this._abortController.abort();
+            this._abortController = null;
+        }
         this._conversationHistory = [];
+        this._resetConversationMetadata();
+        this._notifyListeners();
+    }
+
+    // Persistence
+    toConversationRecord() {
+        return {
+            id: this._conversationId,
+            title: this._title,
+            titleSource: this._titleSource,
+            tags: [...this._tags],
+            pinned: this._pinned,
+            messages: this._conversationHistory.map(msg => ({ ...msg })),
+            providerId: this._selectedProvider,
+            modelId: this._selectedModel,
+            useTools: this._useTools,
+            streaming: this._streaming,
+            systemPrompt: this._systemPrompt,
+            personaId: this._personaId,
+            contextSummary: this._contextSummary,
+            createdAt: this._createdAt,
+            updatedAt: this._updatedAt
+        };
+    }
+
+    loadConversation(record) {
         if (this._abortController) {
             this._abortController.abort();
             this._abortController = null;
         }
+
+        this._conversationId = record.id;
+        this._title = record.title || '';
+        // Titles of conversations saved before titles were generated are kept as they are
+        this._titleSource = record.titleSource || 'user';
+        this._tags = Array.isArray(record.tags) ? [...record.tags] : [];
+        this._pinned = Boolean(record.pinned);
+        this._conversationHistory = (record.messages || []).map(msg => ({
+            ...msg,
+            timestamp: new Date(msg.timestamp)
+        }));
+        this._useTools = Boolean(record.useTools);
+        // Conversations saved before the setting existed were streamed
+        this._streaming = record.streaming !== false;
+        this._systemPrompt = record.systemPrompt || '';
+        this._personaId = record.personaId || null;
+        this._contextSummary = record.contextSummary || null;
+        this._createdAt = new Date(record.createdAt);
+        this._updatedAt = new Date(record.updatedAt);
+
+        if (record.providerId) {
+            this._selectedProvider = record.providerId;
+            localStorage.setItem('selectedProvider', record.providerId);
+        }
+        if (record.modelId) {
+            this._selectedModel = record.modelId;
+            localStorage.setItem('selectedModel', record.modelId);
+        }
+
         this._notifyListeners();
     }
 
@@ -101,16 +476,151 @@ export class ChatModel {
         this._listeners.forEach(listener => listener(this));
     }
 
+    _resetConversationMetadata() {
+        this._conversationId = `conversation_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+        this._title = '';
+        this._titleSource = 'message';
+        this._tags = [];
+        this._pinned = false;
+        this._useTools = this._useTools || false;
+        this._streaming = this._streaming ?? true;
+        // Like tools, the prompt and persona carry over into a new conversation
+        this._systemPrompt = this._systemPrompt || '';
+        this._personaId = this._personaId || null;
+        this._contextSummary = null;
+        this._createdAt = new Date();
+        this._updatedAt = this._createdAt;
+    }
+
+    _loadStoredList(key) {
+        try {
+            const items = JSON.parse(localStorage.getItem(key) || '[]');
+            return Array.isArray(items) ? items : [];
+        } catch {
+            return [];
+        }
+    }
+
+    _loadStoredObject(key) {
+        try {
+            const value = JSON.parse(localStorage.getItem(key) || '{}');
+            return value && typeof value === 'object' && !Array.isArray(value) ? value : {};
+        } catch {
+            return {};
+        }
+    }
+
+    _storePersonas() {
+        localStorage.setItem('personas', JSON.stringify(this._personas));
+    }
+
+    _findMessageIndex(messageId) {
+        return this._conversationHistory.findIndex(msg => msg.id === messageId);
+    }
+
+    _snapshotVersion(index) {
+        const { versions, activeVersion, ...fields } = this._conversationHistory[index];
+        return { ...fields, branch: this._conversationHistory.slice(index + 1) };
+    }
+
+    _applyVersionFields(message, fields) {
+        Object.keys(message)
+            .filter(key => key !== 'versions' && key !== 'activeVersion')
+            .forEach(key => delete message[key]);
+
+        const { branch, ...messageFields } = fields;
+        Object.assign(message, messageFields);
+    }
+
+    _touch() {
+        this._updatedAt = new Date();
+    }
+
+    _deriveTitle(content) {
+        const firstLine = content.trim().split('\n')[0];
+        return firstLine.length > 40 ? `${firstLine.substring(0, 40)}…` : firstLine;
+    }
+
     // Utility methods
     getLastMessage() {
         return this._conversationHistory[this._conversationHistory.length - 1];
     }
 
-    getConversationForApi() {
-        return this._conversationHistory.map(msg => ({
-            role: msg.role,
-            content: msg.content
-        }));
+    getConversationForApi({ excludeMessageId = null, includeImages = true, maxImageBytes = Infinity } = {}) {
+        return this.toApiMessages(this._conversationHistory.filter(msg => msg.id !== excludeMessageId), null, { includeImages, maxImageBytes });
+    }
+
+    /**
+     * Formats a selection of the conversation for the API
+     * @param {Array} messages - The messages to send, oldest first
+     * @param {string|null} summary - Summary of earlier messages that are not sent
+     * @param {Object} options - { includeImages, maxImageBytes } includeImages false replaces images by a note, for
+     *   models without vision; images past maxImageBytes, counted from the newest, are replaced by a note too
+     */
+    toApiMessages(messages, summary = null, { includeImages = true, maxImageBytes = Infinity } = {}) {
+        const sentImages = includeImages ? this._selectImages(messages, maxImageBytes) : new Set();
+        const apiMessages = messages.map(msg => this._toApiMessage(msg, includeImages, sentImages));
+
+        // Sent as a user turn: providers keep only one system message, and that one is the prompt
+        if (summary) {
+            apiMessages.unshift({ role: 'User', content: `Summary of our earlier conversation:\n${summary}` });
+        }
+
+        // The system prompt always goes first; without one the server default applies
+        if (this._systemPrompt.trim()) {
+            apiMessages.unshift({ role: 'System', content: this._systemPrompt });
+        }
+        return apiMessages;
+    }
+
+    _selectImages(messages, maxImageBytes) {
+        // Every earlier image is sent again with each request, so the oldest are left out once they add up
+        const selected = new Set();
+        let total = 0;
+        for (const message of [...messages].reverse()) {
+            const images = (message.attachments || []).filter(attachment => attachment.kind === 'image').reverse();
+            for (const image of images) {
+                // The data is base64, a third larger than the image
+                total += Math.floor((image.data || '').length * 3 / 4);
+                if (total > maxImageBytes) {
+                    return selected;
+                }
+                selected.add(image);
+            }
+        }
+        return selected;
+    }
+
+    _toApiMessage(message, includeImages, sentImages) {
+        const attachments = message.attachments || [];
+        const images = attachments.filter(attachment => attachment.kind === 'image');
+        const sent = images.filter(image => sentImages.has(image));
+
+        // Documents are inlined as context after the message itself
+        const parts = [message.content];
+        attachments.filter(attachment => attachment.kind === 'document').forEach(attachment => {
+            const note = attachment.truncated ? ' (truncated)' : '';
+            parts.push(`Attached file "${attachment.name}"${note}:\n\`\`\`\n${attachment.text}\n\`\`\``);
+        });
+        if (!includeImages) {
+            images.forEach(image => parts.push(`[Image "${image.name}" not shown: the model does not accept images]`));
+        } else {
+            images.filter(image => !sentImages.has(image))
+                .forEach(image => parts.push(`[Image "${image.name}" not shown again: earlier images are left out to keep the request small]`));
+        }
+
+        const apiMessage = {
+            role: message.role,
+            content: parts.filter(Boolean).join('\n\n')
+        };
+        if (sent.length > 0) {
+            apiMessage.attachments = sent.map(image => ({
+                mediaType: image.mediaType,
+                data: image.data,
+                name: image.name
+            }));
+        }
+        return apiMessage;
     }
 
     canSendMessage() {
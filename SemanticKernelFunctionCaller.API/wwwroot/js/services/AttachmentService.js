@@ -0,0 +1,108 @@
+const IMAGE_TYPES = ['image/png', 'image/jpeg', 'image/gif', 'image/webp'];
+const TEXT_EXTENSIONS = ['txt', 'md', 'csv', 'tsv', 'json', 'xml', 'yaml', 'yml', 'log'];
+const MAX_IMAGE_BYTES = 5 * 1024 * 1024;
+const MAX_DOCUMENT_BYTES = 10 * 1024 * 1024;
+// Roughly 5k tokens per document, so a few attachments still leave room for the conversation
+const MAX_DOCUMENT_CHARS = 20000;
+const PDFJS_URL = '/lib/pdfjs-dist/build/pdf.min.mjs';
+const PDFJS_WORKER_URL = '/lib/pdfjs-dist/build/pdf.worker.min.mjs';
+
+/**
+ * AttachmentService - Reads files the user attaches to a message
+ * Images are kept as base64 for vision models; text and PDF documents are reduced to their text
+ */
+export class AttachmentService {
+    constructor() {
+        this._pdfjs = null;
+    }
+
+    /**
+     * Reads a file into an attachment
+     * @param {File} file - The dropped, pasted or picked file
+     * @returns {Promise<Object>} { id, kind: 'image', name, mediaType, size, data }
+     *   or { id, kind: 'document', name, mediaType, size, text, truncated }
+     */
+    async read(file) {
+        const base = {
+            id: `attachment_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+            name: file.name || 'pasted-file',
+            mediaType: file.type || 'text/plain',
+            size: file.size
+        };
+
+        if (IMAGE_TYPES.includes(file.type)) {
+            if (file.size > MAX_IMAGE_BYTES) {
+                throw new Error(`${base.name} is larger than ${this._formatMegabytes(MAX_IMAGE_BYTES)}`);
+            }
+            return { ...base, kind: 'image', data: await this._readAsBase64(file) };
+        }
+
+        if (!this._isPdf(file) && !this._isText(file)) {
+            throw new Error(`${base.name} is not a supported file type`);
+        }
+
+        if (file.size > MAX_DOCUMENT_BYTES) {
+            throw new Error(`${base.name} is larger than ${this._formatMegabytes(MAX_DOCUMENT_BYTES)}`);
+        }
+
+        const text = (this._isPdf(file) ? await this._extractPdfText(file) : await file.text()).trim();
+        if (!text) {
+            throw new Error(`No text could be read from ${base.name}`);
+        }
+
+        return {
+            ...base,
+            mediaType: this._isPdf(file) ? 'application/pdf' : base.mediaType,
+            kind: 'document',
+            text: text.slice(0, MAX_DOCUMENT_CHARS),
+            truncated: text.length > MAX_DOCUMENT_CHARS
+        };
+    }
+
+    // Private helper methods
+    _isPdf(file) {
+        return file.type === 'application/pdf' || this._getExtension(file) === 'pdf';
+    }
+
+    _isText(file) {
+        return file.type.startsWith('text/') || TEXT_EXTENSIONS.includes(this._getExtension(file));
+    }
+
+    _getExtension(file) {
+        const name = file.name || '';
+        return name.includes('.') ? name.split('.').pop().toLowerCase() : '';
+    }
+
+    _readAsBase64(file) {
+        return new Promise((resolve, reject) => {
+            const reader = new FileReader();
+            reader.onload = () => resolve(String(reader.result).split(',')[1] || '');
+            reader.onerror = () => reject(new Error(`Could not read ${file.name}`));
+            reader.readAsDataURL(file);
+        });
+    }
+
+    async _extractPdfText(file) {
+        // pdf.js is large, so it is only fetched once a PDF is actually attached
+        if (!this._pdfjs) {
+            this._pdfjs = await import(PDFJS_URL);
+            this._pdfjs.GlobalWorkerOptions.workerSrc = PDFJS_WORKER_URL;
+        }
+
+        const pdf = await this._pdfjs.getDocument({ data: await file.arrayBuffer() }).promise;
+        const pages = [];
+        for (let pageNumber = 1; pageNumber <= pdf.numPages; pageNumber++) {
+            const page = await pdf.getPage(pageNumber);
+            const content = await page.getTextContent();
+            pages.push(content.items.map(item => item.str).join(' '));
+
+            // Pages past the limit would be cut off anyway
+            if (pages.join('\n\n').length > MAX_DOCUMENT_CHARS) break;
+        }
+        return pages.join('\n\n');
+    }
+
+    _formatMegabytes(bytes) {
+        return `${bytes / (1024 * 1024)} MB`;
+    }
+}
\ No newline at end of file
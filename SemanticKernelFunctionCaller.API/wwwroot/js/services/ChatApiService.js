@@ -1,3 +1,12 @@
+import { SseParser } from './SseParser.js';
+
+// The server sends a heartbeat every 15 seconds, so this much silence means the connection is gone
+const STREAM_STALL_TIMEOUT_MS = 45000;
+// Streams stay resumable on the server for 30 seconds; the retries fit well within that
+const STREAM_MAX_RETRIES = 5;
+const STREAM_RETRY_BASE_DELAY_MS = 500;
+const STREAM_RETRY_MAX_DELAY_MS = 8000;
+
 /**
  * ChatApiService - Handles all API communication
  * Separates API concerns from business logic and UI
@@ -64,15 +73,73 @@ export class ChatApiService {
         }
     }
 
+    /**
+     * Invokes a plugin function directly, without a model round-trip
+     * @param {string} pluginName - The plugin name
+     * @param {string} functionName - The function name
+     * @param {Object} args - Argument values by parameter name
+     * @returns {Promise<Object>} Invocation result with Succeeded, Result, Error and DurationMs
+     */
+    async invokePluginFunction(pluginName, functionName, args = {}) {
+        try {
+            const response = await fetch(`${this.baseUrl}/plugins/${encodeURIComponent(pluginName)}/${encodeURIComponent(functionName)}/invoke`, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                },
+                body: JSON.stringify({ arguments: args })
+            });
+
+            if (!response.ok) {
+                const errorText = await response.text().catch(() => '');
+                throw new Error(errorText || `HTTP ${response.status}: ${response.statusText}`);
+            }
+
+            return await response.json();
+        } catch (error) {
+            console.error('Error invoking plugin function:', error);
+            throw new Error(`Unable to invoke ${pluginName}.${functionName}: ${error.message}`);
+        }
+    }
+
+    /**
+     * Answers a tool call the stream-with-tools stream is waiting on
+     * @param {string} callId - The tool call identifier from the approval request
+     * @param {Object} decision - { approved, arguments } where arguments replaces the proposed values
+     */
+    async submitToolApproval(callId, decision) {
+        try {
+            const response = await fetch(`${this.baseUrl}/tool-approvals/${encodeURIComponent(callId)}`, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                },
+                body: JSON.stringify(decision)
+            });
+
+            if (!response.ok) {
+                const errorText = await response.text().catch(() => '');
+                throw new Error(errorText || `HTTP ${response.status}: ${response.statusText}`);
+            }
+        } catch (error) {
+            console.error('Error submitting tool approval:', error);
+            throw new Error(`Unable to submit tool approval: ${error.message}`);
+        }
+    }
+
     /**
      * Sends a chat message and returns the full response
      * @param {string} providerId - The provider identifier
      * @param {string} modelId - The model identifier
      * @param {Array} messages - Array of message objects
      * @param {AbortSignal} signal - Optional abort signal for cancellation
+     * @param {Object} settings - Optional generation settings (temperature, topP, maxOutputTokens,
+     *   stopSequences, presencePenalty, frequencyPenalty, seed); unset entries use the model default
+     * @param {boolean} useTools - Whether to use tools; the response then lists its tool calls in ToolCalls
+     * @param {Object} toolOptions - Optional tool settings; enabledFunctions limits the callable functions
      * @returns {Promise<Object>} Chat response object
      */
-    async sendChatMessage(providerId, modelId, messages, signal = null) {
+    async sendChatMessage(providerId, modelId, messages, signal = null, settings = null, useTools = false, toolOptions = {}) {
         if (!providerId || !modelId) {
             throw new Error('Provider ID and Model ID are required');
         }
@@ -90,14 +157,25 @@ export class ChatApiService {
                 body: JSON.stringify({
                     providerId: providerId,
                     modelId: modelId,
-                    messages: messages
+                    messages: messages,
+                    ...(this._hasSettings(settings) ? { settings } : {}),
+                    ...(useTools ? { useTools: true } : {}),
+                    ...(useTools && toolOptions.enabledFunctions ? { enabledFunctions: toolOptions.enabledFunctions } : {})
                 }),
                 signal: signal
             });
 
             if (!response.ok) {
-                const errorData = await response.json().catch(() => ({}));
-                throw new Error(errorData.message || `HTTP ${response.status}: ${response.statusText}`);
+                // Validation problems come back as JSON problem details, other failures as plain text
+                const errorText = await response.text().catch(() => '');
+                let message = errorText;
+                try {
+                    const errorData = JSON.parse(errorText);
+                    message = errorData.message || errorData.title || errorText;
+                } catch {
+                    // Plain text
+                }
+                throw new Error(message || `HTTP ${response.status}: ${response.statusText}`);
             }
 
             return await response.json();
@@ -117,9 +195,12 @@ export class ChatApiService {
      * @param {Array} messages - Array of message objects
      * @param {AbortSignal} signal - Optional abort signal for cancellation
      * @param {boolean} useTools - Whether to use tools (Semantic Kernel)
+     * @param {Object} toolOptions - Optional tool settings; enabledFunctions limits the callable functions,
+     *   requireToolApproval pauses each call not listed in autoApprovedFunctions until it is answered
+     * @param {Object} settings - Optional generation settings, as for sendChatMessage
      * @returns {AsyncGenerator} Async generator yielding streaming updates
      */
-    async *streamChatMessage(providerId, modelId, messages, signal = null, useTools = false) {
+    async *streamChatMessage(providerId, modelId, messages, signal = null, useTools = false, toolOptions = {}, settings = null) {
         if (!providerId || !modelId) {
             throw new Error('Provider ID and Model ID are required');
         }
@@ -135,8 +216,23 @@ export class ChatApiService {
             messages: messages
         };
 
+        if (useTools && toolOptions.enabledFunctions) {
+            requestBody.enabledFunctions = toolOptions.enabledFunctions;
+        }
+        if (useTools && toolOptions.requireToolApproval) {
+            requestBody.requireToolApproval = true;
+            requestBody.autoApprovedFunctions = toolOptions.autoApprovedFunctions || [];
+        }
+        if (this._hasSettings(settings)) {
+            requestBody.settings = settings;
+        }
+
+        let streamId = null;
+        let hasEvents = false;
+        const cancelOnAbort = () => this._cancelStream(streamId);
+
         try {
-            const response = await fetch(endpoint, {
+            let response = await this._openStream(endpoint, {
                 method: 'POST',
                 headers: {
                     'Content-Type': 'application/json',
@@ -145,68 +241,162 @@ export class ChatApiService {
                 signal: signal
             });
 
-            if (!response.ok) {
-                const errorData = await response.json().catch(() => ({}));
-                throw new Error(errorData.message || `HTTP ${response.status}: ${response.statusText}`);
+            // Stopping the generation has to reach the server, which keeps streams running for a resume
+            streamId = response.headers.get('X-Stream-Id');
+            if (streamId && signal) {
+                signal.addEventListener('abort', cancelOnAbort, { once: true });
             }
 
-            const reader = response.body.getReader();
-            const decoder = new TextDecoder();
-            let buffer = '';
-
-            try {
-                while (true) {
-                    const { done, value } = await reader.read();
-                    if (done) {
-                        // Process any remaining data in buffer
-                        if (buffer.trim()) {
-                            console.log('Processing final buffer:', buffer);
-                            yield* processLines(buffer);
-                        }
-                        break;
-                    }
+            let lastEventId = '';
+            let usage = null;
+            let attempt = 0;
 
-                    // Decode without streaming option to ensure complete UTF-8 sequences
-                    const chunk = decoder.decode(value, { stream: false });
-                    buffer += chunk;
+            while (true) {
+                try {
+                    for await (const event of this._readEvents(response)) {
+                        attempt = 0;
+                        hasEvents = true;
+                        lastEventId = event.id || lastEventId;
 
-                    // Process complete lines
-                    const lines = buffer.split('\n');
-                    buffer = lines.pop(); // Keep the last partial line
+                        const data = this._parseEventData(event);
+                        if (!data) {
+                            continue;
+                        }
+                        if (event.type === 'error' || data.error) {
+                            throw this._createFatalError(data.error || 'The server reported an error');
+                        }
+                        if (event.type === 'usage') {
+                            usage = data;
+                            continue;
+                        }
 
-                    for (const line of lines) {
-                        if (line.trim()) {
-                            yield* processLines(line);
+                        if (event.type === 'done' || data.IsFinal || data.isFinal) {
+                            yield { ...data, Usage: data.Usage ?? data.usage ?? usage };
+                            return;
                         }
+                        yield data;
                     }
-                }
 
-                function* processLines(line) {
-                    if (line.startsWith('data: ')) {
-                        const json = line.substring(6).trim();
-                        if (json && json !== '[DONE]') {
-                            try {
-                                const data = JSON.parse(json);
-                                if (data.error) {
-                                    throw new Error(data.error);
-                                }
-                                console.log('Streaming data received:', data);
-                                yield data;
-                            } catch (parseError) {
-                                console.warn('Failed to parse streaming data:', json, parseError);
-                            }
-                        }
+                    throw new Error('The connection closed before the response was complete');
+                } catch (error) {
+                    if (error.name === 'AbortError' || error.fatal || !streamId || attempt >= STREAM_MAX_RETRIES) {
+                        throw error;
                     }
+                    console.warn(`Stream interrupted (${error.message}); reconnecting`);
                 }
-            } finally {
-                reader.releaseLock();
+
+                attempt++;
+                await this._wait(this._getRetryDelay(attempt), signal);
+                response = await this._openStream(`${this.baseUrl}/streams/${encodeURIComponent(streamId)}`, {
+                    headers: { 'Last-Event-ID': lastEventId },
+                    signal: signal
+                });
             }
         } catch (error) {
             if (error.name === 'AbortError') {
                 throw error; // Re-throw abort errors as-is
             }
             console.error('Error streaming chat message:', error);
-            throw new Error(`Streaming failed: ${error.message}`);
+            const streamingError = new Error(`Streaming failed: ${error.message}`);
+            // Nothing was generated and the request itself was fine, so the same request may work without streaming
+            streamingError.canFallBack = !hasEvents && !error.fatal;
+            throw streamingError;
+        } finally {
+            signal?.removeEventListener('abort', cancelOnAbort);
+        }
+    }
+
+    _hasSettings(settings) {
+        return Boolean(settings) && Object.keys(settings).length > 0;
+    }
+
+    /**
+     * Opens a stream request; a 5xx answer to a resume is worth another attempt, anything else is final
+     */
+    async _openStream(url, options) {
+        const response = await fetch(url, options);
+        if (!response.ok) {
+            const errorData = await response.json().catch(() => ({}));
+            const message = response.status === 404 && options.method !== 'POST'
+                ? 'The interrupted response is no longer available'
+                : errorData.message || `HTTP ${response.status}: ${response.statusText}`;
+            const error = new Error(message);
+            error.fatal = response.status < 500;
+            throw error;
         }
+        return response;
+    }
+
+    /**
+     * Yields the events of a response body; going silent for longer than the server's heartbeat
+     * interval counts as a dropped connection
+     */
+    async *_readEvents(response) {
+        const reader = response.body.getReader();
+        const parser = new SseParser();
+        let timer = null;
+
+        try {
+            while (true) {
+                const stalled = new Promise((_, reject) => {
+                    timer = setTimeout(() => reject(new Error('The connection stalled')), STREAM_STALL_TIMEOUT_MS);
+                });
+                const { done, value } = await Promise.race([reader.read(), stalled]);
+                clearTimeout(timer);
+
+                if (done) {
+                    yield* parser.end();
+                    return;
+                }
+                yield* parser.push(value);
+            }
+        } finally {
+            clearTimeout(timer);
+            reader.cancel().catch(() => {});
+        }
+    }
+
+    _parseEventData(event) {
+        try {
+            return JSON.parse(event.data);
+        } catch {
+            console.warn('Failed to parse streaming data:', event.data);
+            return null;
+        }
+    }
+
+    _createFatalError(message) {
+        const error = new Error(message);
+        error.fatal = true;
+        return error;
+    }
+
+    _getRetryDelay(attempt) {
+        const delay = Math.min(STREAM_RETRY_BASE_DELAY_MS * 2 ** (attempt - 1), STREAM_RETRY_MAX_DELAY_MS);
+        // Jitter keeps several open tabs from reconnecting in lockstep
+        return delay / 2 + Math.random() * delay / 2;
+    }
+
+    _wait(milliseconds, signal) {
+        return new Promise((resolve, reject) => {
+            if (signal?.aborted) {
+                reject(new DOMException('The operation was aborted.', 'AbortError'));
+                return;
+            }
+            const timer = setTimeout(() => {
+                signal?.removeEventListener('abort', onAbort);
+                resolve();
+            }, milliseconds);
+            const onAbort = () => {
+                clearTimeout(timer);
+                reject(new DOMException('The operation was aborted.', 'AbortError'));
+            };
+            signal?.addEventListener('abort', onAbort, { once: true });
+        });
+    }
+
+    _cancelStream(streamId) {
+        fetch(`${this.baseUrl}/streams/${encodeURIComponent(streamId)}`, { method: 'DELETE' })
+            .catch(error => console.warn('Failed to cancel stream:', error));
     }
 }
\ No newline at end of file
@@ -0,0 +1,207 @@
+const RUN_TIMEOUT_MS = 5000;
+// Output that arrives this long after the page has loaded still counts, e.g. from a short setTimeout
+const SETTLE_MS = 500;
+const MAX_LINE_LENGTH = 2000;
+const RUNNABLE_LANGUAGES = {
+    js: 'javascript',
+    javascript: 'javascript',
+    html: 'html',
+    css: 'css'
+};
+const LANGUAGE_NAMES = { javascript: 'JavaScript', html: 'HTML', css: 'CSS' };
+// Only inline code, the JavaScript worker and data: URLs may load, so the code cannot reach the network
+const CONTENT_SECURITY_POLICY = "default-src 'none'; script-src 'unsafe-inline'; style-src 'unsafe-inline'; "
+    + "worker-src blob:; img-src data: blob:; font-src data:; media-src data: blob:; form-action 'none'";
+const CSS_SAMPLE_MARKUP = '<h1>Heading</h1><h2>Subheading</h2><p>A paragraph with <a href="#">a link</a>, <strong>bold</strong> '
+    + 'and <code>code</code>.</p><ul><li>First item</li><li>Second item</li></ul><button>Button</button> '
+    + '<input placeholder="Input"><div class="box">.box</div>';
+
+const XLINK_NAMESPACE = 'http://www.w3.org/1999/xlink';
+
+// Runs inside the worker before the code and reports console output, unhandled rejections and the end of the
+// top-level statements, which the timer fires after whether they ran or threw
+const WORKER_BRIDGE = `(() => {
+    const post = (type, data) => postMessage({ type, ...data });
+    const format = value => {
+        if (typeof value === 'string') return value;
+        if (value instanceof Error) return value.name + ': ' + value.message;
+        try {
+            const json = JSON.stringify(value);
+            return json === undefined ? String(value) : json;
+        } catch {
+            return String(value);
+        }
+    };
+    ['log', 'info', 'warn', 'error', 'debug'].forEach(level => {
+        const original = console[level];
+        console[level] = (...args) => {
+            post('console', { level, text: args.map(format).join(' ') });
+            original.apply(console, args);
+        };
+    });
+    addEventListener('unhandledrejection', e => post('console', { level: 'error', text: 'Unhandled rejection: ' + format(e.reason) }));
+    setTimeout(() => post('done', {}), 0);
+})();
+`;
+
+// Starts JavaScript in a worker of the frame and relays what it reports. The worker has a thread of its own, so
+// an endless loop cannot hold up the page, and it is terminated with the frame. Errors, syntax errors included,
+// reach the frame rather than the worker's own handlers.
+const WORKER_RUNNER = `(() => {
+    const runId = __RUN_ID__;
+    const post = data => parent.postMessage({ sandboxRunId: runId, ...data }, '*');
+    const source = new Blob([__SOURCE__], { type: 'text/javascript' });
+    const worker = new Worker(URL.createObjectURL(source));
+    worker.onmessage = e => post(e.data);
+    worker.onerror = e => {
+        e.preventDefault();
+        post({ type: 'console', level: 'error', text: String(e.message).replace(/^Uncaught /, '') });
+        post({ type: 'done' });
+    };
+})();`;
+
+let runCount = 0;
+
+/**
+ * CodeSandbox - Runs JavaScript, HTML and CSS from code blocks in a sandboxed iframe
+ * The frame gets an opaque origin (no access to the app, its storage or cookies) and a content security policy
+ * without network sources. Console output is relayed with postMessage and the run is stopped after a timeout.
+ * JavaScript runs in a worker of the frame, without a DOM, so even code that never returns can be stopped.
+ * A content security policy cannot stop a frame from navigating itself, so HTML and CSS previews are shown
+ * with scripts off, and refreshes, base URLs and link targets are taken out of the HTML before it is shown.
+ */
+export class CodeSandbox {
+    /**
+     * Maps a code block language to what the sandbox can run
+     * @param {string} language - The fence language, e.g. "js"
+     * @returns {string|null} 'javascript', 'html', 'css' or null when the block cannot be run
+     */
+    getRunnableLanguage(language) {
+        return RUNNABLE_LANGUAGES[(language || '').toLowerCase()] || null;
+    }
+
+    /**
+     * Runs code in a new frame inside the container
+     * JavaScript runs in a hidden frame that is removed afterwards; HTML and CSS stay visible as a preview
+     * @param {string} language - A runnable language from getRunnableLanguage
+     * @param {string} code - The code block's text
+     * @param {HTMLElement} container - Where the frame is placed
+     * @param {Object} options - { onLog({ level, text }), timeoutMs }
+     * @returns {Promise<Object>} { timedOut, durationMs } once the code has finished or was stopped
+     */
+    run(language, code, container, { onLog = () => {}, timeoutMs = RUN_TIMEOUT_MS } = {}) {
+        const runId = `run_${Date.now()}_${++runCount}`;
+        const isPreview = language !== 'javascript';
+        const frame = document.createElement('iframe');
+        // Only the JavaScript runner needs scripts; without them a preview can run nothing that navigates
+        frame.setAttribute('sandbox', isPreview ? '' : 'allow-scripts');
+        frame.title = isPreview ? 'Code preview' : 'Code runner';
+        frame.className = isPreview ? 'w-full h-64 bg-white border-0' : 'hidden';
+        frame.srcdoc = this.buildDocument(language, code, runId);
+
+        const startedAt = performance.now();
+        return new Promise(resolve => {
+            let settleTimer = null;
+            let finished = false;
+
+            const finish = (timedOut) => {
+                if (finished) {
+                    return;
+                }
+                finished = true;
+                clearTimeout(timeoutTimer);
+                clearTimeout(settleTimer);
+                // Removing the frame stops whatever is still running in it; a preview that has loaded stays
+                if (!isPreview || timedOut) {
+                    window.removeEventListener('message', onMessage);
+                    frame.remove();
+                }
+                resolve({ timedOut, durationMs: Math.round(performance.now() - startedAt) });
+            };
+
+            const onMessage = (event) => {
+                if (event.source !== frame.contentWindow || event.data?.sandboxRunId !== runId) {
+                    return;
+                }
+                if (!frame.isConnected) {
+                    window.removeEventListener('message', onMessage);
+                    return;
+                }
+
+                if (event.data.type === 'console') {
+                    onLog({ level: event.data.level, text: String(event.data.text).slice(0, MAX_LINE_LENGTH) });
+                }
+                if (!finished && (event.data.type === 'done' || settleTimer)) {
+                    clearTimeout(settleTimer);
+                    settleTimer = setTimeout(() => finish(false), SETTLE_MS);
+                }
+            };
+
+            const timeoutTimer = setTimeout(() => finish(true), timeoutMs);
+            if (isPreview) {
+                // A preview runs no scripts, so it is done once it has loaded
+                frame.addEventListener('load', () => finish(false), { once: true });
+            } else {
+                window.addEventListener('message', onMessage);
+            }
+            container.appendChild(frame);
+        });
+    }
+
+    /**
+     * Builds the frame's document around the code
+     * @returns {string} A complete HTML document
+     */
+    buildDocument(language, code, runId) {
+        const policy = `<meta charset="utf-8"><meta http-equiv="Content-Security-Policy" content="${CONTENT_SECURITY_POLICY}">`;
+
+        switch (language) {
+            case 'javascript': {
+                const runner = WORKER_RUNNER
+                    .replace('__RUN_ID__', JSON.stringify(runId))
+                    .replace('__SOURCE__', () => this._toScriptString(WORKER_BRIDGE + code));
+                return `<!DOCTYPE html><html><head>${policy}</head><body><script>${runner}</script></body></html>`;
+            }
+            case 'css':
+                return `<!DOCTYPE html><html><head>${policy}<style>${code.replace(/<\/style/gi, '<\\/style')}</style></head>`
+                    + `<body>${CSS_SAMPLE_MARKUP}</body></html>`;
+            default:
+                return `<!DOCTYPE html>${this._buildPreview(code, policy)}`;
+        }
+    }
+
+    /**
+     * Formats captured output as a message for the model
+     * @param {string} language - The language that was run
+     * @param {Array} logs - [{ level, text }]
+     * @param {Object} result - { timedOut, durationMs }
+     * @returns {string} Markdown with the output in a fenced block
+     */
+    formatOutput(language, logs, { timedOut = false, durationMs = 0 } = {}) {
+        const lines = logs.map(log => (log.level === 'log' || log.level === 'info') ? log.text : `[${log.level}] ${log.text}`);
+        const output = lines.length > 0 ? lines.join('\n') : '(no output)';
+        const longestBackticks = Math.max(0, ...(output.match(/`+/g) || []).map(run => run.length));
+        const fence = '`'.repeat(Math.max(3, longestBackticks + 1));
+        const status = timedOut ? `\n\nThe run was stopped after ${Math.round(durationMs / 1000)} s.` : '';
+
+        return `Output of running the ${LANGUAGE_NAMES[language] || language} code:\n\n${fence}text\n${output}\n${fence}${status}`;
+    }
+
+    // Private helper methods
+    _buildPreview(html, policy) {
+        // With scripts off, a refresh, a base URL or a link is all that could still load another page
+        const preview = new DOMParser().parseFromString(html, 'text/html');
+        preview.querySelectorAll('meta[http-equiv], base').forEach(element => element.remove());
+        preview.querySelectorAll('a, area').forEach(link => {
+            link.removeAttribute('href');
+            link.removeAttributeNS(XLINK_NAMESPACE, 'href');
+        });
+        preview.head.insertAdjacentHTML('afterbegin', policy);
+        return preview.documentElement.outerHTML;
+    }
+
+    _toScriptString(code) {
+        // A string literal without "<", so nothing in the code can close or comment out the script element
+        return JSON.stringify(code).replace(/</g, '\\u003c');
+    }
+}
\ No newline at end of file
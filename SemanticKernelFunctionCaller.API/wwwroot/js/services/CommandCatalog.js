@@ -0,0 +1,312 @@
+const SLASH_COMMANDS = [
+    { name: 'model', usage: '<model>', description: 'Switch to a model of any loaded provider' },
+    { name: 'provider', usage: '<provider>', description: 'Switch provider' },
+    { name: 'tools', usage: 'on|off [plugin]', description: 'Turn tool calling, or one plugin, on or off' },
+    { name: 'system', usage: '<prompt>', description: 'Set the system prompt; leave it empty to remove it' },
+    { name: 'clear', usage: '', description: 'Clear the conversation' },
+    { name: 'retry', usage: '', description: 'Regenerate the last response' },
+    { name: 'export', usage: 'md|json|html', description: 'Download the conversation' }
+];
+const EXPORT_FORMATS = [
+    { format: 'markdown', aliases: ['md', 'markdown'], label: 'Markdown (.md)' },
+    { format: 'json', aliases: ['json'], label: 'JSON (.json)' },
+    { format: 'html', aliases: ['html'], label: 'HTML page (.html)' }
+];
+const MAX_SUGGESTIONS = 8;
+const MAX_PALETTE_RESULTS = 50;
+const MAX_LISTED_MATCHES = 5;
+
+/**
+ * CommandCatalog - The commands behind the command palette and the slash commands of the message input
+ * Commands are plain objects such as { type: 'selectModel', providerId, modelId } that app.js carries out;
+ * everything here works on the context passed in and never touches the page.
+ *
+ * The context is { providers: [{ id, name }], modelOptions: [{ providerId, providerName, models: [{ id, name }] }],
+ * plugins, conversations, selectedProvider, selectedModel, useTools, activeConversationId }.
+ */
+export class CommandCatalog {
+    /**
+     * Turns a message like "/model gpt-4o" into a command
+     * @param {string} text - The message input's text
+     * @param {Object} context - Loaded providers, models and plugins
+     * @returns {Object|null} The command, or null when the text is not a known slash command and should be sent
+     * @throws {Error} When the command is known but its argument cannot be used
+     */
+    parseSlashCommand(text, context) {
+        const match = text.trim().match(/^\/([a-z]+)(?:\s+([\s\S]*))?$/i);
+        const definition = match && SLASH_COMMANDS.find(command => command.name === match[1].toLowerCase());
+        if (!definition) {
+            return null;
+        }
+
+        const argument = (match[2] || '').trim();
+        switch (definition.name) {
+            case 'model': {
+                const model = this._resolveModel(argument, context);
+                return { type: 'selectModel', providerId: model.providerId, modelId: model.modelId };
+            }
+            case 'provider':
+                return { type: 'selectProvider', providerId: this._resolveProvider(argument, context).id };
+            case 'tools':
+                return this._parseTools(argument, context);
+            case 'system':
+                return { type: 'setSystemPrompt', prompt: argument };
+            case 'clear':
+                return { type: 'clearConversation' };
+            case 'retry':
+                return { type: 'retry' };
+            default:
+                return { type: 'export', format: this._resolveExportFormat(argument) };
+        }
+    }
+
+    /**
+     * Completions for a slash command being typed
+     * @param {string} text - The message input's text
+     * @param {Object} context - Loaded providers, models and plugins
+     * @returns {Array} [{ label, detail, value }] where value replaces the input's text
+     */
+    getSlashSuggestions(text, context) {
+        const match = text.match(/^\/([a-z]*)(?:(\s+)([^\n]*))?$/i);
+        if (!match) {
+            return [];
+        }
+
+        const [, name, separator, argument = ''] = match;
+        let suggestions;
+        if (!separator) {
+            suggestions = SLASH_COMMANDS
+                .filter(command => command.name.startsWith(name.toLowerCase()))
+                .map(command => ({
+                    label: `/${command.name}${command.usage ? ` ${command.usage}` : ''}`,
+                    detail: command.description,
+                    value: `/${command.name}${command.usage ? ' ' : ''}`
+                }));
+        } else {
+            suggestions = this._getArgumentSuggestions(name.toLowerCase(), argument, context);
+        }
+
+        // Nothing is left to complete once the text is exactly a suggestion, so Enter runs it
+        if (suggestions.some(suggestion => suggestion.value === text)) {
+            return [];
+        }
+        return suggestions.slice(0, MAX_SUGGESTIONS);
+    }
+
+    /**
+     * Everything the command palette offers
+     * @param {Object} context - Loaded providers, models, conversations and current state
+     * @returns {Array} Commands with { label, detail, group } for display
+     */
+    getPaletteCommands(context) {
+        const actions = [
+            {
+                type: 'setTools',
+                enabled: !context.useTools,
+                label: context.useTools ? 'Turn tools off' : 'Turn tools on',
+                detail: '/tools'
+            },
+            { type: 'clearConversation', label: 'Clear conversation', detail: '/clear' },
+            { type: 'retry', label: 'Retry last response', detail: '/retry' },
+            ...EXPORT_FORMATS.map(format => ({
+                type: 'export',
+                format: format.format,
+                label: `Export as ${format.label}`,
+                detail: `/export ${format.aliases[0]}`
+            }))
+        ].map(command => ({ ...command, group: 'Actions' }));
+
+        const providers = context.providers.map(provider => ({
+            type: 'selectProvider',
+            providerId: provider.id,
+            label: `Switch to ${provider.name}`,
+            detail: provider.id === context.selectedProvider ? 'Current provider' : provider.id,
+            group: 'Providers'
+        }));
+
+        const models = context.modelOptions.flatMap(option => option.models.map(model => ({
+            type: 'selectModel',
+            providerId: option.providerId,
+            modelId: model.id,
+            label: model.name || model.id,
+            detail: option.providerId === context.selectedProvider && model.id === context.selectedModel
+                ? `${option.providerName} · current model`
+                : `${option.providerName} · ${model.id}`,
+            group: 'Models'
+        })));
+
+        const conversations = context.conversations
+            .filter(conversation => conversation.id !== context.activeConversationId)
+            .map(conversation => ({
+                type: 'openConversation',
+                conversationId: conversation.id,
+                label: conversation.title,
+                detail: [...conversation.tags.map(tag => `#${tag}`), `${conversation.messageCount} messages`].join(' '),
+                group: 'Conversations'
+            }));
+
+        return [...actions, ...providers, ...models, ...conversations];
+    }
+
+    /**
+     * Narrows palette commands to those matching every word of the query, best matches first
+     * @param {Array} commands - From getPaletteCommands
+     * @param {string} query - What was typed into the palette
+     * @returns {Array} The matching commands
+     */
+    filterCommands(commands, query) {
+        const normalizedQuery = query.trim().toLowerCase();
+        const words = normalizedQuery.split(/\s+/).filter(Boolean);
+
+        return commands
+            .map((command, index) => {
+                const label = command.label.toLowerCase();
+                const text = `${label} ${command.detail || ''} ${command.group}`.toLowerCase();
+                if (!words.every(word => text.includes(word))) {
+                    return null;
+                }
+                // A label starting with the query beats one containing it, which beats a match elsewhere
+                const rank = !normalizedQuery ? 0 : label.startsWith(normalizedQuery) ? 0 : label.includes(normalizedQuery) ? 1 : 2;
+                return { command, rank, index };
+            })
+            .filter(Boolean)
+            .sort((a, b) => (a.rank - b.rank) || (a.index - b.index))
+            .slice(0, MAX_PALETTE_RESULTS)
+            .map(match => match.command);
+    }
+
+    // Private helper methods
+    _getArgumentSuggestions(name, argument, context) {
+        const query = argument.trim().toLowerCase();
+
+        switch (name) {
+            case 'model':
+                return this._getModels(context)
+                    .filter(model => `${model.modelId} ${model.name}`.toLowerCase().includes(query))
+                    .sort((a, b) => this._startsWith(b.modelId, query) - this._startsWith(a.modelId, query))
+                    .map(model => ({
+                        label: model.modelId,
+                        detail: `${model.providerName}${model.name ? ` · ${model.name}` : ''}`,
+                        value: `/model ${model.modelId}`
+                    }));
+            case 'provider':
+                return context.providers
+                    .filter(provider => `${provider.id} ${provider.name}`.toLowerCase().includes(query))
+                    .map(provider => ({ label: provider.id, detail: provider.name, value: `/provider ${provider.id}` }));
+            case 'tools': {
+                const [state, pluginQuery] = argument.split(/\s+(.*)/);
+                if (pluginQuery === undefined) {
+                    return ['on', 'off']
+                        .filter(option => option.startsWith(state.toLowerCase()))
+                        .map(option => ({ label: option, detail: `Turn tool calling ${option}`, value: `/tools ${option}` }));
+                }
+                return this._getPluginNames(context)
+                    .filter(pluginName => pluginName.toLowerCase().includes(pluginQuery.trim().toLowerCase()))
+                    .map(pluginName => ({
+                        label: pluginName,
+                        detail: `Turn the ${pluginName} functions ${state.toLowerCase()}`,
+                        value: `/tools ${state.toLowerCase()} ${pluginName}`
+                    }));
+            }
+            case 'export':
+                return EXPORT_FORMATS
+                    .filter(format => format.aliases.some(alias => alias.startsWith(query)))
+                    .map(format => ({ label: format.aliases[0], detail: format.label, value: `/export ${format.aliases[0]}` }));
+            default:
+                return [];
+        }
+    }
+
+    _resolveModel(query, context) {
+        if (!query) {
+            throw new Error('/model needs a model name, e.g. /model gpt-4o');
+        }
+
+        const normalizedQuery = query.toLowerCase();
+        // Models of the current provider win when the same id is offered twice
+        const models = this._getModels(context)
+            .sort((a, b) => (b.providerId === context.selectedProvider) - (a.providerId === context.selectedProvider));
+
+        const exact = models.find(model => model.modelId.toLowerCase() === normalizedQuery);
+        if (exact) {
+            return exact;
+        }
+
+        // "gpt-4o" for "openai/gpt-4o", or the display name
+        const named = models.filter(model => model.modelId.toLowerCase().endsWith(`/${normalizedQuery}`)
+            || (model.name || '').toLowerCase() === normalizedQuery);
+        const candidates = named.length > 0
+            ? named
+            : models.filter(model => `${model.modelId} ${model.name}`.toLowerCase().includes(normalizedQuery));
+
+        if (candidates.length === 1) {
+            return candidates[0];
+        }
+        if (candidates.length === 0) {
+            throw new Error(`No loaded model matches "${query}"`);
+        }
+        const listed = candidates.slice(0, MAX_LISTED_MATCHES).map(model => model.modelId).join(', ');
+        throw new Error(`"${query}" matches several models: ${listed}${candidates.length > MAX_LISTED_MATCHES ? ', …' : ''}`);
+    }
+
+    _resolveProvider(query, context) {
+        if (!query) {
+            throw new Error('/provider needs a provider name');
+        }
+        const normalizedQuery = query.toLowerCase();
+        const provider = context.providers.find(candidate =>
+            candidate.id.toLowerCase() === normalizedQuery || candidate.name.toLowerCase() === normalizedQuery);
+        if (!provider) {
+            throw new Error(`Unknown provider "${query}"`);
+        }
+        return provider;
+    }
+
+    _parseTools(argument, context) {
+        const [state, pluginQuery] = argument.split(/\s+(.*)/);
+        const normalizedState = state.toLowerCase();
+        if (normalizedState !== 'on' && normalizedState !== 'off') {
+            throw new Error('Use /tools on or /tools off, optionally followed by a plugin name');
+        }
+
+        const command = { type: 'setTools', enabled: normalizedState === 'on' };
+        if (pluginQuery === undefined || !pluginQuery.trim()) {
+            return command;
+        }
+
+        const pluginName = this._getPluginNames(context)
+            .find(name => name.toLowerCase() === pluginQuery.trim().toLowerCase());
+        if (!pluginName) {
+            throw new Error(`Unknown plugin "${pluginQuery.trim()}"`);
+        }
+        return { ...command, pluginName };
+    }
+
+    _resolveExportFormat(argument) {
+        if (!argument) {
+            return 'markdown';
+        }
+        const format = EXPORT_FORMATS.find(candidate => candidate.aliases.includes(argument.toLowerCase()));
+        if (!format) {
+            throw new Error('Export as md, json or html');
+        }
+        return format.format;
+    }
+
+    _getModels(context) {
+        return context.modelOptions.flatMap(option => option.models.map(model => ({
+            providerId: option.providerId,
+            providerName: option.providerName,
+            modelId: model.id,
+            name: model.name || ''
+        })));
+    }
+
+    _getPluginNames(context) {
+        return [...new Set(context.plugins.map(plugin => plugin.PluginName || plugin.pluginName))];
+    }
+
+    _startsWith(text, query) {
+        return text.toLowerCase().startsWith(query) ? 1 : 0;
+    }
+}
\ No newline at end of file
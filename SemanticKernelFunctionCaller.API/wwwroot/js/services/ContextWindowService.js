@@ -0,0 +1,88 @@
+// Rough average for English text with GPT-style tokenizers; close enough to keep requests under the limit
+const CHARS_PER_TOKEN = 4;
+const MESSAGE_OVERHEAD_TOKENS = 4;
+const MAX_OUTPUT_RESERVE_TOKENS = 4096;
+// Providers bill a typical image at around a thousand tokens, depending on its size and detail
+const IMAGE_TOKENS = 1000;
+
+export const CONTEXT_STRATEGIES = ['drop-oldest', 'pin-first', 'summarize', 'none'];
+
+/**
+ * ContextWindowService - Estimates prompt sizes and decides which messages fit a model's context window
+ * Works on message objects with a role and content; the system prompt and summary are passed as fixed text
+ */
+export class ContextWindowService {
+    estimateTokens(text) {
+        return Math.ceil((text || '').length / CHARS_PER_TOKEN);
+    }
+
+    estimateMessage(message) {
+        const attachmentTokens = (message.attachments || []).reduce((total, attachment) =>
+            total + (attachment.kind === 'image' ? IMAGE_TOKENS : this.estimateTokens(attachment.text)), 0);
+        return MESSAGE_OVERHEAD_TOKENS + this.estimateTokens(message.content) + attachmentTokens;
+    }
+
+    estimateMessages(messages) {
+        return messages.reduce((total, message) => total + this.estimateMessage(message), 0);
+    }
+
+    /**
+     * Tokens available for the prompt: the context window minus room for the answer
+     * @param {number} contextWindow - The model's context length
+     * @param {number|null} maxOutputTokens - The requested answer limit, if any
+     */
+    getPromptBudget(contextWindow, maxOutputTokens = null) {
+        const reserve = maxOutputTokens || Math.min(MAX_OUTPUT_RESERVE_TOKENS, Math.floor(contextWindow / 4));
+        return Math.max(contextWindow - reserve, 0);
+    }
+
+    /**
+     * Works out which messages to send so the prompt stays within the budget.
+     * The last message, the one being answered, is always kept.
+     * @param {Array} messages - Conversation messages, oldest first
+     * @param {Object} options - { budget, fixedText, strategy } where fixedText is sent in any case
+     * @returns {Object} { messages, dropped, estimatedTokens }
+     */
+    fit(messages, { budget, fixedText = '', strategy = 'drop-oldest' }) {
+        const fixedTokens = fixedText ? MESSAGE_OVERHEAD_TOKENS + this.estimateTokens(fixedText) : 0;
+        let estimatedTokens = fixedTokens + this.estimateMessages(messages);
+
+        if (strategy === 'none' || estimatedTokens <= budget || messages.length < 2) {
+            return { messages, dropped: [], estimatedTokens };
+        }
+
+        const pinned = strategy === 'pin-first' && messages.length > 2 ? [messages[0]] : [];
+        let start = pinned.length;
+        while (estimatedTokens > budget && start < messages.length - 1) {
+            estimatedTokens -= this.estimateMessage(messages[start]);
+            start++;
+        }
+
+        // An answer without its question only confuses the model
+        while (start < messages.length - 1 && messages[start].role === 'Assistant') {
+            estimatedTokens -= this.estimateMessage(messages[start]);
+            start++;
+        }
+
+        return {
+            messages: [...pinned, ...messages.slice(start)],
+            dropped: messages.slice(pinned.length, start),
+            estimatedTokens
+        };
+    }
+
+    /**
+     * Formats messages as a plain transcript for the summarisation request,
+     * keeping the most recent part when it would not fit the budget itself
+     */
+    toTranscript(messages, previousSummary, budget) {
+        const lines = messages.map(message => `${message.role}: ${message.content}`);
+        if (previousSummary) {
+            lines.unshift(`Summary of what came before: ${previousSummary}`);
+        }
+
+        const transcript = lines.join('\n\n');
+        const maxChars = budget * CHARS_PER_TOKEN;
+        return transcript.length > maxChars ? transcript.slice(-maxChars) : transcript;
+    }
+}
\ No newline at end of file
@@ -0,0 +1,230 @@
+import { HtmlSanitizer } from './HtmlSanitizer.js';
+
+const EXPORT_FORMAT = 'semantic-kernel-function-caller/conversation';
+const EXPORT_VERSION = 1;
+const MESSAGE_ROLES = ['User', 'Assistant', 'System'];
+const HIGHLIGHT_BASE_URL = 'https://cdnjs.cloudflare.com/ajax/libs/highlight.js/11.9.0';
+
+/**
+ * ConversationExporter - Turns conversation records into Markdown, JSON and HTML files and back
+ * The JSON file holds the record as stored, so importing it restores versions, tool steps and settings
+ */
+export class ConversationExporter {
+    constructor() {
+        this.sanitizer = new HtmlSanitizer();
+    }
+
+    /**
+     * Builds the file for a conversation
+     * @param {Object} record - A conversation record as kept by the ConversationStore
+     * @param {string} format - 'markdown', 'json' or 'html'
+     * @returns {Object} { fileName, mimeType, content }
+     */
+    export(record, format) {
+        const baseName = this._toFileName(record.title);
+        switch (format) {
+            case 'markdown':
+                return { fileName: `${baseName}.md`, mimeType: 'text/markdown', content: this.toMarkdown(record) };
+            case 'json':
+                return { fileName: `${baseName}.json`, mimeType: 'application/json', content: this.toJson(record) };
+            case 'html':
+                return { fileName: `${baseName}.html`, mimeType: 'text/html', content: this.toHtml(record) };
+            default:
+                throw new Error(`Unknown export format: ${format}`);
+        }
+    }
+
+    toMarkdown(record) {
+        const lines = [`# ${record.title || 'Conversation'}`, '', `_${this._describe(record)}_`, ''];
+
+        if (record.systemPrompt) {
+            lines.push('## System prompt', '', this._quote(record.systemPrompt), '');
+        }
+
+        record.messages.forEach(message => {
+            lines.push(`## ${this._getHeading(message)}`, '');
+
+            (message.attachments || []).forEach(attachment => {
+                lines.push(`📎 ${attachment.name}${attachment.kind === 'document' ? ' (text sent with the message)' : ''}`);
+            });
+            if ((message.attachments || []).length > 0) {
+                lines.push('');
+            }
+
+            (message.toolSteps || []).forEach(step => {
+                lines.push(this._quote(this._describeToolStep(step)), '');
+            });
+
+            if (message.content) {
+                lines.push(message.content, '');
+            }
+        });
+
+        return lines.join('\n');
+    }
+
+    toJson(record) {
+        return JSON.stringify({
+            format: EXPORT_FORMAT,
+            version: EXPORT_VERSION,
+            exportedAt: new Date().toISOString(),
+            conversation: record
+        }, null, 2);
+    }
+
+    /**
+     * Renders a standalone page; assistant messages go through marked and the sanitizer like in the chat,
+     * and highlight.js is loaded from the same CDN to colour code blocks
+     */
+    toHtml(record) {
+        const title = this._escapeHtml(record.title || 'Conversation');
+        const sections = record.messages.map(message => {
+            const isAssistant = message.role === 'Assistant';
+            const body = isAssistant
+                ? this.sanitizer.sanitize(marked.parse(message.content || ''))
+                : `<p class="plain">${this._escapeHtml(message.content || '')}</p>`;
+            const attachments = (message.attachments || []).map(attachment => attachment.kind === 'image'
+                ? `<img class="attachment" src="data:${this._escapeHtml(attachment.mediaType)};base64,${this._escapeHtml(attachment.data)}" alt="${this._escapeHtml(attachment.name)}">`
+                : `<span class="chip">📎 ${this._escapeHtml(attachment.name)}</span>`).join('');
+            const toolSteps = (message.toolSteps || [])
+                .map(step => `<div class="tool">${this._escapeHtml(this._describeToolStep(step))}</div>`)
+                .join('');
+
+            return `<section class="message ${isAssistant ? 'assistant' : 'user'}">
+<h2>${this._escapeHtml(this._getHeading(message))}</h2>
+${attachments ? `<div>${attachments}</div>` : ''}${toolSteps}${body}
+</section>`;
+        }).join('\n');
+
+        const systemPrompt = record.systemPrompt
+            ? `<section class="message system"><h2>System prompt</h2><p class="plain">${this._escapeHtml(record.systemPrompt)}</p></section>\n`
+            : '';
+
+        return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="UTF-8">
+<meta name="viewport" content="width=device-width, initial-scale=1.0">
+<title>${title}</title>
+<link rel="stylesheet" href="${HIGHLIGHT_BASE_URL}/styles/github-dark.min.css">
+<script src="${HIGHLIGHT_BASE_URL}/highlight.min.js"></script>
+<style>
+body { font-family: system-ui, sans-serif; max-width: 48rem; margin: 2rem auto; padding: 0 1rem; color: #1f2937; line-height: 1.5; }
+.meta { color: #6b7280; font-size: 0.875rem; }
+.message { margin: 1rem 0; padding: 0.75rem 1rem; border-radius: 0.5rem; border: 1px solid #e5e7eb; }
+.message.user { background: #eef2ff; }
+.message.system { background: #f9fafb; }
+.message h2 { font-size: 0.875rem; color: #4b5563; margin: 0 0 0.5rem; }
+.plain { white-space: pre-wrap; margin: 0; }
+.tool { font-size: 0.8125rem; color: #4b5563; border-left: 3px solid #c7d2fe; padding-left: 0.5rem; margin-bottom: 0.5rem; white-space: pre-wrap; }
+.attachment { max-height: 12rem; border-radius: 0.5rem; margin: 0 0.5rem 0.5rem 0; }
+.chip { display: inline-block; font-size: 0.75rem; background: #f3f4f6; border-radius: 0.5rem; padding: 0.125rem 0.5rem; margin: 0 0.5rem 0.5rem 0; }
+pre { border-radius: 0.5rem; overflow-x: auto; }
+</style>
+</head>
+<body>
+<h1>${title}</h1>
+<p class="meta">${this._escapeHtml(this._describe(record))}</p>
+${systemPrompt}${sections}
+<script>if (window.hljs) hljs.highlightAll();</script>
+</body>
+</html>
+`;
+    }
+
+    /**
+     * Reads an exported JSON file back into a conversation record
+     * @param {string} json - Contents of a file written by toJson
+     * @returns {Object} The conversation record, with dates restored
+     * @throws {Error} When the file is not an exported conversation
+     */
+    fromJson(json) {
+        let data;
+        try {
+            data = JSON.parse(json);
+        } catch {
+            throw new Error('The file is not valid JSON');
+        }
+
+        if (!data || data.format !== EXPORT_FORMAT || !data.conversation) {
+            throw new Error('The file is not an exported conversation');
+        }
+        if (data.version > EXPORT_VERSION) {
+            throw new Error('The file was exported by a newer version of the app');
+        }
+
+        const record = data.conversation;
+        if (!Array.isArray(record.messages) || record.messages.length === 0) {
+            throw new Error('The conversation in the file has no messages');
+        }
+        if (!record.messages.every(message => this._isValidMessage(message))) {
+            throw new Error('The conversation in the file has malformed messages');
+        }
+
+        return {
+            ...record,
+            title: typeof record.title === 'string' ? record.title : '',
+            messages: record.messages.map(message => message.timestamp
+                ? { ...message, timestamp: new Date(message.timestamp) }
+                : message),
+            createdAt: new Date(record.createdAt || Date.now()),
+            updatedAt: new Date(record.updatedAt || Date.now())
+        };
+    }
+
+    // Private helper methods
+    _isValidMessage(message) {
+        return Boolean(message)
+            && typeof message.id === 'string'
+            && MESSAGE_ROLES.includes(message.role)
+            && typeof message.content === 'string';
+    }
+
+    _describe(record) {
+        const parts = [`Exported ${new Date().toLocaleString()}`];
+        if (record.providerId && record.modelId) {
+            parts.push(`${record.providerId} · ${record.modelId}`);
+        }
+        parts.push(`${record.messages.length} messages`);
+        return parts.join(' · ');
+    }
+
+    _getHeading(message) {
+        if (message.role !== 'Assistant') {
+            return message.role;
+        }
+
+        const heading = message.modelId ? `Assistant (${message.modelId})` : 'Assistant';
+        return message.status === 'stopped' ? `${heading}, stopped` : heading;
+    }
+
+    _describeToolStep(step) {
+        const name = step.pluginName ? `${step.pluginName}.${step.functionName}` : step.functionName;
+        const args = Object.entries(step.arguments || {})
+            .map(([key, value]) => `${key}=${typeof value === 'string' ? value : JSON.stringify(value)}`)
+            .join(', ');
+        const result = step.result !== undefined && step.result !== null ? ` → ${step.result}` : '';
+        return `🔧 ${name}(${args}) ${step.status}${result}`;
+    }
+
+    _quote(text) {
+        return text.split('\n').map(line => `> ${line}`).join('\n');
+    }
+
+    _escapeHtml(text) {
+        return String(text)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
+    }
+
+    _toFileName(title) {
+        const name = (title || 'conversation')
+            .toLowerCase()
+            .replace(/[^a-z0-9]+/g, '-')
+            .replace(/^-+|-+$/g, '')
+            .slice(0, 60);
+        return name || 'conversation';
+    }
+}
\ No newline at end of file
@@ -0,0 +1,356 @@
+const WORD_PATTERN = /[\p{L}\p{N}]+/gu;
+const SNIPPET_RADIUS = 60;
+const MAX_RESULTS = 50;
+const EXACT_MATCH_WEIGHT = 2;
+const TITLE_WEIGHT = 3;
+
+/**
+ * ConversationSearchIndex - Client-side inverted index over stored conversations
+ * Indexes conversation titles and tags, message contents and tool-call names. Every query word has to match,
+ * and the last one also matches as a prefix so results follow the user's typing.
+ */
+export class ConversationSearchIndex {
+    constructor() {
+        // term -> Map(entry key -> occurrences)
+        this._postings = new Map();
+        this._entries = new Map();
+        this._entryKeysByConversation = new Map();
+        // Sorted copy of the terms for prefix lookups, rebuilt on the first search after a change
+        this._sortedTerms = null;
+    }
+
+    /**
+     * Replaces the index with the given conversations
+     * @param {Array} records - Conversation records as kept by the ConversationStore
+     */
+    build(records) {
+        this._postings.clear();
+        this._entries.clear();
+        this._entryKeysByConversation.clear();
+        this._sortedTerms = null;
+        records.forEach(record => this.update(record));
+    }
+
+    /**
+     * Indexes a conversation, replacing what was indexed for it before
+     * @param {Object} record - A conversation record
+     */
+    update(record) {
+        this.remove(record.id);
+
+        const title = record.title || 'New conversation';
+        const titleFields = [{ name: 'title', text: title }];
+        if (record.tags && record.tags.length > 0) {
+            titleFields.push({ name: 'tags', text: record.tags.map(tag => `#${tag}`).join(' ') });
+        }
+        const entries = [{
+            key: `${record.id}:title`,
+            conversationId: record.id,
+            conversationTitle: title,
+            messageId: null,
+            role: null,
+            providerId: record.providerId,
+            modelId: record.modelId,
+            date: new Date(record.updatedAt),
+            fields: titleFields
+        }];
+
+        (record.messages || []).forEach(message => {
+            const fields = [];
+            if (message.content) {
+                fields.push({ name: 'content', text: message.content });
+            }
+            const toolNames = [...new Set((message.toolSteps || []).map(step => this._getToolName(step)))];
+            if (toolNames.length > 0) {
+                fields.push({ name: 'tool', text: toolNames.map(name => `🔧 ${name}`).join(', ') });
+            }
+            if (fields.length === 0) {
+                return;
+            }
+
+            entries.push({
+                key: `${record.id}:${message.id}`,
+                conversationId: record.id,
+                conversationTitle: title,
+                messageId: message.id,
+                role: message.role,
+                // User messages were answered by the conversation's model
+                providerId: message.providerId || record.providerId,
+                modelId: message.modelId || record.modelId,
+                date: new Date(message.timestamp || record.updatedAt),
+                fields
+            });
+        });
+
+        entries.forEach(entry => this._addEntry(entry));
+        this._entryKeysByConversation.set(record.id, entries.map(entry => entry.key));
+    }
+
+    /**
+     * Drops a conversation from the index
+     * @param {string} conversationId - Id of the conversation
+     */
+    remove(conversationId) {
+        const keys = this._entryKeysByConversation.get(conversationId);
+        if (!keys) {
+            return;
+        }
+
+        keys.forEach(key => {
+            const entry = this._entries.get(key);
+            this._entries.delete(key);
+            entry.terms.forEach(term => {
+                const postings = this._postings.get(term);
+                postings.delete(key);
+                if (postings.size === 0) {
+                    this._postings.delete(term);
+                    this._sortedTerms = null;
+                }
+            });
+        });
+        this._entryKeysByConversation.delete(conversationId);
+    }
+
+    /**
+     * Finds the messages and titles that contain every word of the query
+     * @param {string} query - Words to look for
+     * @param {Object} filters - { providerId, modelId, from, to }; dates are inclusive
+     * @returns {Array} Best matches first: { conversationId, conversationTitle, messageId, role,
+     *   providerId, modelId, date, field, snippet: [{ text, highlight }] }
+     */
+    search(query, filters = {}) {
+        const queryTerms = this._tokenize(query);
+        if (queryTerms.length === 0) {
+            return [];
+        }
+
+        let scores = null;
+        queryTerms.forEach((queryTerm, index) => {
+            const isLast = index === queryTerms.length - 1;
+            const termScores = this._scoreTerm(queryTerm, isLast);
+            if (scores === null) {
+                scores = termScores;
+                return;
+            }
+            // Every query word has to match, so only keys found for all of them survive
+            const combined = new Map();
+            scores.forEach((score, key) => {
+                if (termScores.has(key)) {
+                    combined.set(key, score + termScores.get(key));
+                }
+            });
+            scores = combined;
+        });
+
+        const matches = [];
+        scores.forEach((score, key) => {
+            const entry = this._entries.get(key);
+            if (this._passesFilters(entry, filters)) {
+                matches.push({ entry, score: entry.messageId ? score : score * TITLE_WEIGHT });
+            }
+        });
+
+        return matches
+            .sort((a, b) => b.score - a.score || b.entry.date - a.entry.date)
+            .slice(0, MAX_RESULTS)
+            .map(({ entry }) => this._toResult(entry, queryTerms));
+    }
+
+    /**
+     * Lists the providers and models that appear in the index, for the search filters
+     * @returns {Object} { providers: [providerId], models: [{ providerId, modelId }] }
+     */
+    getFilterOptions() {
+        const providers = new Set();
+        const models = new Map();
+        this._entries.forEach(entry => {
+            if (entry.providerId) {
+                providers.add(entry.providerId);
+            }
+            if (entry.modelId) {
+                models.set(`${entry.providerId}/${entry.modelId}`, { providerId: entry.providerId, modelId: entry.modelId });
+            }
+        });
+
+        return {
+            providers: [...providers].sort(),
+            models: [...models.values()].sort((a, b) => a.modelId.localeCompare(b.modelId))
+        };
+    }
+
+    // Private helper methods
+    _addEntry(entry) {
+        const counts = new Map();
+        entry.fields.forEach(field => {
+            this._tokenize(field.text).forEach(term => counts.set(term, (counts.get(term) || 0) + 1));
+        });
+
+        entry.terms = [...counts.keys()];
+        this._entries.set(entry.key, entry);
+        counts.forEach((count, term) => {
+            if (!this._postings.has(term)) {
+                this._postings.set(term, new Map());
+                this._sortedTerms = null;
+            }
+            this._postings.get(term).set(entry.key, count);
+        });
+    }
+
+    _scoreTerm(queryTerm, allowPrefix) {
+        const scores = new Map();
+        const addPostings = (term, weight) => {
+            this._postings.get(term).forEach((count, key) => {
+                scores.set(key, Math.max(scores.get(key) || 0, count * weight));
+            });
+        };
+
+        if (this._postings.has(queryTerm)) {
+            addPostings(queryTerm, EXACT_MATCH_WEIGHT);
+        }
+        if (allowPrefix) {
+            const terms = this._getSortedTerms();
+            for (let i = this._findFirstTerm(terms, queryTerm); i < terms.length && terms[i].startsWith(queryTerm); i++) {
+                if (terms[i] !== queryTerm) {
+                    addPostings(terms[i], 1);
+                }
+            }
+        }
+
+        return scores;
+    }
+
+    _getSortedTerms() {
+        if (!this._sortedTerms) {
+            this._sortedTerms = [...this._postings.keys()].sort();
+        }
+        return this._sortedTerms;
+    }
+
+    _findFirstTerm(terms, prefix) {
+        let low = 0;
+        let high = terms.length;
+        while (low < high) {
+            const middle = (low + high) >> 1;
+            if (terms[middle] < prefix) {
+                low = middle + 1;
+            } else {
+                high = middle;
+            }
+        }
+        return low;
+    }
+
+    _passesFilters(entry, filters) {
+        if (filters.providerId && entry.providerId !== filters.providerId) {
+            return false;
+        }
+        if (filters.modelId && entry.modelId !== filters.modelId) {
+            return false;
+        }
+        if (filters.from && entry.date < filters.from) {
+            return false;
+        }
+        if (filters.to && entry.date > filters.to) {
+            return false;
+        }
+        return true;
+    }
+
+    _toResult(entry, queryTerms) {
+        // Show the field with the most matching words, the message text when it is a tie
+        const ranked = entry.fields
+            .map(field => ({ field, matches: this._findMatches(field.text, queryTerms) }))
+            .sort((a, b) => b.matches.length - a.matches.length);
+        const { field, matches } = ranked[0];
+
+        return {
+            conversationId: entry.conversationId,
+            conversationTitle: entry.conversationTitle,
+            messageId: entry.messageId,
+            role: entry.role,
+            providerId: entry.providerId,
+            modelId: entry.modelId,
+            date: entry.date,
+            field: field.name,
+            snippet: this._buildSnippet(field.text, matches)
+        };
+    }
+
+    /**
+     * Finds the words of a text that match the query, as { start, end } ranges of the text
+     */
+    _findMatches(text, queryTerms) {
+        const matches = [];
+        for (const word of text.matchAll(WORD_PATTERN)) {
+            const terms = this._tokenize(word[0]);
+            if (terms.some(term => queryTerms.some(queryTerm => term.startsWith(queryTerm)))) {
+                matches.push({ start: word.index, end: word.index + word[0].length });
+            }
+        }
+        return matches;
+    }
+
+    /**
+     * Cuts the text around the first match and splits it into plain and highlighted parts
+     */
+    _buildSnippet(text, matches) {
+        const first = matches.length > 0 ? matches[0].start : 0;
+        let start = Math.max(0, first - SNIPPET_RADIUS);
+        let end = Math.min(text.length, Math.max(first, start) + SNIPPET_RADIUS * 2);
+
+        // Do not cut words in half
+        if (start > 0) {
+            const space = text.indexOf(' ', start);
+            start = space !== -1 && space < first ? space + 1 : start;
+        }
+        if (end < text.length) {
+            const space = text.lastIndexOf(' ', end);
+            end = space > first ? space : end;
+        }
+
+        const snippet = [];
+        const addText = (value, highlight) => {
+            const collapsed = value.replace(/\s+/g, ' ');
+            if (collapsed) {
+                snippet.push({ text: collapsed, highlight });
+            }
+        };
+
+        if (start > 0) {
+            addText('…', false);
+        }
+        let position = start;
+        matches
+            .filter(match => match.start >= start && match.end <= end)
+            .forEach(match => {
+                addText(text.slice(position, match.start), false);
+                addText(text.slice(match.start, match.end), true);
+                position = match.end;
+            });
+        addText(text.slice(position, end), false);
+        if (end < text.length) {
+            addText('…', false);
+        }
+
+        return snippet;
+    }
+
+    /**
+     * Splits text into lower-case words without accents. Words written in camelCase,
+     * such as tool names, are also indexed by their parts.
+     */
+    _tokenize(text) {
+        const terms = [];
+        for (const [word] of String(text).matchAll(WORD_PATTERN)) {
+            const parts = word.split(/(?<=\p{Ll})(?=\p{Lu})/u);
+            [word, ...(parts.length > 1 ? parts : [])].forEach(part => {
+                terms.push(part.normalize('NFD').replace(/\p{M}/gu, '').toLowerCase());
+            });
+        }
+        return terms;
+    }
+
+    _getToolName(step) {
+        return step.pluginName ? `${step.pluginName}.${step.functionName}` : step.functionName;
+    }
+}
\ No newline at end of file
@@ -0,0 +1,98 @@
+/**
+ * ConversationStore - Persists conversation threads in IndexedDB
+ * Keeps storage concerns out of the model and the view model
+ */
+export class ConversationStore {
+    constructor(databaseName = 'SemanticKernelFunctionCaller', storeName = 'conversations') {
+        this.databaseName = databaseName;
+        this.storeName = storeName;
+        this.version = 1;
+        this._dbPromise = null;
+    }
+
+    /**
+     * Opens (and upgrades if needed) the IndexedDB database
+     * @returns {Promise<IDBDatabase>} The open database
+     */
+    open() {
+        if (this._dbPromise) {
+            return this._dbPromise;
+        }
+
+        this._dbPromise = new Promise((resolve, reject) => {
+            if (!window.indexedDB) {
+                reject(new Error('IndexedDB is not supported in this browser'));
+                return;
+            }
+
+            const request = indexedDB.open(this.databaseName, this.version);
+
+            request.onupgradeneeded = () => {
+                const db = request.result;
+                if (!db.objectStoreNames.contains(this.storeName)) {
+                    const store = db.createObjectStore(this.storeName, { keyPath: 'id' });
+                    store.createIndex('updatedAt', 'updatedAt');
+                }
+            };
+
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+
+        // Allow a later retry if opening failed
+        this._dbPromise.catch(() => {
+            this._dbPromise = null;
+        });
+
+        return this._dbPromise;
+    }
+
+    /**
+     * Loads every stored conversation, most recently updated first
+     * @returns {Promise<Array>} Array of conversation records
+     */
+    async getAll() {
+        const conversations = await this._execute('readonly', store => store.getAll());
+        return conversations.sort((a, b) => new Date(b.updatedAt) - new Date(a.updatedAt));
+    }
+
+    /**
+     * Loads a single conversation
+     * @param {string} id - The conversation identifier
+     * @returns {Promise<Object|undefined>} The conversation record, if found
+     */
+    async get(id) {
+        return this._execute('readonly', store => store.get(id));
+    }
+
+    /**
+     * Inserts or replaces a conversation
+     * @param {Object} conversation - The conversation record to store
+     * @returns {Promise<Object>} The stored conversation record
+     */
+    async save(conversation) {
+        await this._execute('readwrite', store => store.put(conversation));
+        return conversation;
+    }
+
+    /**
+     * Deletes a conversation
+     * @param {string} id - The conversation identifier
+     */
+    async delete(id) {
+        await this._execute('readwrite', store => store.delete(id));
+    }
+
+    async _execute(mode, operation) {
+        const db = await this.open();
+
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction(this.storeName, mode);
+            const request = operation(transaction.objectStore(this.storeName));
+
+            transaction.oncomplete = () => resolve(request.result);
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error);
+        });
+    }
+}
\ No newline at end of file
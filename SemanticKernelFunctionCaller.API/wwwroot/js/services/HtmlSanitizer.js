@@ -0,0 +1,140 @@
+const ALLOWED_TAGS = new Set([
+    'a', 'abbr', 'b', 'blockquote', 'br', 'code', 'dd', 'del', 'details', 'div', 'dl', 'dt', 'em',
+    'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'hr', 'i', 'img', 'input', 'ins', 'kbd', 'li', 'mark', 'ol', 'p',
+    'pre', 's', 'small', 'span', 'strong', 'sub', 'summary', 'sup', 'table', 'tbody', 'td', 'tfoot', 'th',
+    'thead', 'tr', 'u', 'ul'
+]);
+// Removed together with everything inside them; other unknown elements are unwrapped and keep their text
+const DROPPED_TAGS = new Set([
+    'script', 'style', 'template', 'iframe', 'frame', 'frameset', 'object', 'embed', 'applet', 'noscript',
+    'textarea', 'select', 'button', 'form', 'svg', 'math', 'link', 'meta', 'base', 'title', 'head'
+]);
+const ALLOWED_ATTRIBUTES = {
+    '*': ['title', 'align'],
+    a: ['href'],
+    img: ['src', 'alt', 'width', 'height'],
+    code: ['class'],
+    ol: ['start'],
+    td: ['colspan', 'rowspan'],
+    th: ['colspan', 'rowspan'],
+    input: ['type', 'checked'],
+    details: ['open']
+};
+const URL_ATTRIBUTES = new Set(['href', 'src']);
+const SAFE_LINK_PATTERN = /^(https?:|mailto:|#|\/|\.{0,2}\/|[^:]*$)/i;
+const SAFE_IMAGE_PATTERN = /^(data:image\/(png|gif|jpe?g|webp);base64,|blob:)/i;
+const REMOTE_IMAGE_PATTERN = /^https?:/i;
+// Only the language hint that marked puts on code blocks is kept, so output cannot restyle the page
+const SAFE_CLASS_PATTERN = /^language-[\w+#.-]+$/;
+
+/**
+ * HtmlSanitizer - Allowlist-based cleaning of HTML produced from model output
+ * Parses into an inert template, so nothing runs or loads while the markup is inspected. Images load only from
+ * inline data; a web image would load, and could report what the page shows, as soon as it is inserted, so it
+ * becomes a link marked data-remote-image (holding the alt text) that the user can choose to follow.
+ */
+export class HtmlSanitizer {
+    /**
+     * Cleans HTML and returns it as nodes ready to insert
+     * @param {string} html - Untrusted HTML, e.g. from marked.parse
+     * @returns {DocumentFragment} The allowed elements and attributes only
+     */
+    sanitizeToFragment(html) {
+        const template = document.createElement('template');
+        template.innerHTML = html;
+        this._cleanChildren(template.content);
+        return template.content;
+    }
+
+    /**
+     * Cleans HTML and returns it as a string
+     * @param {string} html - Untrusted HTML
+     * @returns {string} The sanitized markup
+     */
+    sanitize(html) {
+        const container = document.createElement('div');
+        container.appendChild(this.sanitizeToFragment(html));
+        return container.innerHTML;
+    }
+
+    // Private helper methods
+    _cleanChildren(parent) {
+        Array.from(parent.childNodes).forEach(node => {
+            if (node.nodeType === Node.TEXT_NODE) {
+                return;
+            }
+            if (node.nodeType !== Node.ELEMENT_NODE) {
+                node.remove();
+                return;
+            }
+
+            const tag = node.localName;
+            if (DROPPED_TAGS.has(tag) || node.namespaceURI !== 'http://www.w3.org/1999/xhtml') {
+                node.remove();
+                return;
+            }
+
+            this._cleanChildren(node);
+
+            if (tag === 'img' && REMOTE_IMAGE_PATTERN.test(this._normalizeUrl(node.getAttribute('src') || ''))) {
+                node.replaceWith(this._toImageLink(node));
+                return;
+            }
+            if (!ALLOWED_TAGS.has(tag)) {
+                node.replaceWith(...node.childNodes);
+                return;
+            }
+            this._cleanAttributes(node, tag);
+        });
+    }
+
+    _cleanAttributes(element, tag) {
+        const allowed = [...ALLOWED_ATTRIBUTES['*'], ...(ALLOWED_ATTRIBUTES[tag] || [])];
+
+        Array.from(element.attributes).forEach(attribute => {
+            const name = attribute.name.toLowerCase();
+            if (!allowed.includes(name) || (URL_ATTRIBUTES.has(name) && !this._isSafeUrl(tag, attribute.value))) {
+                element.removeAttribute(attribute.name);
+            }
+        });
+
+        if (element.hasAttribute('class')) {
+            const classes = element.getAttribute('class').split(/\s+/).filter(name => SAFE_CLASS_PATTERN.test(name));
+            if (classes.length > 0) {
+                element.setAttribute('class', classes.join(' '));
+            } else {
+                element.removeAttribute('class');
+            }
+        }
+
+        if (tag === 'input') {
+            // Task list checkboxes are the only inputs markdown produces
+            if (element.getAttribute('type') !== 'checkbox') {
+                element.remove();
+                return;
+            }
+            element.setAttribute('disabled', '');
+        }
+    }
+
+    _toImageLink(image) {
+        const url = image.getAttribute('src').trim();
+        const alt = image.getAttribute('alt') || '';
+        const link = document.createElement('a');
+        link.setAttribute('href', url);
+        link.setAttribute('title', url);
+        link.dataset.remoteImage = alt;
+        link.textContent = `🖼 ${alt || 'Image'}`;
+        return link;
+    }
+
+    _isSafeUrl(tag, value) {
+        const url = this._normalizeUrl(value);
+        return tag === 'img' ? SAFE_IMAGE_PATTERN.test(url) : SAFE_LINK_PATTERN.test(url);
+    }
+
+    _normalizeUrl(value) {
+        // Browsers ignore whitespace and control characters inside a scheme, so "java\tscript:" must not slip through
+        return value.replace(/[\u0000- \u007f-\u009f]/g, '');
+    }
+}
\ No newline at end of file
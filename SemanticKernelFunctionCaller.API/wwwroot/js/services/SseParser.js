@@ -0,0 +1,111 @@
+/**
+ * SseParser - Incremental parser for server-sent event streams
+ * Follows the EventSource parsing rules, so chunks may split lines, line endings and multi-byte characters anywhere
+ */
+export class SseParser {
+    constructor() {
+        this._decoder = new TextDecoder();
+        this._buffer = '';
+        this._eventType = '';
+        this._data = [];
+
+        /** Id of the last event that carried one; sent back as Last-Event-ID to resume */
+        this.lastEventId = '';
+        /** Reconnection delay in milliseconds requested by the server, if any */
+        this.retry = null;
+    }
+
+    /**
+     * Parses the next chunk of the stream
+     * @param {Uint8Array|string} chunk - Bytes read from the response body, or already decoded text
+     * @returns {Array} Events completed by this chunk: { id, type, data }
+     */
+    push(chunk) {
+        this._buffer += typeof chunk === 'string' ? chunk : this._decoder.decode(chunk, { stream: true });
+        return this._drain(false);
+    }
+
+    /**
+     * Flushes the parser at the end of the stream. An event that was not terminated
+     * by a blank line is incomplete and dropped, as EventSource does.
+     * @returns {Array} Events completed by the remaining text
+     */
+    end() {
+        this._buffer += this._decoder.decode();
+        const events = this._drain(true);
+        this._buffer = '';
+        this._eventType = '';
+        this._data = [];
+        return events;
+    }
+
+    // Private helper methods
+    _drain(isEnd) {
+        const events = [];
+        const lineBreak = /\r\n|\r|\n/g;
+        let start = 0;
+        let match;
+
+        while ((match = lineBreak.exec(this._buffer)) !== null) {
+            // A \r at the very end may be the first half of a \r\n still to come
+            if (!isEnd && match[0] === '\r' && match.index === this._buffer.length - 1) {
+                break;
+            }
+            this._processLine(this._buffer.slice(start, match.index), events);
+            start = lineBreak.lastIndex;
+        }
+
+        this._buffer = this._buffer.slice(start);
+        return events;
+    }
+
+    _processLine(line, events) {
+        if (line === '') {
+            this._dispatch(events);
+            return;
+        }
+
+        // Comment lines, such as the server's heartbeats, only keep the connection alive
+        if (line.startsWith(':')) {
+            return;
+        }
+
+        const colon = line.indexOf(':');
+        const field = colon === -1 ? line : line.slice(0, colon);
+        let value = colon === -1 ? '' : line.slice(colon + 1);
+        if (value.startsWith(' ')) {
+            value = value.slice(1);
+        }
+
+        switch (field) {
+            case 'event':
+                this._eventType = value;
+                break;
+            case 'data':
+                this._data.push(value);
+                break;
+            case 'id':
+                if (!value.includes('\0')) {
+                    this.lastEventId = value;
+                }
+                break;
+            case 'retry':
+                if (/^\d+$/.test(value)) {
+                    this.retry = parseInt(value, 10);
+                }
+                break;
+        }
+    }
+
+    _dispatch(events) {
+        if (this._data.length > 0) {
+            events.push({
+                id: this.lastEventId,
+                type: this._eventType || 'message',
+                data: this._data.join('\n')
+            });
+        }
+        this._eventType = '';
+        this._data = [];
+    }
+}
\ No newline at end of file
@@ -1,5 +1,28 @@
 import { ChatModel } from '../models/ChatModel.js';
 import { ChatApiService } from '../services/ChatApiService.js';
+import { ConversationStore } from '../services/ConversationStore.js';
+import { ContextWindowService, CONTEXT_STRATEGIES } from '../services/ContextWindowService.js';
+import { AttachmentService } from '../services/AttachmentService.js';
+import { ConversationExporter } from '../services/ConversationExporter.js';
+import { ConversationSearchIndex } from '../services/ConversationSearchIndex.js';
+import { CommandCatalog } from '../services/CommandCatalog.js';
+
+const MIN_COMPARISON_TARGETS = 2;
+const MAX_COMPARISON_TARGETS = 4;
+const MAX_ATTACHMENTS = 5;
+// Images are sent base64-encoded, a third larger, so a request stays well under the server's 30 MB body limit
+const MAX_REQUEST_IMAGE_BYTES = 15 * 1024 * 1024;
+const SUMMARY_INSTRUCTION = 'Summarise the conversation below in at most 200 words. Keep names, facts, decisions and open questions, '
+    + 'leave out pleasantries, and reply with the summary only.';
+const TITLE_INSTRUCTION = 'Write a title of at most six words for the conversation below. '
+    + 'Reply with the title only, without quotes or a full stop.';
+// A title is short, so the call is kept cheap
+const TITLE_SETTINGS = { maxOutputTokens: 24, temperature: 0.3 };
+const TITLE_EXCERPT_LENGTH = 600;
+const MAX_TITLE_LENGTH = 80;
+const MAX_TAG_LENGTH = 24;
+const DAY_MS = 24 * 60 * 60 * 1000;
+const GENERATION_SETTING_NAMES = ['temperature', 'topP', 'maxOutputTokens', 'stopSequences', 'presencePenalty', 'frequencyPenalty', 'seed'];
 
 /**
  * ChatViewModel - Coordinates between Model and API service
@@ -9,9 +32,27 @@ export class ChatViewModel {
     constructor() {
         this.model = new ChatModel();
         this.apiService = new ChatApiService();
+        this.conversationStore = new ConversationStore();
+        this.contextWindowService = new ContextWindowService();
+        this.attachmentService = new AttachmentService();
+        this.conversationExporter = new ConversationExporter();
+        this.searchIndex = new ConversationSearchIndex();
+        this.commandCatalog = new CommandCatalog();
         this._listeners = [];
-        this._useTools = false;
         this._plugins = [];
+        this._conversations = [];
+        this._providers = [];
+        this._modelsByProvider = new Map();
+        this._comparison = null;
+        this._comparisonControllers = new Map();
+        this._pendingAttachments = [];
+        this._messageQueue = [];
+        // Set when a response is stopped or fails, so queued messages wait until the user sends again
+        this._messageQueuePaused = false;
+        // Settles once the running response has stopped and was saved
+        this._currentStream = null;
+        // Conversations a title was requested for in this session; a failed request is not repeated
+        this._titleRequests = new Set();
     }
 
     // Model state access
@@ -36,21 +77,181 @@ export class ChatViewModel {
     }
 
     get useTools() {
-        return this._useTools;
+        return this.model.useTools;
     }
 
     set useTools(value) {
-        this._useTools = Boolean(value);
+        this.model.setUseTools(value);
+        this._saveConversation();
+    }
+
+    get streaming() {
+        return this.model.streaming;
+    }
+
+    set streaming(value) {
+        this.model.setStreaming(value);
+        this._saveConversation();
     }
 
     get plugins() {
         return this._plugins;
     }
 
+    /**
+     * Qualified "PluginName.FunctionName" entries of the loaded plugins that are not switched off
+     * @returns {Set} The enabled function names
+     */
+    get enabledFunctions() {
+        const disabled = this.model.disabledFunctions;
+        return new Set(this._plugins
+            .map(plugin => this._getQualifiedFunctionName(plugin))
+            .filter(name => !disabled.has(name)));
+    }
+
+    get systemPrompt() {
+        return this.model.systemPrompt;
+    }
+
+    /**
+     * Files attached to the message being composed
+     * @returns {Array} Attachments in the order they were added
+     */
+    get pendingAttachments() {
+        return [...this._pendingAttachments];
+    }
+
+    /**
+     * Messages typed while a response was being generated, sent in order once it completes
+     * @returns {Array} { id, content, attachments }, next to be sent first
+     */
+    get messageQueue() {
+        return this._messageQueue.map(item => ({ ...item }));
+    }
+
+    get messageQueuePaused() {
+        return this._messageQueuePaused;
+    }
+
+    get personas() {
+        return this.model.personas;
+    }
+
+    get activePersonaId() {
+        return this.model.personaId;
+    }
+
+    get requireToolApproval() {
+        return this.model.requireToolApproval;
+    }
+
+    get autoApprovedFunctions() {
+        return this.model.autoApprovedFunctions;
+    }
+
+    get generationSettings() {
+        return this.getGenerationSettings(this.selectedProvider, this.selectedModel);
+    }
+
+    get defaultGenerationSettings() {
+        return this._getModelDefaultSettings(this.selectedProvider, this.selectedModel);
+    }
+
+    /**
+     * Sums the token usage and estimated cost of the assistant answers in the conversation
+     * @returns {Object} { promptTokens, completionTokens, cost, unpricedMessages }
+     */
+    get conversationUsage() {
+        const totals = { promptTokens: 0, completionTokens: 0, cost: 0, unpricedMessages: 0 };
+        this.conversationHistory
+            .filter(message => message.usage)
+            .forEach(({ usage }) => {
+                totals.promptTokens += usage.promptTokens;
+                totals.completionTokens += usage.completionTokens;
+                if (usage.cost === null) {
+                    totals.unpricedMessages++;
+                } else {
+                    totals.cost += usage.cost;
+                }
+            });
+        return totals;
+    }
+
+    get contextStrategy() {
+        return this.model.contextStrategy;
+    }
+
+    /**
+     * Estimates how full the selected model's context window is with the next request
+     * @returns {Object|null} { contextWindow, budget, estimatedTokens, droppedMessages, strategy, isSummarized },
+     *   or null when the catalog does not declare the model's context length
+     */
+    get contextUsage() {
+        const plan = this._planContext(this.selectedProvider, this.selectedModel);
+        if (!plan) {
+            return null;
+        }
+
+        return {
+            contextWindow: plan.contextWindow,
+            budget: plan.budget,
+            estimatedTokens: plan.estimatedTokens,
+            droppedMessages: plan.dropped.length,
+            strategy: plan.strategy,
+            isSummarized: Boolean(plan.summary)
+        };
+    }
+
+    get conversations() {
+        return this._conversations;
+    }
+
+    get activeConversationId() {
+        return this.model.conversationId;
+    }
+
+    get title() {
+        return this.model.title;
+    }
+
+    get tags() {
+        return this.model.tags;
+    }
+
+    get pinned() {
+        return this.model.pinned;
+    }
+
+    get utilityModel() {
+        return this.model.utilityModel;
+    }
+
+    /**
+     * Chooses the model for background tasks such as naming conversations
+     * @param {Object|null} target - { providerId, modelId }, or null to use the chat model
+     */
+    setUtilityModel(target) {
+        this.model.setUtilityModel(target);
+        this._notifyListeners({ type: 'utilityModelChanged', utilityModel: this.utilityModel });
+    }
+
+    get compareMode() {
+        return this.model.compareMode;
+    }
+
+    get compareTargets() {
+        return this.model.compareTargets;
+    }
+
+    get comparison() {
+        return this._comparison;
+    }
+
     // Provider and Model management
     async loadProviders() {
         try {
             const providers = await this.apiService.fetchProviders();
+            this._providers = providers;
             this._notifyListeners({ type: 'providersLoaded', providers });
             return providers;
         } catch (error) {
@@ -62,6 +263,7 @@ export class ChatViewModel {
     async loadModelsForProvider(providerId) {
         try {
             const models = await this.apiService.fetchModels(providerId);
+            this._modelsByProvider.set(providerId, models);
             this.model.setSelectedProvider(providerId);
             this._notifyListeners({ type: 'modelsLoaded', models, providerId });
             return models;
@@ -71,6 +273,51 @@ export class ChatViewModel {
         }
     }
 
+    /**
+     * Lists every provider/model pair loaded so far, grouped by provider
+     * @returns {Array} Array of { providerId, providerName, models: [{ id, name }] }
+     */
+    getLoadedModelOptions() {
+        return this._providers
+            .map(provider => {
+                const providerId = provider.Id || provider.id;
+                const models = this._modelsByProvider.get(providerId) || [];
+                return {
+                    providerId,
+                    providerName: provider.DisplayName || provider.displayName || providerId,
+                    models: models.map(model => ({
+                        id: model.Id || model.id,
+                        name: model.DisplayName || model.displayName
+                    }))
+                };
+            })
+            .filter(option => option.models.length > 0);
+    }
+
+    /**
+     * Fetches the models of every provider not loaded yet, so that pairs from
+     * different providers can be offered without changing the selection
+     * @returns {Promise<Array>} The loaded model options
+     */
+    async loadModelOptions() {
+        for (const provider of this._providers) {
+            const providerId = provider.Id || provider.id;
+            if (this._modelsByProvider.has(providerId)) {
+                continue;
+            }
+
+            try {
+                this._modelsByProvider.set(providerId, await this.apiService.fetchModels(providerId));
+            } catch (error) {
+                console.warn(`Failed to load models for provider ${providerId}:`, error);
+            }
+        }
+
+        const options = this.getLoadedModelOptions();
+        this._notifyListeners({ type: 'modelOptionsLoaded', options });
+        return options;
+    }
+
     async loadPlugins() {
         try {
             const plugins = await this.apiService.fetchPlugins();
@@ -84,137 +331,1505 @@ export class ChatViewModel {
         }
     }
 
-    selectProvider(providerId) {
-        this.model.setSelectedProvider(providerId);
-        this._notifyListeners({ type: 'providerSelected', providerId });
+    /**
+     * Runs a plugin function directly with form-provided arguments
+     * @returns {Promise<Object>} Normalized { succeeded, result, error, durationMs }
+     */
+    async invokePluginFunction(pluginName, functionName, args) {
+        const response = await this.apiService.invokePluginFunction(pluginName, functionName, args);
+        return {
+            succeeded: response.Succeeded ?? response.succeeded ?? false,
+            result: response.Result ?? response.result ?? null,
+            error: response.Error ?? response.error ?? null,
+            durationMs: response.DurationMs ?? response.durationMs ?? 0
+        };
     }
 
-    selectModel(modelId) {
-        this.model.setSelectedModel(modelId);
-        this._notifyListeners({ type: 'modelSelected', modelId });
+    setFunctionsEnabled(functionNames, enabled) {
+        this.model.setFunctionsEnabled(functionNames, enabled);
+        this._notifyListeners({ type: 'enabledFunctionsChanged', enabledFunctions: this.enabledFunctions });
     }
 
-    // Message handling
-    async sendMessage(messageContent) {
-        if (!messageContent.trim()) {
-            throw new Error('Message content cannot be empty');
+    // Tool approval
+    setRequireToolApproval(enabled) {
+        this.model.setRequireToolApproval(enabled);
+        this._notifyListeners({ type: 'toolApprovalSettingsChanged' });
+    }
+
+    setFunctionAutoApproved(functionName, autoApproved) {
+        this.model.setFunctionAutoApproved(functionName, autoApproved);
+        this._notifyListeners({ type: 'toolApprovalSettingsChanged' });
+    }
+
+    /**
+     * Sends the user's decision on a paused tool call so the stream can resume
+     * @param {string} messageId - The assistant message the tool call belongs to
+     * @param {string} callId - The tool call identifier
+     * @param {Object} decision - { approved, arguments } where arguments replaces the proposed values
+     */
+    async resolveToolApproval(messageId, callId, decision) {
+        const message = this.conversationHistory.find(m => m.id === messageId);
+        const step = message?.toolSteps?.find(s => s.callId === callId);
+        if (!step || step.status !== 'awaiting_approval') {
+            return;
         }
 
-        if (!this.canSendMessage) {
-            throw new Error('Please select a provider and model first');
+        try {
+            await this.apiService.submitToolApproval(callId, {
+                approved: decision.approved,
+                arguments: decision.arguments ?? null
+            });
+        } catch (error) {
+            // The call may have timed out on the server; its denial arrives through the stream
+            this._notifyListeners({ type: 'error', error: error.message });
+            return;
         }
 
-        // Add user message to model
-        const userMessage = this.model.addUserMessage(messageContent);
-        this.model.setLoading(true);
-        this._notifyListeners({ type: 'messageSent', message: userMessage });
+        // The stream reports the outcome, but the buttons should not linger until it does
+        this.model.upsertToolStep(message, {
+            callId,
+            status: decision.approved ? 'running' : 'denied',
+            ...(decision.arguments ? { arguments: decision.arguments } : {})
+        });
+        this._notifyListeners({ type: 'toolStepsUpdated', message });
+    }
 
-        // Create abort controller for this request
-        const abortController = new AbortController();
-        this.model.setAbortController(abortController);
+    // System prompt and personas
+    /**
+     * Sets the system prompt of the current conversation. The persona stays
+     * selected only while the prompt still matches it.
+     */
+    async setSystemPrompt(prompt) {
+        const persona = this.personas.find(p => p.id === this.activePersonaId);
+        this.model.setSystemPrompt(prompt, persona && persona.prompt === prompt ? persona.id : null);
+        this._notifyListeners({ type: 'systemPromptChanged', systemPrompt: this.systemPrompt, personaId: this.activePersonaId });
+        await this._saveConversation();
+    }
 
-        try {
-            // Stream the response
-            const messages = this.model.getConversationForApi();
-            const streamingGenerator = this.apiService.streamChatMessage(
-                this.selectedProvider,
-                this.selectedModel,
-                messages,
-                abortController.signal,
-                this._useTools
-            );
+    /**
+     * Applies a saved persona to the current conversation: its prompt, and when
+     * stored, its default provider/model and tools set. Null clears the prompt.
+     */
+    async applyPersona(personaId) {
+        if (!personaId) {
+            this.model.setSystemPrompt('', null);
+            this._notifyListeners({ type: 'personaApplied', persona: null });
+            await this._saveConversation();
+            return;
+        }
 
-            let fullResponse = '';
-            let assistantMessage = null;
+        const persona = this.personas.find(p => p.id === personaId);
+        if (!persona) {
+            throw new Error('Persona not found');
+        }
 
-            for await (const update of streamingGenerator) {
-                // Handle tool invocation messages
-                if (update.type === 'tool_call') {
-                    this._notifyListeners({
-                        type: 'toolInvocation',
-                        functionName: update.functionName,
-                        content: update.content
-                    });
-                    continue;
-                }
+        this.model.setSystemPrompt(persona.prompt, persona.id);
 
-                // Handle both Content/Content and content (backend sends PascalCase)
-                const content = update.Content || update.content || '';
-                const isFinal = update.IsFinal !== undefined ? update.IsFinal : update.isFinal;
+        if (persona.providerId && persona.modelId) {
+            this.model.setSelectedProvider(persona.providerId);
+            this.model.setSelectedModel(persona.modelId);
+        }
 
-                if (!isFinal && content) {
-                    fullResponse += content;
-                    if (!assistantMessage) {
-                        assistantMessage = this.model.addAssistantMessage(fullResponse);
-                        this._notifyListeners({
-                            type: 'streamingStarted',
-                            message: assistantMessage,
-                            content: fullResponse
-                        });
-                    } else {
-                        assistantMessage.content = fullResponse;
-                        this._notifyListeners({
-                            type: 'streamingUpdate',
-                            message: assistantMessage,
-                            content: fullResponse
-                        });
-                    }
-                } else if (isFinal) {
-                    if (assistantMessage) {
-                        assistantMessage.content = fullResponse;
-                        this._notifyListeners({
-                            type: 'streamingComplete',
-                            message: assistantMessage,
-                            content: fullResponse
-                        });
-                    }
+        if (typeof persona.useTools === 'boolean') {
+            this.model.setUseTools(persona.useTools);
+        }
+
+        if (persona.useTools && Array.isArray(persona.enabledFunctions)) {
+            if (this._plugins.length === 0) {
+                await this.loadPlugins();
+            }
+            const enabled = new Set(persona.enabledFunctions);
+            const allFunctions = this._plugins.map(plugin => this._getQualifiedFunctionName(plugin));
+            this.model.setFunctionsEnabled(allFunctions.filter(name => !enabled.has(name)), false);
+            this.model.setFunctionsEnabled(allFunctions.filter(name => enabled.has(name)), true);
+        }
+
+        this._notifyListeners({ type: 'personaApplied', persona });
+        await this._saveConversation();
+    }
+
+    /**
+     * Saves the current system prompt, provider/model and tools set as a persona.
+     * A persona with the same name is overwritten.
+     * @param {string} name - The persona name
+     * @returns {Object} The saved persona
+     */
+    async savePersona(name) {
+        const trimmedName = name.trim();
+        if (!trimmedName) {
+            throw new Error('Persona name cannot be empty');
+        }
+        if (!this.systemPrompt.trim()) {
+            throw new Error('Write a system prompt before saving a persona');
+        }
+
+        const existing = this.personas.find(p => p.name.toLowerCase() === trimmedName.toLowerCase());
+        const persona = {
+            id: existing?.id || `persona_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+            name: trimmedName,
+            prompt: this.systemPrompt,
+            providerId: this.selectedProvider || null,
+            modelId: this.selectedModel || null,
+            useTools: this.useTools,
+            // Without a plugin list there is nothing to pin, so the current set is left alone on apply
+            enabledFunctions: this.useTools && this._plugins.length > 0 ? [...this.enabledFunctions] : null
+        };
+
+        this.model.savePersona(persona);
+        this.model.setSystemPrompt(persona.prompt, persona.id);
+        this._notifyListeners({ type: 'personasChanged', personas: this.personas, activePersonaId: this.activePersonaId });
+        await this._saveConversation();
+        return persona;
+    }
+
+    async deletePersona(personaId) {
+        this.model.deletePersona(personaId);
+        this._notifyListeners({ type: 'personasChanged', personas: this.personas, activePersonaId: this.activePersonaId });
+        await this._saveConversation();
+    }
+
+    // Generation settings
+    /**
+     * Resolves the settings a request to a provider/model pair is sent with:
+     * the model's catalog defaults overlaid with the values the user chose
+     * @returns {Object} Settings by camelCase name, without unset entries
+     */
+    getGenerationSettings(providerId, modelId) {
+        return {
+            ...this._getModelDefaultSettings(providerId, modelId),
+            ...this.model.getGenerationSettings(providerId, modelId)
+        };
+    }
+
+    /**
+     * Stores the settings of the selected model. Empty values and values equal
+     * to the model default are left out, so catalog changes still apply to them.
+     */
+    setGenerationSettings(settings) {
+        const defaults = this.defaultGenerationSettings;
+        const chosen = {};
+        GENERATION_SETTING_NAMES.forEach(name => {
+            const value = settings[name];
+            if (value === null || value === undefined || (Array.isArray(value) && value.length === 0)) {
+                return;
+            }
+            if (JSON.stringify(value) !== JSON.stringify(defaults[name])) {
+                chosen[name] = value;
+            }
+        });
+
+        this.model.setGenerationSettings(this.selectedProvider, this.selectedModel, chosen);
+        this._notifyGenerationSettingsChanged();
+    }
+
+    resetGenerationSettings() {
+        this.model.setGenerationSettings(this.selectedProvider, this.selectedModel, {});
+        this._notifyGenerationSettingsChanged();
+    }
+
+    _notifyGenerationSettingsChanged() {
+        this._notifyListeners({
+            type: 'generationSettingsChanged',
+            settings: this.generationSettings,
+            defaults: this.defaultGenerationSettings
+        });
+    }
+
+    _getModelDefaultSettings(providerId, modelId) {
+        const model = this._findModel(providerId, modelId);
+        const defaults = model?.DefaultSettings || model?.defaultSettings || {};
+
+        const settings = {};
+        GENERATION_SETTING_NAMES.forEach(name => {
+            const value = defaults[name.charAt(0).toUpperCase() + name.slice(1)] ?? defaults[name];
+            if (value !== null && value !== undefined) {
+                settings[name] = value;
+            }
+        });
+        return settings;
+    }
+
+    _findModel(providerId, modelId) {
+        const models = this._modelsByProvider.get(providerId) || [];
+        return models.find(m => (m.Id || m.id) === modelId) || null;
+    }
+
+    /**
+     * Normalizes the usage reported with a response and prices it with the catalog
+     * prices of the model. The cost is fixed when the answer arrives, so later
+     * price changes do not rewrite the history.
+     */
+    _toUsage(usage, providerId, modelId) {
+        const promptTokens = usage.PromptTokens ?? usage.promptTokens ?? 0;
+        const completionTokens = usage.CompletionTokens ?? usage.completionTokens ?? 0;
+
+        const model = this._findModel(providerId, modelId);
+        const pricing = model?.Pricing || model?.pricing;
+        const promptPrice = pricing?.PromptPerMillionTokens ?? pricing?.promptPerMillionTokens ?? null;
+        const completionPrice = pricing?.CompletionPerMillionTokens ?? pricing?.completionPerMillionTokens ?? null;
+
+        const cost = promptPrice === null && completionPrice === null
+            ? null
+            : (promptTokens * (promptPrice ?? 0) + completionTokens * (completionPrice ?? 0)) / 1000000;
+
+        return { promptTokens, completionTokens, cost };
+    }
+
+    // Context window
+    setContextStrategy(strategy) {
+        if (!CONTEXT_STRATEGIES.includes(strategy)) {
+            throw new Error(`Unknown context strategy: ${strategy}`);
+        }
+
+        this.model.setContextStrategy(strategy);
+        this._notifyListeners({ type: 'contextStrategyChanged', strategy });
+    }
+
+    _getContextWindow(providerId, modelId) {
+        const model = this._findModel(providerId, modelId);
+        return model?.ContextWindow ?? model?.contextWindow ?? null;
+    }
+
+    /**
+     * Decides which messages of the conversation the next request to a model carries
+     * @returns {Object|null} The fit result plus { contextWindow, budget, strategy, summary },
+     *   or null when the model's context length is unknown
+     */
+    _planContext(providerId, modelId, excludeMessageId = null) {
+        const contextWindow = this._getContextWindow(providerId, modelId);
+        if (!contextWindow) {
+            return null;
+        }
+
+        const strategy = this.contextStrategy;
+        let messages = this.conversationHistory.filter(msg => msg.id !== excludeMessageId);
+        let summary = null;
+
+        const contextSummary = this.model.contextSummary;
+        if (strategy === 'summarize' && contextSummary) {
+            // A summary made on another branch of the conversation does not apply
+            const index = messages.findIndex(msg => msg.id === contextSummary.upToMessageId);
+            if (index !== -1) {
+                summary = contextSummary.content;
+                messages = messages.slice(index + 1);
+            }
+        }
+
+        const budget = this.contextWindowService.getPromptBudget(
+            contextWindow,
+            this.getGenerationSettings(providerId, modelId).maxOutputTokens);
+        const fixedText = [this.systemPrompt.trim(), summary].filter(Boolean).join('\n');
+
+        return {
+            ...this.contextWindowService.fit(messages, { budget, fixedText, strategy }),
+            contextWindow,
+            budget,
+            strategy,
+            summary
+        };
+    }
+
+    /**
+     * Builds the messages of a request so they fit the model's context window. With
+     * the summarize strategy, messages that no longer fit are first folded into the
+     * conversation's rolling summary; if that fails they are left out.
+     * @param {Object} options - { excludeMessageId, signal } signal stops the summary request with the response
+     */
+    async _buildRequestMessages(providerId, modelId, { excludeMessageId = null, signal = null } = {}) {
+        let plan = this._planContext(providerId, modelId, excludeMessageId);
+        const includeImages = this.supportsImages(providerId, modelId);
+        if (!plan) {
+            return this.model.getConversationForApi({ excludeMessageId, includeImages, maxImageBytes: MAX_REQUEST_IMAGE_BYTES });
+        }
+
+        if (plan.strategy === 'summarize' && plan.dropped.length > 0) {
+            try {
+                await this._summarizeMessages(providerId, modelId, plan, signal);
+                plan = this._planContext(providerId, modelId, excludeMessageId);
+            } catch (error) {
+                if (error.name === 'AbortError') {
+                    throw error;
                 }
+                console.warn('Failed to summarise older messages:', error);
+                this._notifyListeners({ type: 'error', error: `Older messages could not be summarised and were left out: ${error.message}` });
             }
+        }
 
-            // Finalize the assistant message
-            if (assistantMessage) {
-                assistantMessage.content = fullResponse;
-                this._notifyListeners({
-                    type: 'streamingComplete',
-                    message: assistantMessage,
-                    content: fullResponse
-                });
+        return this.model.toApiMessages(plan.messages, plan.summary, { includeImages, maxImageBytes: MAX_REQUEST_IMAGE_BYTES });
+    }
+
+    async _summarizeMessages(providerId, modelId, plan, signal = null) {
+        const transcript = this.contextWindowService.toTranscript(plan.dropped, plan.summary, plan.budget);
+        const response = await this.apiService.sendChatMessage(providerId, modelId, [
+            { role: 'User', content: `${SUMMARY_INSTRUCTION}\n\n${transcript}` }
+        ], signal);
+
+        const content = (response.Content || response.content || '').trim();
+        if (!content) {
+            throw new Error('The model returned an empty summary');
+        }
+
+        this.model.setContextSummary({ content, upToMessageId: plan.dropped[plan.dropped.length - 1].id });
+        this._notifyListeners({ type: 'contextSummarized', summarizedMessages: plan.dropped.length });
+    }
+
+    // Attachments
+    /**
+     * Reads files for the next message. Files that cannot be attached are
+     * reported one by one; the others are still added.
+     * @param {Array<File>} files - Dropped, pasted or picked files
+     */
+    async addAttachments(files) {
+        for (const file of files) {
+            if (this._pendingAttachments.length >= MAX_ATTACHMENTS) {
+                this._notifyListeners({ type: 'error', error: `Attach at most ${MAX_ATTACHMENTS} files to a message` });
+                break;
             }
 
-        } catch (error) {
-            if (error.name === 'AbortError') {
-                this._notifyListeners({ type: 'streamingAborted' });
-            } else {
-                console.error('Streaming failed:', error);
+            try {
+                const attachment = await this.attachmentService.read(file);
+                if (attachment.kind === 'image' && this._getPendingImageBytes() + attachment.size > MAX_REQUEST_IMAGE_BYTES) {
+                    throw new Error(`${attachment.name} was not attached: the images of one message can add up to `
+                        + `${MAX_REQUEST_IMAGE_BYTES / (1024 * 1024)} MB`);
+                }
+                this._pendingAttachments.push(attachment);
+            } catch (error) {
                 this._notifyListeners({ type: 'error', error: error.message });
-
-                // Add error message to conversation
-                this.model.addAssistantMessage(`Error: ${error.message}`);
-                this._notifyListeners({
-                    type: 'errorMessage',
-                    error: error.message
-                });
             }
-        } finally {
-            this.model.setLoading(false);
-            this.model.setAbortController(null);
-            this._notifyListeners({ type: 'loadingComplete' });
         }
+
+        this._notifyListeners({ type: 'attachmentsChanged', attachments: this.pendingAttachments });
     }
 
-    // Conversation management
-    clearConversation() {
-        this.model.clearConversation();
-        this._notifyListeners({ type: 'conversationCleared' });
+    removeAttachment(attachmentId) {
+        this._pendingAttachments = this._pendingAttachments.filter(attachment => attachment.id !== attachmentId);
+        this._notifyListeners({ type: 'attachmentsChanged', attachments: this.pendingAttachments });
     }
 
-    abortCurrentRequest() {
-        if (this.model.abortController) {
-            this.model.abortController.abort();
-            this.model.setAbortController(null);
-            this.model.setLoading(false);
-            this._notifyListeners({ type: 'requestAborted' });
+    supportsImages(providerId, modelId) {
+        const model = this._findModel(providerId, modelId);
+        return Boolean(model?.SupportsVision ?? model?.supportsVision);
+    }
+
+    _assertAttachmentsSupported(attachments, targets) {
+        if (!attachments.some(attachment => attachment.kind === 'image')) {
+            return;
         }
+
+        const target = targets.find(t => !this.supportsImages(t.providerId, t.modelId));
+        if (target) {
+            throw new Error(`${target.modelId} does not accept images; remove them or select a vision-capable model`);
+        }
+    }
+
+    _getPendingImageBytes() {
+        return this._pendingAttachments
+            .filter(attachment => attachment.kind === 'image')
+            .reduce((total, attachment) => total + attachment.size, 0);
+    }
+
+    _takePendingAttachments() {
+        const attachments = this._pendingAttachments;
+        this._pendingAttachments = [];
+        this._notifyListeners({ type: 'attachmentsChanged', attachments: [] });
+        return attachments;
+    }
+
+    selectProvider(providerId) {
+        this.model.setSelectedProvider(providerId);
+        this._notifyListeners({ type: 'providerSelected', providerId });
+    }
+
+    selectModel(modelId) {
+        this.model.setSelectedModel(modelId);
+        this._notifyListeners({ type: 'modelSelected', modelId });
+    }
+
+    // Message handling
+    /**
+     * Sends a user message and streams the assistant reply.
+     * When editMessageId is given, that earlier user message is replaced by the
+     * new content (keeping the old one as an alternative version) instead of
+     * appending a new message.
+     */
+    async sendMessage(messageContent, { editMessageId = null } = {}) {
+        // An edited message keeps the attachments it was sent with
+        const hasAttachments = editMessageId ? false : this._pendingAttachments.length > 0;
+        if (!messageContent.trim() && !hasAttachments) {
+            throw new Error('Message content cannot be empty');
+        }
+
+        if (!this.selectedProvider || !this.selectedModel) {
+            throw new Error('Please select a provider and model first');
+        }
+
+        if (editMessageId) {
+            if (this.isLoading) {
+                throw new Error('Please wait for the current response to finish');
+            }
+            this.discardComparison();
+        } else if (this._comparison) {
+            throw new Error('Keep or discard one of the compared responses first');
+        }
+
+        this._assertAttachmentsSupported(
+            editMessageId ? [] : this._pendingAttachments,
+            [{ providerId: this.selectedProvider, modelId: this.selectedModel }]);
+
+        // A follow-up typed while the answer is still coming waits its turn
+        if (this.isLoading) {
+            this._queueMessage(messageContent, this._takePendingAttachments());
+            return;
+        }
+
+        this._resumeMessageQueue();
+        await this._sendUserMessage(messageContent, editMessageId ? [] : this._takePendingAttachments(), { editMessageId });
+    }
+
+    /**
+     * Sends the output of a code block run in the sandbox as the next user message
+     * The text and attachments in the composer stay there for the message being typed
+     * @param {string} output - The formatted output
+     */
+    async sendRunOutput(output) {
+        if (!this.selectedProvider || !this.selectedModel) {
+            throw new Error('Please select a provider and model first');
+        }
+        if (this._comparison) {
+            throw new Error('Keep or discard one of the compared responses first');
+        }
+
+        if (this.isLoading) {
+            this._queueMessage(output, [], { keepInput: true });
+            return;
+        }
+
+        this._resumeMessageQueue();
+        await this._sendUserMessage(output, [], { keepInput: true });
+    }
+
+    async _sendUserMessage(messageContent, attachments, { editMessageId = null, keepInput = false } = {}) {
+        // Add user message to model
+        const userMessage = editMessageId
+            ? this.model.branchFromMessage(editMessageId, { content: messageContent, timestamp: new Date() })
+            : this.model.addUserMessage(messageContent, attachments);
+        this.model.setLoading(true);
+        if (editMessageId) {
+            this._notifyListeners({ type: 'historyChanged', messages: this.conversationHistory });
+        }
+        this._notifyListeners({ type: 'messageSent', message: userMessage, isEdit: Boolean(editMessageId), keepInput });
+        await this._saveConversation();
+
+        await this._streamAssistantResponse();
+        await this._sendNextQueuedMessage();
+    }
+
+    // Message queue
+    /**
+     * Changes the text of a message that is still waiting to be sent
+     */
+    updateQueuedMessage(queuedId, content) {
+        const item = this._messageQueue.find(queued => queued.id === queuedId);
+        if (!item) {
+            throw new Error('That message has already been sent');
+        }
+        if (!content.trim() && item.attachments.length === 0) {
+            throw new Error('Message content cannot be empty');
+        }
+
+        item.content = content;
+        this._notifyMessageQueueChanged();
+    }
+
+    cancelQueuedMessage(queuedId) {
+        this._messageQueue = this._messageQueue.filter(queued => queued.id !== queuedId);
+        if (this._messageQueue.length === 0) {
+            this._messageQueuePaused = false;
+        }
+        this._notifyMessageQueueChanged();
+    }
+
+    _queueMessage(content, attachments, { keepInput = false } = {}) {
+        this._messageQueue.push({
+            id: `queued_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+            content,
+            attachments,
+            keepInput
+        });
+        this._notifyListeners({ type: 'messageQueued', keepInput });
+        this._notifyMessageQueueChanged();
+    }
+
+    /**
+     * Sends the oldest queued message. A message that can no longer be sent, for example because
+     * its images do not suit the model selected since, is reported and the queue moves on.
+     * Nothing is sent while the queue is paused.
+     */
+    async _sendNextQueuedMessage() {
+        if (this._messageQueuePaused) {
+            return;
+        }
+
+        const next = this._messageQueue.shift();
+        if (!next) {
+            return;
+        }
+        this._notifyMessageQueueChanged();
+
+        try {
+            this._assertAttachmentsSupported(next.attachments, [{ providerId: this.selectedProvider, modelId: this.selectedModel }]);
+        } catch (error) {
+            this._notifyListeners({ type: 'error', error: `Queued message not sent: ${error.message}` });
+            await this._sendNextQueuedMessage();
+            return;
+        }
+
+        await this._sendUserMessage(next.content, next.attachments, { keepInput: next.keepInput });
+    }
+
+    _clearMessageQueue() {
+        this._messageQueuePaused = false;
+        if (this._messageQueue.length > 0) {
+            this._messageQueue = [];
+            this._notifyMessageQueueChanged();
+        }
+    }
+
+    /**
+     * Holds the queue after a response was stopped or failed; the follow-ups may no longer make sense
+     */
+    _pauseMessageQueue() {
+        if (this._messageQueue.length > 0 && !this._messageQueuePaused) {
+            this._messageQueuePaused = true;
+            this._notifyMessageQueueChanged();
+        }
+    }
+
+    _resumeMessageQueue() {
+        if (this._messageQueuePaused) {
+            this._messageQueuePaused = false;
+            this._notifyMessageQueueChanged();
+        }
+    }
+
+    _notifyMessageQueueChanged() {
+        this._notifyListeners({ type: 'messageQueueChanged', queue: this.messageQueue, paused: this._messageQueuePaused });
+    }
+
+    /**
+     * Streams a new answer for the last assistant message, keeping the previous
+     * answer as a switchable variant. A different provider/model can be used
+     * for this single retry without changing the current selection.
+     */
+    async regenerateResponse(messageId, { providerId = this.selectedProvider, modelId = this.selectedModel } = {}) {
+        const lastMessage = this.model.getLastMessage();
+        if (!lastMessage || lastMessage.id !== messageId || lastMessage.role !== 'Assistant') {
+            throw new Error('Only the last assistant response can be regenerated');
+        }
+
+        if (this.isLoading) {
+            throw new Error('Please wait for the current response to finish');
+        }
+
+        if (!providerId || !modelId) {
+            throw new Error('Please select a provider and model first');
+        }
+
+        const assistantMessage = this.model.branchFromMessage(messageId, {
+            content: '',
+            status: null,
+            toolSteps: [],
+            providerId,
+            modelId,
+            settings: this.getGenerationSettings(providerId, modelId),
+            usage: null,
+            timestamp: new Date()
+        });
+        this.model.setLoading(true);
+        this._notifyListeners({ type: 'historyChanged', messages: this.conversationHistory });
+        this._notifyListeners({ type: 'regenerationStarted', message: assistantMessage });
+
+        await this._streamAssistantResponse({ providerId, modelId, assistantMessage });
+        await this._sendNextQueuedMessage();
+    }
+
+    async _streamAssistantResponse({ providerId = this.selectedProvider, modelId = this.selectedModel, assistantMessage = null } = {}) {
+        // Create abort controller for this request
+        const abortController = new AbortController();
+        this.model.setAbortController(abortController);
+        // The answer belongs to this conversation even when another one is opened meanwhile
+        const conversationId = this.activeConversationId;
+        let settleStream;
+        const currentStream = new Promise(resolve => { settleStream = resolve; });
+        this._currentStream = currentStream;
+
+        const isRegeneration = Boolean(assistantMessage);
+        // Kept on the assistant message so the answer can be reproduced later
+        const settings = this.getGenerationSettings(providerId, modelId);
+
+        try {
+            // Stream the response
+            const messages = await this._buildRequestMessages(providerId, modelId, {
+                excludeMessageId: assistantMessage?.id,
+                signal: abortController.signal
+            });
+            const streamingGenerator = this._requestChatUpdates(
+                providerId,
+                modelId,
+                messages,
+                abortController.signal,
+                await this._getToolOptions(),
+                settings
+            );
+
+            let fullResponse = '';
+            let hasStarted = false;
+
+            for await (const update of streamingGenerator) {
+                // Record tool calls, including ones waiting for approval, as steps on the assistant message
+                const updateType = update.Type || update.type;
+                if (updateType === 'tool_call' || updateType === 'approval_required') {
+                    if (!assistantMessage) {
+                        assistantMessage = this.model.addAssistantMessage('', { providerId, modelId, settings });
+                    }
+                    this.model.upsertToolStep(assistantMessage, this._toToolStep(update, assistantMessage));
+
+                    if (!hasStarted) {
+                        hasStarted = true;
+                        this._notifyListeners({ type: 'streamingStarted', message: assistantMessage, content: fullResponse });
+                    } else {
+                        this._notifyListeners({ type: 'toolStepsUpdated', message: assistantMessage });
+                    }
+                    continue;
+                }
+
+                // Handle both Content/Content and content (backend sends PascalCase)
+                const content = update.Content || update.content || '';
+                const isFinal = update.IsFinal !== undefined ? update.IsFinal : update.isFinal;
+
+                if (!isFinal && content) {
+                    fullResponse += content;
+                    if (!assistantMessage) {
+                        assistantMessage = this.model.addAssistantMessage(fullResponse, { providerId, modelId, settings });
+                    }
+                    assistantMessage.content = fullResponse;
+
+                    if (!hasStarted) {
+                        hasStarted = true;
+                        this._notifyListeners({
+                            type: 'streamingStarted',
+                            message: assistantMessage,
+                            content: fullResponse
+                        });
+                    } else {
+                        this._notifyListeners({
+                            type: 'streamingUpdate',
+                            message: assistantMessage,
+                            content: fullResponse
+                        });
+                    }
+                } else if (isFinal) {
+                    const usage = update.Usage || update.usage;
+                    if (assistantMessage) {
+                        if (usage) {
+                            assistantMessage.usage = this._toUsage(usage, providerId, modelId);
+                        }
+                        assistantMessage.content = fullResponse;
+                        this._notifyListeners({
+                            type: 'streamingComplete',
+                            message: assistantMessage,
+                            content: fullResponse
+                        });
+                    }
+                }
+            }
+
+            // Finalize the assistant message
+            if (assistantMessage) {
+                assistantMessage.content = fullResponse;
+                this._settleToolSteps(assistantMessage, 'completed');
+                this._notifyListeners({
+                    type: 'streamingComplete',
+                    message: assistantMessage,
+                    content: fullResponse
+                });
+            }
+
+        } catch (error) {
+            if (error.name === 'AbortError') {
+                // Keep whatever was generated so far, flagged as stopped
+                if (assistantMessage) {
+                    assistantMessage.status = 'stopped';
+                    this._settleToolSteps(assistantMessage, 'stopped');
+                }
+                this._notifyListeners({ type: 'streamingAborted', message: assistantMessage, conversationId });
+                this._pauseMessageQueue();
+            } else {
+                console.error('Streaming failed:', error);
+                this._notifyListeners({ type: 'error', error: error.message });
+
+                // Add error message to conversation
+                if (assistantMessage) {
+                    this._settleToolSteps(assistantMessage, 'failed');
+                }
+                if (isRegeneration) {
+                    assistantMessage.content = `Error: ${error.message}`;
+                    assistantMessage.status = 'error';
+                    this._notifyListeners({ type: 'streamingComplete', message: assistantMessage, content: assistantMessage.content });
+                } else {
+                    this.model.addAssistantMessage(`Error: ${error.message}`, { providerId, modelId, settings, status: 'error' });
+                }
+                this._notifyListeners({
+                    type: 'errorMessage',
+                    error: error.message
+                });
+                this._pauseMessageQueue();
+            }
+        } finally {
+            // Once stopped, the loading state may already belong to the next response
+            if (this.model.abortController === abortController) {
+                this.model.setLoading(false);
+                this.model.setAbortController(null);
+                this._notifyListeners({ type: 'loadingComplete' });
+            }
+            await this._saveConversation();
+            if (this._currentStream === currentStream) {
+                this._currentStream = null;
+            }
+            settleStream();
+        }
+    }
+
+    // Comparison mode
+    setCompareMode(enabled) {
+        this.model.setCompareMode(enabled);
+        this._notifyListeners({ type: 'compareModeChanged', enabled: this.compareMode, targets: this.compareTargets });
+    }
+
+    setCompareTargets(targets) {
+        this.model.setCompareTargets(targets.slice(0, MAX_COMPARISON_TARGETS));
+        this._notifyListeners({ type: 'compareTargetsChanged', targets: this.compareTargets });
+    }
+
+    /**
+     * Sends one prompt to several provider/model pairs at once. Every pair
+     * streams into its own column with its own abort controller; nothing is
+     * added to the conversation until one of the answers is kept.
+     */
+    async sendComparison(messageContent) {
+        if (!messageContent.trim() && this._pendingAttachments.length === 0) {
+            throw new Error('Message content cannot be empty');
+        }
+
+        if (this.isLoading) {
+            throw new Error('Please wait for the current response to finish');
+        }
+
+        if (this._comparison) {
+            throw new Error('Keep or discard one of the compared responses first');
+        }
+
+        if (this.useTools && this.requireToolApproval) {
+            throw new Error('Tool approval is not available while comparing models');
+        }
+
+        const targets = this.compareTargets.filter(target => target.providerId && target.modelId);
+        if (targets.length < MIN_COMPARISON_TARGETS) {
+            throw new Error(`Select at least ${MIN_COMPARISON_TARGETS} models to compare`);
+        }
+
+        this._assertAttachmentsSupported(this._pendingAttachments, targets);
+
+        const userMessage = this.model.addUserMessage(messageContent, this._takePendingAttachments());
+        this.model.setLoading(true);
+        this._notifyListeners({ type: 'messageSent', message: userMessage, isEdit: false });
+        await this._saveConversation();
+
+        // Models of different context lengths may each need their own selection of the history
+        const requestMessages = [];
+        for (const target of targets) {
+            requestMessages.push(await this._buildRequestMessages(target.providerId, target.modelId));
+        }
+        const toolOptions = await this._getToolOptions();
+        const comparison = {
+            userMessageId: userMessage.id,
+            columns: targets.map((target, index) => ({
+                id: `comparison_${Date.now()}_${index}`,
+                providerId: target.providerId,
+                modelId: target.modelId,
+                settings: this.getGenerationSettings(target.providerId, target.modelId),
+                content: '',
+                status: 'streaming',
+                usage: null,
+                error: null,
+                latencyMs: null,
+                durationMs: null
+            }))
+        };
+        this._comparison = comparison;
+        this._notifyListeners({ type: 'comparisonStarted', comparison });
+
+        await Promise.all(comparison.columns.map((column, index) =>
+            this._streamComparisonColumn(column, requestMessages[index], toolOptions)));
+
+        this.model.setLoading(false);
+        if (this._comparison === comparison) {
+            this._notifyListeners({ type: 'comparisonComplete', comparison });
+        }
+        this._notifyListeners({ type: 'loadingComplete' });
+    }
+
+    stopComparisonColumn(columnId) {
+        const abortController = this._comparisonControllers.get(columnId);
+        if (abortController) {
+            abortController.abort();
+        }
+    }
+
+    /**
+     * Keeps one compared answer as the assistant reply of the conversation.
+     * Columns still streaming are stopped, the other answers are dropped.
+     */
+    async keepComparisonResponse(columnId) {
+        const column = this._comparison?.columns.find(c => c.id === columnId);
+        if (!column) {
+            throw new Error('Comparison response not found');
+        }
+
+        if (column.status === 'streaming') {
+            throw new Error('Please wait for this response to finish');
+        }
+
+        if (!column.content) {
+            throw new Error('Cannot keep an empty response');
+        }
+
+        this._abortComparisonStreams();
+        this._comparison = null;
+
+        const assistantMessage = this.model.addAssistantMessage(column.content, {
+            providerId: column.providerId,
+            modelId: column.modelId,
+            settings: column.settings,
+            ...(column.usage ? { usage: column.usage } : {}),
+            ...(column.status === 'stopped' ? { status: 'stopped' } : {})
+        });
+        this._notifyListeners({ type: 'comparisonResolved', message: assistantMessage });
+        await this._saveConversation();
+        return assistantMessage;
+    }
+
+    discardComparison() {
+        if (!this._comparison) {
+            return;
+        }
+
+        this._abortComparisonStreams();
+        this._comparison = null;
+        this._notifyListeners({ type: 'comparisonDismissed' });
+    }
+
+    async _streamComparisonColumn(column, messages, toolOptions) {
+        const abortController = new AbortController();
+        this._comparisonControllers.set(column.id, abortController);
+        const startedAt = Date.now();
+
+        try {
+            const streamingGenerator = this._requestChatUpdates(
+                column.providerId,
+                column.modelId,
+                messages,
+                abortController.signal,
+                toolOptions,
+                column.settings
+            );
+
+            for await (const update of streamingGenerator) {
+                if ((update.Type || update.type) === 'tool_call') {
+                    continue;
+                }
+
+                const content = update.Content || update.content || '';
+                const isFinal = update.IsFinal !== undefined ? update.IsFinal : update.isFinal;
+
+                if (!isFinal && content) {
+                    if (column.latencyMs === null) {
+                        column.latencyMs = Date.now() - startedAt;
+                    }
+                    column.content += content;
+                    this._notifyListeners({ type: 'comparisonUpdate', column });
+                } else if (isFinal && (update.Usage || update.usage)) {
+                    column.usage = this._toUsage(update.Usage || update.usage, column.providerId, column.modelId);
+                }
+            }
+
+            column.status = 'complete';
+        } catch (error) {
+            if (error.name === 'AbortError') {
+                column.status = 'stopped';
+            } else {
+                console.error(`Comparison stream for ${column.modelId} failed:`, error);
+                column.status = 'error';
+                column.error = error.message;
+            }
+        } finally {
+            column.durationMs = Date.now() - startedAt;
+            this._comparisonControllers.delete(column.id);
+            this._notifyListeners({ type: 'comparisonUpdate', column });
+        }
+    }
+
+    _abortComparisonStreams() {
+        this._comparisonControllers.forEach(abortController => abortController.abort());
+        this._comparisonControllers.clear();
+    }
+
+    /**
+     * Requests a response as a sequence of streaming updates. With streaming off, or when the
+     * stream cannot be started, the answer comes from /send and is replayed as the same updates.
+     */
+    async *_requestChatUpdates(providerId, modelId, messages, signal, toolOptions, settings) {
+        if (!this.streaming) {
+            yield* this._sendAsUpdates(providerId, modelId, messages, signal, toolOptions, settings);
+            return;
+        }
+
+        try {
+            yield* this.apiService.streamChatMessage(providerId, modelId, messages, signal, this.useTools, toolOptions, settings);
+        } catch (error) {
+            if (error.name === 'AbortError' || !error.canFallBack) {
+                throw error;
+            }
+
+            console.warn(`Streaming from ${modelId} failed to start, retrying without streaming:`, error);
+            this._notifyListeners({ type: 'streamingFallback', modelId, error: error.message });
+            yield* this._sendAsUpdates(providerId, modelId, messages, signal, toolOptions, settings);
+        }
+    }
+
+    async *_sendAsUpdates(providerId, modelId, messages, signal, toolOptions, settings) {
+        if (this.useTools && toolOptions.requireToolApproval) {
+            throw new Error('Tool approval needs streaming; turn streaming on or stop requiring approval');
+        }
+
+        const response = await this.apiService.sendChatMessage(
+            providerId,
+            modelId,
+            messages,
+            signal,
+            settings,
+            this.useTools,
+            toolOptions
+        );
+
+        yield* response.ToolCalls || response.toolCalls || [];
+        yield { Type: 'content', Content: response.Content ?? response.content ?? '', IsFinal: false };
+        yield { Type: 'content', Content: '', IsFinal: true, Usage: response.Usage ?? response.usage };
+    }
+
+    /**
+     * Builds the tool calling options of a request. The enabled set can only be
+     * computed from the plugin list, so plugins are loaded first if needed.
+     */
+    async _getToolOptions() {
+        if (!this.useTools) {
+            return {};
+        }
+
+        if (this._plugins.length === 0) {
+            await this.loadPlugins();
+        }
+
+        const toolOptions = {};
+
+        // Without a plugin list the server default (every function) applies
+        if (this._plugins.length > 0) {
+            toolOptions.enabledFunctions = [...this.enabledFunctions];
+        }
+
+        if (this.requireToolApproval) {
+            toolOptions.requireToolApproval = true;
+            toolOptions.autoApprovedFunctions = [...this.autoApprovedFunctions];
+        }
+
+        return toolOptions;
+    }
+
+    _getQualifiedFunctionName(plugin) {
+        const pluginName = plugin.PluginName || plugin.pluginName;
+        const functionName = plugin.FunctionName || plugin.functionName;
+        return `${pluginName}.${functionName}`;
+    }
+
+    _toToolStep(update, message) {
+        const functionName = update.FunctionName || update.functionName || '';
+        const status = update.Status || update.status || 'running';
+        // Older streams report a call only once and without an id
+        const callId = update.CallId || update.callId || `${functionName}_${(message.toolSteps || []).length}`;
+
+        const step = { callId, functionName, status };
+        const pluginName = update.PluginName || update.pluginName;
+        if (pluginName) step.pluginName = pluginName;
+
+        const args = update.Arguments || update.arguments;
+        if (args) step.arguments = args;
+
+        if (status !== 'running' && status !== 'awaiting_approval') {
+            step.result = update.Result ?? update.result ?? null;
+            step.durationMs = update.DurationMs ?? update.durationMs ?? null;
+        }
+        return step;
+    }
+
+    _settleToolSteps(message, status) {
+        (message.toolSteps || [])
+            .filter(step => step.status === 'running' || step.status === 'awaiting_approval')
+            .forEach(step => {
+                step.status = status;
+            });
+    }
+
+    async editMessage(messageId, newContent) {
+        if (this.isLoading) {
+            throw new Error('Please wait for the current response to finish');
+        }
+
+        return this.sendMessage(newContent, { editMessageId: messageId });
+    }
+
+    async switchMessageVersion(messageId, versionIndex) {
+        if (this.isLoading) {
+            return;
+        }
+
+        this.discardComparison();
+        if (this.model.switchMessageVersion(messageId, versionIndex)) {
+            this._notifyListeners({ type: 'historyChanged', messages: this.conversationHistory });
+            await this._saveConversation();
+        }
+    }
+
+    // Conversation management
+    async clearConversation() {
+        // Queued follow-ups belong to the conversation being left
+        this._clearMessageQueue();
+        await this._stopCurrentResponse();
+        this.discardComparison();
+        this.model.clearConversation();
+        localStorage.setItem('activeConversationId', this.model.conversationId);
+        this._notifyListeners({ type: 'conversationCleared' });
+        this._notifyConversationsUpdated();
+    }
+
+    async loadConversations() {
+        try {
+            const records = await this.conversationStore.getAll();
+            this._conversations = this._sortConversations(records.map(record => this._toConversationSummary(record)));
+            this.searchIndex.build(records);
+        } catch (error) {
+            console.warn('Conversation storage unavailable, history will not be persisted:', error);
+            this._conversations = [];
+        }
+
+        this._notifyConversationsUpdated();
+        return this._conversations;
+    }
+
+    async restoreLastConversation() {
+        const lastConversationId = localStorage.getItem('activeConversationId');
+        if (!lastConversationId || !this._conversations.some(c => c.id === lastConversationId)) {
+            return null;
+        }
+
+        return this.openConversation(lastConversationId);
+    }
+
+    async openConversation(conversationId) {
+        if (conversationId === this.activeConversationId && this.conversationHistory.length > 0) {
+            return null;
+        }
+
+        const record = await this.conversationStore.get(conversationId);
+        if (!record) {
+            throw new Error('Conversation not found');
+        }
+
+        await this._showConversation(record);
+        return record;
+    }
+
+    /**
+     * Searches titles, messages and tool calls of all stored conversations
+     * @param {string} query - Words to look for
+     * @param {Object} filters - { providerId, modelId, withinDays }
+     * @returns {Array} Matches with highlighted snippets, see ConversationSearchIndex.search
+     */
+    searchConversations(query, filters = {}) {
+        return this.searchIndex.search(query, {
+            providerId: filters.providerId || null,
+            modelId: filters.modelId || null,
+            from: filters.withinDays ? new Date(Date.now() - filters.withinDays * DAY_MS) : null
+        });
+    }
+
+    getSearchFilterOptions() {
+        return this.searchIndex.getFilterOptions();
+    }
+
+    /**
+     * Opens the conversation of a search result and asks the view to bring the matching message into view
+     * @param {Object} result - A result of searchConversations
+     */
+    async openSearchResult(result) {
+        await this.openConversation(result.conversationId);
+        if (result.messageId) {
+            this._notifyListeners({ type: 'messageFocusRequested', messageId: result.messageId });
+        }
+    }
+
+    /**
+     * Builds a downloadable file of the current conversation
+     * @param {string} format - 'markdown', 'json' or 'html'
+     * @returns {Object} { fileName, mimeType, content }
+     */
+    exportConversation(format) {
+        if (this.conversationHistory.length === 0) {
+            throw new Error('There is nothing to export yet');
+        }
+
+        return this.conversationExporter.export(this.model.toConversationRecord(), format);
+    }
+
+    /**
+     * Rebuilds a conversation from an exported JSON file and opens it, so a
+     * shared transcript can be continued. It is stored as a new conversation.
+     * @param {File} file - The JSON file to import
+     */
+    async importConversation(file) {
+        const record = this.conversationExporter.fromJson(await file.text());
+        record.id = `conversation_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+
+        await this._showConversation(record);
+        await this._saveConversation();
+        return record;
+    }
+
+    async renameConversation(conversationId, title) {
+        const trimmedTitle = title.trim();
+        if (!trimmedTitle) {
+            return;
+        }
+
+        if (conversationId === this.activeConversationId) {
+            this.model.setTitle(trimmedTitle);
+            await this._saveConversation();
+            return;
+        }
+
+        await this._updateStoredConversation(conversationId, record => {
+            record.title = trimmedTitle;
+            record.titleSource = 'user';
+            record.updatedAt = new Date();
+        });
+    }
+
+    /**
+     * Replaces the tags of a conversation. Tags are trimmed, a leading # is dropped
+     * and duplicates that differ only in case are removed.
+     * @param {string} conversationId - Id of the conversation
+     * @param {Array<string>} tags - The new tags
+     */
+    async setConversationTags(conversationId, tags) {
+        const normalized = [];
+        tags.forEach(tag => {
+            const value = tag.trim().replace(/^#+/, '').replace(/\s+/g, ' ').slice(0, MAX_TAG_LENGTH).trim();
+            if (value && !normalized.some(existing => existing.toLowerCase() === value.toLowerCase())) {
+                normalized.push(value);
+            }
+        });
+
+        if (conversationId === this.activeConversationId) {
+            this.model.setTags(normalized);
+            await this._saveConversation();
+            return;
+        }
+
+        await this._updateStoredConversation(conversationId, record => {
+            record.tags = normalized;
+        });
+    }
+
+    /**
+     * Pins a conversation to the top of the list, or unpins it
+     */
+    async setConversationPinned(conversationId, pinned) {
+        if (conversationId === this.activeConversationId) {
+            this.model.setPinned(pinned);
+            await this._saveConversation();
+            return;
+        }
+
+        await this._updateStoredConversation(conversationId, record => {
+            record.pinned = Boolean(pinned);
+        });
+    }
+
+    async deleteConversation(conversationId) {
+        try {
+            await this.conversationStore.delete(conversationId);
+        } catch (error) {
+            this._notifyListeners({ type: 'error', error: `Failed to delete conversation: ${error.message}` });
+            return;
+        }
+
+        this._conversations = this._conversations.filter(c => c.id !== conversationId);
+        this.searchIndex.remove(conversationId);
+
+        if (conversationId === this.activeConversationId) {
+            await this.clearConversation();
+        } else {
+            this._notifyConversationsUpdated();
+        }
+    }
+
+    async _showConversation(record) {
+        this._clearMessageQueue();
+        await this._stopCurrentResponse();
+        this.discardComparison();
+        this.model.loadConversation(record);
+        localStorage.setItem('activeConversationId', record.id);
+
+        this._notifyListeners({
+            type: 'conversationLoaded',
+            conversation: record,
+            messages: this.conversationHistory
+        });
+        this._notifyConversationsUpdated();
+    }
+
+    async _saveConversation() {
+        if (this.conversationHistory.length === 0) {
+            return;
+        }
+
+        const record = this.model.toConversationRecord();
+        try {
+            await this.conversationStore.save(record);
+            localStorage.setItem('activeConversationId', record.id);
+            this.searchIndex.update(record);
+            this._upsertConversationSummary(record);
+        } catch (error) {
+            console.warn('Failed to persist conversation:', error);
+            return;
+        }
+
+        this._generateTitle(record);
+    }
+
+    /**
+     * Changes a conversation that is not open, straight in the store
+     * @param {string} conversationId - Id of the conversation
+     * @param {Function} applyChanges - Receives the stored record to change; returns false to leave it as it is
+     * @returns {Promise<boolean>} Whether the record was saved
+     */
+    async _updateStoredConversation(conversationId, applyChanges) {
+        const record = await this.conversationStore.get(conversationId);
+        if (!record || applyChanges(record) === false) {
+            return false;
+        }
+
+        await this.conversationStore.save(record);
+        this.searchIndex.update(record);
+        this._upsertConversationSummary(record);
+        return true;
+    }
+
+    /**
+     * Names a conversation after its first answer with a short background call to the utility
+     * model, or the model that answered. Titles the user has set are never replaced.
+     */
+    async _generateTitle(record) {
+        if (record.titleSource !== 'message' || this._titleRequests.has(record.id)) {
+            return;
+        }
+
+        const answerIndex = record.messages.findIndex(message =>
+            message.role === 'Assistant' && message.content && message.status !== 'error');
+        if (answerIndex === -1) {
+            return;
+        }
+
+        const answer = record.messages[answerIndex];
+        const target = this.utilityModel || { providerId: answer.providerId || record.providerId, modelId: answer.modelId || record.modelId };
+        if (!target.providerId || !target.modelId) {
+            return;
+        }
+
+        this._titleRequests.add(record.id);
+        const transcript = record.messages
+            .slice(0, answerIndex + 1)
+            .filter(message => message.content)
+            .map(message => `${message.role}: ${message.content.slice(0, TITLE_EXCERPT_LENGTH)}`)
+            .join('\n\n');
+
+        try {
+            const response = await this.apiService.sendChatMessage(target.providerId, target.modelId, [
+                { role: 'User', content: `${TITLE_INSTRUCTION}\n\n${transcript}` }
+            ], null, TITLE_SETTINGS);
+
+            const title = this._cleanTitle(response.Content || response.content || '');
+            if (title) {
+                await this._applyGeneratedTitle(record.id, title);
+            }
+        } catch (error) {
+            console.warn('Failed to generate a conversation title:', error);
+        }
+    }
+
+    async _applyGeneratedTitle(conversationId, title) {
+        if (conversationId === this.activeConversationId) {
+            // The user may have renamed the conversation while the title was being generated
+            if (this.model.titleSource === 'message') {
+                this.model.setTitle(title, 'generated');
+                await this._saveConversation();
+            }
+            return;
+        }
+
+        await this._updateStoredConversation(conversationId, record => {
+            if (record.titleSource !== 'message') {
+                return false;
+            }
+            record.title = title;
+            record.titleSource = 'generated';
+        });
+    }
+
+    _cleanTitle(text) {
+        const firstLine = text.trim().split('\n')[0]
+            .replace(/^(title:\s*)/i, '')
+            .replace(/^["'*#\s]+|["'*.\s]+$/g, '');
+        return firstLine.length > MAX_TITLE_LENGTH ? `${firstLine.slice(0, MAX_TITLE_LENGTH)}…` : firstLine;
+    }
+
+    _upsertConversationSummary(record) {
+        const summary = this._toConversationSummary(record);
+        this._conversations = this._sortConversations([
+            summary,
+            ...this._conversations.filter(c => c.id !== record.id)
+        ]);
+
+        this._notifyConversationsUpdated();
+    }
+
+    _notifyConversationsUpdated() {
+        this._notifyListeners({
+            type: 'conversationsUpdated',
+            conversations: this._conversations,
+            activeId: this.activeConversationId
+        });
+    }
+
+    _toConversationSummary(record) {
+        return {
+            id: record.id,
+            title: record.title || 'New conversation',
+            providerId: record.providerId,
+            modelId: record.modelId,
+            messageCount: record.messages ? record.messages.length : 0,
+            tags: record.tags || [],
+            pinned: Boolean(record.pinned),
+            updatedAt: new Date(record.updatedAt)
+        };
+    }
+
+    _sortConversations(conversations) {
+        // Pinned conversations stay on top, each group newest first
+        return conversations.sort((a, b) => (b.pinned - a.pinned) || (b.updatedAt - a.updatedAt));
+    }
+
+    abortCurrentRequest() {
+        // Compared streams settle as stopped; loading ends once all have finished
+        this._comparisonControllers.forEach(abortController => abortController.abort());
+
+        if (this.model.abortController) {
+            this.model.abortController.abort();
+            this.model.setAbortController(null);
+            this.model.setLoading(false);
+            this._notifyListeners({ type: 'requestAborted' });
+        }
+    }
+
+    async _stopCurrentResponse() {
+        // A stopped answer is kept and saved in its own conversation before another one replaces it
+        const currentStream = this._currentStream;
+        this.abortCurrentRequest();
+        await currentStream;
+    }
+
+    // Commands
+    /**
+     * Reads a slash command typed into the message input, e.g. "/model gpt-4o"
+     * @returns {Object|null} The command for app.js to run, or null when the text is an ordinary message
+     * @throws {Error} When the command's argument cannot be used
+     */
+    parseSlashCommand(text) {
+        return this.commandCatalog.parseSlashCommand(text, this._getCommandContext());
+    }
+
+    /**
+     * Completions for a slash command from the loaded providers, models and plugins
+     * @returns {Array} [{ label, detail, value }]
+     */
+    getSlashSuggestions(text) {
+        return this.commandCatalog.getSlashSuggestions(text, this._getCommandContext());
+    }
+
+    /**
+     * Command palette entries matching what was typed into it
+     * @param {string} query - Words to look for; empty lists everything
+     * @returns {Array} Commands with { label, detail, group }
+     */
+    searchPaletteCommands(query) {
+        const commands = this.commandCatalog.getPaletteCommands(this._getCommandContext());
+        return this.commandCatalog.filterCommands(commands, query);
+    }
+
+    /**
+     * Switches all functions of one plugin on or off
+     */
+    setPluginEnabled(pluginName, enabled) {
+        const functionNames = this._plugins
+            .filter(plugin => (plugin.PluginName || plugin.pluginName) === pluginName)
+            .map(plugin => this._getQualifiedFunctionName(plugin));
+        this.setFunctionsEnabled(functionNames, enabled);
+    }
+
+    /**
+     * Regenerates the last assistant response with the current provider and model
+     */
+    async retryLastResponse() {
+        const lastMessage = this.model.getLastMessage();
+        if (!lastMessage || lastMessage.role !== 'Assistant') {
+            throw new Error('There is no response to retry');
+        }
+        await this.regenerateResponse(lastMessage.id);
+    }
+
+    _getCommandContext() {
+        return {
+            providers: this._providers.map(provider => {
+                const id = provider.Id || provider.id;
+                return { id, name: provider.DisplayName || provider.displayName || id };
+            }),
+            modelOptions: this.getLoadedModelOptions(),
+            plugins: this._plugins,
+            conversations: this.conversations,
+            selectedProvider: this.selectedProvider,
+            selectedModel: this.selectedModel,
+            useTools: this.useTools,
+            activeConversationId: this.activeConversationId
+        };
     }
 
     // Observer pattern for reactive updates
@@ -251,7 +1866,14 @@ export class ChatViewModel {
             isLoading: this.isLoading,
             canSendMessage: this.canSendMessage,
             useTools: this.useTools,
-            plugins: this.plugins
+            plugins: this.plugins,
+            conversations: this.conversations,
+            activeConversationId: this.activeConversationId,
+            compareMode: this.compareMode,
+            compareTargets: this.compareTargets,
+            generationSettings: this.generationSettings,
+            contextStrategy: this.contextStrategy,
+            pendingAttachments: this.pendingAttachments
         };
     }
 }
\ No newline at end of file
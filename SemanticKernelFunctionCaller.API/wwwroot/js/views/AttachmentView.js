@@ -0,0 +1,136 @@
+/**
+ * AttachmentView - Attachment tray of the message composer
+ * Takes files from the file picker, drag-and-drop onto the chat and paste into the message input
+ */
+export class AttachmentView {
+    constructor() {
+        this.dropZone = document.getElementById('chat-column');
+        this.messageInput = document.getElementById('message-input');
+        this.attachButton = document.getElementById('attach-button');
+        this.fileInput = document.getElementById('attachment-input');
+        this.tray = document.getElementById('attachment-tray');
+
+        this._handlers = {
+            add: () => {},
+            remove: () => {}
+        };
+
+        this.attachButton.addEventListener('click', () => this.fileInput.click());
+        this.fileInput.addEventListener('change', () => {
+            this._addFiles(this.fileInput.files);
+            // Picking the same file again should still trigger a change
+            this.fileInput.value = '';
+        });
+
+        this.dropZone.addEventListener('dragover', (e) => {
+            if (!this._hasFiles(e.dataTransfer)) return;
+            e.preventDefault();
+            this.dropZone.classList.add('ring-2', 'ring-inset', 'ring-indigo-400');
+        });
+        this.dropZone.addEventListener('dragleave', (e) => {
+            if (!this.dropZone.contains(e.relatedTarget)) {
+                this._clearDropHighlight();
+            }
+        });
+        this.dropZone.addEventListener('drop', (e) => {
+            if (!this._hasFiles(e.dataTransfer)) return;
+            e.preventDefault();
+            this._clearDropHighlight();
+            this._addFiles(e.dataTransfer.files);
+        });
+
+        this.messageInput.addEventListener('paste', (e) => {
+            const files = e.clipboardData ? e.clipboardData.files : null;
+            if (!files || files.length === 0) return;
+            // Keep pasted text as text; only a plain file or screenshot paste becomes an attachment
+            if (!e.clipboardData.getData('text/plain')) {
+                e.preventDefault();
+                this._addFiles(files);
+            }
+        });
+    }
+
+    /**
+     * Renders the attachments of the message being composed
+     * @param {Array} attachments - Pending attachments from the view model
+     */
+    render(attachments) {
+        this.tray.innerHTML = '';
+        this.tray.classList.toggle('hidden', attachments.length === 0);
+        this.tray.classList.toggle('flex', attachments.length > 0);
+
+        attachments.forEach(attachment => {
+            const chip = document.createElement('div');
+            chip.className = 'flex items-center gap-2 pl-1 pr-2 py-1 bg-gray-100 border border-gray-200 rounded-lg text-xs text-gray-700 max-w-xs';
+            chip.title = this._describe(attachment);
+
+            chip.appendChild(this._createPreview(attachment));
+
+            const name = document.createElement('span');
+            name.className = 'truncate';
+            name.textContent = attachment.name;
+            chip.appendChild(name);
+
+            const removeButton = document.createElement('button');
+            removeButton.type = 'button';
+            removeButton.className = 'text-gray-400 hover:text-red-600';
+            removeButton.textContent = '✕';
+            removeButton.setAttribute('aria-label', `Remove ${attachment.name}`);
+            removeButton.addEventListener('click', () => this._handlers.remove(attachment.id));
+            chip.appendChild(removeButton);
+
+            this.tray.appendChild(chip);
+        });
+    }
+
+    // Event Binding
+    bindAddFiles(handler) {
+        this._handlers.add = handler;
+    }
+
+    bindRemoveAttachment(handler) {
+        this._handlers.remove = handler;
+    }
+
+    // Private helper methods
+    _addFiles(fileList) {
+        const files = Array.from(fileList || []);
+        if (files.length > 0) {
+            this._handlers.add(files);
+        }
+    }
+
+    _hasFiles(dataTransfer) {
+        return Boolean(dataTransfer) && Array.from(dataTransfer.types || []).includes('Files');
+    }
+
+    _clearDropHighlight() {
+        this.dropZone.classList.remove('ring-2', 'ring-inset', 'ring-indigo-400');
+    }
+
+    _createPreview(attachment) {
+        if (attachment.kind === 'image') {
+            const image = document.createElement('img');
+            image.src = `data:${attachment.mediaType};base64,${attachment.data}`;
+            image.alt = '';
+            image.className = 'w-8 h-8 object-cover rounded';
+            return image;
+        }
+
+        const icon = document.createElement('span');
+        icon.className = 'w-8 h-8 flex items-center justify-center bg-white rounded text-base';
+        icon.textContent = '📄';
+        return icon;
+    }
+
+    _describe(attachment) {
+        const size = attachment.size >= 1024 * 1024
+            ? `${(attachment.size / (1024 * 1024)).toFixed(1)} MB`
+            : `${Math.max(1, Math.round(attachment.size / 1024))} KB`;
+        if (attachment.kind === 'image') {
+            return `${attachment.name} · ${size} · sent as an image`;
+        }
+        return `${attachment.name} · ${size} · ${attachment.text.length.toLocaleString()} characters of text`
+            + (attachment.truncated ? ' (truncated)' : '');
+    }
+}
\ No newline at end of file
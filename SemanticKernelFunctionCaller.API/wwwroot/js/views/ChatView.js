@@ -1,3 +1,6 @@
+import { MarkdownRenderer } from './MarkdownRenderer.js';
+import { VirtualMessageList } from './VirtualMessageList.js';
+
 /**
  * ChatView - Handles DOM manipulation and rendering
  * Separates UI concerns from business logic
@@ -7,13 +10,42 @@ export class ChatView {
         this.providerSelect = document.getElementById('provider-select');
         this.modelSelect = document.getElementById('model-select');
         this.useToolsCheckbox = document.getElementById('use-tools');
+        this.streamingCheckbox = document.getElementById('use-streaming');
         this.chatWindow = document.getElementById('chat-window');
+        this.chatScrollContainer = document.getElementById('chat-scroll-container');
+        this.jumpToLatestButton = document.getElementById('jump-to-latest-button');
         this.messageInput = document.getElementById('message-input');
         this.sendButton = document.getElementById('send-button');
+        this.stopButton = document.getElementById('stop-button');
         this.clearButton = document.getElementById('clear-button');
         this.pluginsContainer = document.getElementById('plugins-container');
+        this.conversationUsage = document.getElementById('conversation-usage');
 
-        this.messageElements = new Map(); // Track DOM elements for messages
+        this._messages = new Map(); // Latest version of every message, rendered or not
+        this.messageList = new VirtualMessageList({
+            container: this.chatWindow,
+            scrollElement: this.chatScrollContainer,
+            jumpButton: this.jumpToLatestButton,
+            createElement: (messageId) => this._createMessageElement(this._messages.get(messageId)),
+            onRender: () => this._refreshRegenerateControls()
+        });
+        this.markdownRenderer = new MarkdownRenderer({
+            onSendRunOutput: (output) => this._sendRunOutputHandler(output)
+        });
+        this._isLoading = false;
+        this._hasAttachments = false;
+        this._modelOptions = [];
+        this._messageActionHandlers = {
+            edit: () => {},
+            switchVersion: () => {},
+            regenerate: () => {},
+            toolApproval: () => {}
+        };
+        this._functionToggleHandler = () => {};
+        this._toolApprovalModeHandler = () => {};
+        this._autoApproveHandler = () => {};
+        this._tryFunctionHandler = () => {};
+        this._sendRunOutputHandler = () => {};
     }
 
     // Provider and Model UI Management
@@ -57,26 +89,43 @@ export class ChatView {
         this.modelSelect.value = modelId;
     }
 
+    /**
+     * Sets the provider/model pairs offered by the regenerate dropdown
+     * @param {Array} options - Array of { providerId, providerName, models: [{ id, name }] }
+     */
+    setModelOptions(options) {
+        this._modelOptions = options;
+    }
+
     // Message Rendering
+    // Only messages near the visible part of the chat have elements; the others are built when scrolled to
     renderMessage(message, isUpdate = false) {
         const messageId = this._getMessageId(message);
+        const isNew = !this.messageList.has(messageId);
 
-        if (!isUpdate && this.messageElements.has(messageId)) {
+        if (!isUpdate && !isNew) {
             return; // Message already exists
         }
 
-        let messageElement = this.messageElements.get(messageId);
-
-        if (!messageElement) {
-            messageElement = this._createMessageElement(message);
-            this.messageElements.set(messageId, messageElement);
-            this.chatWindow.appendChild(messageElement);
+        this._messages.set(messageId, message);
+        let messageElement;
+        if (isNew) {
+            messageElement = this.messageList.append(messageId);
         } else {
             // Update existing message content
-            this._updateMessageElement(messageElement, message);
+            messageElement = this.messageList.getElement(messageId);
+            if (messageElement) {
+                this._updateMessageElement(messageElement, message);
+            }
         }
 
-        this._scrollToBottom();
+        this._refreshRegenerateControls();
+        if (isNew && message.role === 'User') {
+            // What the user just sent is always shown, even when they had scrolled up
+            this.messageList.scrollToLatest();
+        } else {
+            this.messageList.followOutput();
+        }
         return messageElement;
     }
 
@@ -91,80 +140,72 @@ export class ChatView {
         };
 
         const messageId = this._getMessageId(streamingMessage);
-        let messageElement = this.messageElements.get(messageId);
+        // Kept with the text so far, for when the message is scrolled back into view mid-stream
+        this._messages.set(messageId, { ...streamingMessage, content, isStreaming: true });
+        const messageElement = this.messageList.getElement(messageId);
 
         if (messageElement) {
             // Find the actual message bubble inside the container
-            const messageBubble = messageElement.querySelector('div');
+            const messageBubble = this._getMessageBubble(messageElement);
             if (messageBubble) {
-                // For streaming updates, parse markdown if it's an assistant message
-                if (streamingMessage.role === 'Assistant') {
-                    messageBubble.innerHTML = marked.parse(content);
-                    // Ensure prose classes are present
-                    if (!messageBubble.classList.contains('prose')) {
-                        messageBubble.classList.add('prose', 'prose-slate', 'prose-sm');
-                    }
-                    
-                    // Highlight code blocks and add language badges
-                    messageBubble.querySelectorAll('pre code').forEach((block) => {
-                        hljs.highlightElement(block);
-                        
-                        // Add language badge
-                        const language = block.className.replace('hljs language-', '').replace('hljs', '') || 'text';
-                        const pre = block.parentElement;
-                        const badge = document.createElement('div');
-                        badge.className = 'absolute top-2 right-2 text-xs text-gray-400 bg-gray-800 px-2 py-1 rounded';
-                        badge.textContent = language;
-                        pre.appendChild(badge);
-                    });
-                    
-                    // Add copy buttons to code blocks
-                    messageBubble.querySelectorAll('pre').forEach((pre) => {
-                        const wrapper = document.createElement('div');
-                        wrapper.className = 'relative group';
-                        pre.parentNode.insertBefore(wrapper, pre);
-                        wrapper.appendChild(pre);
-                        
-                        const copyBtn = document.createElement('button');
-                        copyBtn.innerHTML = '📋';
-                        copyBtn.className = 'absolute top-2 left-2 opacity-0 group-hover:opacity-100 bg-gray-700 text-white px-2 py-1 rounded text-xs transition-opacity';
-                        copyBtn.onclick = () => {
-                            navigator.clipboard.writeText(pre.textContent);
-                            copyBtn.innerHTML = '✓';
-                            setTimeout(() => copyBtn.innerHTML = '📋', 2000);
-                        };
-                        wrapper.appendChild(copyBtn);
-                    });
-                } else {
-                    // Security: Always use textContent for user messages to prevent XSS
-                    messageBubble.textContent = content;
-                }
+                messageBubble.classList.remove('hidden');
+                this._renderMessageContent(messageBubble, streamingMessage.role, content, { streaming: true });
             }
-        } else {
+        } else if (!this.messageList.has(messageId)) {
             // Create temporary element for streaming
-            messageElement = this._createMessageElement(streamingMessage);
-            this.messageElements.set(messageId, messageElement);
-            this.chatWindow.appendChild(messageElement);
+            this.messageList.append(messageId);
         }
 
-        this._scrollToBottom();
+        this.messageList.followOutput();
     }
 
     clearMessages() {
         this.chatWindow.innerHTML = '';
-        this.messageElements.clear();
+        this._messages.clear();
+        this.messageList.clear();
+    }
+
+    renderConversation(messages) {
+        this.clearMessages();
+        messages.forEach(message => this._messages.set(this._getMessageId(message), message));
+        this.messageList.setItems(Array.from(this._messages.keys()));
+        this.messageList.scrollToLatest();
+        this._refreshRegenerateControls();
+    }
+
+    /**
+     * Scrolls a rendered message into view and flashes it, e.g. when it was picked from search results
+     * @param {string} messageId - Id of the message
+     */
+    focusMessage(messageId) {
+        const messageElement = this.messageList.scrollToItem(messageId);
+        if (!messageElement) return;
+
+        // Restart the flash when the same message is picked twice in a row
+        messageElement.classList.remove('search-focus');
+        void messageElement.offsetWidth;
+        messageElement.classList.add('search-focus');
+        messageElement.addEventListener('animationend', () => messageElement.classList.remove('search-focus'), { once: true });
     }
 
     // UI State Management
     setLoading(isLoading) {
-        this.sendButton.disabled = isLoading;
-        this.sendButton.textContent = isLoading ? 'Sending...' : 'Send';
+        this._isLoading = isLoading;
+        // Messages sent while a response is being generated are queued behind it
+        this.sendButton.textContent = isLoading ? 'Queue' : 'Send';
+        this.sendButton.title = isLoading ? 'Send after the current response (Enter)' : '';
 
-        if (isLoading) {
-            this.sendButton.classList.add('opacity-50', 'cursor-not-allowed');
-        } else {
-            this.sendButton.classList.remove('opacity-50', 'cursor-not-allowed');
-        }
+        // Stop is only offered while a response is being generated
+        this.stopButton.classList.toggle('hidden', !isLoading);
+        this._refreshRegenerateControls();
+    }
+
+    setToolsEnabled(useTools) {
+        this.useToolsCheckbox.checked = useTools;
+    }
+
+    setStreamingEnabled(streaming) {
+        this.streamingCheckbox.checked = streaming;
     }
 
     focusMessageInput() {
@@ -175,44 +216,54 @@ export class ChatView {
         this.messageInput.value = '';
     }
 
-    // Error Display
-    showError(message) {
-        const errorElement = document.createElement('div');
-        errorElement.className = 'p-3 mb-2 bg-red-100 border border-red-400 text-red-700 rounded-lg';
-        errorElement.textContent = `⚠️ ${message}`;
+    /**
+     * Lets a message be sent without text when files are attached to it
+     * @param {boolean} hasAttachments - Whether the composer holds attachments
+     */
+    setHasAttachments(hasAttachments) {
+        this._hasAttachments = hasAttachments;
+    }
 
-        // Insert at the top of chat window
-        this.chatWindow.insertBefore(errorElement, this.chatWindow.firstChild);
+    insertIntoMessageInput(text) {
+        const current = this.messageInput.value.trim();
+        this.messageInput.value = current ? `${current}\n\n${text}` : text;
+        this.messageInput.focus();
+    }
 
-        // Auto-remove after 5 seconds
-        setTimeout(() => {
-            if (errorElement.parentNode) {
-                errorElement.parentNode.removeChild(errorElement);
-            }
-        }, 5000);
+    // Error Display
+    showError(message) {
+        this._showBanner(`⚠️ ${message}`, 'bg-red-100 border-red-400 text-red-700');
+    }
 
-        this._scrollToBottom();
+    showNotice(message) {
+        this._showBanner(`ℹ️ ${message}`, 'bg-amber-50 border-amber-300 text-amber-800');
     }
 
-    // Tool invocation display
-    showToolInvocation(functionName, content) {
-        const toolElement = document.createElement('div');
-        toolElement.className = 'p-2 mb-2 bg-blue-50 border border-blue-200 text-blue-700 rounded-lg text-sm';
-        toolElement.innerHTML = `<span class="font-medium">🔧 ${functionName}</span>: ${content}`;
-        
-        this.chatWindow.appendChild(toolElement);
-        this._scrollToBottom();
-        
-        // Auto-remove after 3 seconds
-        setTimeout(() => {
-            if (toolElement.parentNode) {
-                toolElement.parentNode.removeChild(toolElement);
-            }
-        }, 3000);
+    // Tool call timeline
+    renderToolSteps(message) {
+        const messageId = this._getMessageId(message);
+        if (!this.messageList.has(messageId)) return;
+
+        this._messages.set(messageId, message);
+        const messageElement = this.messageList.getElement(messageId);
+        if (messageElement) {
+            this._renderToolTimeline(messageElement, message);
+        }
+        this.messageList.followOutput();
     }
 
     // Plugin display
-    renderPlugins(plugins) {
+    /**
+     * Renders plugin functions grouped by plugin, each with a checkbox to allow
+     * or block it for tool calling, plus a plugin-level toggle
+     * @param {Array} plugins - Plugin functions from /api/chat/plugins
+     * @param {Set} enabledFunctions - Qualified "PluginName.FunctionName" entries that are enabled
+     * @param {Object} approvalSettings - { requireToolApproval, autoApprovedFunctions }
+     */
+    renderPlugins(plugins, enabledFunctions = new Set(), approvalSettings = {}) {
+        const requireToolApproval = Boolean(approvalSettings.requireToolApproval);
+        const autoApprovedFunctions = approvalSettings.autoApprovedFunctions || new Set();
+
         if (!this.pluginsContainer) return;
 
         this.pluginsContainer.innerHTML = '';
@@ -222,37 +273,138 @@ export class ChatView {
             return;
         }
 
+        this.pluginsContainer.appendChild(this._createApprovalModeToggle(requireToolApproval));
+
         const pluginsList = document.createElement('div');
-        pluginsList.className = 'flex gap-2 overflow-x-auto';
+        pluginsList.className = 'flex gap-3 overflow-x-auto';
 
+        const pluginGroups = new Map();
         plugins.forEach(plugin => {
-            const pluginElement = document.createElement('div');
-            pluginElement.className = 'p-2 bg-gray-50 rounded border border-gray-200 flex-shrink-0 w-40';
-            
-            const pluginName = document.createElement('div');
-            pluginName.className = 'font-medium text-sm text-gray-800';
-            pluginName.textContent = `${plugin.PluginName || plugin.pluginName || plugin.plugin || plugin.Plugin}.${plugin.FunctionName || plugin.functionName || plugin.function || plugin.Function}`;
-            
-            const pluginDesc = document.createElement('div');
-            pluginDesc.className = 'text-xs text-gray-600 mt-1';
-            pluginDesc.textContent = plugin.Description || plugin.description || 'No description available';
-            
-            if (plugin.Parameters && plugin.Parameters.length > 0) {
-                const paramsElement = document.createElement('div');
-                paramsElement.className = 'text-xs text-gray-500 mt-1';
-                const params = plugin.Parameters.map(p => p.Name || p.name).join(', ');
-                paramsElement.textContent = `Parameters: ${params}`;
-                pluginElement.appendChild(paramsElement);
+            const pluginName = this._getPluginName(plugin);
+            if (!pluginGroups.has(pluginName)) {
+                pluginGroups.set(pluginName, []);
             }
-            
-            pluginElement.appendChild(pluginName);
-            pluginElement.appendChild(pluginDesc);
-            pluginsList.appendChild(pluginElement);
+            pluginGroups.get(pluginName).push(plugin);
+        });
+
+        pluginGroups.forEach((functions, pluginName) => {
+            const qualifiedNames = functions.map(plugin => `${pluginName}.${this._getFunctionName(plugin)}`);
+            const enabledCount = qualifiedNames.filter(name => enabledFunctions.has(name)).length;
+
+            const group = document.createElement('div');
+            group.className = 'flex-shrink-0';
+
+            const groupToggle = document.createElement('label');
+            groupToggle.className = 'flex items-center gap-1 mb-1 text-xs font-semibold text-gray-700 cursor-pointer';
+
+            const groupCheckbox = document.createElement('input');
+            groupCheckbox.type = 'checkbox';
+            groupCheckbox.className = 'h-3 w-3 text-indigo-600 border-gray-300 rounded';
+            groupCheckbox.checked = enabledCount === qualifiedNames.length;
+            groupCheckbox.indeterminate = enabledCount > 0 && enabledCount < qualifiedNames.length;
+            groupCheckbox.setAttribute('aria-label', `Allow all ${pluginName} functions`);
+            groupCheckbox.addEventListener('change', () => {
+                this._functionToggleHandler(qualifiedNames, groupCheckbox.checked);
+            });
+
+            const groupName = document.createElement('span');
+            groupName.textContent = pluginName;
+
+            groupToggle.appendChild(groupCheckbox);
+            groupToggle.appendChild(groupName);
+            group.appendChild(groupToggle);
+
+            const functionsList = document.createElement('div');
+            functionsList.className = 'flex gap-2';
+
+            functions.forEach((plugin, index) => {
+                const qualifiedName = qualifiedNames[index];
+                const isEnabled = enabledFunctions.has(qualifiedName);
+
+                const pluginElement = document.createElement('label');
+                pluginElement.className = `block p-2 rounded border flex-shrink-0 w-40 cursor-pointer ${isEnabled ? 'bg-gray-50 border-gray-200' : 'bg-white border-dashed border-gray-200 opacity-60'}`;
+
+                const header = document.createElement('div');
+                header.className = 'flex items-start gap-1';
+
+                const checkbox = document.createElement('input');
+                checkbox.type = 'checkbox';
+                checkbox.className = 'mt-0.5 h-3 w-3 text-indigo-600 border-gray-300 rounded';
+                checkbox.checked = isEnabled;
+                checkbox.dataset.functionName = qualifiedName;
+                checkbox.addEventListener('change', () => {
+                    this._functionToggleHandler([qualifiedName], checkbox.checked);
+                });
+
+                const pluginNameElement = document.createElement('div');
+                pluginNameElement.className = 'font-medium text-sm text-gray-800 break-all';
+                pluginNameElement.textContent = qualifiedName;
+
+                header.appendChild(checkbox);
+                header.appendChild(pluginNameElement);
+
+                const pluginDesc = document.createElement('div');
+                pluginDesc.className = 'text-xs text-gray-600 mt-1';
+                pluginDesc.textContent = plugin.Description || plugin.description || 'No description available';
+
+                const tryButton = document.createElement('button');
+                tryButton.type = 'button';
+                tryButton.className = 'mt-1 text-xs text-indigo-600 hover:text-indigo-800';
+                tryButton.textContent = '▶ Try it';
+                tryButton.title = `Invoke ${qualifiedName} directly`;
+                tryButton.addEventListener('click', (e) => {
+                    e.preventDefault();
+                    this._tryFunctionHandler(plugin);
+                });
+
+                pluginElement.appendChild(header);
+                pluginElement.appendChild(pluginDesc);
+
+                if (plugin.Parameters && plugin.Parameters.length > 0) {
+                    const paramsElement = document.createElement('div');
+                    paramsElement.className = 'text-xs text-gray-500 mt-1';
+                    const params = plugin.Parameters.map(p => p.Name || p.name).join(', ');
+                    paramsElement.textContent = `Parameters: ${params}`;
+                    pluginElement.appendChild(paramsElement);
+                }
+
+                pluginElement.appendChild(tryButton);
+
+                if (requireToolApproval) {
+                    pluginElement.appendChild(this._createAutoApproveToggle(qualifiedName, autoApprovedFunctions.has(qualifiedName), isEnabled));
+                }
+
+                functionsList.appendChild(pluginElement);
+            });
+
+            group.appendChild(functionsList);
+            pluginsList.appendChild(group);
         });
 
         this.pluginsContainer.appendChild(pluginsList);
     }
 
+    /**
+     * Shows the running token and cost total of the conversation below the input
+     * @param {Object} usage - { promptTokens, completionTokens, cost, unpricedMessages }
+     */
+    renderConversationUsage(usage) {
+        const totalTokens = usage.promptTokens + usage.completionTokens;
+        this.conversationUsage.classList.toggle('hidden', totalTokens === 0);
+        if (totalTokens === 0) {
+            return;
+        }
+
+        const parts = [`Conversation: ${totalTokens.toLocaleString()} tokens`];
+        if (usage.cost > 0 || usage.unpricedMessages === 0) {
+            parts.push(`${this._formatCost(usage.cost)}${usage.unpricedMessages > 0 ? '+' : ''} estimated`);
+        }
+        this.conversationUsage.textContent = parts.join(' · ');
+        this.conversationUsage.title = usage.unpricedMessages > 0
+            ? `${usage.unpricedMessages} answer(s) from models without pricing are not included in the cost`
+            : `Prompt: ${usage.promptTokens.toLocaleString()} tokens · Completion: ${usage.completionTokens.toLocaleString()} tokens`;
+    }
+
     // Event Binding
     bindProviderChange(handler) {
         this.providerSelect.addEventListener('change', (e) => {
@@ -269,7 +421,7 @@ export class ChatView {
     bindSendMessage(handler) {
         const sendHandler = () => {
             const message = this.messageInput.value.trim();
-            if (message) {
+            if (message || this._hasAttachments) {
                 handler(message);
             }
         };
@@ -284,6 +436,53 @@ export class ChatView {
         });
     }
 
+    bindStopGeneration(handler) {
+        this.stopButton.addEventListener('click', handler);
+
+        document.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape' && !this.stopButton.classList.contains('hidden')) {
+                e.preventDefault();
+                handler();
+            }
+        });
+    }
+
+    bindSendRunOutput(handler) {
+        this._sendRunOutputHandler = handler;
+    }
+
+    bindEditMessage(handler) {
+        this._messageActionHandlers.edit = handler;
+    }
+
+    bindSwitchMessageVersion(handler) {
+        this._messageActionHandlers.switchVersion = handler;
+    }
+
+    bindRegenerateResponse(handler) {
+        this._messageActionHandlers.regenerate = handler;
+    }
+
+    bindFunctionToggle(handler) {
+        this._functionToggleHandler = handler;
+    }
+
+    bindTryFunction(handler) {
+        this._tryFunctionHandler = handler;
+    }
+
+    bindToolApprovalMode(handler) {
+        this._toolApprovalModeHandler = handler;
+    }
+
+    bindAutoApproveFunction(handler) {
+        this._autoApproveHandler = handler;
+    }
+
+    bindToolApproval(handler) {
+        this._messageActionHandlers.toolApproval = handler;
+    }
+
     bindClearConversation(handler) {
         this.clearButton.addEventListener('click', handler);
     }
@@ -294,114 +493,610 @@ export class ChatView {
         });
     }
 
+    bindStreamingToggle(handler) {
+        this.streamingCheckbox.addEventListener('change', (e) => {
+            handler(e.target.checked);
+        });
+    }
+
     // Private helper methods
+    _showBanner(text, colorClasses) {
+        const bannerElement = document.createElement('div');
+        bannerElement.className = `p-3 mb-2 border rounded-lg ${colorClasses}`;
+        bannerElement.textContent = text;
+
+        // Insert at the top of chat window
+        this.chatWindow.insertBefore(bannerElement, this.chatWindow.firstChild);
+
+        // Auto-remove after 5 seconds
+        setTimeout(() => {
+            if (bannerElement.parentNode) {
+                bannerElement.parentNode.removeChild(bannerElement);
+            }
+        }, 5000);
+
+        this.messageList.followOutput();
+    }
+
     _createMessageElement(message) {
         const container = document.createElement('div');
         container.className = this._getMessageContainerClasses(message.role);
+        container.dataset.messageId = this._getMessageId(message);
         
         const element = document.createElement('div');
         element.className = this._getMessageClasses(message.role);
+        element.dataset.messageBubble = 'true';
         
-        // Parse markdown for assistant messages, keep user messages as plain text
-        if (message.role === 'Assistant') {
-            // Use marked.js to parse markdown content
-            element.innerHTML = marked.parse(message.content);
-            // Add prose classes for typography
-            element.classList.add('prose', 'prose-slate', 'prose-sm');
-            
-            // Highlight code blocks and add language badges
-            element.querySelectorAll('pre code').forEach((block) => {
-                hljs.highlightElement(block);
-                
-                // Add language badge
-                const language = block.className.replace('hljs language-', '').replace('hljs', '') || 'text';
-                const pre = block.parentElement;
-                const badge = document.createElement('div');
-                badge.className = 'absolute top-2 right-2 text-xs text-gray-400 bg-gray-800 px-2 py-1 rounded';
-                badge.textContent = language;
-                pre.appendChild(badge);
-            });
-            
-            // Add copy buttons to code blocks
-            element.querySelectorAll('pre').forEach((pre) => {
-                const wrapper = document.createElement('div');
-                wrapper.className = 'relative group';
-                pre.parentNode.insertBefore(wrapper, pre);
-                wrapper.appendChild(pre);
-                
-                const copyBtn = document.createElement('button');
-                copyBtn.innerHTML = '📋';
-                copyBtn.className = 'absolute top-2 left-2 opacity-0 group-hover:opacity-100 bg-gray-700 text-white px-2 py-1 rounded text-xs transition-opacity';
-                copyBtn.onclick = () => {
-                    navigator.clipboard.writeText(pre.textContent);
-                    copyBtn.innerHTML = '✓';
-                    setTimeout(() => copyBtn.innerHTML = '📋', 2000);
-                };
-                wrapper.appendChild(copyBtn);
-            });
-        } else {
-            // Security: Always use textContent for user messages to prevent XSS
-            element.textContent = message.content;
-        }
+        this._renderMessageContent(element, message.role, message.content, { streaming: Boolean(message.isStreaming) });
         
         container.appendChild(element);
+        this._renderAttachments(container, message);
+        this._renderToolTimeline(container, message);
+        this._renderMessageFooter(container, message);
         return container;
     }
 
     _updateMessageElement(element, message) {
         // Find the actual message bubble inside the container
-        const messageBubble = element.querySelector('div');
+        const messageBubble = this._getMessageBubble(element);
         if (messageBubble) {
-            // Parse markdown for assistant messages, keep user messages as plain text
-            if (message.role === 'Assistant') {
-                messageBubble.innerHTML = marked.parse(message.content);
-                // Ensure prose classes are present
-                if (!messageBubble.classList.contains('prose')) {
-                    messageBubble.classList.add('prose', 'prose-slate', 'prose-sm');
-                }
-                
-                // Highlight code blocks and add language badges
-                messageBubble.querySelectorAll('pre code').forEach((block) => {
-                    hljs.highlightElement(block);
-                    
-                    // Add language badge
-                    const language = block.className.replace('hljs language-', '').replace('hljs', '') || 'text';
-                    const pre = block.parentElement;
-                    const badge = document.createElement('div');
-                    badge.className = 'absolute top-2 right-2 text-xs text-gray-400 bg-gray-800 px-2 py-1 rounded';
-                    badge.textContent = language;
-                    pre.appendChild(badge);
-                });
-                
-                // Add copy buttons to code blocks
-                messageBubble.querySelectorAll('pre').forEach((pre) => {
-                    const wrapper = document.createElement('div');
-                    wrapper.className = 'relative group';
-                    pre.parentNode.insertBefore(wrapper, pre);
-                    wrapper.appendChild(pre);
-                    
-                    const copyBtn = document.createElement('button');
-                    copyBtn.innerHTML = '📋';
-                    copyBtn.className = 'absolute top-2 left-2 opacity-0 group-hover:opacity-100 bg-gray-700 text-white px-2 py-1 rounded text-xs transition-opacity';
-                    copyBtn.onclick = () => {
-                        navigator.clipboard.writeText(pre.textContent);
-                        copyBtn.innerHTML = '✓';
-                        setTimeout(() => copyBtn.innerHTML = '📋', 2000);
-                    };
-                    wrapper.appendChild(copyBtn);
-                });
-            } else {
-                // Security: Always use textContent for user messages to prevent XSS
-                messageBubble.textContent = message.content;
+            this._renderMessageContent(messageBubble, message.role, message.content);
+        }
+        this._renderAttachments(element, message);
+        this._renderToolTimeline(element, message);
+        this._renderMessageFooter(element, message);
+    }
+
+    /**
+     * Fills a message bubble: Markdown for assistant messages, plain text for everything else
+     */
+    _renderMessageContent(bubble, role, content, { streaming = false } = {}) {
+        if (role === 'Assistant') {
+            this.markdownRenderer.render(bubble, content, { streaming });
+            bubble.classList.add('prose', 'prose-slate', 'prose-sm');
+        } else {
+            // Security: Always use textContent for user messages to prevent XSS
+            bubble.textContent = content;
+        }
+    }
+
+    _getMessageBubble(element) {
+        return element.querySelector('[data-message-bubble]');
+    }
+
+    /**
+     * Shows the files sent with a message above its bubble: thumbnails for
+     * images, chips for documents whose text was inlined
+     */
+    _renderAttachments(container, message) {
+        const existing = container.querySelector('[data-message-attachments]');
+        if (existing) existing.remove();
+
+        const attachments = message.attachments || [];
+        const bubble = this._getMessageBubble(container);
+        if (attachments.length === 0) {
+            return;
+        }
+
+        const list = document.createElement('div');
+        list.className = 'flex flex-wrap justify-end gap-2 mb-2 max-w-2xl';
+        list.dataset.messageAttachments = 'true';
+
+        attachments.forEach(attachment => {
+            if (attachment.kind === 'image') {
+                const image = document.createElement('img');
+                image.src = `data:${attachment.mediaType};base64,${attachment.data}`;
+                image.alt = attachment.name;
+                image.title = attachment.name;
+                image.className = 'h-24 max-w-[12rem] object-cover rounded-lg border border-gray-200';
+                list.appendChild(image);
+                return;
+            }
+
+            const chip = document.createElement('span');
+            chip.className = 'inline-flex items-center gap-1 px-2 py-1 bg-gray-100 border border-gray-200 rounded-lg text-xs text-gray-700';
+            chip.textContent = `📄 ${attachment.name}`;
+            chip.title = attachment.truncated
+                ? 'Only the start of this document was sent'
+                : 'The text of this document was sent with the message';
+            list.appendChild(chip);
+        });
+
+        container.insertBefore(list, bubble);
+    }
+
+    /**
+     * Renders the tool calls of an assistant message as a collapsible list above
+     * the answer. Plugin output is untrusted, so everything is set as text.
+     */
+    _renderToolTimeline(container, message) {
+        const existingTimeline = container.querySelector('[data-tool-timeline]');
+        const steps = message.toolSteps || [];
+
+        // A bubble without text would show up as an empty box while tools run or next to attachments
+        const messageBubble = this._getMessageBubble(container);
+        if (messageBubble) {
+            const hasAttachments = (message.attachments || []).length > 0;
+            messageBubble.classList.toggle('hidden', (steps.length > 0 || hasAttachments) && !message.content);
+        }
+
+        if (steps.length === 0) {
+            if (existingTimeline) existingTimeline.remove();
+            return;
+        }
+
+        const isRunning = steps.some(step => step.status === 'running');
+        const isAwaitingApproval = steps.some(step => step.status === 'awaiting_approval');
+        const timeline = document.createElement('details');
+        timeline.dataset.toolTimeline = 'true';
+        timeline.className = 'mb-2 w-full max-w-3xl text-sm bg-blue-50 border border-blue-200 rounded-lg';
+        // A pending approval must never be hidden in a collapsed timeline
+        timeline.open = isAwaitingApproval || (existingTimeline ? existingTimeline.open : isRunning);
+
+        const summary = document.createElement('summary');
+        summary.className = 'px-3 py-2 cursor-pointer text-blue-700 font-medium';
+        const totalMs = steps.reduce((sum, step) => sum + (step.durationMs || 0), 0);
+        summary.textContent = `🔧 ${steps.length} tool ${steps.length === 1 ? 'call' : 'calls'}`
+            + (isAwaitingApproval ? ' · waiting for approval' : isRunning ? ' · running…' : ` · ${this._formatDuration(totalMs)}`);
+        timeline.appendChild(summary);
+
+        const list = document.createElement('ol');
+        list.className = 'px-3 pb-2 space-y-2';
+        steps.forEach(step => list.appendChild(this._createToolStepElement(step, message)));
+        timeline.appendChild(list);
+
+        if (existingTimeline) {
+            existingTimeline.replaceWith(timeline);
+        } else {
+            container.prepend(timeline);
+        }
+    }
+
+    _createToolStepElement(step, message) {
+        const item = document.createElement('li');
+        item.className = 'border-l-2 border-blue-200 pl-3';
+        item.dataset.toolStatus = step.status;
+
+        const header = document.createElement('div');
+        header.className = 'flex items-center gap-2 text-gray-700';
+
+        const name = document.createElement('span');
+        name.className = 'font-mono text-xs font-medium';
+        name.textContent = `${this._getToolStepIcon(step.status)} ${step.pluginName ? `${step.pluginName}.` : ''}${step.functionName}`;
+        header.appendChild(name);
+
+        if (step.durationMs !== undefined && step.durationMs !== null) {
+            const duration = document.createElement('span');
+            duration.className = 'text-xs text-gray-400';
+            duration.textContent = this._formatDuration(step.durationMs);
+            header.appendChild(duration);
+        }
+
+        item.appendChild(header);
+
+        if (step.arguments && Object.keys(step.arguments).length > 0) {
+            item.appendChild(this._createToolStepDetail('Arguments', JSON.stringify(step.arguments, null, 2)));
+        }
+
+        if (step.result !== undefined && step.result !== null) {
+            const label = step.status === 'failed' ? 'Error' : step.status === 'denied' ? 'Reason' : 'Result';
+            item.appendChild(this._createToolStepDetail(label, String(step.result)));
+        }
+
+        if (step.status === 'awaiting_approval') {
+            item.appendChild(this._createApprovalControls(step, message));
+        }
+
+        return item;
+    }
+
+    /**
+     * Approve / Edit args / Deny controls for a tool call the server is holding back.
+     * Editing swaps the buttons for one text field per argument.
+     */
+    _createApprovalControls(step, message) {
+        const messageId = this._getMessageId(message);
+        const controls = document.createElement('div');
+        controls.className = 'mt-2 flex items-center gap-2';
+        controls.dataset.toolApproval = step.callId;
+
+        const decide = (decision) => {
+            controls.querySelectorAll('button, input').forEach(element => {
+                element.disabled = true;
+            });
+            this._messageActionHandlers.toolApproval(messageId, step.callId, decision);
+        };
+
+        const approveButton = this._createApprovalButton('Approve', 'bg-indigo-600 text-white hover:bg-indigo-700');
+        approveButton.addEventListener('click', () => decide({ approved: true }));
+
+        const editButton = this._createApprovalButton('Edit args', 'bg-white text-gray-700 border border-gray-300 hover:bg-gray-50');
+        editButton.disabled = !step.arguments || Object.keys(step.arguments).length === 0;
+        editButton.classList.toggle('opacity-50', editButton.disabled);
+        editButton.addEventListener('click', () => {
+            controls.replaceWith(this._createArgumentEditor(step, decide));
+        });
+
+        const denyButton = this._createApprovalButton('Deny', 'bg-white text-red-600 border border-red-200 hover:bg-red-50');
+        denyButton.addEventListener('click', () => decide({ approved: false }));
+
+        controls.appendChild(approveButton);
+        controls.appendChild(editButton);
+        controls.appendChild(denyButton);
+        return controls;
+    }
+
+    _createArgumentEditor(step, decide) {
+        const form = document.createElement('form');
+        form.className = 'mt-2 space-y-1';
+
+        Object.entries(step.arguments).forEach(([name, value]) => {
+            const label = document.createElement('label');
+            label.className = 'flex items-center gap-2 text-xs text-gray-600';
+
+            const labelText = document.createElement('span');
+            labelText.className = 'w-24 font-mono truncate';
+            labelText.textContent = name;
+
+            const input = document.createElement('input');
+            input.type = 'text';
+            input.name = name;
+            input.value = value ?? '';
+            input.className = 'flex-1 px-2 py-1 text-xs border border-gray-300 rounded focus:outline-none focus:ring-indigo-500 focus:border-indigo-500';
+
+            label.appendChild(labelText);
+            label.appendChild(input);
+            form.appendChild(label);
+        });
+
+        const runButton = this._createApprovalButton('Run with these arguments', 'bg-indigo-600 text-white hover:bg-indigo-700');
+        runButton.type = 'submit';
+        form.appendChild(runButton);
+
+        form.addEventListener('submit', (e) => {
+            e.preventDefault();
+            const args = {};
+            form.querySelectorAll('input').forEach(input => {
+                args[input.name] = input.value;
+            });
+            decide({ approved: true, arguments: args });
+        });
+
+        return form;
+    }
+
+    _createApprovalButton(text, colorClasses) {
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.className = `px-2 py-1 text-xs rounded ${colorClasses}`;
+        button.textContent = text;
+        return button;
+    }
+
+    _createApprovalModeToggle(requireToolApproval) {
+        const toggle = document.createElement('label');
+        toggle.className = 'flex items-center gap-1 mb-2 text-xs text-gray-700 cursor-pointer';
+
+        const checkbox = document.createElement('input');
+        checkbox.type = 'checkbox';
+        checkbox.id = 'require-tool-approval';
+        checkbox.className = 'h-3 w-3 text-indigo-600 border-gray-300 rounded';
+        checkbox.checked = requireToolApproval;
+        checkbox.addEventListener('change', () => this._toolApprovalModeHandler(checkbox.checked));
+
+        const text = document.createElement('span');
+        text.textContent = 'Ask before running functions';
+
+        toggle.appendChild(checkbox);
+        toggle.appendChild(text);
+        return toggle;
+    }
+
+    _createAutoApproveToggle(qualifiedName, isAutoApproved, isEnabled) {
+        const toggle = document.createElement('span');
+        toggle.className = 'mt-1 flex items-center gap-1 text-xs text-gray-500';
+
+        const checkbox = document.createElement('input');
+        checkbox.type = 'checkbox';
+        checkbox.className = 'h-3 w-3 text-indigo-600 border-gray-300 rounded';
+        checkbox.checked = isAutoApproved;
+        checkbox.disabled = !isEnabled;
+        checkbox.dataset.autoApprove = qualifiedName;
+        checkbox.setAttribute('aria-label', `Run ${qualifiedName} without asking`);
+        checkbox.addEventListener('change', () => this._autoApproveHandler(qualifiedName, checkbox.checked));
+
+        // The card is a label for the enable checkbox, so the text must not fall through to it
+        const text = document.createElement('span');
+        text.className = 'cursor-pointer';
+        text.textContent = 'Auto-approve';
+        text.addEventListener('click', (e) => {
+            e.preventDefault();
+            if (!checkbox.disabled) checkbox.click();
+        });
+
+        toggle.appendChild(checkbox);
+        toggle.appendChild(text);
+        return toggle;
+    }
+
+    _createToolStepDetail(label, text) {
+        const detail = document.createElement('div');
+        detail.className = 'mt-1';
+
+        const title = document.createElement('div');
+        title.className = 'text-xs text-gray-500';
+        title.textContent = label;
+
+        const body = document.createElement('pre');
+        body.className = 'mt-0.5 p-2 bg-white border border-blue-100 rounded text-xs text-gray-700 whitespace-pre-wrap break-words max-h-48 overflow-y-auto';
+        body.textContent = text;
+
+        detail.appendChild(title);
+        detail.appendChild(body);
+        return detail;
+    }
+
+    _getToolStepIcon(status) {
+        switch (status) {
+            case 'running': return '⏳';
+            case 'completed': return '✅';
+            case 'failed': return '❌';
+            case 'awaiting_approval': return '✋';
+            case 'denied': return '🚫';
+            default: return '⏹';
+        }
+    }
+
+    _formatDuration(ms) {
+        return ms < 1000 ? `${ms} ms` : `${(ms / 1000).toFixed(1)} s`;
+    }
+
+    _formatUsage(usage) {
+        const tokens = `${(usage.promptTokens + usage.completionTokens).toLocaleString()} tokens`;
+        return usage.cost === null ? tokens : `${tokens} · ${this._formatCost(usage.cost)}`;
+    }
+
+    _formatCost(cost) {
+        if (cost > 0 && cost < 0.0001) {
+            return '< $0.0001';
+        }
+        return `$${cost.toFixed(cost < 1 ? 4 : 2)}`;
+    }
+
+    _formatSettings(settings) {
+        if (!settings) return '';
+        return Object.entries(settings)
+            .map(([name, value]) => `${name}: ${Array.isArray(value) ? JSON.stringify(value) : value}`)
+            .join(', ');
+    }
+
+    _renderMessageFooter(container, message) {
+        const existingFooter = container.querySelector('[data-message-footer]');
+        if (existingFooter) {
+            existingFooter.remove();
+        }
+
+        const footer = document.createElement('div');
+        footer.dataset.messageFooter = 'true';
+        footer.className = 'flex items-center gap-2 text-xs text-gray-400 mb-2 -mt-1';
+
+        if (message.versions && message.versions.length > 1) {
+            footer.appendChild(this._createVersionNavigator(message));
+        }
+
+        if (message.role === 'Assistant' && message.modelId) {
+            const modelLabel = document.createElement('span');
+            modelLabel.textContent = message.modelId;
+            modelLabel.title = [`${message.providerId} · ${message.modelId}`, this._formatSettings(message.settings)]
+                .filter(Boolean)
+                .join('\n');
+            footer.appendChild(modelLabel);
+        }
+
+        if (message.role === 'Assistant' && message.usage) {
+            const usageLabel = document.createElement('span');
+            usageLabel.textContent = this._formatUsage(message.usage);
+            usageLabel.title = `Prompt: ${message.usage.promptTokens.toLocaleString()} tokens\nCompletion: ${message.usage.completionTokens.toLocaleString()} tokens`;
+            footer.appendChild(usageLabel);
+        }
+
+        if (message.role === 'Assistant') {
+            footer.appendChild(this._createRegenerateControl(message));
+        }
+
+        if (message.role === 'User') {
+            const editButton = this._createFooterButton('✏️ Edit', 'Edit message');
+            editButton.classList.add('opacity-0', 'group-hover:opacity-100', 'focus:opacity-100');
+            editButton.addEventListener('click', () => this._beginEditMessage(container, message));
+            footer.appendChild(editButton);
+        }
+
+        if (message.status === 'stopped') {
+            const stoppedLabel = document.createElement('span');
+            stoppedLabel.textContent = '⏹ Stopped';
+            footer.appendChild(stoppedLabel);
+        }
+
+        if (footer.childElementCount > 0) {
+            container.appendChild(footer);
+        }
+    }
+
+    _createVersionNavigator(message) {
+        const navigator = document.createElement('span');
+        navigator.className = 'flex items-center gap-1';
+
+        const current = message.activeVersion;
+        const total = message.versions.length;
+
+        const previousButton = this._createFooterButton('‹', 'Previous version');
+        previousButton.disabled = current === 0;
+        previousButton.addEventListener('click', () => this._messageActionHandlers.switchVersion(message.id, current - 1));
+
+        const label = document.createElement('span');
+        label.textContent = `${current + 1}/${total}`;
+
+        const nextButton = this._createFooterButton('›', 'Next version');
+        nextButton.disabled = current === total - 1;
+        nextButton.addEventListener('click', () => this._messageActionHandlers.switchVersion(message.id, current + 1));
+
+        navigator.appendChild(previousButton);
+        navigator.appendChild(label);
+        navigator.appendChild(nextButton);
+        return navigator;
+    }
+
+    _createRegenerateControl(message) {
+        const control = document.createElement('span');
+        control.dataset.regenerateControl = 'true';
+        control.className = 'relative hidden items-center';
+
+        const regenerateButton = this._createFooterButton('🔄 Regenerate', 'Regenerate response');
+        regenerateButton.addEventListener('click', () => this._messageActionHandlers.regenerate(message.id, {}));
+
+        const menuButton = this._createFooterButton('▾', 'Regenerate with a different model');
+        const menu = document.createElement('div');
+        menu.className = 'hidden absolute left-0 top-full z-10 mt-1 w-64 max-h-72 overflow-y-auto bg-white border border-gray-200 rounded-lg shadow-lg py-1 text-sm text-gray-700';
+
+        const closeMenu = () => menu.classList.add('hidden');
+
+        menuButton.addEventListener('click', (e) => {
+            e.stopPropagation();
+            menu.innerHTML = '';
+            this._populateRegenerateMenu(menu, message, closeMenu);
+            menu.classList.toggle('hidden');
+            if (!menu.classList.contains('hidden')) {
+                document.addEventListener('click', closeMenu, { once: true });
             }
+        });
+
+        control.appendChild(regenerateButton);
+        control.appendChild(menuButton);
+        control.appendChild(menu);
+        return control;
+    }
+
+    _populateRegenerateMenu(menu, message, closeMenu) {
+        if (this._modelOptions.length === 0) {
+            const emptyState = document.createElement('div');
+            emptyState.className = 'px-3 py-2 text-gray-400';
+            emptyState.textContent = 'No models loaded';
+            menu.appendChild(emptyState);
+            return;
         }
+
+        this._modelOptions.forEach(option => {
+            const heading = document.createElement('div');
+            heading.className = 'px-3 pt-2 pb-1 text-xs font-semibold uppercase text-gray-400';
+            heading.textContent = option.providerName;
+            menu.appendChild(heading);
+
+            option.models.forEach(model => {
+                const item = document.createElement('button');
+                item.type = 'button';
+                item.className = 'block w-full text-left px-3 py-1 hover:bg-indigo-50';
+                item.textContent = model.name;
+                item.addEventListener('click', (e) => {
+                    e.stopPropagation();
+                    closeMenu();
+                    this._messageActionHandlers.regenerate(message.id, { providerId: option.providerId, modelId: model.id });
+                });
+                menu.appendChild(item);
+            });
+        });
+    }
+
+    /**
+     * Only the last assistant message can be regenerated, and only while idle
+     */
+    _refreshRegenerateControls() {
+        const lastMessageId = this.messageList.lastId;
+
+        this.chatWindow.querySelectorAll('[data-regenerate-control]').forEach(control => {
+            const container = control.closest('[data-message-id]');
+            const isAvailable = !this._isLoading && container && container.dataset.messageId === lastMessageId;
+            control.classList.toggle('hidden', !isAvailable);
+            control.classList.toggle('flex', isAvailable);
+        });
+    }
+
+    _createFooterButton(text, label) {
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.className = 'px-1 rounded hover:text-gray-700 hover:bg-gray-100 disabled:opacity-30 disabled:cursor-default';
+        button.textContent = text;
+        button.title = label;
+        button.setAttribute('aria-label', label);
+        return button;
+    }
+
+    _beginEditMessage(container, message) {
+        if (this._isLoading) {
+            return;
+        }
+
+        const bubble = this._getMessageBubble(container);
+        const footer = container.querySelector('[data-message-footer]');
+
+        const editor = document.createElement('div');
+        editor.className = 'w-full max-w-2xl mb-2';
+
+        const textarea = document.createElement('textarea');
+        textarea.className = 'w-full border border-indigo-300 rounded-lg p-2 text-sm';
+        textarea.rows = Math.min(10, Math.max(3, message.content.split('\n').length));
+        textarea.value = message.content;
+
+        const actions = document.createElement('div');
+        actions.className = 'flex justify-end gap-2 mt-1';
+
+        const cancelButton = document.createElement('button');
+        cancelButton.type = 'button';
+        cancelButton.className = 'px-3 py-1 text-sm rounded-lg border border-gray-300 text-gray-700';
+        cancelButton.textContent = 'Cancel';
+
+        const saveButton = document.createElement('button');
+        saveButton.type = 'button';
+        saveButton.className = 'px-3 py-1 text-sm rounded-lg bg-indigo-600 text-white';
+        saveButton.textContent = 'Save & regenerate';
+
+        const closeEditor = () => {
+            editor.replaceWith(bubble);
+            if (footer) footer.classList.remove('hidden');
+        };
+
+        cancelButton.addEventListener('click', closeEditor);
+        saveButton.addEventListener('click', () => {
+            const newContent = textarea.value.trim();
+            closeEditor();
+            if (newContent && newContent !== message.content) {
+                this._messageActionHandlers.edit(message.id, newContent);
+            }
+        });
+        textarea.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter' && !e.shiftKey) {
+                e.preventDefault();
+                saveButton.click();
+            } else if (e.key === 'Escape') {
+                e.stopPropagation();
+                closeEditor();
+            }
+        });
+
+        actions.appendChild(cancelButton);
+        actions.appendChild(saveButton);
+        editor.appendChild(textarea);
+        editor.appendChild(actions);
+
+        bubble.replaceWith(editor);
+        if (footer) footer.classList.add('hidden');
+        textarea.focus();
     }
 
     _getMessageContainerClasses(role) {
         if (role === 'User') {
-            return 'flex justify-end';
+            return 'group flex flex-col items-end';
         } else {
-            return 'flex justify-start';
+            return 'group flex flex-col items-start';
         }
     }
     
@@ -415,6 +1110,14 @@ export class ChatView {
         }
     }
 
+    _getPluginName(plugin) {
+        return plugin.PluginName || plugin.pluginName || plugin.plugin || plugin.Plugin;
+    }
+
+    _getFunctionName(plugin) {
+        return plugin.FunctionName || plugin.functionName || plugin.function || plugin.Function;
+    }
+
     _getMessageId(message) {
         // Create a stable ID based on timestamp and role only
         // Content changes during streaming, so we can't use it for ID
@@ -432,10 +1135,6 @@ export class ChatView {
         selectElement.appendChild(option);
     }
 
-    _scrollToBottom() {
-        this.chatWindow.scrollTop = this.chatWindow.scrollHeight;
-    }
-
     // Typing indicator methods
     showTypingIndicator() {
         const indicator = document.createElement('div');
@@ -443,7 +1142,7 @@ export class ChatView {
         indicator.className = 'p-3 rounded-lg mb-2 bg-gray-200 max-w-xs mr-auto';
         indicator.innerHTML = '<span class="flex space-x-1"><span class="w-2 h-2 bg-gray-500 rounded-full animate-bounce"></span><span class="w-2 h-2 bg-gray-500 rounded-full animate-bounce" style="animation-delay: 0.1s"></span><span class="w-2 h-2 bg-gray-500 rounded-full animate-bounce" style="animation-delay: 0.2s"></span></span>';
         this.chatWindow.appendChild(indicator);
-        this._scrollToBottom();
+        this.messageList.followOutput();
     }
 
     hideTypingIndicator() {
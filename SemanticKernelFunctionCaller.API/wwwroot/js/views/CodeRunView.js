@@ -0,0 +1,125 @@
+import { CodeSandbox } from '../services/CodeSandbox.js';
+
+const LOG_LEVEL_CLASSES = {
+    error: 'text-red-400',
+    warn: 'text-yellow-300',
+    debug: 'text-gray-400'
+};
+
+/**
+ * CodeRunView - Run/Preview button and inline output for JavaScript, HTML and CSS code blocks
+ * The output panel sits under the block and can send what JavaScript printed back to the model;
+ * HTML and CSS previews run no scripts, so they have no output
+ */
+export class CodeRunView {
+    /**
+     * @param {Object} options - { onSendOutput(text) } leave out where output cannot be sent, e.g. in comparisons
+     */
+    constructor({ onSendOutput = null } = {}) {
+        this.sandbox = new CodeSandbox();
+        this._onSendOutput = onSendOutput;
+    }
+
+    /**
+     * Adds a Run/Preview button to a decorated code block when its language can be run
+     * @param {HTMLElement} wrapper - The block's wrapper holding the pre element and its buttons
+     * @param {HTMLElement} code - The code element
+     * @param {string} language - The fence language
+     */
+    attach(wrapper, code, language) {
+        const runnableLanguage = this.sandbox.getRunnableLanguage(language);
+        if (!runnableLanguage) {
+            return;
+        }
+
+        const label = runnableLanguage === 'javascript' ? '▶ Run' : '▶ Preview';
+        const runButton = document.createElement('button');
+        runButton.type = 'button';
+        runButton.textContent = label;
+        runButton.title = runnableLanguage === 'javascript' ? 'Run in a sandbox' : 'Preview in a sandbox';
+        runButton.className = 'absolute top-2 left-12 opacity-0 group-hover:opacity-100 focus:opacity-100 bg-gray-700 text-white px-2 py-1 rounded text-xs transition-opacity disabled:opacity-50';
+        runButton.addEventListener('click', async () => {
+            runButton.disabled = true;
+            runButton.textContent = 'Running…';
+            try {
+                await this._run(wrapper, runnableLanguage, code.textContent);
+            } finally {
+                runButton.disabled = false;
+                runButton.textContent = label;
+            }
+        });
+        wrapper.appendChild(runButton);
+    }
+
+    // Private helper methods
+    async _run(wrapper, language, source) {
+        wrapper.querySelector('[data-run-output]')?.remove();
+
+        const panel = document.createElement('div');
+        panel.dataset.runOutput = '';
+        panel.className = 'not-prose -mt-4 mb-6 rounded-b-lg border border-gray-200 overflow-hidden text-xs';
+
+        const frameContainer = document.createElement('div');
+        const consoleOutput = document.createElement('div');
+        consoleOutput.className = 'bg-gray-900 text-gray-100 font-mono px-3 py-2 max-h-64 overflow-y-auto whitespace-pre-wrap break-words';
+        consoleOutput.setAttribute('aria-live', 'polite');
+
+        const footer = document.createElement('div');
+        footer.className = 'flex items-center gap-3 px-3 py-1.5 bg-gray-50 text-gray-500';
+        const status = document.createElement('span');
+        status.className = 'flex-1';
+        status.textContent = 'Running…';
+        footer.appendChild(status);
+
+        const isPreview = language !== 'javascript';
+        panel.appendChild(frameContainer);
+        if (!isPreview) {
+            panel.appendChild(consoleOutput);
+        }
+        panel.appendChild(footer);
+        wrapper.appendChild(panel);
+
+        const logs = [];
+        const result = await this.sandbox.run(language, source, frameContainer, {
+            onLog: (log) => {
+                logs.push(log);
+                this._appendLog(consoleOutput, log);
+            }
+        });
+
+        if (result.timedOut) {
+            status.textContent = `Stopped after ${Math.round(result.durationMs / 1000)} s`;
+        } else {
+            status.textContent = isPreview ? 'Preview without scripts' : `Finished in ${result.durationMs} ms`;
+        }
+        if (logs.length === 0 && !isPreview) {
+            this._appendLog(consoleOutput, { level: 'debug', text: '(no output)' });
+        }
+
+        if (this._onSendOutput && !isPreview) {
+            footer.appendChild(this._createFooterButton('Send output back', (button) => {
+                this._onSendOutput(this.sandbox.formatOutput(language, logs, result));
+                button.disabled = true;
+                button.textContent = 'Sent';
+            }));
+        }
+        footer.appendChild(this._createFooterButton('Close', () => panel.remove()));
+    }
+
+    _appendLog(consoleOutput, log) {
+        const line = document.createElement('div');
+        line.className = LOG_LEVEL_CLASSES[log.level] || '';
+        line.textContent = log.text;
+        consoleOutput.appendChild(line);
+        consoleOutput.scrollTop = consoleOutput.scrollHeight;
+    }
+
+    _createFooterButton(label, onClick) {
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.textContent = label;
+        button.className = 'text-indigo-600 hover:text-indigo-800 disabled:text-gray-400';
+        button.addEventListener('click', () => onClick(button));
+        return button;
+    }
+}
\ No newline at end of file
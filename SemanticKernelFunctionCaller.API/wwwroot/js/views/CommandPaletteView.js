@@ -0,0 +1,180 @@
+/**
+ * CommandPaletteView - Ctrl/Cmd+K dialog to run any command from the keyboard
+ * Typing narrows the commands, the arrow keys choose one and Enter runs it
+ */
+export class CommandPaletteView {
+    constructor() {
+        this.dialog = document.getElementById('command-palette');
+        this.input = document.getElementById('command-palette-input');
+        this.list = document.getElementById('command-palette-list');
+
+        this._commands = [];
+        this._activeIndex = 0;
+        this._returnFocus = null;
+        this._handlers = {
+            open: () => {},
+            search: () => {},
+            run: () => {}
+        };
+
+        document.addEventListener('keydown', (e) => {
+            if ((e.ctrlKey || e.metaKey) && !e.altKey && !e.shiftKey && e.key.toLowerCase() === 'k') {
+                e.preventDefault();
+                if (this.isOpen) {
+                    this.close();
+                } else {
+                    this._handlers.open();
+                }
+            } else if (e.key === 'Escape' && this.isOpen) {
+                e.stopPropagation();
+                this.close();
+            }
+        });
+        this.dialog.addEventListener('click', (e) => {
+            if (e.target === this.dialog) this.close();
+        });
+        this.input.addEventListener('input', () => this._handlers.search(this.input.value));
+        this.input.addEventListener('keydown', (e) => this._handleKeydown(e));
+    }
+
+    get isOpen() {
+        return !this.dialog.classList.contains('hidden');
+    }
+
+    open() {
+        if (!this.isOpen) {
+            this._returnFocus = document.activeElement;
+        }
+        this.input.value = '';
+        this.dialog.classList.remove('hidden');
+        this.dialog.classList.add('flex');
+        this.input.focus();
+        this._handlers.search('');
+    }
+
+    close() {
+        this.dialog.classList.add('hidden');
+        this.dialog.classList.remove('flex');
+        if (this._returnFocus && this._returnFocus.isConnected) {
+            this._returnFocus.focus();
+        }
+        this._returnFocus = null;
+    }
+
+    /**
+     * Searches again with the current query, e.g. after more models were loaded
+     */
+    refresh() {
+        if (this.isOpen) {
+            this._handlers.search(this.input.value);
+        }
+    }
+
+    /**
+     * Lists the commands matching the current query, grouped under headings
+     * @param {Array} commands - Commands with { label, detail, group }, best match first
+     */
+    renderCommands(commands) {
+        this._commands = commands;
+        this._activeIndex = 0;
+        this.list.innerHTML = '';
+
+        if (commands.length === 0) {
+            const emptyState = document.createElement('li');
+            emptyState.className = 'px-4 py-2 text-sm text-gray-500';
+            emptyState.textContent = 'No matching commands';
+            this.list.appendChild(emptyState);
+            this.input.removeAttribute('aria-activedescendant');
+            return;
+        }
+
+        let group = null;
+        commands.forEach((command, index) => {
+            if (command.group !== group) {
+                group = command.group;
+                const heading = document.createElement('li');
+                heading.setAttribute('role', 'presentation');
+                heading.className = 'px-4 pt-2 pb-1 text-xs font-semibold uppercase tracking-wide text-gray-400';
+                heading.textContent = group;
+                this.list.appendChild(heading);
+            }
+            this.list.appendChild(this._createItem(command, index));
+        });
+        this._highlight(0);
+    }
+
+    // Event Binding
+    bindOpen(handler) {
+        this._handlers.open = handler;
+    }
+
+    bindSearch(handler) {
+        this._handlers.search = handler;
+    }
+
+    bindRun(handler) {
+        this._handlers.run = handler;
+    }
+
+    // Private helper methods
+    _handleKeydown(e) {
+        if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+            e.preventDefault();
+            if (this._commands.length > 0) {
+                const step = e.key === 'ArrowDown' ? 1 : -1;
+                this._highlight((this._activeIndex + step + this._commands.length) % this._commands.length);
+            }
+        } else if (e.key === 'Enter') {
+            e.preventDefault();
+            this._run(this._activeIndex);
+        }
+    }
+
+    _run(index) {
+        const command = this._commands[index];
+        if (!command) {
+            return;
+        }
+        this.close();
+        this._handlers.run(command);
+    }
+
+    _highlight(index) {
+        this._activeIndex = index;
+        this.list.querySelectorAll('[role="option"]').forEach(item => {
+            const isActive = Number(item.dataset.index) === index;
+            item.setAttribute('aria-selected', String(isActive));
+            item.classList.toggle('bg-indigo-50', isActive);
+            if (isActive) {
+                this.input.setAttribute('aria-activedescendant', item.id);
+                item.scrollIntoView({ block: 'nearest' });
+            }
+        });
+    }
+
+    _createItem(command, index) {
+        const item = document.createElement('li');
+        item.id = `command-palette-option-${index}`;
+        item.dataset.index = index;
+        item.setAttribute('role', 'option');
+        item.className = 'flex items-baseline justify-between gap-4 px-4 py-2 cursor-pointer text-sm';
+
+        const label = document.createElement('span');
+        label.className = 'text-gray-800 truncate';
+        label.textContent = command.label;
+        item.appendChild(label);
+
+        if (command.detail) {
+            const detail = document.createElement('span');
+            detail.className = 'text-xs text-gray-400 truncate';
+            detail.textContent = command.detail;
+            item.appendChild(detail);
+        }
+
+        item.addEventListener('mousemove', () => {
+            if (this._activeIndex !== index) this._highlight(index);
+        });
+        item.addEventListener('click', () => this._run(index));
+        return item;
+    }
+}
\ No newline at end of file
@@ -0,0 +1,323 @@
+import { MarkdownRenderer } from './MarkdownRenderer.js';
+
+/**
+ * ComparisonView - Renders the multi-model comparison mode
+ * Owns the compare target pickers in the header and the side-by-side response columns
+ */
+export class ComparisonView {
+    constructor() {
+        this.chatWindow = document.getElementById('chat-window');
+        this.compareToggle = document.getElementById('compare-mode');
+        this.targetsContainer = document.getElementById('compare-targets');
+
+        this.panel = null;
+        this.columnElements = new Map();
+        this.markdownRenderer = new MarkdownRenderer();
+        this._modelOptions = [];
+        this._targets = [];
+
+        this._handlers = {
+            targetsChange: () => {},
+            stopColumn: () => {},
+            keep: () => {},
+            discard: () => {}
+        };
+    }
+
+    // Compare targets
+    setCompareMode(enabled) {
+        this.compareToggle.checked = enabled;
+        this.targetsContainer.classList.toggle('hidden', !enabled);
+        this.targetsContainer.classList.toggle('flex', enabled);
+    }
+
+    setModelOptions(options) {
+        this._modelOptions = options;
+        this.renderTargets(this._targets);
+    }
+
+    renderTargets(targets) {
+        this._targets = targets;
+        this.targetsContainer.innerHTML = '';
+
+        targets.forEach((target, index) => {
+            const row = document.createElement('div');
+            row.className = 'flex items-center gap-1';
+
+            const select = this._createTargetSelect(target);
+            select.setAttribute('aria-label', `Compare model ${index + 1}`);
+            select.addEventListener('change', () => {
+                const [providerId, modelId] = JSON.parse(select.value);
+                this._emitTargets(targets.map((t, i) => i === index ? { providerId, modelId } : t));
+            });
+            row.appendChild(select);
+
+            if (targets.length > 2) {
+                const removeButton = this._createButton('✕', 'Remove model from comparison');
+                removeButton.className = 'text-xs text-gray-400 hover:text-red-600 px-1';
+                removeButton.addEventListener('click', () => {
+                    this._emitTargets(targets.filter((_, i) => i !== index));
+                });
+                row.appendChild(removeButton);
+            }
+
+            this.targetsContainer.appendChild(row);
+        });
+
+        if (targets.length < 4) {
+            const addButton = this._createButton('+ Add model', 'Add model to comparison');
+            addButton.className = 'text-sm text-indigo-600 hover:text-indigo-800 px-2';
+            addButton.addEventListener('click', () => {
+                this._emitTargets([...targets, this._suggestTarget(targets)]);
+            });
+            this.targetsContainer.appendChild(addButton);
+        }
+    }
+
+    // Comparison columns
+    renderComparison(comparison) {
+        this.removeComparison();
+
+        this.panel = document.createElement('div');
+        this.panel.className = 'mb-4 p-3 bg-gray-50 border border-gray-200 rounded-lg';
+        this.panel.dataset.comparisonPanel = 'true';
+
+        const header = document.createElement('div');
+        header.className = 'flex items-center justify-between mb-2 text-sm text-gray-600';
+
+        const title = document.createElement('span');
+        title.className = 'font-medium';
+        title.textContent = `Comparing ${comparison.columns.length} models`;
+
+        const discardButton = this._createButton('Discard', 'Discard all compared responses');
+        discardButton.className = 'text-xs text-gray-500 hover:text-red-600';
+        discardButton.addEventListener('click', () => this._handlers.discard());
+
+        header.appendChild(title);
+        header.appendChild(discardButton);
+
+        const grid = document.createElement('div');
+        grid.className = 'grid gap-3 overflow-x-auto';
+        grid.style.gridTemplateColumns = `repeat(${comparison.columns.length}, minmax(240px, 1fr))`;
+
+        comparison.columns.forEach(column => {
+            const columnElement = this._createColumnElement(column);
+            this.columnElements.set(column.id, columnElement);
+            grid.appendChild(columnElement);
+        });
+
+        this.panel.appendChild(header);
+        this.panel.appendChild(grid);
+        this.chatWindow.appendChild(this.panel);
+        comparison.columns.forEach(column => this.updateColumn(column));
+    }
+
+    updateColumn(column) {
+        const columnElement = this.columnElements.get(column.id);
+        if (!columnElement) return;
+
+        const body = columnElement.querySelector('[data-column-body]');
+        if (column.status === 'error' && !column.content) {
+            body.classList.remove('prose', 'prose-slate', 'prose-sm');
+            body.classList.add('text-red-600');
+            body.textContent = `Error: ${column.error}`;
+        } else {
+            this.markdownRenderer.render(body, column.content, { streaming: column.status === 'streaming' });
+        }
+
+        columnElement.querySelector('[data-column-status]').textContent = this._formatStatus(column);
+        columnElement.querySelector('[data-column-stats]').textContent = this._formatStats(column);
+
+        const isStreaming = column.status === 'streaming';
+        columnElement.querySelector('[data-column-stop]').classList.toggle('hidden', !isStreaming);
+
+        const keepButton = columnElement.querySelector('[data-column-keep]');
+        keepButton.disabled = isStreaming || !column.content;
+        keepButton.classList.toggle('opacity-50', keepButton.disabled);
+
+        this._scrollToBottom();
+    }
+
+    removeComparison() {
+        if (this.panel) {
+            this.panel.remove();
+            this.panel = null;
+        }
+        this.columnElements.clear();
+    }
+
+    // Event Binding
+    bindCompareModeToggle(handler) {
+        this.compareToggle.addEventListener('change', (e) => handler(e.target.checked));
+    }
+
+    bindTargetsChange(handler) {
+        this._handlers.targetsChange = handler;
+    }
+
+    bindStopColumn(handler) {
+        this._handlers.stopColumn = handler;
+    }
+
+    bindKeepResponse(handler) {
+        this._handlers.keep = handler;
+    }
+
+    bindDiscardComparison(handler) {
+        this._handlers.discard = handler;
+    }
+
+    // Private helper methods
+    _createTargetSelect(target) {
+        const select = document.createElement('select');
+        select.className = 'block pl-2 pr-8 py-1 text-sm border-gray-300 focus:outline-none focus:ring-indigo-500 focus:border-indigo-500 rounded-md';
+
+        const hasTarget = this._modelOptions.some(option =>
+            option.providerId === target.providerId && option.models.some(m => m.id === target.modelId));
+        if (!hasTarget) {
+            // Keep a stored target visible even before its provider's models are loaded
+            const placeholder = document.createElement('option');
+            placeholder.value = JSON.stringify([target.providerId, target.modelId]);
+            placeholder.textContent = target.modelId || 'Select a model';
+            select.appendChild(placeholder);
+        }
+
+        this._modelOptions.forEach(option => {
+            const group = document.createElement('optgroup');
+            group.label = option.providerName;
+            option.models.forEach(model => {
+                const modelOption = document.createElement('option');
+                modelOption.value = JSON.stringify([option.providerId, model.id]);
+                modelOption.textContent = model.name;
+                group.appendChild(modelOption);
+            });
+            select.appendChild(group);
+        });
+
+        select.value = JSON.stringify([target.providerId, target.modelId]);
+        return select;
+    }
+
+    _suggestTarget(targets) {
+        const allModels = this._modelOptions.flatMap(option =>
+            option.models.map(model => ({ providerId: option.providerId, modelId: model.id })));
+        const unused = allModels.find(candidate =>
+            !targets.some(t => t.providerId === candidate.providerId && t.modelId === candidate.modelId));
+        return unused || allModels[0] || { providerId: '', modelId: '' };
+    }
+
+    _emitTargets(targets) {
+        this._handlers.targetsChange(targets);
+    }
+
+    _createColumnElement(column) {
+        const columnElement = document.createElement('div');
+        columnElement.className = 'flex flex-col min-w-0 bg-white border border-gray-200 rounded-lg';
+        columnElement.dataset.columnId = column.id;
+
+        const header = document.createElement('div');
+        header.className = 'flex items-center justify-between gap-2 px-3 py-2 border-b border-gray-100';
+
+        const label = document.createElement('div');
+        label.className = 'min-w-0';
+
+        const modelName = document.createElement('div');
+        modelName.className = 'truncate text-sm font-medium text-gray-800';
+        modelName.textContent = this._getModelName(column);
+        modelName.title = `${column.providerId} · ${column.modelId}`;
+
+        const status = document.createElement('div');
+        status.className = 'text-xs text-gray-400';
+        status.dataset.columnStatus = 'true';
+        status.textContent = this._formatStatus(column);
+
+        label.appendChild(modelName);
+        label.appendChild(status);
+
+        const stopButton = this._createButton('⏹', 'Stop this response');
+        stopButton.className = 'text-xs text-gray-500 hover:text-gray-900';
+        stopButton.dataset.columnStop = 'true';
+        stopButton.addEventListener('click', () => this._handlers.stopColumn(column.id));
+
+        header.appendChild(label);
+        header.appendChild(stopButton);
+
+        const body = document.createElement('div');
+        body.className = 'flex-1 px-3 py-2 prose prose-slate prose-sm break-words';
+        body.dataset.columnBody = 'true';
+
+        const footer = document.createElement('div');
+        footer.className = 'flex items-center justify-between gap-2 px-3 py-2 border-t border-gray-100';
+
+        const stats = document.createElement('span');
+        stats.className = 'text-xs text-gray-400';
+        stats.dataset.columnStats = 'true';
+
+        const keepButton = this._createButton('Keep this answer', 'Keep this answer in the conversation');
+        keepButton.className = 'text-xs bg-indigo-600 text-white px-2 py-1 rounded opacity-50';
+        keepButton.dataset.columnKeep = 'true';
+        keepButton.disabled = true;
+        keepButton.addEventListener('click', () => this._handlers.keep(column.id));
+
+        footer.appendChild(stats);
+        footer.appendChild(keepButton);
+
+        columnElement.appendChild(header);
+        columnElement.appendChild(body);
+        columnElement.appendChild(footer);
+        return columnElement;
+    }
+
+    _createButton(text, label) {
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.textContent = text;
+        button.title = label;
+        button.setAttribute('aria-label', label);
+        return button;
+    }
+
+    _getModelName(column) {
+        const option = this._modelOptions.find(o => o.providerId === column.providerId);
+        const model = option?.models.find(m => m.id === column.modelId);
+        return model?.name || column.modelId;
+    }
+
+    _formatStatus(column) {
+        switch (column.status) {
+            case 'streaming':
+                return column.latencyMs === null ? 'Waiting for first token…' : 'Streaming…';
+            case 'stopped':
+                return 'Stopped';
+            case 'error':
+                return 'Failed';
+            default:
+                return 'Done';
+        }
+    }
+
+    _formatStats(column) {
+        const parts = [];
+        if (column.latencyMs !== null) {
+            parts.push(`${this._formatDuration(column.latencyMs)} to first token`);
+        }
+        if (column.durationMs !== null) {
+            parts.push(`${this._formatDuration(column.durationMs)} total`);
+        }
+
+        const words = column.content.trim() ? column.content.trim().split(/\s+/).length : 0;
+        parts.push(`${words} words · ${column.content.length} chars`);
+        if (column.usage) {
+            parts.push(`${(column.usage.promptTokens + column.usage.completionTokens).toLocaleString()} tokens`);
+        }
+        return parts.join(' · ');
+    }
+
+    _formatDuration(ms) {
+        return ms < 1000 ? `${ms} ms` : `${(ms / 1000).toFixed(1)} s`;
+    }
+
+    _scrollToBottom() {
+        this.chatWindow.scrollTop = this.chatWindow.scrollHeight;
+    }
+}
\ No newline at end of file
@@ -0,0 +1,68 @@
+const WARNING_RATIO = 0.7;
+const DANGER_RATIO = 0.9;
+
+/**
+ * ContextMeterView - Shows how full the selected model's context window is
+ * Also holds the choice of what happens to older turns once it is full
+ */
+export class ContextMeterView {
+    constructor() {
+        this.container = document.getElementById('context-meter');
+        this.meter = this.container.querySelector('[role="meter"]');
+        this.bar = document.getElementById('context-meter-bar');
+        this.label = document.getElementById('context-meter-label');
+        this.strategySelect = document.getElementById('context-strategy');
+    }
+
+    /**
+     * Renders the context estimate of the next request
+     * @param {Object|null} usage - { contextWindow, budget, estimatedTokens, droppedMessages, strategy, isSummarized },
+     *   or null to hide the meter when the model's context length is unknown
+     * @param {string} strategy - The selected context strategy
+     */
+    render(usage, strategy) {
+        this.strategySelect.value = strategy;
+
+        this.container.classList.toggle('hidden', !usage);
+        this.container.classList.toggle('flex', Boolean(usage));
+        if (!usage) {
+            return;
+        }
+
+        const ratio = usage.estimatedTokens / usage.contextWindow;
+        const percent = Math.round(ratio * 100);
+        this.bar.style.width = `${Math.min(percent, 100)}%`;
+        this.bar.classList.toggle('bg-indigo-500', ratio < WARNING_RATIO);
+        this.bar.classList.toggle('bg-yellow-500', ratio >= WARNING_RATIO && ratio < DANGER_RATIO);
+        this.bar.classList.toggle('bg-red-500', ratio >= DANGER_RATIO);
+        this.meter.setAttribute('aria-valuenow', String(Math.min(percent, 100)));
+
+        this.label.textContent = `~${this._formatTokens(usage.estimatedTokens)} / ${this._formatTokens(usage.contextWindow)} tokens`;
+        this.container.title = this._describe(usage, percent);
+    }
+
+    // Event Binding
+    bindStrategyChange(handler) {
+        this.strategySelect.addEventListener('change', (e) => handler(e.target.value));
+    }
+
+    // Private helper methods
+    _describe(usage, percent) {
+        const lines = [`About ${percent}% of the context window is used by the next request.`];
+        if (usage.isSummarized) {
+            lines.push('Older messages are replaced by a summary.');
+        }
+        if (usage.droppedMessages > 0) {
+            lines.push(usage.strategy === 'summarize'
+                ? `${usage.droppedMessages} older message(s) will be summarised.`
+                : `${usage.droppedMessages} older message(s) will not be sent.`);
+        } else if (usage.strategy === 'none' && usage.estimatedTokens > usage.budget) {
+            lines.push('The conversation no longer fits; the request may be rejected.');
+        }
+        return lines.join('\n');
+    }
+
+    _formatTokens(tokens) {
+        return tokens >= 1000 ? `${(tokens / 1000).toFixed(tokens >= 10000 ? 0 : 1)}k` : String(tokens);
+    }
+}
\ No newline at end of file
@@ -0,0 +1,206 @@
+const SEARCH_DELAY_MS = 150;
+
+/**
+ * ConversationSearchView - Search box, filters and results in the conversation sidebar
+ * While a search is typed the results take the place of the conversation list
+ */
+export class ConversationSearchView {
+    constructor() {
+        this.searchInput = document.getElementById('conversation-search-input');
+        this.filtersContainer = document.getElementById('conversation-search-filters');
+        this.providerFilter = document.getElementById('search-provider-filter');
+        this.modelFilter = document.getElementById('search-model-filter');
+        this.dateFilter = document.getElementById('search-date-filter');
+        this.resultsList = document.getElementById('conversation-search-results');
+        this.conversationList = document.getElementById('conversation-list');
+
+        this._filterOptions = { providers: [], models: [] };
+        this._searchTimer = null;
+
+        this._handlers = {
+            search: () => {},
+            open: () => {}
+        };
+
+        this.searchInput.addEventListener('input', () => {
+            clearTimeout(this._searchTimer);
+            this._searchTimer = setTimeout(() => this._runSearch(), SEARCH_DELAY_MS);
+        });
+        this.searchInput.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape') {
+                e.stopPropagation();
+                this.clear();
+            }
+        });
+        this.providerFilter.addEventListener('change', () => {
+            this._renderModelOptions();
+            this._runSearch();
+        });
+        this.modelFilter.addEventListener('change', () => this._runSearch());
+        this.dateFilter.addEventListener('change', () => this._runSearch());
+    }
+
+    get isActive() {
+        return this.searchInput.value.trim() !== '';
+    }
+
+    /**
+     * Fills the provider and model filters, keeping the current choices where they still exist
+     * @param {Object} options - { providers: [providerId], models: [{ providerId, modelId }] }
+     */
+    setFilterOptions(options) {
+        this._filterOptions = options;
+        this._fillSelect(this.providerFilter, 'All providers', options.providers.map(providerId => ({ value: providerId, label: providerId })));
+        this._renderModelOptions();
+    }
+
+    /**
+     * Renders search results with the matching words highlighted
+     * @param {Array} results - Results of ChatViewModel.searchConversations
+     */
+    renderResults(results) {
+        this.resultsList.innerHTML = '';
+
+        if (results.length === 0) {
+            const emptyState = document.createElement('p');
+            emptyState.className = 'px-3 py-2 text-sm text-gray-500';
+            emptyState.textContent = 'No matches';
+            this.resultsList.appendChild(emptyState);
+            return;
+        }
+
+        results.forEach(result => this.resultsList.appendChild(this._createResultItem(result)));
+    }
+
+    /**
+     * Searches again with the current query, e.g. after conversations were saved or deleted
+     */
+    refresh() {
+        if (this.isActive) {
+            this._runSearch();
+        }
+    }
+
+    clear() {
+        clearTimeout(this._searchTimer);
+        this.searchInput.value = '';
+        this._runSearch();
+    }
+
+    // Event Binding
+    bindSearch(handler) {
+        this._handlers.search = handler;
+    }
+
+    bindOpenResult(handler) {
+        this._handlers.open = handler;
+    }
+
+    // Private helper methods
+    _runSearch() {
+        const isActive = this.isActive;
+        this.filtersContainer.classList.toggle('hidden', !isActive);
+        this.resultsList.classList.toggle('hidden', !isActive);
+        this.conversationList.classList.toggle('hidden', isActive);
+
+        if (isActive) {
+            this._handlers.search(this.searchInput.value.trim(), {
+                providerId: this.providerFilter.value,
+                modelId: this.modelFilter.value,
+                withinDays: Number(this.dateFilter.value) || null
+            });
+        }
+    }
+
+    _renderModelOptions() {
+        const providerId = this.providerFilter.value;
+        const models = this._filterOptions.models
+            .filter(model => !providerId || model.providerId === providerId)
+            .map(model => model.modelId);
+        this._fillSelect(this.modelFilter, 'All models', [...new Set(models)].map(modelId => ({ value: modelId, label: modelId })));
+    }
+
+    _fillSelect(select, allLabel, options) {
+        const selected = select.value;
+        select.innerHTML = '';
+        [{ value: '', label: allLabel }, ...options].forEach(option => {
+            const element = document.createElement('option');
+            element.value = option.value;
+            element.textContent = option.label;
+            select.appendChild(element);
+        });
+        select.value = options.some(option => option.value === selected) ? selected : '';
+    }
+
+    _createResultItem(result) {
+        const item = document.createElement('div');
+        item.className = 'px-3 py-2 rounded-lg cursor-pointer text-sm text-gray-700 hover:bg-gray-100 focus:outline-none focus:bg-gray-100';
+        item.tabIndex = 0;
+        item.setAttribute('role', 'button');
+
+        const title = document.createElement('div');
+        title.className = 'truncate font-medium';
+        if (result.field === 'title') {
+            this._appendSnippet(title, result.snippet);
+        } else {
+            title.textContent = result.conversationTitle;
+        }
+
+        const meta = document.createElement('div');
+        meta.className = 'text-xs text-gray-400 truncate';
+        meta.textContent = [this._describeMatch(result), result.modelId, this._formatDate(result.date)].filter(Boolean).join(' · ');
+
+        item.addEventListener('click', () => this._handlers.open(result));
+        item.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter') {
+                e.preventDefault();
+                this._handlers.open(result);
+            }
+        });
+
+        item.appendChild(title);
+        item.appendChild(meta);
+        if (result.field !== 'title') {
+            const snippet = document.createElement('div');
+            snippet.className = 'text-xs text-gray-600 mt-0.5 line-clamp-3 break-words';
+            this._appendSnippet(snippet, result.snippet);
+            item.appendChild(snippet);
+        }
+        return item;
+    }
+
+    _appendSnippet(element, parts) {
+        // Built from text nodes so message contents are never parsed as HTML
+        parts.forEach(part => {
+            if (part.highlight) {
+                const mark = document.createElement('mark');
+                mark.className = 'bg-yellow-200 text-gray-900 rounded-sm';
+                mark.textContent = part.text;
+                element.appendChild(mark);
+            } else {
+                element.appendChild(document.createTextNode(part.text));
+            }
+        });
+    }
+
+    _describeMatch(result) {
+        switch (result.field) {
+            case 'title':
+                return 'Title';
+            case 'tags':
+                return 'Tag';
+            case 'tool':
+                return `${result.role} · tool call`;
+            default:
+                return result.role;
+        }
+    }
+
+    _formatDate(date) {
+        const value = new Date(date);
+        const isToday = value.toDateString() === new Date().toDateString();
+        return isToday
+            ? value.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })
+            : value.toLocaleDateString();
+    }
+}
\ No newline at end of file
@@ -0,0 +1,364 @@
+/**
+ * ConversationSidebarView - Renders the list of stored conversations
+ * Lets the user start, switch, rename, tag, pin, delete, export and import conversations
+ */
+export class ConversationSidebarView {
+    constructor() {
+        this.sidebar = document.getElementById('conversation-sidebar');
+        this.conversationList = document.getElementById('conversation-list');
+        this.newConversationButton = document.getElementById('new-conversation-button');
+        this.importButton = document.getElementById('import-conversation-button');
+        this.importInput = document.getElementById('import-conversation-input');
+        this.exportButton = document.getElementById('export-conversation-button');
+        this.exportMenu = document.getElementById('export-menu');
+        this.utilityModelSelect = document.getElementById('utility-model-select');
+
+        this._modelOptions = [];
+        this._utilityModel = null;
+
+        this._handlers = {
+            select: () => {},
+            rename: () => {},
+            tags: () => {},
+            pin: () => {},
+            delete: () => {},
+            export: () => {},
+            import: () => {},
+            utilityModelChange: () => {},
+            utilityModelOpen: () => {}
+        };
+
+        this.utilityModelSelect.addEventListener('focus', () => this._handlers.utilityModelOpen());
+        this.utilityModelSelect.addEventListener('change', () => {
+            const value = this.utilityModelSelect.value;
+            if (!value) {
+                this._handlers.utilityModelChange(null);
+                return;
+            }
+            const [providerId, modelId] = JSON.parse(value);
+            this._handlers.utilityModelChange({ providerId, modelId });
+        });
+
+        this.importButton.addEventListener('click', () => this.importInput.click());
+        this.importInput.addEventListener('change', () => {
+            const file = this.importInput.files[0];
+            this.importInput.value = '';
+            if (file) this._handlers.import(file);
+        });
+
+        this.exportButton.addEventListener('click', (e) => {
+            e.stopPropagation();
+            this._setExportMenuOpen(this.exportMenu.classList.contains('hidden'));
+        });
+        this.exportMenu.querySelectorAll('[data-export-format]').forEach(item => {
+            item.addEventListener('click', () => {
+                this._setExportMenuOpen(false);
+                this._handlers.export(item.dataset.exportFormat);
+            });
+        });
+        document.addEventListener('click', (e) => {
+            if (!this.exportMenu.contains(e.target)) this._setExportMenuOpen(false);
+        });
+    }
+
+    renderConversations(conversations, activeId) {
+        this.conversationList.innerHTML = '';
+
+        if (conversations.length === 0) {
+            const emptyState = document.createElement('p');
+            emptyState.className = 'px-3 py-2 text-sm text-gray-500';
+            emptyState.textContent = 'No saved conversations yet';
+            this.conversationList.appendChild(emptyState);
+            return;
+        }
+
+        conversations.forEach(conversation => {
+            this.conversationList.appendChild(this._createConversationItem(conversation, conversation.id === activeId));
+        });
+    }
+
+    /**
+     * Sets the provider/model pairs offered for the utility model
+     * @param {Array} options - Array of { providerId, providerName, models: [{ id, name }] }
+     */
+    setModelOptions(options) {
+        this._modelOptions = options;
+        this._renderUtilityModelOptions();
+    }
+
+    /**
+     * Shows the model used for background tasks
+     * @param {Object|null} target - { providerId, modelId }, or null for the chat model
+     */
+    setUtilityModel(target) {
+        this._utilityModel = target;
+        this._renderUtilityModelOptions();
+    }
+
+    /**
+     * Offers a file to the browser as a download
+     * @param {Object} file - { fileName, mimeType, content }
+     */
+    downloadFile(file) {
+        const url = URL.createObjectURL(new Blob([file.content], { type: file.mimeType }));
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = file.fileName;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        setTimeout(() => URL.revokeObjectURL(url), 0);
+    }
+
+    // Event Binding
+    bindNewConversation(handler) {
+        this.newConversationButton.addEventListener('click', handler);
+    }
+
+    bindSelectConversation(handler) {
+        this._handlers.select = handler;
+    }
+
+    bindRenameConversation(handler) {
+        this._handlers.rename = handler;
+    }
+
+    bindTagConversation(handler) {
+        this._handlers.tags = handler;
+    }
+
+    bindPinConversation(handler) {
+        this._handlers.pin = handler;
+    }
+
+    bindDeleteConversation(handler) {
+        this._handlers.delete = handler;
+    }
+
+    bindExportConversation(handler) {
+        this._handlers.export = handler;
+    }
+
+    bindImportConversation(handler) {
+        this._handlers.import = handler;
+    }
+
+    bindUtilityModelChange(handler) {
+        this._handlers.utilityModelChange = handler;
+    }
+
+    /**
+     * Called when the utility model picker is opened, so models of every provider can be loaded
+     */
+    bindUtilityModelOpen(handler) {
+        this._handlers.utilityModelOpen = handler;
+    }
+
+    // Private helper methods
+    _setExportMenuOpen(isOpen) {
+        this.exportMenu.classList.toggle('hidden', !isOpen);
+        this.exportButton.setAttribute('aria-expanded', String(isOpen));
+    }
+
+    _createConversationItem(conversation, isActive) {
+        const item = document.createElement('div');
+        item.className = `conversation-item group flex items-center gap-1 px-3 py-2 rounded-lg cursor-pointer text-sm ${isActive ? 'bg-indigo-50 text-indigo-700' : 'text-gray-700 hover:bg-gray-100'}`;
+        item.dataset.conversationId = conversation.id;
+
+        const details = document.createElement('div');
+        details.className = 'flex-1 min-w-0';
+
+        const title = document.createElement('div');
+        title.className = 'truncate font-medium';
+        title.textContent = conversation.title;
+
+        const meta = document.createElement('div');
+        meta.className = 'text-xs text-gray-400 truncate';
+        meta.textContent = `${this._formatDate(conversation.updatedAt)} · ${conversation.messageCount} messages`;
+
+        details.appendChild(title);
+        details.appendChild(meta);
+        if (conversation.tags.length > 0) {
+            details.appendChild(this._createTagList(conversation.tags));
+        }
+
+        const pinButton = this._createActionButton('📌', conversation.pinned ? 'Unpin conversation' : 'Pin conversation');
+        if (conversation.pinned) {
+            // A pinned conversation keeps its pin visible
+            pinButton.classList.remove('opacity-0');
+        }
+        pinButton.addEventListener('click', (e) => {
+            e.stopPropagation();
+            this._handlers.pin(conversation.id, !conversation.pinned);
+        });
+
+        const tagButton = this._createActionButton('🏷️', 'Edit tags');
+        tagButton.addEventListener('click', (e) => {
+            e.stopPropagation();
+            this._beginTagEdit(details, conversation);
+        });
+
+        const renameButton = this._createActionButton('✏️', 'Rename conversation');
+        renameButton.addEventListener('click', (e) => {
+            e.stopPropagation();
+            this._beginRename(item, title, conversation);
+        });
+
+        const deleteButton = this._createActionButton('🗑️', 'Delete conversation');
+        deleteButton.addEventListener('click', (e) => {
+            e.stopPropagation();
+            if (confirm(`Delete "${conversation.title}"? This cannot be undone.`)) {
+                this._handlers.delete(conversation.id);
+            }
+        });
+
+        item.addEventListener('click', () => this._handlers.select(conversation.id));
+
+        item.appendChild(details);
+        item.appendChild(pinButton);
+        item.appendChild(tagButton);
+        item.appendChild(renameButton);
+        item.appendChild(deleteButton);
+        return item;
+    }
+
+    _createActionButton(icon, label) {
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.className = 'opacity-0 group-hover:opacity-100 text-xs px-1 transition-opacity';
+        button.textContent = icon;
+        button.title = label;
+        button.setAttribute('aria-label', label);
+        return button;
+    }
+
+    _beginRename(item, titleElement, conversation) {
+        const input = document.createElement('input');
+        input.type = 'text';
+        input.value = conversation.title;
+        input.className = 'w-full px-1 py-0.5 text-sm border border-indigo-300 rounded';
+
+        let committed = false;
+        const commit = (save) => {
+            if (committed) return;
+            committed = true;
+            const newTitle = input.value.trim();
+            if (save && newTitle && newTitle !== conversation.title) {
+                titleElement.textContent = newTitle;
+                this._handlers.rename(conversation.id, newTitle);
+            }
+            input.replaceWith(titleElement);
+        };
+
+        input.addEventListener('click', (e) => e.stopPropagation());
+        input.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter') {
+                e.preventDefault();
+                commit(true);
+            } else if (e.key === 'Escape') {
+                commit(false);
+            }
+        });
+        input.addEventListener('blur', () => commit(true));
+
+        titleElement.replaceWith(input);
+        input.focus();
+        input.select();
+    }
+
+    _createTagList(tags) {
+        const list = document.createElement('div');
+        list.className = 'flex flex-wrap gap-1 mt-0.5';
+        list.dataset.tagList = 'true';
+        tags.forEach(tag => {
+            const chip = document.createElement('span');
+            chip.className = 'px-1.5 rounded bg-gray-200 text-gray-600 text-xs truncate max-w-full';
+            chip.textContent = `#${tag}`;
+            list.appendChild(chip);
+        });
+        return list;
+    }
+
+    _beginTagEdit(details, conversation) {
+        const tagList = details.querySelector('[data-tag-list]');
+        const input = document.createElement('input');
+        input.type = 'text';
+        input.value = conversation.tags.join(', ');
+        input.placeholder = 'Tags, separated by commas';
+        input.className = 'w-full mt-0.5 px-1 py-0.5 text-xs border border-indigo-300 rounded';
+
+        let committed = false;
+        const commit = (save) => {
+            if (committed) return;
+            committed = true;
+            input.remove();
+            if (tagList) {
+                tagList.classList.remove('hidden');
+            }
+            const tags = input.value.split(',').map(tag => tag.trim()).filter(Boolean);
+            if (save && tags.join(',') !== conversation.tags.join(',')) {
+                this._handlers.tags(conversation.id, tags);
+            }
+        };
+
+        input.addEventListener('click', (e) => e.stopPropagation());
+        input.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter') {
+                e.preventDefault();
+                commit(true);
+            } else if (e.key === 'Escape') {
+                commit(false);
+            }
+        });
+        input.addEventListener('blur', () => commit(true));
+
+        if (tagList) {
+            tagList.classList.add('hidden');
+        }
+        details.appendChild(input);
+        input.focus();
+    }
+
+    _renderUtilityModelOptions() {
+        const select = this.utilityModelSelect;
+        select.innerHTML = '';
+
+        const chatModelOption = document.createElement('option');
+        chatModelOption.value = '';
+        chatModelOption.textContent = 'Same as the chat model';
+        select.appendChild(chatModelOption);
+
+        const target = this._utilityModel;
+        const hasTarget = Boolean(target) && this._modelOptions.some(option =>
+            option.providerId === target.providerId && option.models.some(m => m.id === target.modelId));
+        if (target && !hasTarget) {
+            // Keep the stored choice visible before its provider's models are loaded
+            const placeholder = document.createElement('option');
+            placeholder.value = JSON.stringify([target.providerId, target.modelId]);
+            placeholder.textContent = target.modelId;
+            select.appendChild(placeholder);
+        }
+
+        this._modelOptions.forEach(option => {
+            const group = document.createElement('optgroup');
+            group.label = option.providerName;
+            option.models.forEach(model => {
+                const modelOption = document.createElement('option');
+                modelOption.value = JSON.stringify([option.providerId, model.id]);
+                modelOption.textContent = model.name;
+                group.appendChild(modelOption);
+            });
+            select.appendChild(group);
+        });
+
+        select.value = target ? JSON.stringify([target.providerId, target.modelId]) : '';
+    }
+
+    _formatDate(date) {
+        const value = new Date(date);
+        const isToday = value.toDateString() === new Date().toDateString();
+        return isToday
+            ? value.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })
+            : value.toLocaleDateString();
+    }
+}
\ No newline at end of file
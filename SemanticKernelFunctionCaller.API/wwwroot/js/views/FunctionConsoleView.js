@@ -0,0 +1,232 @@
+const NUMBER_TYPES = ['Byte', 'SByte', 'Int16', 'UInt16', 'Int32', 'UInt32', 'Int64', 'UInt64'];
+const DECIMAL_TYPES = ['Single', 'Double', 'Decimal'];
+
+/**
+ * FunctionConsoleView - "Try it" dialog for invoking a plugin function directly
+ * Builds a typed form from the function parameters and shows the raw outcome
+ */
+export class FunctionConsoleView {
+    constructor() {
+        this.dialog = document.getElementById('function-console');
+        this.title = document.getElementById('function-console-title');
+        this.description = document.getElementById('function-console-description');
+        this.form = document.getElementById('function-console-form');
+        this.output = document.getElementById('function-console-output');
+        this.closeButton = document.getElementById('function-console-close');
+
+        this._plugin = null;
+        this._lastArguments = {};
+        this._handlers = {
+            invoke: () => {},
+            insert: () => {}
+        };
+
+        this.closeButton.addEventListener('click', () => this.close());
+        this.dialog.addEventListener('click', (e) => {
+            if (e.target === this.dialog) this.close();
+        });
+        document.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape' && this.isOpen) {
+                e.stopPropagation();
+                this.close();
+            }
+        });
+        this.form.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this._submit();
+        });
+    }
+
+    get isOpen() {
+        return !this.dialog.classList.contains('hidden');
+    }
+
+    open(plugin) {
+        this._plugin = plugin;
+
+        this.title.textContent = `${this._getPluginName(plugin)}.${this._getFunctionName(plugin)}`;
+        this.description.textContent = plugin.Description || plugin.description || '';
+        this._renderForm(plugin.Parameters || plugin.parameters || []);
+        this.output.innerHTML = '';
+        this.output.classList.add('hidden');
+
+        this.dialog.classList.remove('hidden');
+        this.dialog.classList.add('flex');
+
+        const firstInput = this.form.querySelector('input, textarea');
+        if (firstInput) firstInput.focus();
+    }
+
+    close() {
+        this.dialog.classList.add('hidden');
+        this.dialog.classList.remove('flex');
+        this._plugin = null;
+    }
+
+    setRunning(isRunning) {
+        const submitButton = this.form.querySelector('[type="submit"]');
+        if (submitButton) {
+            submitButton.disabled = isRunning;
+            submitButton.textContent = isRunning ? 'Running...' : 'Invoke';
+            submitButton.classList.toggle('opacity-50', isRunning);
+        }
+    }
+
+    /**
+     * Shows the outcome of an invocation
+     * @param {Object} invocation - { succeeded, result, error, durationMs }
+     */
+    renderResult(invocation) {
+        this.output.innerHTML = '';
+        this.output.classList.remove('hidden');
+
+        const status = document.createElement('div');
+        status.className = `text-sm font-medium ${invocation.succeeded ? 'text-green-700' : 'text-red-700'}`;
+        status.textContent = invocation.succeeded
+            ? `✅ Completed in ${invocation.durationMs} ms`
+            : `❌ Failed after ${invocation.durationMs} ms`;
+
+        const body = document.createElement('pre');
+        body.className = 'mt-2 p-2 bg-gray-50 border border-gray-200 rounded text-xs text-gray-800 whitespace-pre-wrap break-words max-h-64 overflow-y-auto';
+        body.textContent = invocation.succeeded ? (invocation.result ?? '(no result)') : invocation.error;
+
+        this.output.appendChild(status);
+        this.output.appendChild(body);
+
+        if (invocation.succeeded && invocation.result) {
+            const insertButton = document.createElement('button');
+            insertButton.type = 'button';
+            insertButton.className = 'mt-2 text-sm text-indigo-600 hover:text-indigo-800';
+            insertButton.textContent = 'Insert result into chat';
+            insertButton.addEventListener('click', () => {
+                this._handlers.insert(this._formatAsContext(invocation));
+                this.close();
+            });
+            this.output.appendChild(insertButton);
+        }
+    }
+
+    renderError(message) {
+        this.renderResult({ succeeded: false, result: null, error: message, durationMs: 0 });
+    }
+
+    // Event Binding
+    bindInvoke(handler) {
+        this._handlers.invoke = handler;
+    }
+
+    bindInsertResult(handler) {
+        this._handlers.insert = handler;
+    }
+
+    // Private helper methods
+    _renderForm(parameters) {
+        this.form.innerHTML = '';
+
+        if (parameters.length === 0) {
+            const emptyState = document.createElement('p');
+            emptyState.className = 'text-sm text-gray-500';
+            emptyState.textContent = 'This function takes no parameters.';
+            this.form.appendChild(emptyState);
+        }
+
+        parameters.forEach(parameter => {
+            this.form.appendChild(this._createField(parameter));
+        });
+
+        const submitButton = document.createElement('button');
+        submitButton.type = 'submit';
+        submitButton.className = 'bg-indigo-600 text-white px-4 py-2 rounded-lg text-sm';
+        submitButton.textContent = 'Invoke';
+        this.form.appendChild(submitButton);
+    }
+
+    _createField(parameter) {
+        const name = parameter.Name || parameter.name;
+        const type = parameter.Type || parameter.type || 'String';
+        const isRequired = parameter.IsRequired ?? parameter.isRequired ?? false;
+        const inputId = `function-console-${name}`;
+
+        const field = document.createElement('div');
+
+        const label = document.createElement('label');
+        label.htmlFor = inputId;
+        label.className = 'block text-sm font-medium text-gray-700';
+        label.textContent = `${name}${isRequired ? ' *' : ''}`;
+
+        const typeHint = document.createElement('span');
+        typeHint.className = 'ml-1 text-xs font-normal text-gray-400';
+        typeHint.textContent = type;
+        label.appendChild(typeHint);
+
+        field.appendChild(label);
+
+        let input;
+        if (type === 'Boolean') {
+            // A select keeps "not set" distinct from false for optional flags
+            input = document.createElement('select');
+            ['', 'true', 'false'].forEach(value => {
+                const option = document.createElement('option');
+                option.value = value;
+                option.textContent = value || '(default)';
+                input.appendChild(option);
+            });
+        } else {
+            input = document.createElement('input');
+            if (NUMBER_TYPES.includes(type)) {
+                input.type = 'number';
+                input.step = '1';
+            } else if (DECIMAL_TYPES.includes(type)) {
+                input.type = 'number';
+                input.step = 'any';
+            } else {
+                input.type = 'text';
+            }
+        }
+
+        input.id = inputId;
+        input.name = name;
+        input.required = isRequired;
+        input.className = 'mt-1 block w-full px-2 py-1 text-sm border border-gray-300 rounded-md focus:outline-none focus:ring-indigo-500 focus:border-indigo-500';
+        field.appendChild(input);
+
+        const description = parameter.Description || parameter.description;
+        if (description) {
+            const hint = document.createElement('p');
+            hint.className = 'mt-0.5 text-xs text-gray-500';
+            hint.textContent = description;
+            field.appendChild(hint);
+        }
+
+        return field;
+    }
+
+    async _submit() {
+        if (!this._plugin) return;
+
+        const args = {};
+        this.form.querySelectorAll('input, select').forEach(input => {
+            if (input.value !== '') {
+                args[input.name] = input.value;
+            }
+        });
+
+        this._lastArguments = args;
+        await this._handlers.invoke(this._getPluginName(this._plugin), this._getFunctionName(this._plugin), args);
+    }
+
+    _formatAsContext(invocation) {
+        const args = Object.entries(this._lastArguments || {})
+            .map(([name, value]) => `${name}=${value}`)
+            .join(', ');
+        return `Result of ${this.title.textContent}(${args}):\n\`\`\`\n${invocation.result}\n\`\`\``;
+    }
+
+    _getPluginName(plugin) {
+        return plugin.PluginName || plugin.pluginName;
+    }
+
+    _getFunctionName(plugin) {
+        return plugin.FunctionName || plugin.functionName;
+    }
+}
\ No newline at end of file
@@ -0,0 +1,131 @@
+const INTEGER_SETTINGS = ['maxOutputTokens', 'seed'];
+const MAX_STOP_SEQUENCES = 4;
+
+/**
+ * GenerationSettingsView - Sampling settings dialog of the selected model
+ * Empty fields fall back to the model's catalog default, or the provider's own
+ */
+export class GenerationSettingsView {
+    constructor() {
+        this.openButton = document.getElementById('generation-settings-button');
+        this.dialog = document.getElementById('generation-settings-dialog');
+        this.modelLabel = document.getElementById('generation-settings-model');
+        this.form = document.getElementById('generation-settings-form');
+        this.stopSequencesInput = document.getElementById('setting-stop-sequences');
+        this.resetButton = document.getElementById('generation-settings-reset');
+        this.closeButton = document.getElementById('generation-settings-close');
+
+        this._settings = {};
+        this._defaults = {};
+        this._handlers = {
+            submit: () => {},
+            reset: () => {}
+        };
+
+        this.openButton.addEventListener('click', () => this.open());
+        this.closeButton.addEventListener('click', () => this.close());
+        this.dialog.addEventListener('click', (e) => {
+            if (e.target === this.dialog) this.close();
+        });
+        document.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape' && this.isOpen) {
+                e.stopPropagation();
+                this.close();
+            }
+        });
+        this.stopSequencesInput.addEventListener('input', () => this.stopSequencesInput.setCustomValidity(''));
+        this.form.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this._submit();
+        });
+        this.resetButton.addEventListener('click', () => {
+            this._handlers.reset();
+            this.close();
+        });
+    }
+
+    get isOpen() {
+        return !this.dialog.classList.contains('hidden');
+    }
+
+    /**
+     * Renders the settings of the selected model
+     * @param {Object} settings - The settings requests are sent with
+     * @param {Object} defaults - The model's catalog defaults
+     * @param {string} modelId - The selected model
+     */
+    render(settings, defaults, modelId) {
+        this._settings = settings;
+        this._defaults = defaults;
+        this.modelLabel.textContent = modelId ? `For ${modelId}` : 'Select a model first';
+
+        const isCustomized = Object.keys(settings).some(name =>
+            JSON.stringify(settings[name]) !== JSON.stringify(defaults[name]));
+        this.openButton.classList.toggle('text-indigo-600', isCustomized);
+        this.openButton.title = isCustomized ? 'Generation settings (customized)' : 'Generation settings';
+
+        if (this.isOpen) {
+            this._fillForm();
+        }
+    }
+
+    open() {
+        this._fillForm();
+
+        this.dialog.classList.remove('hidden');
+        this.dialog.classList.add('flex');
+
+        const firstInput = this.form.querySelector('input');
+        if (firstInput) firstInput.focus();
+    }
+
+    close() {
+        this.dialog.classList.add('hidden');
+        this.dialog.classList.remove('flex');
+    }
+
+    // Event Binding
+    bindSettingsSubmit(handler) {
+        this._handlers.submit = handler;
+    }
+
+    bindSettingsReset(handler) {
+        this._handlers.reset = handler;
+    }
+
+    // Private helper methods
+    _fillForm() {
+        this.form.querySelectorAll('input').forEach(input => {
+            const value = this._settings[input.name];
+            input.value = value ?? '';
+            input.placeholder = this._defaults[input.name] !== undefined
+                ? `Model default: ${this._defaults[input.name]}`
+                : 'Provider default';
+        });
+
+        this.stopSequencesInput.value = (this._settings.stopSequences || []).join('\n');
+        this.stopSequencesInput.setCustomValidity('');
+    }
+
+    _submit() {
+        const stopSequences = this.stopSequencesInput.value
+            .split('\n')
+            .filter(sequence => sequence.trim());
+        if (stopSequences.length > MAX_STOP_SEQUENCES) {
+            this.stopSequencesInput.setCustomValidity(`Use at most ${MAX_STOP_SEQUENCES} stop sequences`);
+            this.stopSequencesInput.reportValidity();
+            return;
+        }
+
+        const settings = { stopSequences };
+        this.form.querySelectorAll('input').forEach(input => {
+            if (input.value === '') return;
+            settings[input.name] = INTEGER_SETTINGS.includes(input.name)
+                ? parseInt(input.value, 10)
+                : parseFloat(input.value);
+        });
+
+        this._handlers.submit(settings);
+        this.close();
+    }
+}
\ No newline at end of file
@@ -0,0 +1,310 @@
+import { HtmlSanitizer } from '../services/HtmlSanitizer.js';
+import { CodeRunView } from './CodeRunView.js';
+
+const OPENING_FENCE_PATTERN = /^ {0,3}(`{3,}|~{3,})/;
+const CLOSING_FENCE_PATTERN = /^ {0,3}(`{3,}|~{3,})[ \t]*$/;
+const BLOCK_MATH_PATTERN = /^ {0,3}\$\$([\s\S]+?)\$\$[ \t]*(?:\n+|$)/;
+// No space just inside the dollars, no digit after them and no backticks, so "$5 and $10" and code spans stay text
+const INLINE_MATH_PATTERN = /^(\$\$?)(?!\s)((?:\\.|[^\\$\n`])+?)(?<!\s)\1(?![\d$])/;
+const NUMERIC_CELL_PATTERN = /^[-+]?[$€£¥]?\s*[-+]?\d[\d,]*(\.\d+)?\s*%?$/;
+const DIAGRAM_WIDTH_PATTERN = /max-width:\s*([\d.]+)px/;
+
+// Math is parsed into code elements marked "language-math" and typeset after sanitizing, like code highlighting
+const MATH_EXTENSIONS = [
+    {
+        name: 'blockMath',
+        level: 'block',
+        start: src => src.match(/^ {0,3}\$\$/m)?.index,
+        tokenizer(src) {
+            const match = src.match(BLOCK_MATH_PATTERN);
+            return match ? { type: 'blockMath', raw: match[0], text: match[1].trim() } : undefined;
+        },
+        renderer: token => `<pre><code class="language-math">${escapeHtml(token.text)}</code></pre>\n`
+    },
+    {
+        name: 'inlineMath',
+        level: 'inline',
+        start: src => src.indexOf('$'),
+        tokenizer(src) {
+            const match = src.match(INLINE_MATH_PATTERN);
+            return match ? { type: 'inlineMath', raw: match[0], text: match[2] } : undefined;
+        },
+        renderer: token => `<code class="language-math">${escapeHtml(token.text)}</code>`
+    }
+];
+
+let diagramCount = 0;
+
+function escapeHtml(text) {
+    return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
+
+/**
+ * MarkdownRenderer - Renders model output as sanitized Markdown
+ * The text is split into top-level blocks and only blocks that changed since the last render of the same
+ * element are rebuilt, so a streamed answer costs the same per token however long it gets. Code blocks are
+ * highlighted and get their language badge and copy button once their closing fence has arrived. $…$ and
+ * $$…$$ are typeset with KaTeX, ```mermaid blocks are drawn once complete and tables can be sorted by column;
+ * whatever fails to parse, or finds its library missing, is left as its source text. JavaScript, HTML and CSS
+ * blocks can be run in a sandbox, and images from the web load when clicked.
+ */
+export class MarkdownRenderer {
+    /**
+     * @param {Object} options - { onSendRunOutput(text) } offers to send a code block's output back as a message
+     */
+    constructor({ onSendRunOutput = null } = {}) {
+        this.sanitizer = new HtmlSanitizer();
+        this.codeRunView = new CodeRunView({ onSendOutput: onSendRunOutput });
+        this.markdown = new marked.Marked({ extensions: MATH_EXTENSIONS });
+        if (typeof mermaid !== 'undefined') {
+            mermaid.initialize({ startOnLoad: false, securityLevel: 'strict' });
+        }
+        // element -> { blocks: [{ raw, isComplete, nodes }], nodeCount, lastNode }
+        this._states = new WeakMap();
+    }
+
+    /**
+     * Renders Markdown into an element, reusing what is already there for unchanged blocks
+     * @param {HTMLElement} element - The element that holds the rendered Markdown and nothing else
+     * @param {string} markdown - The full text so far
+     * @param {Object} options - { streaming } true while more text may follow
+     */
+    render(element, markdown, { streaming = false } = {}) {
+        const tokens = this.markdown.lexer(markdown || '');
+        const state = this._getState(element);
+
+        const blocks = tokens.map((token, index) => ({
+            token,
+            raw: token.raw,
+            // Only the last block can still grow; a code block is complete once its fence is closed
+            isComplete: !streaming || index < tokens.length - 1 || !this._isOpenCode(token)
+        }));
+
+        let unchanged = 0;
+        while (unchanged < blocks.length && unchanged < state.blocks.length
+            && blocks[unchanged].raw === state.blocks[unchanged].raw
+            && blocks[unchanged].isComplete === state.blocks[unchanged].isComplete) {
+            unchanged++;
+        }
+
+        state.blocks.slice(unchanged).forEach(block => block.nodes.forEach(node => node.remove()));
+
+        const rendered = blocks.slice(unchanged).map(block => {
+            // Each block is parsed on its own, with the link definitions found anywhere in the text
+            const blockTokens = Object.assign([block.token], { links: tokens.links });
+            const fragment = this.sanitizer.sanitizeToFragment(this.markdown.parser(blockTokens));
+            if (block.isComplete) {
+                this._decorate(fragment);
+            }
+            const nodes = Array.from(fragment.childNodes);
+            element.appendChild(fragment);
+            return { raw: block.raw, isComplete: block.isComplete, nodes };
+        });
+
+        state.blocks = [...state.blocks.slice(0, unchanged), ...rendered];
+        state.nodeCount = element.childNodes.length;
+        state.lastNode = element.lastChild;
+    }
+
+    // Private helper methods
+    _getState(element) {
+        const state = this._states.get(element);
+        // Start over when something else has written into the element since the last render
+        if (state && element.childNodes.length === state.nodeCount && element.lastChild === state.lastNode) {
+            return state;
+        }
+
+        element.textContent = '';
+        const freshState = { blocks: [], nodeCount: 0, lastNode: null };
+        this._states.set(element, freshState);
+        return freshState;
+    }
+
+    _isOpenCode(token) {
+        if (token.type !== 'code') {
+            return false;
+        }
+        const opening = token.raw.match(OPENING_FENCE_PATTERN);
+        if (!opening) {
+            // Indented code has no fence and may still continue
+            return true;
+        }
+
+        // The fence is closed by a line of at least as many of the same characters
+        const lines = token.raw.replace(/\n+$/, '').split('\n');
+        const closing = lines.length > 1 ? lines[lines.length - 1].match(CLOSING_FENCE_PATTERN) : null;
+        return !closing || closing[1][0] !== opening[1][0] || closing[1].length < opening[1].length;
+    }
+
+    _decorate(fragment) {
+        fragment.querySelectorAll('code.language-math').forEach(code => this._renderMath(code));
+        fragment.querySelectorAll('pre > code').forEach(code => {
+            const wrapper = this._decorateCodeBlock(code);
+            if (this._getLanguage(code) === 'mermaid') {
+                this._renderDiagram(wrapper, code.textContent);
+            }
+        });
+        fragment.querySelectorAll('table').forEach(table => this._decorateTable(table));
+        fragment.querySelectorAll('a[data-remote-image]').forEach(link => this._decorateRemoteImage(link));
+    }
+
+    _renderMath(code) {
+        const displayMode = code.parentElement?.localName === 'pre';
+        const tex = code.textContent;
+        const output = document.createElement(displayMode ? 'div' : 'span');
+        try {
+            if (typeof katex === 'undefined') {
+                throw new Error('KaTeX is not loaded');
+            }
+            katex.render(tex, output, { displayMode, throwOnError: true });
+        } catch {
+            // A display block stays a code block showing its source; inline math goes back to the text it came from
+            if (!displayMode) {
+                code.replaceWith(`$${tex}$`);
+            }
+            return;
+        }
+
+        if (displayMode) {
+            output.className = 'overflow-x-auto my-4';
+            code.parentElement.replaceWith(output);
+        } else {
+            code.replaceWith(output);
+        }
+    }
+
+    _decorateCodeBlock(code) {
+        hljs.highlightElement(code);
+
+        const pre = code.parentElement;
+        const wrapper = document.createElement('div');
+        wrapper.className = 'relative group';
+        pre.replaceWith(wrapper);
+        wrapper.appendChild(pre);
+
+        const language = this._getLanguage(code);
+        const badge = document.createElement('div');
+        badge.className = 'absolute top-2 right-2 text-xs text-gray-400 bg-gray-800 px-2 py-1 rounded';
+        badge.textContent = language;
+        wrapper.appendChild(badge);
+
+        const copyButton = document.createElement('button');
+        copyButton.type = 'button';
+        copyButton.textContent = '📋';
+        copyButton.title = 'Copy code';
+        copyButton.setAttribute('aria-label', 'Copy code');
+        copyButton.className = 'absolute top-2 left-2 opacity-0 group-hover:opacity-100 bg-gray-700 text-white px-2 py-1 rounded text-xs transition-opacity';
+        copyButton.addEventListener('click', () => {
+            navigator.clipboard.writeText(code.textContent);
+            copyButton.textContent = '✓';
+            setTimeout(() => copyButton.textContent = '📋', 2000);
+        });
+        wrapper.appendChild(copyButton);
+        this.codeRunView.attach(wrapper, code, language);
+        return wrapper;
+    }
+
+    async _renderDiagram(wrapper, source) {
+        if (typeof mermaid === 'undefined') {
+            return;
+        }
+
+        // The code block stays in place while the diagram renders, and for good if it cannot be parsed
+        const id = `mermaid-diagram-${++diagramCount}`;
+        try {
+            const { svg } = await mermaid.render(id, source);
+            // The block may have been rendered again or scrolled out of the chat meanwhile
+            if (!wrapper.isConnected) {
+                return;
+            }
+            const diagram = document.createElement('div');
+            diagram.className = 'overflow-x-auto my-4 flex justify-center';
+            // Shown as an image, where the SVG can neither run scripts nor load anything, whatever the source put in it
+            const image = document.createElement('img');
+            image.src = `data:image/svg+xml;charset=utf-8,${encodeURIComponent(svg)}`;
+            image.alt = 'Mermaid diagram';
+            image.className = 'max-w-full h-auto';
+            // mermaid sizes the SVG to fit its container, an image needs its own width
+            const width = svg.match(DIAGRAM_WIDTH_PATTERN)?.[1];
+            if (width) {
+                image.width = Math.ceil(Number(width));
+            }
+            diagram.appendChild(image);
+            wrapper.className = '';
+            wrapper.replaceChildren(diagram);
+        } catch (error) {
+            console.warn('Could not render Mermaid diagram:', error);
+        } finally {
+            // mermaid draws in a temporary element in the page body, and leaves its error graphic there
+            document.getElementById(`d${id}`)?.remove();
+        }
+    }
+
+    _decorateRemoteImage(link) {
+        // The sanitizer keeps web images from loading by themselves; a click loads one in place
+        link.title = `Load the image from ${link.getAttribute('href')}`;
+        link.addEventListener('click', (e) => {
+            e.preventDefault();
+            const image = document.createElement('img');
+            image.src = link.getAttribute('href');
+            image.alt = link.dataset.remoteImage;
+            image.className = 'max-w-full h-auto';
+            link.replaceWith(image);
+        });
+    }
+
+    _decorateTable(table) {
+        const wrapper = document.createElement('div');
+        wrapper.className = 'overflow-x-auto';
+        table.replaceWith(wrapper);
+        wrapper.appendChild(table);
+
+        const headers = Array.from(table.querySelectorAll('thead th'));
+        headers.forEach((header, column) => {
+            header.tabIndex = 0;
+            header.title = 'Sort by this column';
+            header.classList.add('sortable-column');
+            const sort = () => this._sortTable(table, headers, column);
+            header.addEventListener('click', sort);
+            header.addEventListener('keydown', (e) => {
+                if (e.key === 'Enter' || e.key === ' ') {
+                    e.preventDefault();
+                    sort();
+                }
+            });
+        });
+    }
+
+    _sortTable(table, headers, column) {
+        const direction = headers[column].getAttribute('aria-sort') === 'ascending' ? 'descending' : 'ascending';
+        headers.forEach(header => header.removeAttribute('aria-sort'));
+        headers[column].setAttribute('aria-sort', direction);
+
+        const body = table.tBodies[0];
+        if (!body) {
+            return;
+        }
+        const factor = direction === 'ascending' ? 1 : -1;
+        const rows = Array.from(body.rows)
+            .sort((a, b) => factor * this._compareCells(a.cells[column], b.cells[column]));
+        body.append(...rows);
+    }
+
+    _compareCells(a, b) {
+        const left = a ? a.textContent.trim() : '';
+        const right = b ? b.textContent.trim() : '';
+        if (NUMERIC_CELL_PATTERN.test(left) && NUMERIC_CELL_PATTERN.test(right)) {
+            return this._parseNumber(left) - this._parseNumber(right);
+        }
+        return left.localeCompare(right, undefined, { numeric: true, sensitivity: 'base' });
+    }
+
+    _parseNumber(text) {
+        return Number(text.replace(/[^\d.-]/g, ''));
+    }
+
+    _getLanguage(code) {
+        const languageClass = Array.from(code.classList).find(name => name.startsWith('language-'));
+        return languageClass ? languageClass.slice('language-'.length) : 'text';
+    }
+}
\ No newline at end of file
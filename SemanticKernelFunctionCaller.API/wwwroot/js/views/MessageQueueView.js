@@ -0,0 +1,175 @@
+/**
+ * MessageQueueView - Pending bubbles for messages typed while a response is being generated
+ * Each queued message can be edited or cancelled until its turn comes
+ */
+export class MessageQueueView {
+    constructor() {
+        this.container = document.getElementById('message-queue');
+
+        // The queue re-renders whenever a message leaves it, so an open editor is kept here
+        this._editing = null;
+        this._lastQueue = [];
+        this._paused = false;
+
+        this._handlers = {
+            edit: () => {},
+            cancel: () => {}
+        };
+    }
+
+    /**
+     * Renders the queued messages
+     * @param {Array} queue - { id, content, attachments } from the view model, next to be sent first
+     * @param {Object} options - paused: the last response was stopped or failed, so nothing is sent until the user sends again
+     */
+    render(queue, { paused = false } = {}) {
+        this._lastQueue = queue;
+        this._paused = paused;
+        if (this._editing && !queue.some(item => item.id === this._editing.id)) {
+            this._editing = null;
+        }
+
+        this.container.innerHTML = '';
+        this.container.classList.toggle('hidden', queue.length === 0);
+
+        queue.forEach((item, index) => {
+            const element = document.createElement('div');
+            element.className = 'flex flex-col items-end';
+            element.dataset.queuedMessageId = item.id;
+
+            if (this._editing && this._editing.id === item.id) {
+                element.appendChild(this._createEditor(item));
+            } else {
+                element.appendChild(this._createBubble(item));
+            }
+            element.appendChild(this._createFooter(item, index));
+
+            this.container.appendChild(element);
+        });
+    }
+
+    // Event Binding
+    bindEditQueuedMessage(handler) {
+        this._handlers.edit = handler;
+    }
+
+    bindCancelQueuedMessage(handler) {
+        this._handlers.cancel = handler;
+    }
+
+    // Private helper methods
+    _createBubble(item) {
+        const bubble = document.createElement('div');
+        bubble.className = 'px-4 py-3 rounded-lg mb-1 break-words whitespace-pre-wrap ml-auto max-w-2xl bg-indigo-50 text-indigo-900 border border-dashed border-indigo-300';
+        bubble.textContent = item.content;
+
+        item.attachments.forEach(attachment => {
+            const chip = document.createElement('div');
+            chip.className = 'text-xs text-indigo-700 mt-1';
+            chip.textContent = `📎 ${attachment.name}`;
+            bubble.appendChild(chip);
+        });
+
+        return bubble;
+    }
+
+    _createEditor(item) {
+        const editor = document.createElement('div');
+        editor.className = 'w-full max-w-2xl mb-1';
+
+        const textarea = document.createElement('textarea');
+        textarea.className = 'w-full border border-indigo-300 rounded-lg p-2 text-sm';
+        textarea.rows = Math.min(10, Math.max(3, this._editing.draft.split('\n').length));
+        textarea.value = this._editing.draft;
+        textarea.addEventListener('input', () => {
+            this._editing.draft = textarea.value;
+        });
+
+        const actions = document.createElement('div');
+        actions.className = 'flex justify-end gap-2 mt-1';
+
+        const cancelButton = document.createElement('button');
+        cancelButton.type = 'button';
+        cancelButton.className = 'px-3 py-1 text-sm rounded-lg border border-gray-300 text-gray-700';
+        cancelButton.textContent = 'Cancel';
+        cancelButton.addEventListener('click', () => this._closeEditor());
+
+        const saveButton = document.createElement('button');
+        saveButton.type = 'button';
+        saveButton.className = 'px-3 py-1 text-sm rounded-lg bg-indigo-600 text-white';
+        saveButton.textContent = 'Save';
+        saveButton.addEventListener('click', () => {
+            const content = textarea.value.trim();
+            this._editing = null;
+            this._handlers.edit(item.id, content);
+        });
+
+        textarea.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter' && !e.shiftKey) {
+                e.preventDefault();
+                saveButton.click();
+            } else if (e.key === 'Escape') {
+                // Escape would otherwise also stop the response being generated
+                e.stopPropagation();
+                this._closeEditor();
+            }
+        });
+
+        actions.appendChild(cancelButton);
+        actions.appendChild(saveButton);
+        editor.appendChild(textarea);
+        editor.appendChild(actions);
+
+        // Focus once the editor is in the document
+        setTimeout(() => textarea.focus(), 0);
+        return editor;
+    }
+
+    _createFooter(item, index) {
+        const footer = document.createElement('div');
+        footer.className = 'flex items-center gap-2 mb-3 text-xs text-gray-500';
+
+        const status = document.createElement('span');
+        if (index > 0) {
+            status.textContent = `Queued · ${index + 1} in line`;
+        } else if (this._paused) {
+            status.textContent = 'Paused · sends after your next message';
+        } else {
+            status.textContent = 'Queued · sends when the current response completes';
+        }
+        footer.appendChild(status);
+
+        if (!this._editing || this._editing.id !== item.id) {
+            footer.appendChild(this._createFooterButton('✏️ Edit', 'Edit queued message', () => {
+                this._editing = { id: item.id, draft: item.content };
+                this._rerender();
+            }));
+        }
+        footer.appendChild(this._createFooterButton('✕ Cancel', 'Remove from the queue', () => {
+            this._handlers.cancel(item.id);
+        }));
+
+        return footer;
+    }
+
+    _createFooterButton(text, label, onClick) {
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.className = 'hover:text-indigo-600';
+        button.textContent = text;
+        button.title = label;
+        button.setAttribute('aria-label', label);
+        button.addEventListener('click', onClick);
+        return button;
+    }
+
+    _closeEditor() {
+        this._editing = null;
+        this._rerender();
+    }
+
+    _rerender() {
+        // Editing state changes do not go through the view model, so the rendered items are reused
+        this.render(this._lastQueue, { paused: this._paused });
+    }
+}
\ No newline at end of file
@@ -0,0 +1,132 @@
+/**
+ * PersonaView - Persona picker in the toolbar and the system prompt dialog
+ * Personas are saved system prompts with an optional default model and tools set
+ */
+export class PersonaView {
+    constructor() {
+        this.personaSelect = document.getElementById('persona-select');
+        this.editButton = document.getElementById('system-prompt-button');
+        this.dialog = document.getElementById('persona-dialog');
+        this.form = document.getElementById('persona-form');
+        this.promptInput = document.getElementById('system-prompt-input');
+        this.nameInput = document.getElementById('persona-name-input');
+        this.saveButton = document.getElementById('persona-save-button');
+        this.deleteButton = document.getElementById('persona-delete-button');
+        this.closeButton = document.getElementById('persona-dialog-close');
+
+        this._personas = [];
+        this._activePersonaId = null;
+        this._systemPrompt = '';
+        this._handlers = {
+            promptSubmit: () => {},
+            savePersona: () => {},
+            deletePersona: () => {}
+        };
+
+        this.editButton.addEventListener('click', () => this.open());
+        this.closeButton.addEventListener('click', () => this.close());
+        this.dialog.addEventListener('click', (e) => {
+            if (e.target === this.dialog) this.close();
+        });
+        document.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape' && this.isOpen) {
+                e.stopPropagation();
+                this.close();
+            }
+        });
+        this.form.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this._handlers.promptSubmit(this.promptInput.value.trim());
+            this.close();
+        });
+        this.saveButton.addEventListener('click', () => {
+            this._handlers.savePersona(this.nameInput.value, this.promptInput.value.trim());
+        });
+        this.deleteButton.addEventListener('click', () => {
+            if (this._activePersonaId && confirm('Delete this persona? Conversations keep their prompt.')) {
+                this._handlers.deletePersona(this._activePersonaId);
+            }
+        });
+    }
+
+    get isOpen() {
+        return !this.dialog.classList.contains('hidden');
+    }
+
+    /**
+     * Renders the persona picker for the current conversation
+     * @param {Array} personas - Saved personas
+     * @param {string|null} activePersonaId - The persona in use, if any
+     * @param {string} systemPrompt - The conversation's system prompt
+     */
+    render(personas, activePersonaId, systemPrompt) {
+        this._personas = personas;
+        this._activePersonaId = activePersonaId;
+        this._systemPrompt = systemPrompt;
+
+        this.personaSelect.innerHTML = '';
+
+        // A prompt that is not a saved persona still deserves a visible label
+        const noneOption = document.createElement('option');
+        noneOption.value = '';
+        noneOption.textContent = systemPrompt && !activePersonaId ? 'Custom prompt' : 'No persona';
+        this.personaSelect.appendChild(noneOption);
+
+        personas.forEach(persona => {
+            const option = document.createElement('option');
+            option.value = persona.id;
+            option.textContent = persona.name;
+            this.personaSelect.appendChild(option);
+        });
+
+        this.personaSelect.value = activePersonaId || '';
+        this.editButton.classList.toggle('text-indigo-600', Boolean(systemPrompt));
+        this.editButton.title = systemPrompt ? `System prompt: ${this._truncate(systemPrompt)}` : 'Edit system prompt';
+
+        if (this.isOpen) {
+            this._syncPersonaControls();
+        }
+    }
+
+    open() {
+        this.promptInput.value = this._systemPrompt;
+        this._syncPersonaControls();
+
+        this.dialog.classList.remove('hidden');
+        this.dialog.classList.add('flex');
+        this.promptInput.focus();
+    }
+
+    close() {
+        this.dialog.classList.add('hidden');
+        this.dialog.classList.remove('flex');
+    }
+
+    // Event Binding
+    bindPersonaChange(handler) {
+        this.personaSelect.addEventListener('change', (e) => handler(e.target.value || null));
+    }
+
+    bindSystemPromptSubmit(handler) {
+        this._handlers.promptSubmit = handler;
+    }
+
+    bindSavePersona(handler) {
+        this._handlers.savePersona = handler;
+    }
+
+    bindDeletePersona(handler) {
+        this._handlers.deletePersona = handler;
+    }
+
+    // Private helper methods
+    _syncPersonaControls() {
+        const activePersona = this._personas.find(p => p.id === this._activePersonaId);
+        this.nameInput.value = activePersona ? activePersona.name : '';
+        this.deleteButton.classList.toggle('hidden', !activePersona);
+    }
+
+    _truncate(text) {
+        return text.length > 80 ? `${text.substring(0, 80)}…` : text;
+    }
+}
\ No newline at end of file
@@ -0,0 +1,138 @@
+/**
+ * SlashCommandView - Autocomplete for slash commands typed into the message input
+ * Suggestions open above the input while its text starts with "/"; Tab or Enter takes the highlighted one,
+ * and once nothing is left to complete Enter sends the command like a message
+ */
+export class SlashCommandView {
+    constructor() {
+        this.messageInput = document.getElementById('message-input');
+        this.list = document.getElementById('slash-command-suggestions');
+
+        this._suggestions = [];
+        this._activeIndex = 0;
+        this._handlers = {
+            suggest: () => {}
+        };
+
+        this.messageInput.addEventListener('input', () => this.refresh());
+        // Registered before ChatView's listener, so a key taken here does not also send the message
+        this.messageInput.addEventListener('keydown', (e) => this._handleKeydown(e), { capture: true });
+        this.messageInput.addEventListener('blur', () => this.close());
+    }
+
+    get isOpen() {
+        return !this.list.classList.contains('hidden');
+    }
+
+    /**
+     * Asks for suggestions for the input's current text
+     */
+    refresh() {
+        const text = this.messageInput.value;
+        if (text.startsWith('/') && !text.includes('\n')) {
+            this._handlers.suggest(text);
+        } else {
+            this.close();
+        }
+    }
+
+    /**
+     * @param {Array} suggestions - [{ label, detail, value }] where value replaces the input's text
+     */
+    renderSuggestions(suggestions) {
+        // Suggestions can arrive after the text changed, e.g. once every provider's models are loaded
+        if (suggestions.length === 0 || !this.messageInput.value.startsWith('/')) {
+            this.close();
+            return;
+        }
+
+        this._suggestions = suggestions;
+        this.list.innerHTML = '';
+        suggestions.forEach((suggestion, index) => this.list.appendChild(this._createItem(suggestion, index)));
+        this.list.classList.remove('hidden');
+        this.messageInput.setAttribute('aria-expanded', 'true');
+        this._highlight(0);
+    }
+
+    close() {
+        this._suggestions = [];
+        this.list.classList.add('hidden');
+        this.list.innerHTML = '';
+        this.messageInput.setAttribute('aria-expanded', 'false');
+        this.messageInput.removeAttribute('aria-activedescendant');
+    }
+
+    // Event Binding
+    bindSuggest(handler) {
+        this._handlers.suggest = handler;
+    }
+
+    // Private helper methods
+    _handleKeydown(e) {
+        if (!this.isOpen) {
+            return;
+        }
+
+        if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+            const step = e.key === 'ArrowDown' ? 1 : -1;
+            this._highlight((this._activeIndex + step + this._suggestions.length) % this._suggestions.length);
+        } else if (e.key === 'Tab' || (e.key === 'Enter' && !e.shiftKey)) {
+            this._accept(this._activeIndex);
+        } else if (e.key === 'Escape') {
+            this.close();
+        } else {
+            return;
+        }
+
+        // Escape would otherwise also stop the response being generated
+        e.preventDefault();
+        e.stopImmediatePropagation();
+    }
+
+    _accept(index) {
+        const suggestion = this._suggestions[index];
+        if (!suggestion) {
+            return;
+        }
+        this.messageInput.value = suggestion.value;
+        this.messageInput.focus();
+        this.messageInput.setSelectionRange(suggestion.value.length, suggestion.value.length);
+        this.refresh();
+    }
+
+    _highlight(index) {
+        this._activeIndex = index;
+        this.list.querySelectorAll('[role="option"]').forEach(item => {
+            const isActive = Number(item.dataset.index) === index;
+            item.setAttribute('aria-selected', String(isActive));
+            item.classList.toggle('bg-indigo-50', isActive);
+            if (isActive) {
+                this.messageInput.setAttribute('aria-activedescendant', item.id);
+                item.scrollIntoView({ block: 'nearest' });
+            }
+        });
+    }
+
+    _createItem(suggestion, index) {
+        const item = document.createElement('li');
+        item.id = `slash-command-option-${index}`;
+        item.dataset.index = index;
+        item.setAttribute('role', 'option');
+        item.className = 'flex items-baseline justify-between gap-4 px-3 py-1.5 cursor-pointer text-sm';
+
+        const label = document.createElement('span');
+        label.className = 'font-mono text-gray-800 truncate';
+        label.textContent = suggestion.label;
+        item.appendChild(label);
+
+        const detail = document.createElement('span');
+        detail.className = 'text-xs text-gray-400 truncate';
+        detail.textContent = suggestion.detail;
+        item.appendChild(detail);
+
+        // Keeps the input focused, so blur does not close the list before the click lands
+        item.addEventListener('mousedown', (e) => e.preventDefault());
+        item.addEventListener('click', () => this._accept(index));
+        return item;
+    }
+}
\ No newline at end of file
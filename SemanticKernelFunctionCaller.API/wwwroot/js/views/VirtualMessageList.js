@@ -0,0 +1,415 @@
+const ESTIMATED_ITEM_HEIGHT = 160;
+// Rendered beyond each edge of the visible area, so scrolling rarely reaches a blank spacer
+const OVERSCAN_PX = 1000;
+const BOTTOM_THRESHOLD_PX = 48;
+// Heights measured after rendering can move the window once more; this bounds the follow-up passes
+const MAX_RENDER_PASSES = 3;
+
+/**
+ * Running totals over a list that only grows at the end (a Fenwick tree), so a change and the
+ * sum of the first n values each cost O(log n)
+ */
+class PrefixSums {
+    constructor(values = []) {
+        // tree[i] holds the sum of values i - lowbit(i) to i - 1
+        this._tree = [0, ...values];
+        for (let i = 1; i < this._tree.length; i++) {
+            const parent = i + (i & -i);
+            if (parent < this._tree.length) {
+                this._tree[parent] += this._tree[i];
+            }
+        }
+    }
+
+    push(value) {
+        const i = this._tree.length;
+        this._tree.push(value + this.sum(i - 1) - this.sum(i - (i & -i)));
+    }
+
+    add(index, delta) {
+        for (let i = index + 1; i < this._tree.length; i += i & -i) {
+            this._tree[i] += delta;
+        }
+    }
+
+    /**
+     * @returns {number} The sum of the first count values
+     */
+    sum(count) {
+        let total = 0;
+        for (let i = count; i > 0; i -= i & -i) {
+            total += this._tree[i];
+        }
+        return total;
+    }
+}
+
+/**
+ * VirtualMessageList - Keeps only the messages around the visible part of the chat in the DOM
+ * The rest are stood in for by two spacers sized from the heights measured so far (the average for messages never
+ * shown), so a conversation of thousands of messages scrolls like a short one. New output only scrolls the chat
+ * while the user is at the bottom; otherwise a "jump to latest" button is offered. Measured heights are kept as
+ * prefix sums, so finding what to render costs the same in a long conversation as in a short one.
+ */
+export class VirtualMessageList {
+    /**
+     * @param {Object} options - { container, scrollElement, jumpButton, createElement(id), onRender() }
+     *   container holds the messages, scrollElement is the element that scrolls, createElement builds a message
+     *   when it comes into view and onRender runs after the rendered messages changed
+     */
+    constructor({ container, scrollElement, jumpButton, createElement, onRender = () => {} }) {
+        this.container = container;
+        this.scrollElement = scrollElement;
+        this.jumpButton = jumpButton;
+        this._createElement = createElement;
+        this._onRender = onRender;
+
+        this._ids = [];
+        this._indexes = new Map();
+        this._elements = new Map(); // Only the messages currently in the DOM
+        this._range = { start: 0, end: 0 };
+        this._heights = new Map();
+        this._measuredTotal = 0;
+        // By position in _ids: measured heights, and 1 for each measured message, so the rest count as the average
+        this._measuredHeights = new PrefixSums();
+        this._measuredCounts = new PrefixSums();
+        this._isAtBottom = true;
+        this._renderFrame = null;
+
+        this._topSpacer = this._createSpacer();
+        this._bottomSpacer = this._createSpacer();
+        this.container.appendChild(this._topSpacer);
+        this.container.appendChild(this._bottomSpacer);
+
+        // Scroll position is kept by the list itself, see _restoreAnchor
+        this.scrollElement.style.overflowAnchor = 'none';
+        this._onScroll = () => {
+            this._isAtBottom = this._measureIsAtBottom();
+            this._updateJumpButton();
+            this._scheduleRender();
+        };
+        this._onJumpClick = () => this.scrollToLatest();
+        this.scrollElement.addEventListener('scroll', this._onScroll, { passive: true });
+        this.jumpButton.addEventListener('click', this._onJumpClick);
+
+        // Images, diagrams and code output can grow a message after it was rendered
+        this._resizeObserver = new ResizeObserver(() => {
+            if (this._isAtBottom) {
+                this._scrollToEnd();
+            }
+            this._scheduleRender();
+        });
+        this._resizeObserver.observe(this.container);
+    }
+
+    get lastId() {
+        return this._ids.length > 0 ? this._ids[this._ids.length - 1] : null;
+    }
+
+    has(id) {
+        return this._indexes.has(id);
+    }
+
+    /**
+     * @returns {HTMLElement|null} The message's element, or null while it is scrolled out of the DOM
+     */
+    getElement(id) {
+        return this._elements.get(id) || null;
+    }
+
+    /**
+     * Replaces all messages, e.g. when a conversation is opened
+     * @param {Array<string>} ids - Message ids in display order
+     */
+    setItems(ids) {
+        this._unmountAll();
+        this._ids = [...ids];
+        this._indexes = new Map(this._ids.map((id, index) => [id, index]));
+        this._measuredHeights = new PrefixSums(this._ids.map(id => this._heights.get(id) || 0));
+        this._measuredCounts = new PrefixSums(this._ids.map(id => (this._heights.has(id) ? 1 : 0)));
+        this._render();
+    }
+
+    /**
+     * Adds a message at the end
+     * @returns {HTMLElement|null} Its element when it is rendered right away
+     */
+    append(id) {
+        this._indexes.set(id, this._ids.length);
+        this._ids.push(id);
+        this._measuredHeights.push(this._heights.get(id) || 0);
+        this._measuredCounts.push(this._heights.has(id) ? 1 : 0);
+        this._render();
+        return this.getElement(id);
+    }
+
+    /**
+     * Forgets all messages; call after the container was emptied
+     */
+    clear() {
+        this._unmountAll();
+        this._ids = [];
+        this._indexes.clear();
+        this._heights.clear();
+        this._measuredTotal = 0;
+        this._measuredHeights = new PrefixSums();
+        this._measuredCounts = new PrefixSums();
+        this._isAtBottom = true;
+        this._topSpacer.style.height = '0px';
+        this._bottomSpacer.style.height = '0px';
+        this.container.appendChild(this._topSpacer);
+        this.container.appendChild(this._bottomSpacer);
+        this._updateJumpButton();
+    }
+
+    /**
+     * Stops watching the chat's scrolling and size and takes the rendered messages out; the list cannot be used after
+     */
+    destroy() {
+        cancelAnimationFrame(this._renderFrame);
+        this._renderFrame = null;
+        this.scrollElement.removeEventListener('scroll', this._onScroll);
+        this.jumpButton.removeEventListener('click', this._onJumpClick);
+        this._resizeObserver.disconnect();
+        this._unmountAll();
+        this._topSpacer.remove();
+        this._bottomSpacer.remove();
+    }
+
+    /**
+     * Call after content was added or grew: follows it while the user is at the bottom
+     */
+    followOutput() {
+        if (this._isAtBottom) {
+            this._scrollToEnd();
+        }
+        this._updateJumpButton();
+        this._scheduleRender();
+    }
+
+    scrollToLatest() {
+        this._isAtBottom = true;
+        this._render();
+        this._updateJumpButton();
+    }
+
+    /**
+     * Renders the messages around one and scrolls it to the middle of the chat
+     * @returns {HTMLElement|null} The message's element
+     */
+    scrollToItem(id) {
+        const index = this._indexes.get(id);
+        if (index === undefined) {
+            return null;
+        }
+
+        this._isAtBottom = false;
+        this.scrollElement.scrollTop = this._getListTop() + this._sumHeights(0, index) - this.scrollElement.clientHeight / 2;
+        this._render();
+
+        const element = this.getElement(id);
+        if (element) {
+            element.scrollIntoView({ block: 'center' });
+        }
+        this._updateJumpButton();
+        return element;
+    }
+
+    // Private helper methods
+    _scheduleRender() {
+        if (this._renderFrame === null) {
+            this._renderFrame = requestAnimationFrame(() => this._render());
+        }
+    }
+
+    _render() {
+        cancelAnimationFrame(this._renderFrame);
+        this._renderFrame = null;
+
+        let changed = false;
+        for (let pass = 0; pass < MAX_RENDER_PASSES; pass++) {
+            const anchor = this._isAtBottom ? null : this._findAnchor();
+            const passChanged = this._renderRange(this._computeRange());
+            this._measure();
+            this._updateSpacers();
+
+            if (this._isAtBottom) {
+                this._scrollToEnd();
+            } else if (anchor) {
+                this._restoreAnchor(anchor);
+            }
+
+            changed = changed || passChanged;
+            if (!passChanged) {
+                break;
+            }
+        }
+
+        if (changed) {
+            this._onRender();
+        }
+    }
+
+    _computeRange() {
+        const count = this._ids.length;
+        const viewportHeight = this.scrollElement.clientHeight;
+
+        if (this._isAtBottom) {
+            // From the last message whose top is within a view and overscan of the end
+            const listHeight = this._sumHeights(0, count);
+            const start = this._findFirst(top => top > listHeight - viewportHeight - OVERSCAN_PX) - 1;
+            return { start: Math.max(0, start), end: count };
+        }
+
+        const listTop = this._getListTop();
+        const viewStart = this.scrollElement.scrollTop - listTop - OVERSCAN_PX;
+        const viewEnd = this.scrollElement.scrollTop - listTop + viewportHeight + OVERSCAN_PX;
+        // From the message that ends below viewStart up to the first one starting at or below viewEnd
+        const start = Math.max(0, this._findFirst(top => top > viewStart) - 1);
+        const end = Math.min(count, this._findFirst(top => top >= viewEnd));
+
+        // Scrolled past the estimated end: show the last messages rather than nothing
+        return { start: Math.min(start, Math.max(0, end - 1)), end };
+    }
+
+    _renderRange({ start, end }) {
+        let changed = false;
+
+        this._elements.forEach((element, id) => {
+            const index = this._indexes.get(id);
+            if (index === undefined || index < start || index >= end) {
+                element.remove();
+                this._elements.delete(id);
+                changed = true;
+            }
+        });
+
+        let previous = this._topSpacer;
+        for (let index = start; index < end; index++) {
+            const id = this._ids[index];
+            let element = this._elements.get(id);
+            if (!element) {
+                element = this._createElement(id);
+                this._elements.set(id, element);
+                changed = true;
+            }
+            if (previous.nextSibling !== element) {
+                previous.after(element);
+            }
+            previous = element;
+        }
+
+        this._range = { start, end };
+        return changed;
+    }
+
+    _measure() {
+        const { start, end } = this._range;
+        for (let index = start; index < end; index++) {
+            const element = this._elements.get(this._ids[index]);
+            const next = index + 1 < end ? this._elements.get(this._ids[index + 1]) : this._bottomSpacer;
+            // The distance to the next element includes the message's margins
+            const height = next.offsetTop - element.offsetTop;
+            if (height > 0) {
+                this._setHeight(this._ids[index], height);
+            }
+        }
+    }
+
+    _updateSpacers() {
+        const { start, end } = this._range;
+        this._topSpacer.style.height = `${this._sumHeights(0, start)}px`;
+        this._bottomSpacer.style.height = `${this._sumHeights(end, this._ids.length)}px`;
+    }
+
+    _findAnchor() {
+        const viewTop = this.scrollElement.getBoundingClientRect().top;
+        for (const element of this._elements.values()) {
+            const rect = element.getBoundingClientRect();
+            if (rect.bottom > viewTop) {
+                return { element, top: rect.top };
+            }
+        }
+        return null;
+    }
+
+    _restoreAnchor(anchor) {
+        // Spacers and newly measured messages above the view must not move what the user is reading
+        if (anchor.element.isConnected) {
+            const shift = anchor.element.getBoundingClientRect().top - anchor.top;
+            if (shift !== 0) {
+                this.scrollElement.scrollTop += shift;
+            }
+        }
+    }
+
+    _getListTop() {
+        return this._topSpacer.getBoundingClientRect().top
+            - this.scrollElement.getBoundingClientRect().top
+            + this.scrollElement.scrollTop;
+    }
+
+    _getAverageHeight() {
+        return this._heights.size > 0 ? this._measuredTotal / this._heights.size : ESTIMATED_ITEM_HEIGHT;
+    }
+
+    _setHeight(id, height) {
+        const previous = this._heights.get(id);
+        const index = this._indexes.get(id);
+        this._measuredTotal += height - (previous || 0);
+        this._heights.set(id, height);
+        this._measuredHeights.add(index, height - (previous || 0));
+        if (previous === undefined) {
+            this._measuredCounts.add(index, 1);
+        }
+    }
+
+    _sumHeights(start, end) {
+        const measured = this._measuredHeights.sum(end) - this._measuredHeights.sum(start);
+        const unmeasured = end - start - (this._measuredCounts.sum(end) - this._measuredCounts.sum(start));
+        return measured + unmeasured * this._getAverageHeight();
+    }
+
+    /**
+     * @param {Function} test - Takes the height of the first n messages; once true, stays true for larger n
+     * @returns {number} The smallest n from 0 to the message count that passes, or the count + 1 when none does
+     */
+    _findFirst(test) {
+        let low = 0;
+        let high = this._ids.length + 1;
+        while (low < high) {
+            const middle = (low + high) >> 1;
+            if (test(this._sumHeights(0, middle))) {
+                high = middle;
+            } else {
+                low = middle + 1;
+            }
+        }
+        return low;
+    }
+
+    _scrollToEnd() {
+        this.scrollElement.scrollTop = this.scrollElement.scrollHeight;
+    }
+
+    _measureIsAtBottom() {
+        const { scrollHeight, scrollTop, clientHeight } = this.scrollElement;
+        return scrollHeight - scrollTop - clientHeight <= BOTTOM_THRESHOLD_PX;
+    }
+
+    _updateJumpButton() {
+        this.jumpButton.classList.toggle('hidden', this._isAtBottom || this._ids.length === 0);
+    }
+
+    _unmountAll() {
+        this._elements.forEach(element => element.remove());
+        this._elements.clear();
+        this._range = { start: 0, end: 0 };
+    }
+
+    _createSpacer() {
+        const spacer = document.createElement('div');
+        spacer.setAttribute('aria-hidden', 'true');
+        return spacer;
+    }
+}
\ No newline at end of file
@@ -0,0 +1,68 @@
+using SemanticKernelFunctionCaller.Application.Interfaces;
+using SemanticKernelFunctionCaller.Application.UseCases;
+using SemanticKernelFunctionCaller.Domain.ValueObjects;
+using Moq;
+using Xunit;
+
+namespace SemanticKernelFunctionCaller.Application.Tests;
+
+public class GetProviderModelsUseCaseTests
+{
+    private readonly Mock<IModelCatalog> _mockModelCatalog;
+    private readonly GetProviderModelsUseCase _useCase;
+
+    public GetProviderModelsUseCaseTests()
+    {
+        _mockModelCatalog = new Mock<IModelCatalog>();
+        _useCase = new GetProviderModelsUseCase(_mockModelCatalog.Object);
+    }
+
+    [Fact]
+    public void Execute_ShouldMapCatalogMetadata()
+    {
+        // Arrange
+        _mockModelCatalog.Setup(c => c.GetModels("OpenRouter")).Returns(new[]
+        {
+            new ModelConfiguration
+            {
+                Id = "test-model",
+                DisplayName = "Test Model",
+                ContextWindow = 128000,
+                SupportsVision = true,
+                DefaultSettings = new GenerationSettings { Temperature = 0.3f },
+                Pricing = new ModelPricing { PromptPerMillionTokens = 3m, CompletionPerMillionTokens = 15m }
+            }
+        });
+
+        // Act
+        var model = Assert.Single(_useCase.Execute("OpenRouter"));
+
+        // Assert
+        Assert.Equal("test-model", model.Id);
+        Assert.Equal("Test Model", model.DisplayName);
+        Assert.Equal(128000, model.ContextWindow);
+        Assert.True(model.SupportsVision);
+        Assert.Equal(0.3f, model.DefaultSettings!.Temperature);
+        Assert.Equal(3m, model.Pricing!.PromptPerMillionTokens);
+        Assert.Equal(15m, model.Pricing!.CompletionPerMillionTokens);
+    }
+
+    [Fact]
+    public void Execute_WithoutOptionalMetadata_ShouldLeaveItUnset()
+    {
+        // Arrange
+        _mockModelCatalog.Setup(c => c.GetModels("OpenRouter")).Returns(new[]
+        {
+            new ModelConfiguration { Id = "test-model", DisplayName = "Test Model" }
+        });
+
+        // Act
+        var model = Assert.Single(_useCase.Execute("OpenRouter"));
+
+        // Assert
+        Assert.Null(model.ContextWindow);
+        Assert.False(model.SupportsVision);
+        Assert.Null(model.DefaultSettings);
+        Assert.Null(model.Pricing);
+    }
+}
\ No newline at end of file
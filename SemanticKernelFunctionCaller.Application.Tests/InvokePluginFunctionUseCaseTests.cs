@@ -0,0 +1,80 @@
+using Microsoft.Extensions.Logging;
+using Microsoft.SemanticKernel;
+using SemanticKernelFunctionCaller.Application.UseCases;
+using Moq;
+using Xunit;
+
+namespace SemanticKernelFunctionCaller.Application.Tests;
+
+public class InvokePluginFunctionUseCaseTests
+{
+    private readonly InvokePluginFunctionUseCase _useCase;
+
+    public InvokePluginFunctionUseCaseTests()
+    {
+        var builder = Kernel.CreateBuilder();
+        builder.Plugins.AddFromFunctions("MathPlugin", new[]
+        {
+            KernelFunctionFactory.CreateFromMethod(Add, "Add"),
+            KernelFunctionFactory.CreateFromMethod(Fail, "Fail")
+        });
+
+        _useCase = new InvokePluginFunctionUseCase(builder.Build(), new Mock<ILogger<InvokePluginFunctionUseCase>>().Object);
+    }
+
+    [Fact]
+    public async Task ExecuteAsync_WithValidArguments_ShouldConvertArgumentsAndReturnResult()
+    {
+        // Arrange
+        var arguments = new Dictionary<string, string?> { ["a"] = "2", ["b"] = "3" };
+
+        // Act
+        var result = await _useCase.ExecuteAsync("MathPlugin", "Add", arguments);
+
+        // Assert
+        Assert.True(result.Succeeded);
+        Assert.Equal("5", result.Result);
+        Assert.Null(result.Error);
+        Assert.Equal("MathPlugin", result.PluginName);
+        Assert.Equal("Add", result.FunctionName);
+        Assert.True(result.DurationMs >= 0);
+    }
+
+    [Fact]
+    public async Task ExecuteAsync_WithBlankOptionalArgument_ShouldUseParameterDefault()
+    {
+        // Arrange
+        var arguments = new Dictionary<string, string?> { ["a"] = "2", ["b"] = "" };
+
+        // Act
+        var result = await _useCase.ExecuteAsync("MathPlugin", "Add", arguments);
+
+        // Assert
+        Assert.True(result.Succeeded);
+        Assert.Equal("12", result.Result);
+    }
+
+    [Fact]
+    public async Task ExecuteAsync_WhenFunctionThrows_ShouldReturnErrorInsteadOfThrowing()
+    {
+        // Act
+        var result = await _useCase.ExecuteAsync("MathPlugin", "Fail", new Dictionary<string, string?>());
+
+        // Assert
+        Assert.False(result.Succeeded);
+        Assert.Null(result.Result);
+        Assert.Equal("Service unavailable", result.Error);
+    }
+
+    [Fact]
+    public async Task ExecuteAsync_WithUnknownFunction_ShouldThrowKeyNotFoundException()
+    {
+        // Act & Assert
+        await Assert.ThrowsAsync<KeyNotFoundException>(() =>
+            _useCase.ExecuteAsync("MathPlugin", "Multiply", new Dictionary<string, string?>()));
+    }
+
+    private static int Add(int a, int b = 10) => a + b;
+
+    private static string Fail() => throw new InvalidOperationException("Service unavailable");
+}
\ No newline at end of file
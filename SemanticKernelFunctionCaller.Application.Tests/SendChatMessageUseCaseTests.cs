@@ -3,6 +3,7 @@ using SemanticKernelFunctionCaller.Application.Interfaces;
 using SemanticKernelFunctionCaller.Application.UseCases;
 using SemanticKernelFunctionCaller.Domain.Entities;
 using SemanticKernelFunctionCaller.Domain.Enums;
+using SemanticKernelFunctionCaller.Domain.ValueObjects;
 using Moq;
 using Xunit;
 
@@ -12,13 +13,15 @@ public class SendChatMessageUseCaseTests
 {
     private readonly Mock<IProviderFactory> _mockProviderFactory;
     private readonly Mock<ISemanticKernelFunctionCaller> _mockProvider;
+    private readonly Mock<IStreamWithToolsUseCase> _mockStreamWithToolsUseCase;
     private readonly SendChatMessageUseCase _useCase;
 
     public SendChatMessageUseCaseTests()
     {
         _mockProviderFactory = new Mock<IProviderFactory>();
         _mockProvider = new Mock<ISemanticKernelFunctionCaller>();
-        _useCase = new SendChatMessageUseCase(_mockProviderFactory.Object);
+        _mockStreamWithToolsUseCase = new Mock<IStreamWithToolsUseCase>();
+        _useCase = new SendChatMessageUseCase(_mockProviderFactory.Object, _mockStreamWithToolsUseCase.Object);
     }
 
     [Fact]
@@ -44,7 +47,7 @@ public class SendChatMessageUseCaseTests
         };
 
         _mockProviderFactory.Setup(f => f.CreateProvider("OpenRouter", "test-model")).Returns(_mockProvider.Object);
-        _mockProvider.Setup(p => p.SendMessageAsync(It.IsAny<IEnumerable<ChatMessage>>(), default))
+        _mockProvider.Setup(p => p.SendMessageAsync(It.IsAny<IEnumerable<ChatMessage>>(), It.IsAny<GenerationSettings?>(), default))
                     .ReturnsAsync(expectedResponse);
 
         // Act
@@ -57,7 +60,7 @@ public class SendChatMessageUseCaseTests
         Assert.Equal("OpenRouter", result.ProviderId);
 
         _mockProviderFactory.Verify(f => f.CreateProvider("OpenRouter", "test-model"), Times.Once);
-        _mockProvider.Verify(p => p.SendMessageAsync(It.IsAny<IEnumerable<ChatMessage>>(), default), Times.Once);
+        _mockProvider.Verify(p => p.SendMessageAsync(It.IsAny<IEnumerable<ChatMessage>>(), It.IsAny<GenerationSettings?>(), default), Times.Once);
     }
 
     [Fact]
@@ -79,7 +82,7 @@ public class SendChatMessageUseCaseTests
         };
 
         _mockProviderFactory.Setup(f => f.CreateProvider("NanoGPT", "nano-model")).Returns(_mockProvider.Object);
-        _mockProvider.Setup(p => p.SendMessageAsync(It.IsAny<IEnumerable<ChatMessage>>(), default))
+        _mockProvider.Setup(p => p.SendMessageAsync(It.IsAny<IEnumerable<ChatMessage>>(), It.IsAny<GenerationSettings?>(), default))
                     .ReturnsAsync(expectedResponse);
 
         // Act
@@ -107,7 +110,7 @@ public class SendChatMessageUseCaseTests
         };
 
         _mockProviderFactory.Setup(f => f.CreateProvider("OpenRouter", "test-model")).Returns(_mockProvider.Object);
-        _mockProvider.Setup(p => p.SendMessageAsync(It.IsAny<IEnumerable<ChatMessage>>(), default))
+        _mockProvider.Setup(p => p.SendMessageAsync(It.IsAny<IEnumerable<ChatMessage>>(), It.IsAny<GenerationSettings?>(), default))
                     .ThrowsAsync(new Exception("Provider error"));
 
         // Act & Assert
@@ -151,14 +154,101 @@ public class SendChatMessageUseCaseTests
             messages.ElementAt(2).Content == "Hi! How can I help?" &&
             messages.ElementAt(3).Role == ChatRole.User &&
             messages.ElementAt(3).Content == "Tell me a joke."
-        ), default)).ReturnsAsync(expectedResponse);
+        ), It.IsAny<GenerationSettings?>(), default)).ReturnsAsync(expectedResponse);
 
         // Act
         var result = await _useCase.ExecuteAsync(request);
 
         // Assert
         Assert.Equal("Why did the chicken cross the road? To get to the other side!", result.Content);
-        _mockProvider.Verify(p => p.SendMessageAsync(It.IsAny<IEnumerable<ChatMessage>>(), default), Times.Once);
+        _mockProvider.Verify(p => p.SendMessageAsync(It.IsAny<IEnumerable<ChatMessage>>(), It.IsAny<GenerationSettings?>(), default), Times.Once);
     }
-}
 
+    [Fact]
+    public async Task ExecuteAsync_WithSettings_ShouldPassThemToProvider()
+    {
+        // Arrange
+        var request = new ChatRequestDto
+        {
+            ProviderId = "OpenRouter",
+            ModelId = "test-model",
+            Messages = new List<MessageDto>
+            {
+                new MessageDto { Role = ChatRole.User, Content = "Hello" }
+            },
+            Settings = new GenerationSettingsDto
+            {
+                Temperature = 0.2f,
+                MaxOutputTokens = 256,
+                StopSequences = new List<string> { "END", "" },
+                Seed = 42
+            }
+        };
+
+        GenerationSettings? sentSettings = null;
+        _mockProviderFactory.Setup(f => f.CreateProvider("OpenRouter", "test-model")).Returns(_mockProvider.Object);
+        _mockProvider.Setup(p => p.SendMessageAsync(It.IsAny<IEnumerable<ChatMessage>>(), It.IsAny<GenerationSettings?>(), default))
+            .Callback<IEnumerable<ChatMessage>, GenerationSettings?, CancellationToken>((_, settings, _) => sentSettings = settings)
+            .ReturnsAsync(new ChatResponse
+            {
+                Message = new ChatMessage { Role = ChatRole.Assistant, Content = "Hi" },
+                ModelUsed = "test-model",
+                ProviderUsed = "OpenRouter"
+            });
+
+        // Act
+        await _useCase.ExecuteAsync(request);
+
+        // Assert
+        Assert.NotNull(sentSettings);
+        Assert.Equal(0.2f, sentSettings!.Temperature);
+        Assert.Equal(256, sentSettings.MaxOutputTokens);
+        Assert.Equal(new[] { "END" }, sentSettings.StopSequences);
+        Assert.Equal(42, sentSettings.Seed);
+        Assert.Null(sentSettings.TopP);
+    }
+
+    [Fact]
+    public async Task ExecuteAsync_WithTools_ShouldCollectTheToolStreamIntoOneResponse()
+    {
+        // Arrange
+        var request = new ChatRequestDto
+        {
+            ProviderId = "OpenRouter",
+            ModelId = "test-model",
+            UseTools = true,
+            Messages = new List<MessageDto>
+            {
+                new MessageDto { Role = ChatRole.User, Content = "What time is it?" }
+            }
+        };
+
+        _mockStreamWithToolsUseCase.Setup(u => u.ExecuteAsync(request, It.IsAny<CancellationToken>()))
+            .Returns(CreateAsyncEnumerable(
+                new ToolStreamingUpdate { Type = "tool_call", CallId = "call_1", FunctionName = "GetCurrentTime", Status = "running" },
+                new ToolStreamingUpdate { Type = "tool_call", CallId = "call_1", FunctionName = "GetCurrentTime", Status = "completed", Result = "12:00" },
+                new ToolStreamingUpdate { Type = "content", Content = "It is " },
+                new ToolStreamingUpdate { Type = "content", Content = "noon." },
+                new ToolStreamingUpdate { Type = "content", IsFinal = true, Usage = new TokenUsageDto { TotalTokens = 42 } }));
+
+        // Act
+        var result = await _useCase.ExecuteAsync(request);
+
+        // Assert
+        Assert.Equal("It is noon.", result.Content);
+        Assert.Equal("test-model", result.ModelId);
+        Assert.Equal(42, result.Usage?.TotalTokens);
+        Assert.NotNull(result.ToolCalls);
+        Assert.Equal(new[] { "running", "completed" }, result.ToolCalls!.Select(u => u.Status));
+        _mockProviderFactory.Verify(f => f.CreateProvider(It.IsAny<string>(), It.IsAny<string>()), Times.Never);
+    }
+
+    private static async IAsyncEnumerable<T> CreateAsyncEnumerable<T>(params T[] items)
+    {
+        await Task.CompletedTask;
+        foreach (var item in items)
+        {
+            yield return item;
+        }
+    }
+}
\ No newline at end of file
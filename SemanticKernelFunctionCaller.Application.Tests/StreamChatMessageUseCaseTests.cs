@@ -3,6 +3,7 @@ using SemanticKernelFunctionCaller.Application.Interfaces;
 using SemanticKernelFunctionCaller.Application.UseCases;
 using SemanticKernelFunctionCaller.Domain.Entities;
 using SemanticKernelFunctionCaller.Domain.Enums;
+using SemanticKernelFunctionCaller.Domain.ValueObjects;
 using Moq;
 using Xunit;
 using System.Runtime.CompilerServices;
@@ -40,7 +41,7 @@ public class StreamChatMessageUseCaseTests
         var asyncEnumerable = CreateAsyncEnumerable(streamingContent);
 
         _mockProviderFactory.Setup(f => f.CreateProvider("OpenRouter", "test-model")).Returns(_mockProvider.Object);
-        _mockProvider.Setup(p => p.StreamMessageAsync(It.IsAny<IEnumerable<ChatMessage>>(), It.IsAny<CancellationToken>()))
+        _mockProvider.Setup(p => p.StreamMessageAsync(It.IsAny<IEnumerable<ChatMessage>>(), It.IsAny<GenerationSettings?>(), It.IsAny<CancellationToken>()))
                     .Returns(asyncEnumerable);
 
         // Act
@@ -82,7 +83,7 @@ public class StreamChatMessageUseCaseTests
         var asyncEnumerable = CreateAsyncEnumerable(streamingContent);
 
         _mockProviderFactory.Setup(f => f.CreateProvider("NanoGPT", "nano-model")).Returns(_mockProvider.Object);
-        _mockProvider.Setup(p => p.StreamMessageAsync(It.IsAny<IEnumerable<ChatMessage>>(), cts.Token))
+        _mockProvider.Setup(p => p.StreamMessageAsync(It.IsAny<IEnumerable<ChatMessage>>(), It.IsAny<GenerationSettings?>(), cts.Token))
                     .Returns(asyncEnumerable);
 
         // Act
@@ -90,7 +91,7 @@ public class StreamChatMessageUseCaseTests
 
         // Assert
         Assert.Equal(4, results.Count); // 3 streaming + 1 final
-        _mockProvider.Verify(p => p.StreamMessageAsync(It.IsAny<IEnumerable<ChatMessage>>(), cts.Token), Times.Once);
+        _mockProvider.Verify(p => p.StreamMessageAsync(It.IsAny<IEnumerable<ChatMessage>>(), It.IsAny<GenerationSettings?>(), cts.Token), Times.Once);
     }
 
     [Fact]
@@ -108,7 +109,7 @@ public class StreamChatMessageUseCaseTests
         var asyncEnumerable = CreateAsyncEnumerable(streamingContent);
 
         _mockProviderFactory.Setup(f => f.CreateProvider("OpenRouter", "test-model")).Returns(_mockProvider.Object);
-        _mockProvider.Setup(p => p.StreamMessageAsync(It.IsAny<IEnumerable<ChatMessage>>(), It.IsAny<CancellationToken>()))
+        _mockProvider.Setup(p => p.StreamMessageAsync(It.IsAny<IEnumerable<ChatMessage>>(), It.IsAny<GenerationSettings?>(), It.IsAny<CancellationToken>()))
                     .Returns(asyncEnumerable);
 
         // Act
@@ -144,22 +145,63 @@ public class StreamChatMessageUseCaseTests
             messages.ElementAt(0).Content == "You are a helpful assistant." &&
             messages.ElementAt(1).Role == ChatRole.User &&
             messages.ElementAt(1).Content == "Continue this story: Once upon a time"
-        ), It.IsAny<CancellationToken>())).Returns(asyncEnumerable);
+        ), It.IsAny<GenerationSettings?>(), It.IsAny<CancellationToken>())).Returns(asyncEnumerable);
 
         // Act
         var results = await ToListAsync(_useCase.ExecuteAsync(request));
 
         // Assert
         Assert.Equal(9, results.Count); // 8 streaming + 1 final
-        _mockProvider.Verify(p => p.StreamMessageAsync(It.IsAny<IEnumerable<ChatMessage>>(), It.IsAny<CancellationToken>()), Times.Once);
+        _mockProvider.Verify(p => p.StreamMessageAsync(It.IsAny<IEnumerable<ChatMessage>>(), It.IsAny<GenerationSettings?>(), It.IsAny<CancellationToken>()), Times.Once);
     }
 
-    private static async IAsyncEnumerable<string> CreateAsyncEnumerable(IEnumerable<string> content)
+    [Fact]
+    public async Task ExecuteAsync_WhenProviderReportsUsage_ShouldAttachItToFinalUpdate()
+    {
+        // Arrange
+        var request = new ChatRequestDto
+        {
+            ProviderId = "OpenRouter",
+            ModelId = "test-model",
+            Messages = new List<MessageDto>
+            {
+                new MessageDto { Role = ChatRole.User, Content = "Hello" }
+            }
+        };
+
+        var chunks = new[]
+        {
+            new StreamingChatChunk { Content = "Hi" },
+            new StreamingChatChunk { Usage = new TokenUsage { PromptTokens = 8, CompletionTokens = 1 } }
+        };
+
+        _mockProviderFactory.Setup(f => f.CreateProvider("OpenRouter", "test-model")).Returns(_mockProvider.Object);
+        _mockProvider.Setup(p => p.StreamMessageAsync(It.IsAny<IEnumerable<ChatMessage>>(), It.IsAny<GenerationSettings?>(), It.IsAny<CancellationToken>()))
+                    .Returns(CreateAsyncEnumerable(chunks));
+
+        // Act
+        var results = await ToListAsync(_useCase.ExecuteAsync(request));
+
+        // Assert
+        Assert.Equal(2, results.Count); // The usage chunk carries no content of its own
+        Assert.Null(results[0].Usage);
+        Assert.True(results[1].IsFinal);
+        Assert.Equal(8, results[1].Usage!.PromptTokens);
+        Assert.Equal(1, results[1].Usage!.CompletionTokens);
+        Assert.Equal(9, results[1].Usage!.TotalTokens);
+    }
+
+    private static IAsyncEnumerable<StreamingChatChunk> CreateAsyncEnumerable(IEnumerable<string> content)
+    {
+        return CreateAsyncEnumerable(content.Select(item => new StreamingChatChunk { Content = item }));
+    }
+
+    private static async IAsyncEnumerable<StreamingChatChunk> CreateAsyncEnumerable(IEnumerable<StreamingChatChunk> chunks)
     {
         await Task.CompletedTask;
-        foreach (var item in content)
+        foreach (var chunk in chunks)
         {
-            yield return item;
+            yield return chunk;
         }
     }
 
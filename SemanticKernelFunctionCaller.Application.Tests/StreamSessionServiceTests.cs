@@ -0,0 +1,157 @@
+using Microsoft.Extensions.DependencyInjection;
+using Microsoft.Extensions.Logging.Abstractions;
+using Moq;
+using SemanticKernelFunctionCaller.Application.DTOs;
+using SemanticKernelFunctionCaller.Application.Services;
+using Xunit;
+
+namespace SemanticKernelFunctionCaller.Application.Tests;
+
+public class StreamSessionServiceTests
+{
+    private readonly Mock<IServiceScope> _mockScope;
+    private readonly StreamSessionService _service;
+
+    public StreamSessionServiceTests()
+    {
+        _mockScope = new Mock<IServiceScope>();
+        _mockScope.Setup(s => s.ServiceProvider).Returns(Mock.Of<IServiceProvider>());
+        var mockScopeFactory = new Mock<IServiceScopeFactory>();
+        mockScopeFactory.Setup(f => f.CreateScope()).Returns(() => _mockScope.Object);
+        _service = new StreamSessionService(mockScopeFactory.Object, NullLogger<StreamSessionService>.Instance);
+    }
+
+    [Fact]
+    public async Task ReadAsync_FromStart_ShouldReturnAllEventsNumberedInOrder()
+    {
+        // Arrange
+        var streamId = _service.Start((_, _) => CreateEvents("a", "b", "c"));
+
+        // Act
+        var events = await ReadAllAsync(streamId, 0);
+
+        // Assert
+        Assert.Equal(new long[] { 1, 2, 3 }, events.Select(e => e.Id));
+        Assert.Equal(new object?[] { "a", "b", "c" }, events.Select(e => e.Data));
+    }
+
+    [Fact]
+    public async Task ReadAsync_AfterLastEventId_ShouldReturnOnlyLaterEvents()
+    {
+        // Arrange
+        var streamId = _service.Start((_, _) => CreateEvents("a", "b", "c"));
+
+        // Act
+        var events = await ReadAllAsync(streamId, 2);
+
+        // Assert
+        var streamEvent = Assert.Single(events);
+        Assert.Equal(3, streamEvent.Id);
+        Assert.Equal("c", streamEvent.Data);
+    }
+
+    [Fact]
+    public async Task ReadAsync_WhenProducerThrows_ShouldEndWithErrorEvent()
+    {
+        // Arrange
+        var streamId = _service.Start((_, _) => FailAfterFirstEvent());
+
+        // Act
+        var events = await ReadAllAsync(streamId, 0);
+
+        // Assert
+        Assert.Equal(2, events.Count);
+        Assert.Equal(StreamEventTypes.Error, events[1].Type);
+        Assert.Contains("Provider unavailable", events[1].Data?.ToString());
+    }
+
+    [Fact]
+    public async Task Cancel_WithRunningStream_ShouldStopTheProducerAndEndTheStream()
+    {
+        // Arrange
+        var producerCancelled = new TaskCompletionSource(TaskCreationOptions.RunContinuationsAsynchronously);
+        var streamId = _service.Start((_, cancellationToken) => WaitUntilCancelled(cancellationToken, producerCancelled));
+        var readTask = ReadAllAsync(streamId, 0);
+
+        // Act
+        var cancelled = _service.Cancel(streamId);
+
+        // Assert
+        Assert.True(cancelled);
+        await producerCancelled.Task.WaitAsync(TimeSpan.FromSeconds(5));
+        var events = await readTask.WaitAsync(TimeSpan.FromSeconds(5));
+        Assert.Empty(events);
+    }
+
+    [Fact]
+    public async Task Start_ShouldProduceFromItsOwnScopeAndDisposeItWhenTheStreamEnds()
+    {
+        // Arrange
+        var scopeDisposed = new TaskCompletionSource(TaskCreationOptions.RunContinuationsAsynchronously);
+        _mockScope.Setup(s => s.Dispose()).Callback(() => scopeDisposed.TrySetResult());
+        IServiceProvider? producerServices = null;
+
+        // Act
+        var streamId = _service.Start((services, _) =>
+        {
+            producerServices = services;
+            return CreateEvents("a");
+        });
+        await ReadAllAsync(streamId, 0);
+
+        // Assert
+        await scopeDisposed.Task.WaitAsync(TimeSpan.FromSeconds(5));
+        Assert.Same(_mockScope.Object.ServiceProvider, producerServices);
+        _mockScope.Verify(s => s.Dispose(), Times.Once);
+    }
+
+    [Fact]
+    public async Task ReadAsync_WithUnknownStream_ShouldThrowKeyNotFoundException()
+    {
+        // Act & Assert
+        Assert.False(_service.Exists("stream_missing"));
+        Assert.False(_service.Cancel("stream_missing"));
+        await Assert.ThrowsAsync<KeyNotFoundException>(() => ReadAllAsync("stream_missing", 0));
+    }
+
+    private async Task<List<StreamEvent>> ReadAllAsync(string streamId, long lastEventId)
+    {
+        var events = new List<StreamEvent>();
+        await foreach (var streamEvent in _service.ReadAsync(streamId, lastEventId))
+        {
+            events.Add(streamEvent);
+        }
+        return events;
+    }
+
+    private static async IAsyncEnumerable<StreamEvent> CreateEvents(params string[] contents)
+    {
+        foreach (var content in contents)
+        {
+            await Task.Yield();
+            yield return new StreamEvent { Type = StreamEventTypes.Content, Data = content };
+        }
+    }
+
+    private static async IAsyncEnumerable<StreamEvent> FailAfterFirstEvent()
+    {
+        await Task.Yield();
+        yield return new StreamEvent { Type = StreamEventTypes.Content, Data = "a" };
+        throw new InvalidOperationException("Provider unavailable");
+    }
+
+    private static async IAsyncEnumerable<StreamEvent> WaitUntilCancelled(
+        [System.Runtime.CompilerServices.EnumeratorCancellation] CancellationToken cancellationToken,
+        TaskCompletionSource producerCancelled)
+    {
+        try
+        {
+            await Task.Delay(Timeout.Infinite, cancellationToken);
+        }
+        finally
+        {
+            producerCancelled.TrySetResult();
+        }
+        yield break;
+    }
+}
\ No newline at end of file
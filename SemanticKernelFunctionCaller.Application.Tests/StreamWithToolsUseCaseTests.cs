@@ -2,7 +2,10 @@ using Microsoft.Extensions.DependencyInjection;
 using Microsoft.Extensions.Logging;
 using Microsoft.SemanticKernel;
 using Microsoft.SemanticKernel.ChatCompletion;
+using Microsoft.SemanticKernel.Connectors.OpenAI;
+using OpenAIChatModelFactory = OpenAI.Chat.OpenAIChatModelFactory;
 using SemanticKernelFunctionCaller.Application.DTOs;
+using SemanticKernelFunctionCaller.Application.Services;
 using SemanticKernelFunctionCaller.Application.UseCases;
 using SemanticKernelFunctionCaller.Domain.Enums;
 using Moq;
@@ -27,7 +30,7 @@ public class StreamWithToolsUseCaseTests
         builder.Services.AddSingleton(_mockChatCompletionService.Object);
         _kernel = builder.Build();
         
-        _useCase = new StreamWithToolsUseCase(_kernel, _mockLogger.Object);
+        _useCase = new StreamWithToolsUseCase(_kernel, new ToolApprovalService(), _mockLogger.Object);
     }
 
     [Fact]
@@ -56,7 +59,7 @@ public class StreamWithToolsUseCaseTests
         _mockChatCompletionService.Setup(s => s.GetStreamingChatMessageContentsAsync(
             It.IsAny<ChatHistory>(),
             It.IsAny<PromptExecutionSettings>(),
-            _kernel,
+            It.IsAny<Kernel>(),
             It.IsAny<CancellationToken>()))
             .Returns(asyncEnumerable);
 
@@ -87,7 +90,7 @@ public class StreamWithToolsUseCaseTests
         _mockChatCompletionService.Verify(s => s.GetStreamingChatMessageContentsAsync(
             It.IsAny<ChatHistory>(),
             It.IsAny<PromptExecutionSettings>(),
-            _kernel,
+            It.IsAny<Kernel>(),
             It.IsAny<CancellationToken>()), Times.Once);
     }
 
@@ -116,7 +119,7 @@ public class StreamWithToolsUseCaseTests
         _mockChatCompletionService.Setup(s => s.GetStreamingChatMessageContentsAsync(
             It.IsAny<ChatHistory>(),
             It.IsAny<PromptExecutionSettings>(),
-            _kernel,
+            It.IsAny<Kernel>(),
             It.IsAny<CancellationToken>()))
             .Returns(asyncEnumerable);
 
@@ -149,6 +152,223 @@ public class StreamWithToolsUseCaseTests
             It.IsAny<Func<It.IsAnyType, Exception?, string>>()), Times.Once);
     }
 
+    [Fact]
+    public async Task ExecuteAsync_WithEnabledFunctions_ShouldOnlyExposeEnabledFunctionsToTheModel()
+    {
+        // Arrange
+        var builder = Kernel.CreateBuilder();
+        builder.Services.AddSingleton(_mockChatCompletionService.Object);
+        builder.Plugins.AddFromFunctions("TimePlugin", new[]
+        {
+            KernelFunctionFactory.CreateFromMethod(() => "3:00 PM", "GetCurrentTime"),
+            KernelFunctionFactory.CreateFromMethod(() => "UTC", "GetTimezone")
+        });
+        builder.Plugins.AddFromFunctions("YouTubeAnalysisPlugin", new[]
+        {
+            KernelFunctionFactory.CreateFromMethod((string url) => "summary", "SummarizeVideo")
+        });
+        var kernel = builder.Build();
+        var useCase = new StreamWithToolsUseCase(kernel, new ToolApprovalService(), _mockLogger.Object);
+
+        var request = new ChatRequestDto
+        {
+            ProviderId = "OpenRouter",
+            ModelId = "test-model",
+            Messages = new List<MessageDto>
+            {
+                new MessageDto { Role = ChatRole.User, Content = "What time is it?" }
+            },
+            EnabledFunctions = new List<string> { "TimePlugin.GetCurrentTime" }
+        };
+
+        Kernel? invokedKernel = null;
+        _mockChatCompletionService.Setup(s => s.GetStreamingChatMessageContentsAsync(
+            It.IsAny<ChatHistory>(),
+            It.IsAny<PromptExecutionSettings>(),
+            It.IsAny<Kernel>(),
+            It.IsAny<CancellationToken>()))
+            .Callback<ChatHistory, PromptExecutionSettings?, Kernel?, CancellationToken>((_, _, k, _) => invokedKernel = k)
+            .Returns(CreateAsyncEnumerable(new[] { CreateStreamingChatMessageContent(AuthorRole.Assistant, "3:00 PM") }));
+
+        // Act
+        await ToListAsync(useCase.ExecuteAsync(request));
+
+        // Assert
+        Assert.NotNull(invokedKernel);
+        var exposedFunctions = invokedKernel!.Plugins
+            .SelectMany(p => p.Select(f => $"{p.Name}.{f.Name}"))
+            .ToList();
+        Assert.Equal(new[] { "TimePlugin.GetCurrentTime" }, exposedFunctions);
+
+        // The shared kernel keeps all of its plugins
+        Assert.Equal(2, kernel.Plugins.Count);
+        Assert.Equal(3, kernel.Plugins.GetFunctionsMetadata().Count);
+    }
+
+    [Fact]
+    public async Task ExecuteAsync_WithSystemMessage_ShouldPassItAsSystemRole()
+    {
+        // Arrange
+        var request = new ChatRequestDto
+        {
+            ProviderId = "OpenRouter",
+            ModelId = "test-model",
+            Messages = new List<MessageDto>
+            {
+                new MessageDto { Role = ChatRole.System, Content = "You are a pirate." },
+                new MessageDto { Role = ChatRole.User, Content = "What time is it?" }
+            }
+        };
+
+        ChatHistory? sentHistory = null;
+        _mockChatCompletionService.Setup(s => s.GetStreamingChatMessageContentsAsync(
+            It.IsAny<ChatHistory>(),
+            It.IsAny<PromptExecutionSettings>(),
+            It.IsAny<Kernel>(),
+            It.IsAny<CancellationToken>()))
+            .Callback<ChatHistory, PromptExecutionSettings?, Kernel?, CancellationToken>((history, _, _, _) => sentHistory = history)
+            .Returns(CreateAsyncEnumerable(new[] { CreateStreamingChatMessageContent(AuthorRole.Assistant, "Arr, 3 bells.") }));
+
+        // Act
+        await ToListAsync(_useCase.ExecuteAsync(request));
+
+        // Assert
+        Assert.NotNull(sentHistory);
+        Assert.Equal(AuthorRole.System, sentHistory![0].Role);
+        Assert.Equal("You are a pirate.", sentHistory[0].Content);
+        Assert.Equal(AuthorRole.User, sentHistory[1].Role);
+    }
+
+    [Fact]
+    public async Task ExecuteAsync_WithImageAttachment_ShouldSendItAsImageContent()
+    {
+        // Arrange
+        var imageData = new byte[] { 0x89, 0x50, 0x4E, 0x47 };
+        var request = new ChatRequestDto
+        {
+            ProviderId = "OpenRouter",
+            ModelId = "test-model",
+            Messages = new List<MessageDto>
+            {
+                new MessageDto
+                {
+                    Role = ChatRole.User,
+                    Content = "What is in this picture?",
+                    Attachments = new List<AttachmentDto>
+                    {
+                        new AttachmentDto { MediaType = "image/png", Data = Convert.ToBase64String(imageData), Name = "cat.png" }
+                    }
+                }
+            }
+        };
+
+        ChatHistory? sentHistory = null;
+        _mockChatCompletionService.Setup(s => s.GetStreamingChatMessageContentsAsync(
+            It.IsAny<ChatHistory>(),
+            It.IsAny<PromptExecutionSettings>(),
+            It.IsAny<Kernel>(),
+            It.IsAny<CancellationToken>()))
+            .Callback<ChatHistory, PromptExecutionSettings?, Kernel?, CancellationToken>((history, _, _, _) => sentHistory = history)
+            .Returns(CreateAsyncEnumerable(new[] { CreateStreamingChatMessageContent(AuthorRole.Assistant, "A cat.") }));
+
+        // Act
+        await ToListAsync(_useCase.ExecuteAsync(request));
+
+        // Assert
+        Assert.NotNull(sentHistory);
+        var items = sentHistory![0].Items;
+        Assert.Equal(2, items.Count);
+        Assert.Equal("What is in this picture?", Assert.IsType<TextContent>(items[0]).Text);
+        var image = Assert.IsType<ImageContent>(items[1]);
+        Assert.Equal("image/png", image.MimeType);
+        Assert.Equal(imageData, image.Data!.Value.ToArray());
+    }
+
+    [Fact]
+    public async Task ExecuteAsync_WithSettings_ShouldApplyThemToExecutionSettings()
+    {
+        // Arrange
+        var request = new ChatRequestDto
+        {
+            ProviderId = "OpenRouter",
+            ModelId = "test-model",
+            Messages = new List<MessageDto>
+            {
+                new MessageDto { Role = ChatRole.User, Content = "What time is it?" }
+            },
+            Settings = new GenerationSettingsDto { Temperature = 0.5f, TopP = 0.9f, MaxOutputTokens = 100, Seed = 7 }
+        };
+
+        PromptExecutionSettings? sentSettings = null;
+        _mockChatCompletionService.Setup(s => s.GetStreamingChatMessageContentsAsync(
+            It.IsAny<ChatHistory>(),
+            It.IsAny<PromptExecutionSettings>(),
+            It.IsAny<Kernel>(),
+            It.IsAny<CancellationToken>()))
+            .Callback<ChatHistory, PromptExecutionSettings?, Kernel?, CancellationToken>((_, settings, _, _) => sentSettings = settings)
+            .Returns(CreateAsyncEnumerable(new[] { CreateStreamingChatMessageContent(AuthorRole.Assistant, "3:00 PM") }));
+
+        // Act
+        await ToListAsync(_useCase.ExecuteAsync(request));
+
+        // Assert
+        var openAISettings = Assert.IsType<OpenAIPromptExecutionSettings>(sentSettings);
+        Assert.Equal(0.5, openAISettings.Temperature!.Value, 3);
+        Assert.Equal(0.9, openAISettings.TopP!.Value, 3);
+        Assert.Equal(100, openAISettings.MaxTokens);
+        Assert.Equal(7, openAISettings.Seed);
+    }
+
+    [Fact]
+    public async Task ExecuteAsync_WhenModelReportsUsage_ShouldSumItOnFinalUpdate()
+    {
+        // Arrange
+        var request = new ChatRequestDto
+        {
+            ProviderId = "OpenRouter",
+            ModelId = "test-model",
+            Messages = new List<MessageDto>
+            {
+                new MessageDto { Role = ChatRole.User, Content = "What time is it?" }
+            }
+        };
+
+        // One usage report per model round trip: the tool call request, then the answer
+        var streamingUpdates = new[]
+        {
+            CreateUsageContent(inputTokens: 20, outputTokens: 5),
+            CreateStreamingChatMessageContent(AuthorRole.Assistant, "3:00 PM"),
+            CreateUsageContent(inputTokens: 30, outputTokens: 4)
+        };
+
+        _mockChatCompletionService.Setup(s => s.GetStreamingChatMessageContentsAsync(
+            It.IsAny<ChatHistory>(),
+            It.IsAny<PromptExecutionSettings>(),
+            It.IsAny<Kernel>(),
+            It.IsAny<CancellationToken>()))
+            .Returns(CreateAsyncEnumerable(streamingUpdates));
+
+        // Act
+        var results = await ToListAsync(_useCase.ExecuteAsync(request));
+
+        // Assert
+        var final = results.Last();
+        Assert.True(final.IsFinal);
+        Assert.Equal(50, final.Usage!.PromptTokens);
+        Assert.Equal(9, final.Usage!.CompletionTokens);
+        Assert.Equal(59, final.Usage!.TotalTokens);
+    }
+
+    private static StreamingChatMessageContent CreateUsageContent(int inputTokens, int outputTokens)
+    {
+        var usage = OpenAIChatModelFactory.ChatTokenUsage(
+            outputTokenCount: outputTokens,
+            inputTokenCount: inputTokens,
+            totalTokenCount: inputTokens + outputTokens);
+
+        return new StreamingChatMessageContent(AuthorRole.Assistant, null, null, metadata: new Dictionary<string, object?> { ["Usage"] = usage });
+    }
+
     private static StreamingChatMessageContent CreateStreamingChatMessageContent(AuthorRole role, string content)
     {
         return new StreamingChatMessageContent(role, content, null);
@@ -0,0 +1,134 @@
+using System.Threading.Channels;
+using Microsoft.Extensions.Logging;
+using Microsoft.SemanticKernel;
+using Microsoft.SemanticKernel.ChatCompletion;
+using SemanticKernelFunctionCaller.Application.DTOs;
+using SemanticKernelFunctionCaller.Application.Filters;
+using SemanticKernelFunctionCaller.Application.Services;
+using Moq;
+using Xunit;
+
+namespace SemanticKernelFunctionCaller.Application.Tests;
+
+public class ToolApprovalFilterTests
+{
+    private readonly Channel<ToolStreamingUpdate> _channel;
+    private readonly ToolApprovalService _approvalService;
+    private readonly Kernel _kernel;
+    private readonly KernelFunction _function;
+
+    public ToolApprovalFilterTests()
+    {
+        _channel = Channel.CreateUnbounded<ToolStreamingUpdate>();
+        _approvalService = new ToolApprovalService();
+        _kernel = Kernel.CreateBuilder().Build();
+
+        var plugin = KernelPluginFactory.CreateFromFunctions("TimePlugin", new[]
+        {
+            KernelFunctionFactory.CreateFromMethod((string timezone) => "3:00 PM", "GetCurrentTime")
+        });
+        _function = plugin["GetCurrentTime"];
+    }
+
+    [Fact]
+    public async Task OnAutoFunctionInvocationAsync_WithAutoApprovedFunction_ShouldRunWithoutAsking()
+    {
+        // Arrange
+        var filter = CreateFilter("TimePlugin.GetCurrentTime");
+        var context = CreateContext();
+        var invoked = false;
+
+        // Act
+        await filter.OnAutoFunctionInvocationAsync(context, _ =>
+        {
+            invoked = true;
+            return Task.CompletedTask;
+        });
+
+        // Assert
+        Assert.True(invoked);
+        Assert.False(_channel.Reader.TryRead(out _));
+    }
+
+    [Fact]
+    public async Task OnAutoFunctionInvocationAsync_WhenApprovedWithEditedArguments_ShouldRunWithEditedArguments()
+    {
+        // Arrange
+        var filter = CreateFilter();
+        var context = CreateContext();
+        string? invokedWith = null;
+
+        // Act
+        var filterTask = filter.OnAutoFunctionInvocationAsync(context, ctx =>
+        {
+            invokedWith = ctx.Arguments!["timezone"]?.ToString();
+            return Task.CompletedTask;
+        });
+
+        var request = await _channel.Reader.ReadAsync();
+        _approvalService.SubmitDecision(request.CallId!, new ToolApprovalDecisionDto
+        {
+            Approved = true,
+            Arguments = new Dictionary<string, string?> { ["timezone"] = "Europe/Amsterdam" }
+        });
+        await filterTask;
+
+        // Assert
+        Assert.Equal("approval_required", request.Type);
+        Assert.Equal("call_1", request.CallId);
+        Assert.Equal("UTC", request.Arguments!["timezone"]);
+        Assert.Equal("Europe/Amsterdam", invokedWith);
+    }
+
+    [Fact]
+    public async Task OnAutoFunctionInvocationAsync_WhenDenied_ShouldSkipFunctionAndReturnDenialToModel()
+    {
+        // Arrange
+        var filter = CreateFilter();
+        var context = CreateContext();
+        var invoked = false;
+
+        // Act
+        var filterTask = filter.OnAutoFunctionInvocationAsync(context, _ =>
+        {
+            invoked = true;
+            return Task.CompletedTask;
+        });
+
+        var request = await _channel.Reader.ReadAsync();
+        _approvalService.SubmitDecision(request.CallId!, new ToolApprovalDecisionDto
+        {
+            Approved = false,
+            Reason = "Not now."
+        });
+        await filterTask;
+
+        // Assert
+        Assert.False(invoked);
+        Assert.Contains("denied", context.Result.GetValue<string>());
+
+        Assert.True(_channel.Reader.TryRead(out var denied));
+        Assert.Equal("tool_call", denied!.Type);
+        Assert.Equal("denied", denied.Status);
+        Assert.Equal("Not now.", denied.Result);
+    }
+
+    private ToolApprovalFilter CreateFilter(params string[] autoApprovedFunctions)
+    {
+        return new ToolApprovalFilter(_channel.Writer, _approvalService, autoApprovedFunctions, new Mock<ILogger>().Object);
+    }
+
+    private AutoFunctionInvocationContext CreateContext()
+    {
+        return new AutoFunctionInvocationContext(
+            _kernel,
+            _function,
+            new FunctionResult(_function),
+            new ChatHistory(),
+            new ChatMessageContent(AuthorRole.Assistant, string.Empty))
+        {
+            Arguments = new KernelArguments { ["timezone"] = "UTC" },
+            ToolCallId = "call_1"
+        };
+    }
+}
\ No newline at end of file
@@ -0,0 +1,63 @@
+using SemanticKernelFunctionCaller.Application.DTOs;
+using SemanticKernelFunctionCaller.Application.Services;
+using Xunit;
+
+namespace SemanticKernelFunctionCaller.Application.Tests;
+
+public class ToolApprovalServiceTests
+{
+    private readonly ToolApprovalService _service = new();
+
+    [Fact]
+    public async Task SubmitDecision_WithPendingCall_ShouldCompleteTheWait()
+    {
+        // Arrange
+        var waitTask = _service.WaitForDecisionAsync("call_1", TimeSpan.FromMinutes(1));
+        var decision = new ToolApprovalDecisionDto { Approved = true };
+
+        // Act
+        var submitted = _service.SubmitDecision("call_1", decision);
+        var result = await waitTask;
+
+        // Assert
+        Assert.True(submitted);
+        Assert.Same(decision, result);
+    }
+
+    [Fact]
+    public void SubmitDecision_WithUnknownCall_ShouldReturnFalse()
+    {
+        // Act
+        var submitted = _service.SubmitDecision("call_missing", new ToolApprovalDecisionDto { Approved = true });
+
+        // Assert
+        Assert.False(submitted);
+    }
+
+    [Fact]
+    public async Task WaitForDecisionAsync_WhenTimeoutElapses_ShouldDenyAndForgetTheCall()
+    {
+        // Act
+        var result = await _service.WaitForDecisionAsync("call_1", TimeSpan.FromMilliseconds(10));
+
+        // Assert
+        Assert.False(result.Approved);
+        Assert.NotNull(result.Reason);
+        Assert.False(_service.SubmitDecision("call_1", new ToolApprovalDecisionDto { Approved = true }));
+    }
+
+    [Fact]
+    public async Task WaitForDecisionAsync_WhenCancelled_ShouldThrowAndForgetTheCall()
+    {
+        // Arrange
+        using var cancellation = new CancellationTokenSource();
+        var waitTask = _service.WaitForDecisionAsync("call_1", TimeSpan.FromMinutes(1), cancellation.Token);
+
+        // Act
+        cancellation.Cancel();
+
+        // Assert
+        await Assert.ThrowsAnyAsync<OperationCanceledException>(() => waitTask);
+        Assert.False(_service.SubmitDecision("call_1", new ToolApprovalDecisionDto { Approved = true }));
+    }
+}
\ No newline at end of file
@@ -0,0 +1,107 @@
+using System.Threading.Channels;
+using Microsoft.Extensions.Logging;
+using Microsoft.SemanticKernel;
+using Microsoft.SemanticKernel.ChatCompletion;
+using SemanticKernelFunctionCaller.Application.DTOs;
+using SemanticKernelFunctionCaller.Application.Filters;
+using Moq;
+using Xunit;
+
+namespace SemanticKernelFunctionCaller.Application.Tests;
+
+public class ToolCallTrackingFilterTests
+{
+    private readonly Channel<ToolStreamingUpdate> _channel;
+    private readonly ToolCallTrackingFilter _filter;
+    private readonly Kernel _kernel;
+    private readonly KernelFunction _function;
+
+    public ToolCallTrackingFilterTests()
+    {
+        _channel = Channel.CreateUnbounded<ToolStreamingUpdate>();
+        _filter = new ToolCallTrackingFilter(_channel.Writer, new Mock<ILogger>().Object);
+        _kernel = Kernel.CreateBuilder().Build();
+
+        var plugin = KernelPluginFactory.CreateFromFunctions("TimePlugin", new[]
+        {
+            KernelFunctionFactory.CreateFromMethod((string timezone) => "3:00 PM", "GetCurrentTime")
+        });
+        _function = plugin["GetCurrentTime"];
+    }
+
+    [Fact]
+    public async Task OnAutoFunctionInvocationAsync_WhenFunctionSucceeds_ShouldWriteRunningAndCompletedUpdates()
+    {
+        // Arrange
+        var context = CreateContext();
+
+        // Act
+        await _filter.OnAutoFunctionInvocationAsync(context, ctx =>
+        {
+            ctx.Result = new FunctionResult(ctx.Function, "3:00 PM");
+            return Task.CompletedTask;
+        });
+
+        // Assert
+        var updates = ReadAll();
+        Assert.Equal(2, updates.Count);
+
+        Assert.Equal("tool_call", updates[0].Type);
+        Assert.Equal("running", updates[0].Status);
+        Assert.Equal("call_1", updates[0].CallId);
+        Assert.Equal("TimePlugin", updates[0].PluginName);
+        Assert.Equal("GetCurrentTime", updates[0].FunctionName);
+        Assert.Equal("UTC", updates[0].Arguments!["timezone"]);
+        Assert.Null(updates[0].Result);
+
+        Assert.Equal("completed", updates[1].Status);
+        Assert.Equal("call_1", updates[1].CallId);
+        Assert.Equal("3:00 PM", updates[1].Result);
+        Assert.NotNull(updates[1].DurationMs);
+        Assert.False(updates[1].IsFinal);
+    }
+
+    [Fact]
+    public async Task OnAutoFunctionInvocationAsync_WhenFunctionThrows_ShouldWriteFailedUpdateAndRethrow()
+    {
+        // Arrange
+        var context = CreateContext();
+
+        // Act & Assert
+        var exception = await Assert.ThrowsAsync<InvalidOperationException>(() =>
+            _filter.OnAutoFunctionInvocationAsync(context, _ => throw new InvalidOperationException("Unknown timezone")));
+
+        Assert.Equal("Unknown timezone", exception.Message);
+
+        var updates = ReadAll();
+        Assert.Equal(2, updates.Count);
+        Assert.Equal("running", updates[0].Status);
+        Assert.Equal("failed", updates[1].Status);
+        Assert.Equal("Unknown timezone", updates[1].Result);
+        Assert.NotNull(updates[1].DurationMs);
+    }
+
+    private AutoFunctionInvocationContext CreateContext()
+    {
+        return new AutoFunctionInvocationContext(
+            _kernel,
+            _function,
+            new FunctionResult(_function),
+            new ChatHistory(),
+            new ChatMessageContent(AuthorRole.Assistant, string.Empty))
+        {
+            Arguments = new KernelArguments { ["timezone"] = "UTC" },
+            ToolCallId = "call_1"
+        };
+    }
+
+    private List<ToolStreamingUpdate> ReadAll()
+    {
+        var updates = new List<ToolStreamingUpdate>();
+        while (_channel.Reader.TryRead(out var update))
+        {
+            updates.Add(update);
+        }
+        return updates;
+    }
+}
\ No newline at end of file
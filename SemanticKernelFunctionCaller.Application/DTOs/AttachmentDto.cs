@@ -0,0 +1,26 @@
+using System.ComponentModel.DataAnnotations;
+
+namespace SemanticKernelFunctionCaller.Application.DTOs;
+
+/// <summary>
+/// Represents an image sent as part of a message to a vision-capable model.
+/// </summary>
+public class AttachmentDto
+{
+    /// <summary>
+    /// Gets or sets the media type of the image.
+    /// </summary>
+    [RegularExpression("^image/(png|jpeg|gif|webp)$", ErrorMessage = "Only PNG, JPEG, GIF and WebP images can be attached.")]
+    public required string MediaType { get; set; }
+
+    /// <summary>
+    /// Gets or sets the base64-encoded image data.
+    /// </summary>
+    [Base64String]
+    public required string Data { get; set; }
+
+    /// <summary>
+    /// Gets or sets the original file name.
+    /// </summary>
+    public string? Name { get; set; }
+}
\ No newline at end of file
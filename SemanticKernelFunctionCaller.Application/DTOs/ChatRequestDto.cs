@@ -5,4 +5,19 @@ public class ChatRequestDto
     public required string ProviderId { get; set; }
     public required string ModelId { get; set; }
     public required List<MessageDto> Messages { get; set; }
+
+    // Sampling settings for this request; null or unset values use the provider defaults
+    public GenerationSettingsDto? Settings { get; set; }
+
+    // "PluginName.FunctionName" entries the model may call; null leaves every function enabled
+    public List<string>? EnabledFunctions { get; set; }
+
+    // Run the tool loop for a /send request; streaming requests pick the stream-with-tools endpoint instead
+    public bool UseTools { get; set; }
+
+    // Pause before each tool call until the user approves, edits or denies it
+    public bool RequireToolApproval { get; set; }
+
+    // "PluginName.FunctionName" entries that run without asking when approval is required
+    public List<string>? AutoApprovedFunctions { get; set; }
 }
@@ -5,4 +5,8 @@ public class ChatResponseDto
     public required string Content { get; set; }
     public required string ModelId { get; set; }
     public required string ProviderId { get; set; }
+    public TokenUsageDto? Usage { get; set; }
+
+    // The tool call updates of a response with tools, in the order they were streamed
+    public List<ToolStreamingUpdate>? ToolCalls { get; set; }
 }
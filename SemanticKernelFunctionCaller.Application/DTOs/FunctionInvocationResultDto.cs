@@ -0,0 +1,37 @@
+namespace SemanticKernelFunctionCaller.Application.DTOs;
+
+/// <summary>
+/// Represents the outcome of a direct plugin function invocation.
+/// </summary>
+public class FunctionInvocationResultDto
+{
+    /// <summary>
+    /// Gets or sets the name of the plugin.
+    /// </summary>
+    public required string PluginName { get; set; }
+
+    /// <summary>
+    /// Gets or sets the name of the function.
+    /// </summary>
+    public required string FunctionName { get; set; }
+
+    /// <summary>
+    /// Gets or sets whether the function completed without throwing.
+    /// </summary>
+    public bool Succeeded { get; set; }
+
+    /// <summary>
+    /// Gets or sets the raw function result.
+    /// </summary>
+    public string? Result { get; set; }
+
+    /// <summary>
+    /// Gets or sets the error message when the function failed.
+    /// </summary>
+    public string? Error { get; set; }
+
+    /// <summary>
+    /// Gets or sets how long the function ran, in milliseconds.
+    /// </summary>
+    public long DurationMs { get; set; }
+}
\ No newline at end of file
@@ -0,0 +1,50 @@
+using System.ComponentModel.DataAnnotations;
+
+namespace SemanticKernelFunctionCaller.Application.DTOs;
+
+/// <summary>
+/// Represents the sampling settings of a chat request. Unset values use the provider defaults.
+/// </summary>
+public class GenerationSettingsDto
+{
+    /// <summary>
+    /// Gets or sets the sampling temperature.
+    /// </summary>
+    [Range(0.0, 2.0)]
+    public float? Temperature { get; set; }
+
+    /// <summary>
+    /// Gets or sets the nucleus sampling probability mass.
+    /// </summary>
+    [Range(0.0, 1.0)]
+    public float? TopP { get; set; }
+
+    /// <summary>
+    /// Gets or sets the maximum number of tokens to generate.
+    /// </summary>
+    [Range(1, int.MaxValue)]
+    public int? MaxOutputTokens { get; set; }
+
+    /// <summary>
+    /// Gets or sets the sequences that end generation.
+    /// </summary>
+    [MaxLength(4)]
+    public List<string>? StopSequences { get; set; }
+
+    /// <summary>
+    /// Gets or sets the penalty for tokens that already appeared.
+    /// </summary>
+    [Range(-2.0, 2.0)]
+    public float? PresencePenalty { get; set; }
+
+    /// <summary>
+    /// Gets or sets the penalty proportional to how often tokens appeared.
+    /// </summary>
+    [Range(-2.0, 2.0)]
+    public float? FrequencyPenalty { get; set; }
+
+    /// <summary>
+    /// Gets or sets the seed for best-effort deterministic sampling.
+    /// </summary>
+    public long? Seed { get; set; }
+}
\ No newline at end of file
@@ -0,0 +1,12 @@
+namespace SemanticKernelFunctionCaller.Application.DTOs;
+
+/// <summary>
+/// Represents a request to invoke a plugin function directly, without a model in the loop.
+/// </summary>
+public class InvokeFunctionRequestDto
+{
+    /// <summary>
+    /// Gets or sets the argument values by parameter name. Values are converted to the parameter types by the kernel.
+    /// </summary>
+    public Dictionary<string, string?> Arguments { get; set; } = new();
+}
\ No newline at end of file
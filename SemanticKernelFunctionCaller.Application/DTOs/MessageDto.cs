@@ -1,3 +1,4 @@
+using System.ComponentModel.DataAnnotations;
 using SemanticKernelFunctionCaller.Domain.Enums;
 
 namespace SemanticKernelFunctionCaller.Application.DTOs;
@@ -5,5 +6,10 @@ namespace SemanticKernelFunctionCaller.Application.DTOs;
 public class MessageDto
 {
     public ChatRole Role { get; set; }
+
+    // May be empty when the message only carries images
+    [Required(AllowEmptyStrings = true)]
     public required string Content { get; set; }
+
+    public List<AttachmentDto>? Attachments { get; set; }
 }
@@ -4,4 +4,10 @@ public class ModelInfoDto
 {
     public required string Id { get; set; }
     public required string DisplayName { get; set; }
+    // Maximum prompt plus completion tokens, or null when the catalog does not declare it
+    public int? ContextWindow { get; set; }
+    // Whether image attachments can be sent to the model
+    public bool SupportsVision { get; set; }
+    public GenerationSettingsDto? DefaultSettings { get; set; }
+    public ModelPricingDto? Pricing { get; set; }
 }
@@ -0,0 +1,17 @@
+namespace SemanticKernelFunctionCaller.Application.DTOs;
+
+/// <summary>
+/// Represents the price of a model in US dollars per million tokens.
+/// </summary>
+public class ModelPricingDto
+{
+    /// <summary>
+    /// Gets or sets the price per million prompt tokens.
+    /// </summary>
+    public decimal? PromptPerMillionTokens { get; set; }
+
+    /// <summary>
+    /// Gets or sets the price per million completion tokens.
+    /// </summary>
+    public decimal? CompletionPerMillionTokens { get; set; }
+}
\ No newline at end of file
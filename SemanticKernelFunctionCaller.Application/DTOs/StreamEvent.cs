@@ -0,0 +1,23 @@
+namespace SemanticKernelFunctionCaller.Application.DTOs;
+
+/// <summary>
+/// Represents one event of a resumable stream, as sent to the client over server-sent events.
+/// </summary>
+public class StreamEvent
+{
+    /// <summary>
+    /// Gets or sets the position of the event in its stream, starting at 1.
+    /// Assigned by the stream session; clients send back the last one they received to resume.
+    /// </summary>
+    public long Id { get; set; }
+
+    /// <summary>
+    /// Gets or sets the type of the event, one of the <see cref="StreamEventTypes"/> values.
+    /// </summary>
+    public required string Type { get; set; }
+
+    /// <summary>
+    /// Gets or sets the payload of the event, serialized as the event data.
+    /// </summary>
+    public object? Data { get; set; }
+}
\ No newline at end of file
@@ -0,0 +1,25 @@
+namespace SemanticKernelFunctionCaller.Application.DTOs;
+
+/// <summary>
+/// The event types of a streamed chat response.
+/// </summary>
+public static class StreamEventTypes
+{
+    /// <summary>A piece of the assistant's answer.</summary>
+    public const string Content = "content";
+
+    /// <summary>A tool call starting, completing or failing.</summary>
+    public const string ToolCall = "tool_call";
+
+    /// <summary>A tool call waiting for the user's approval.</summary>
+    public const string ApprovalRequired = "approval_required";
+
+    /// <summary>The token usage of the response.</summary>
+    public const string Usage = "usage";
+
+    /// <summary>The response failed; no further events follow.</summary>
+    public const string Error = "error";
+
+    /// <summary>The response is complete; no further events follow.</summary>
+    public const string Done = "done";
+}
\ No newline at end of file
@@ -4,5 +4,6 @@ public class StreamingChatUpdate
 {
     public required string Content { get; set; }
     public bool IsFinal { get; set; }
-    // Can be extended with token counts, etc. later
+    // Token usage of the whole response, reported on the final update when the provider returns it
+    public TokenUsageDto? Usage { get; set; }
 }
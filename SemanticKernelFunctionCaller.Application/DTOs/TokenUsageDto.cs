@@ -0,0 +1,22 @@
+namespace SemanticKernelFunctionCaller.Application.DTOs;
+
+/// <summary>
+/// Represents the tokens a response consumed, as reported by the provider.
+/// </summary>
+public class TokenUsageDto
+{
+    /// <summary>
+    /// Gets or sets the number of tokens in the prompt, including the conversation history.
+    /// </summary>
+    public long? PromptTokens { get; set; }
+
+    /// <summary>
+    /// Gets or sets the number of tokens generated.
+    /// </summary>
+    public long? CompletionTokens { get; set; }
+
+    /// <summary>
+    /// Gets or sets the total number of tokens.
+    /// </summary>
+    public long? TotalTokens { get; set; }
+}
\ No newline at end of file
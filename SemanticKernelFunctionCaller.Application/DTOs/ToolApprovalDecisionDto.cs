@@ -0,0 +1,22 @@
+namespace SemanticKernelFunctionCaller.Application.DTOs;
+
+/// <summary>
+/// Represents the user's decision on a tool call that is waiting for approval.
+/// </summary>
+public class ToolApprovalDecisionDto
+{
+    /// <summary>
+    /// Gets or sets whether the function may run.
+    /// </summary>
+    public bool Approved { get; set; }
+
+    /// <summary>
+    /// Gets or sets replacement argument values by parameter name. Null keeps the proposed arguments.
+    /// </summary>
+    public Dictionary<string, string?>? Arguments { get; set; }
+
+    /// <summary>
+    /// Gets or sets an optional reason for a denial, passed on to the model.
+    /// </summary>
+    public string? Reason { get; set; }
+}
\ No newline at end of file
@@ -6,9 +6,10 @@ namespace SemanticKernelFunctionCaller.Application.DTOs;
 public class ToolStreamingUpdate
 {
     /// <summary>
-    /// Gets or sets the type of update ("content" or "tool_call").
+    /// Gets or sets the type of update, one of <see cref="StreamEventTypes.Content"/>,
+    /// <see cref="StreamEventTypes.ToolCall"/> or <see cref="StreamEventTypes.ApprovalRequired"/>.
     /// </summary>
-    public string Type { get; set; } = "content";
+    public string Type { get; set; } = StreamEventTypes.Content;
 
     /// <summary>
     /// Gets or sets the content of the message.
@@ -20,6 +21,41 @@ public class ToolStreamingUpdate
     /// </summary>
     public string? FunctionName { get; set; }
 
+    /// <summary>
+    /// Gets or sets the identifier of the tool call, shared by all updates of the same call.
+    /// </summary>
+    public string? CallId { get; set; }
+
+    /// <summary>
+    /// Gets or sets the name of the plugin that owns the invoked function.
+    /// </summary>
+    public string? PluginName { get; set; }
+
+    /// <summary>
+    /// Gets or sets the arguments the function was invoked with.
+    /// </summary>
+    public IDictionary<string, string?>? Arguments { get; set; }
+
+    /// <summary>
+    /// Gets or sets the function result, or the error message when the call failed.
+    /// </summary>
+    public string? Result { get; set; }
+
+    /// <summary>
+    /// Gets or sets how long the function ran, in milliseconds.
+    /// </summary>
+    public long? DurationMs { get; set; }
+
+    /// <summary>
+    /// Gets or sets the tool call status ("running", "completed", "failed", "awaiting_approval" or "denied").
+    /// </summary>
+    public string? Status { get; set; }
+
+    /// <summary>
+    /// Gets or sets the token usage of all model calls of the response, reported on the final update.
+    /// </summary>
+    public TokenUsageDto? Usage { get; set; }
+
     /// <summary>
     /// Gets or sets whether this is the final update.
     /// </summary>
@@ -0,0 +1,117 @@
+using System.Threading.Channels;
+using Microsoft.Extensions.Logging;
+using Microsoft.SemanticKernel;
+using SemanticKernelFunctionCaller.Application.DTOs;
+using SemanticKernelFunctionCaller.Application.Interfaces;
+
+namespace SemanticKernelFunctionCaller.Application.Filters;
+
+/// <summary>
+/// Pauses automatic function invocations until the user approves them, unless the function is auto-approved.
+/// Must be added before <see cref="ToolCallTrackingFilter"/> so denied calls are never reported as running.
+/// </summary>
+public class ToolApprovalFilter : IAutoFunctionInvocationFilter
+{
+    private static readonly TimeSpan ApprovalTimeout = TimeSpan.FromMinutes(5);
+
+    private readonly ChannelWriter<ToolStreamingUpdate> _writer;
+    private readonly IToolApprovalService _approvalService;
+    private readonly HashSet<string> _autoApprovedFunctions;
+    private readonly ILogger _logger;
+
+    /// <summary>
+    /// Initializes a new instance of the <see cref="ToolApprovalFilter"/> class.
+    /// </summary>
+    /// <param name="writer">The channel the approval requests are written to.</param>
+    /// <param name="approvalService">The service that delivers the user's decisions.</param>
+    /// <param name="autoApprovedFunctions">"PluginName.FunctionName" entries that run without asking.</param>
+    /// <param name="logger">The logger instance.</param>
+    public ToolApprovalFilter(
+        ChannelWriter<ToolStreamingUpdate> writer,
+        IToolApprovalService approvalService,
+        IEnumerable<string> autoApprovedFunctions,
+        ILogger logger)
+    {
+        _writer = writer ?? throw new ArgumentNullException(nameof(writer));
+        _approvalService = approvalService ?? throw new ArgumentNullException(nameof(approvalService));
+        _autoApprovedFunctions = new HashSet<string>(autoApprovedFunctions ?? [], StringComparer.OrdinalIgnoreCase);
+        _logger = logger ?? throw new ArgumentNullException(nameof(logger));
+    }
+
+    /// <summary>
+    /// Asks for approval, then either runs the function with the approved arguments or
+    /// returns the denial to the model as the function result.
+    /// </summary>
+    /// <param name="context">The auto function invocation context.</param>
+    /// <param name="next">The next filter or the function itself.</param>
+    public async Task OnAutoFunctionInvocationAsync(AutoFunctionInvocationContext context, Func<AutoFunctionInvocationContext, Task> next)
+    {
+        var pluginName = context.Function.PluginName;
+        var functionName = context.Function.Name;
+        var qualifiedName = $"{pluginName}.{functionName}";
+
+        if (_autoApprovedFunctions.Contains(qualifiedName))
+        {
+            await next(context);
+            return;
+        }
+
+        var callId = context.ToolCallId ?? Guid.NewGuid().ToString("N");
+        var arguments = context.Arguments?.ToDictionary(a => a.Key, a => a.Value?.ToString());
+
+        // Register the pending call before the browser can see it and answer
+        var decisionTask = _approvalService.WaitForDecisionAsync(callId, ApprovalTimeout, context.CancellationToken);
+
+        _logger.LogInformation("Waiting for approval of {FunctionName}", qualifiedName);
+        await _writer.WriteAsync(new ToolStreamingUpdate
+        {
+            Type = StreamEventTypes.ApprovalRequired,
+            CallId = callId,
+            PluginName = pluginName,
+            FunctionName = functionName,
+            Arguments = arguments,
+            Status = "awaiting_approval",
+            IsFinal = false
+        }, context.CancellationToken);
+
+        var decision = await decisionTask;
+
+        if (!decision.Approved)
+        {
+            _logger.LogInformation("Tool call denied: {FunctionName}", qualifiedName);
+            await _writer.WriteAsync(new ToolStreamingUpdate
+            {
+                Type = StreamEventTypes.ToolCall,
+                CallId = callId,
+                PluginName = pluginName,
+                FunctionName = functionName,
+                Arguments = arguments,
+                Status = "denied",
+                Result = decision.Reason,
+                IsFinal = false
+            }, context.CancellationToken);
+
+            context.Result = new FunctionResult(
+                context.Function,
+                $"The user denied the call to {qualifiedName}. {decision.Reason}".TrimEnd());
+            return;
+        }
+
+        if (decision.Arguments is not null && context.Arguments is not null)
+        {
+            foreach (var (name, value) in decision.Arguments)
+            {
+                if (string.IsNullOrEmpty(value))
+                {
+                    context.Arguments.Remove(name);
+                }
+                else
+                {
+                    context.Arguments[name] = value;
+                }
+            }
+        }
+
+        await next(context);
+    }
+}
\ No newline at end of file
@@ -0,0 +1,102 @@
+using System.Diagnostics;
+using System.Threading.Channels;
+using Microsoft.Extensions.Logging;
+using Microsoft.SemanticKernel;
+using SemanticKernelFunctionCaller.Application.DTOs;
+
+namespace SemanticKernelFunctionCaller.Application.Filters;
+
+/// <summary>
+/// Reports every automatic function invocation as tool call updates, before and after the function runs.
+/// </summary>
+public class ToolCallTrackingFilter : IAutoFunctionInvocationFilter
+{
+    private const int MaxResultLength = 4000;
+
+    private readonly ChannelWriter<ToolStreamingUpdate> _writer;
+    private readonly ILogger _logger;
+
+    /// <summary>
+    /// Initializes a new instance of the <see cref="ToolCallTrackingFilter"/> class.
+    /// </summary>
+    /// <param name="writer">The channel the tool call updates are written to.</param>
+    /// <param name="logger">The logger instance.</param>
+    public ToolCallTrackingFilter(ChannelWriter<ToolStreamingUpdate> writer, ILogger logger)
+    {
+        _writer = writer ?? throw new ArgumentNullException(nameof(writer));
+        _logger = logger ?? throw new ArgumentNullException(nameof(logger));
+    }
+
+    /// <summary>
+    /// Emits a "running" update, invokes the function and emits its outcome with the elapsed time.
+    /// </summary>
+    /// <param name="context">The auto function invocation context.</param>
+    /// <param name="next">The next filter or the function itself.</param>
+    public async Task OnAutoFunctionInvocationAsync(AutoFunctionInvocationContext context, Func<AutoFunctionInvocationContext, Task> next)
+    {
+        var callId = context.ToolCallId ?? Guid.NewGuid().ToString("N");
+        var pluginName = context.Function.PluginName;
+        var functionName = context.Function.Name;
+        var arguments = context.Arguments?.ToDictionary(a => a.Key, a => a.Value?.ToString());
+
+        _logger.LogInformation("Tool invocation: {PluginName}.{FunctionName}", pluginName, functionName);
+
+        await _writer.WriteAsync(CreateUpdate(callId, pluginName, functionName, arguments, "running"), context.CancellationToken);
+
+        var stopwatch = Stopwatch.StartNew();
+        try
+        {
+            await next(context);
+        }
+        catch (Exception ex) when (ex is not OperationCanceledException)
+        {
+            stopwatch.Stop();
+            _logger.LogWarning(ex, "Tool invocation failed: {PluginName}.{FunctionName}", pluginName, functionName);
+
+            var failed = CreateUpdate(callId, pluginName, functionName, arguments, "failed");
+            failed.Result = ex.Message;
+            failed.DurationMs = stopwatch.ElapsedMilliseconds;
+            _writer.TryWrite(failed);
+            throw;
+        }
+
+        stopwatch.Stop();
+
+        var completed = CreateUpdate(callId, pluginName, functionName, arguments, "completed");
+        completed.Result = Truncate(context.Result.GetValue<object>()?.ToString());
+        completed.DurationMs = stopwatch.ElapsedMilliseconds;
+        await _writer.WriteAsync(completed, context.CancellationToken);
+    }
+
+    private static ToolStreamingUpdate CreateUpdate(
+        string callId,
+        string? pluginName,
+        string functionName,
+        IDictionary<string, string?>? arguments,
+        string status)
+    {
+        var qualifiedName = string.IsNullOrEmpty(pluginName) ? functionName : $"{pluginName}.{functionName}";
+
+        return new ToolStreamingUpdate
+        {
+            Type = StreamEventTypes.ToolCall,
+            CallId = callId,
+            PluginName = pluginName,
+            FunctionName = functionName,
+            Arguments = arguments,
+            Status = status,
+            Content = status == "running" ? $"🔧 Calling {qualifiedName}..." : null,
+            IsFinal = false
+        };
+    }
+
+    private static string? Truncate(string? value)
+    {
+        if (value is null || value.Length <= MaxResultLength)
+        {
+            return value;
+        }
+
+        return $"{value[..MaxResultLength]}… ({value.Length - MaxResultLength} more characters)";
+    }
+}
\ No newline at end of file
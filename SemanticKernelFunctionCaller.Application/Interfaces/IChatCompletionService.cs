@@ -7,10 +7,12 @@ public interface ISemanticKernelFunctionCaller
 {
     Task<ChatResponse> SendMessageAsync(
         IEnumerable<ChatMessage> messages,
+        GenerationSettings? settings = null,
         CancellationToken cancellationToken = default);
         
-    IAsyncEnumerable<string> StreamMessageAsync(
+    IAsyncEnumerable<StreamingChatChunk> StreamMessageAsync(
         IEnumerable<ChatMessage> messages,
+        GenerationSettings? settings = null,
         CancellationToken cancellationToken = default);
         
     ProviderMetadata GetMetadata();
@@ -0,0 +1,24 @@
+using SemanticKernelFunctionCaller.Application.DTOs;
+
+namespace SemanticKernelFunctionCaller.Application.Interfaces;
+
+/// <summary>
+/// Defines a contract for invoking a plugin function directly.
+/// </summary>
+public interface IInvokePluginFunctionUseCase
+{
+    /// <summary>
+    /// Invokes a kernel function with the given arguments.
+    /// </summary>
+    /// <param name="pluginName">The name of the plugin.</param>
+    /// <param name="functionName">The name of the function.</param>
+    /// <param name="arguments">The argument values by parameter name.</param>
+    /// <param name="cancellationToken">The cancellation token to cancel the operation.</param>
+    /// <returns>The function result or error, with the elapsed time.</returns>
+    /// <exception cref="KeyNotFoundException">Thrown when the plugin function does not exist.</exception>
+    Task<FunctionInvocationResultDto> ExecuteAsync(
+        string pluginName,
+        string functionName,
+        IDictionary<string, string?> arguments,
+        CancellationToken cancellationToken = default);
+}
\ No newline at end of file
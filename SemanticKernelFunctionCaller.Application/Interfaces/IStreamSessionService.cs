@@ -0,0 +1,43 @@
+using SemanticKernelFunctionCaller.Application.DTOs;
+
+namespace SemanticKernelFunctionCaller.Application.Interfaces;
+
+/// <summary>
+/// Defines a contract for running streamed responses apart from the connection that requested them,
+/// so a client that loses its connection can reconnect and continue after the last event it received.
+/// </summary>
+public interface IStreamSessionService
+{
+    /// <summary>
+    /// Starts producing a stream in the background and numbers its events.
+    /// An exception thrown by the producer ends the stream with an error event.
+    /// </summary>
+    /// <param name="produce">Produces the events from services resolved in a scope that lasts as long as the stream;
+    /// the token is cancelled when the stream is cancelled or abandoned.</param>
+    /// <returns>The identifier used to read, resume or cancel the stream.</returns>
+    string Start(Func<IServiceProvider, CancellationToken, IAsyncEnumerable<StreamEvent>> produce);
+
+    /// <summary>
+    /// Reads the events of a stream that follow the given event, then waits for new ones until the stream ends.
+    /// </summary>
+    /// <param name="streamId">The identifier of the stream.</param>
+    /// <param name="lastEventId">The last event the client received, or 0 to read from the start.</param>
+    /// <param name="cancellationToken">The cancellation token to stop reading; the stream itself keeps running.</param>
+    /// <returns>The events after <paramref name="lastEventId"/>.</returns>
+    /// <exception cref="KeyNotFoundException">Thrown when the stream does not exist or has expired.</exception>
+    IAsyncEnumerable<StreamEvent> ReadAsync(string streamId, long lastEventId, CancellationToken cancellationToken = default);
+
+    /// <summary>
+    /// Checks whether a stream can still be read.
+    /// </summary>
+    /// <param name="streamId">The identifier of the stream.</param>
+    /// <returns>True if the stream is running or finished within the resume window.</returns>
+    bool Exists(string streamId);
+
+    /// <summary>
+    /// Stops producing a stream.
+    /// </summary>
+    /// <param name="streamId">The identifier of the stream.</param>
+    /// <returns>True if the stream was found; false if it does not exist or has expired.</returns>
+    bool Cancel(string streamId);
+}
\ No newline at end of file
@@ -0,0 +1,27 @@
+using SemanticKernelFunctionCaller.Application.DTOs;
+
+namespace SemanticKernelFunctionCaller.Application.Interfaces;
+
+/// <summary>
+/// Defines a contract for pausing tool calls until the user approves or denies them.
+/// </summary>
+public interface IToolApprovalService
+{
+    /// <summary>
+    /// Registers a pending tool call and waits for its decision. The call is registered before the
+    /// method first yields, so a decision can be submitted as soon as the returned task exists.
+    /// </summary>
+    /// <param name="callId">The identifier of the tool call.</param>
+    /// <param name="timeout">How long to wait before the call is treated as denied.</param>
+    /// <param name="cancellationToken">The cancellation token to cancel the wait.</param>
+    /// <returns>The submitted decision, or a denial when the timeout elapses.</returns>
+    Task<ToolApprovalDecisionDto> WaitForDecisionAsync(string callId, TimeSpan timeout, CancellationToken cancellationToken = default);
+
+    /// <summary>
+    /// Submits the decision for a pending tool call.
+    /// </summary>
+    /// <param name="callId">The identifier of the tool call.</param>
+    /// <param name="decision">The user's decision.</param>
+    /// <returns>True if a pending call received the decision; false if no such call is waiting.</returns>
+    bool SubmitDecision(string callId, ToolApprovalDecisionDto decision);
+}
\ No newline at end of file
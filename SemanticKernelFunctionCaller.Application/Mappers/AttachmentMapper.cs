@@ -0,0 +1,25 @@
+using SemanticKernelFunctionCaller.Application.DTOs;
+using SemanticKernelFunctionCaller.Domain.ValueObjects;
+
+namespace SemanticKernelFunctionCaller.Application.Mappers;
+
+/// <summary>
+/// Maps message attachments from the request DTO to the domain value object.
+/// </summary>
+public static class AttachmentMapper
+{
+    public static List<ChatAttachment>? ToDomain(List<AttachmentDto>? attachments)
+    {
+        if (attachments is null || attachments.Count == 0)
+        {
+            return null;
+        }
+
+        return attachments.Select(a => new ChatAttachment
+        {
+            MediaType = a.MediaType,
+            Data = Convert.FromBase64String(a.Data),
+            Name = a.Name
+        }).ToList();
+    }
+}
\ No newline at end of file
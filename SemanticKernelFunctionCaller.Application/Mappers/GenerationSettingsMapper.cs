@@ -0,0 +1,48 @@
+using SemanticKernelFunctionCaller.Application.DTOs;
+using SemanticKernelFunctionCaller.Domain.ValueObjects;
+
+namespace SemanticKernelFunctionCaller.Application.Mappers;
+
+/// <summary>
+/// Maps generation settings between the request DTO and the domain value object.
+/// </summary>
+public static class GenerationSettingsMapper
+{
+    public static GenerationSettings? ToDomain(GenerationSettingsDto? dto)
+    {
+        if (dto is null)
+        {
+            return null;
+        }
+
+        return new GenerationSettings
+        {
+            Temperature = dto.Temperature,
+            TopP = dto.TopP,
+            MaxOutputTokens = dto.MaxOutputTokens,
+            StopSequences = dto.StopSequences?.Where(s => !string.IsNullOrEmpty(s)).ToList(),
+            PresencePenalty = dto.PresencePenalty,
+            FrequencyPenalty = dto.FrequencyPenalty,
+            Seed = dto.Seed
+        };
+    }
+
+    public static GenerationSettingsDto? ToDto(GenerationSettings? settings)
+    {
+        if (settings is null)
+        {
+            return null;
+        }
+
+        return new GenerationSettingsDto
+        {
+            Temperature = settings.Temperature,
+            TopP = settings.TopP,
+            MaxOutputTokens = settings.MaxOutputTokens,
+            StopSequences = settings.StopSequences?.ToList(),
+            PresencePenalty = settings.PresencePenalty,
+            FrequencyPenalty = settings.FrequencyPenalty,
+            Seed = settings.Seed
+        };
+    }
+}
\ No newline at end of file
@@ -0,0 +1,25 @@
+using SemanticKernelFunctionCaller.Application.DTOs;
+using SemanticKernelFunctionCaller.Domain.ValueObjects;
+
+namespace SemanticKernelFunctionCaller.Application.Mappers;
+
+/// <summary>
+/// Maps token usage from the domain value object to the response DTO.
+/// </summary>
+public static class TokenUsageMapper
+{
+    public static TokenUsageDto? ToDto(TokenUsage? usage)
+    {
+        if (usage is null)
+        {
+            return null;
+        }
+
+        return new TokenUsageDto
+        {
+            PromptTokens = usage.PromptTokens,
+            CompletionTokens = usage.CompletionTokens,
+            TotalTokens = usage.TotalTokens ?? usage.PromptTokens + usage.CompletionTokens
+        };
+    }
+}
\ No newline at end of file
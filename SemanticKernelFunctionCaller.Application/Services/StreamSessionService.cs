@@ -0,0 +1,269 @@
+using System.Collections.Concurrent;
+using System.Runtime.CompilerServices;
+using Microsoft.Extensions.DependencyInjection;
+using Microsoft.Extensions.Logging;
+using SemanticKernelFunctionCaller.Application.DTOs;
+using SemanticKernelFunctionCaller.Application.Interfaces;
+
+namespace SemanticKernelFunctionCaller.Application.Services;
+
+/// <summary>
+/// Runs streamed responses in the background and keeps their events in memory, so a client whose
+/// connection drops can resume where it left off. Registered as a singleton so the request that starts
+/// a stream and the requests that resume or cancel it share it. Each stream gets its own service scope,
+/// because it outlives the request that started it.
+/// </summary>
+public class StreamSessionService : IStreamSessionService
+{
+    private static readonly TimeSpan DefaultResumeWindow = TimeSpan.FromSeconds(30);
+
+    private readonly ConcurrentDictionary<string, StreamSession> _sessions = new();
+    private readonly IServiceScopeFactory _scopeFactory;
+    private readonly ILogger<StreamSessionService> _logger;
+    private readonly TimeSpan _resumeWindow;
+
+    /// <summary>
+    /// Initializes a new instance of the <see cref="StreamSessionService"/> class.
+    /// </summary>
+    /// <param name="scopeFactory">Creates the service scope each stream resolves its services from.</param>
+    /// <param name="logger">The logger instance.</param>
+    public StreamSessionService(IServiceScopeFactory scopeFactory, ILogger<StreamSessionService> logger)
+        : this(scopeFactory, logger, DefaultResumeWindow)
+    {
+    }
+
+    /// <summary>
+    /// Initializes a new instance of the <see cref="StreamSessionService"/> class.
+    /// </summary>
+    /// <param name="scopeFactory">Creates the service scope each stream resolves its services from.</param>
+    /// <param name="logger">The logger instance.</param>
+    /// <param name="resumeWindow">How long a stream stays readable after it ends, and how long a running
+    /// stream without readers is kept before it is cancelled.</param>
+    public StreamSessionService(IServiceScopeFactory scopeFactory, ILogger<StreamSessionService> logger, TimeSpan resumeWindow)
+    {
+        _scopeFactory = scopeFactory ?? throw new ArgumentNullException(nameof(scopeFactory));
+        _logger = logger ?? throw new ArgumentNullException(nameof(logger));
+        _resumeWindow = resumeWindow;
+    }
+
+    /// <inheritdoc />
+    public string Start(Func<IServiceProvider, CancellationToken, IAsyncEnumerable<StreamEvent>> produce)
+    {
+        ArgumentNullException.ThrowIfNull(produce);
+
+        var streamId = Guid.NewGuid().ToString("N");
+        var session = new StreamSession();
+        _sessions[streamId] = session;
+
+        _ = Task.Run(() => ProduceAsync(streamId, session, produce));
+        return streamId;
+    }
+
+    /// <inheritdoc />
+    public async IAsyncEnumerable<StreamEvent> ReadAsync(
+        string streamId,
+        long lastEventId,
+        [EnumeratorCancellation] CancellationToken cancellationToken = default)
+    {
+        if (!_sessions.TryGetValue(streamId, out var session))
+        {
+            throw new KeyNotFoundException($"Stream '{streamId}' was not found");
+        }
+
+        lock (session.Sync)
+        {
+            session.ReaderCount++;
+        }
+
+        try
+        {
+            // Event ids are positions in the list, so the next event to send sits at index lastEventId
+            var next = (int)Math.Clamp(lastEventId, 0, int.MaxValue);
+            while (true)
+            {
+                cancellationToken.ThrowIfCancellationRequested();
+
+                StreamEvent[] pending;
+                bool completed;
+                Task changed;
+                lock (session.Sync)
+                {
+                    pending = session.Events.Skip(next).ToArray();
+                    completed = session.IsCompleted;
+                    changed = session.Changed.Task;
+                }
+
+                foreach (var streamEvent in pending)
+                {
+                    yield return streamEvent;
+                }
+                next += pending.Length;
+
+                if (completed)
+                {
+                    yield break;
+                }
+                if (pending.Length == 0)
+                {
+                    await changed.WaitAsync(cancellationToken);
+                }
+            }
+        }
+        finally
+        {
+            bool abandoned;
+            lock (session.Sync)
+            {
+                session.ReaderCount--;
+                abandoned = session.ReaderCount == 0 && !session.IsCompleted;
+            }
+
+            if (abandoned)
+            {
+                _ = CancelIfAbandonedAsync(streamId, session);
+            }
+        }
+    }
+
+    /// <inheritdoc />
+    public bool Exists(string streamId)
+    {
+        return _sessions.ContainsKey(streamId);
+    }
+
+    /// <inheritdoc />
+    public bool Cancel(string streamId)
+    {
+        if (!_sessions.TryGetValue(streamId, out var session))
+        {
+            return false;
+        }
+
+        return session.Cancel();
+    }
+
+    private async Task ProduceAsync(string streamId, StreamSession session, Func<IServiceProvider, CancellationToken, IAsyncEnumerable<StreamEvent>> produce)
+    {
+        var cancellationToken = session.Cancellation.Token;
+        var scope = _scopeFactory.CreateAsyncScope();
+        try
+        {
+            await foreach (var streamEvent in produce(scope.ServiceProvider, cancellationToken).WithCancellation(cancellationToken))
+            {
+                session.Append(streamEvent);
+            }
+        }
+        catch (OperationCanceledException) when (cancellationToken.IsCancellationRequested)
+        {
+            _logger.LogInformation("Stream {StreamId} cancelled", streamId);
+        }
+        catch (Exception ex)
+        {
+            _logger.LogError(ex, "Stream {StreamId} failed", streamId);
+            session.Append(new StreamEvent
+            {
+                Type = StreamEventTypes.Error,
+                Data = new { error = $"An error occurred: {ex.Message}" }
+            });
+        }
+        finally
+        {
+            session.Complete();
+            await scope.DisposeAsync();
+        }
+
+        // Keep the events around long enough for a client that dropped at the very end to fetch them
+        await Task.Delay(_resumeWindow);
+        _sessions.TryRemove(streamId, out _);
+        session.Dispose();
+    }
+
+    private async Task CancelIfAbandonedAsync(string streamId, StreamSession session)
+    {
+        await Task.Delay(_resumeWindow);
+
+        lock (session.Sync)
+        {
+            if (session.ReaderCount > 0 || session.IsCompleted)
+            {
+                return;
+            }
+        }
+
+        _logger.LogInformation("Stream {StreamId} was not resumed in time and is cancelled", streamId);
+        Cancel(streamId);
+    }
+
+    private sealed class StreamSession : IDisposable
+    {
+        private bool _disposed;
+
+        public object Sync { get; } = new();
+        public List<StreamEvent> Events { get; } = new();
+        public CancellationTokenSource Cancellation { get; } = new();
+        public bool IsCompleted { get; private set; }
+        public int ReaderCount { get; set; }
+
+        /// <summary>
+        /// Completes when an event is added or the stream ends, then is replaced for the next change.
+        /// </summary>
+        public TaskCompletionSource Changed { get; private set; } = NewSignal();
+
+        public void Append(StreamEvent streamEvent)
+        {
+            lock (Sync)
+            {
+                streamEvent.Id = Events.Count + 1;
+                Events.Add(streamEvent);
+                Signal();
+            }
+        }
+
+        /// <summary>
+        /// Cancels the producer, unless the session was already removed and disposed.
+        /// </summary>
+        public bool Cancel()
+        {
+            lock (Sync)
+            {
+                if (_disposed)
+                {
+                    return false;
+                }
+
+                Cancellation.Cancel();
+                return true;
+            }
+        }
+
+        public void Dispose()
+        {
+            lock (Sync)
+            {
+                _disposed = true;
+                Cancellation.Dispose();
+            }
+        }
+
+        public void Complete()
+        {
+            lock (Sync)
+            {
+                IsCompleted = true;
+                Signal();
+            }
+        }
+
+        private void Signal()
+        {
+            var changed = Changed;
+            Changed = NewSignal();
+            changed.TrySetResult();
+        }
+
+        private static TaskCompletionSource NewSignal()
+        {
+            return new TaskCompletionSource(TaskCreationOptions.RunContinuationsAsynchronously);
+        }
+    }
+}
\ No newline at end of file
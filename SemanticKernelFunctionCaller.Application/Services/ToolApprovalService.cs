@@ -0,0 +1,47 @@
+using System.Collections.Concurrent;
+using SemanticKernelFunctionCaller.Application.DTOs;
+using SemanticKernelFunctionCaller.Application.Interfaces;
+
+namespace SemanticKernelFunctionCaller.Application.Services;
+
+/// <summary>
+/// Keeps pending tool calls in memory until a decision arrives from a separate request.
+/// Registered as a singleton so the streaming request and the decision request share it.
+/// </summary>
+public class ToolApprovalService : IToolApprovalService
+{
+    private readonly ConcurrentDictionary<string, TaskCompletionSource<ToolApprovalDecisionDto>> _pendingCalls = new();
+
+    /// <inheritdoc />
+    public async Task<ToolApprovalDecisionDto> WaitForDecisionAsync(string callId, TimeSpan timeout, CancellationToken cancellationToken = default)
+    {
+        var completion = new TaskCompletionSource<ToolApprovalDecisionDto>(TaskCreationOptions.RunContinuationsAsynchronously);
+        if (!_pendingCalls.TryAdd(callId, completion))
+        {
+            throw new InvalidOperationException($"Tool call '{callId}' is already waiting for a decision");
+        }
+
+        try
+        {
+            return await completion.Task.WaitAsync(timeout, cancellationToken);
+        }
+        catch (TimeoutException)
+        {
+            return new ToolApprovalDecisionDto
+            {
+                Approved = false,
+                Reason = "No decision was made in time."
+            };
+        }
+        finally
+        {
+            _pendingCalls.TryRemove(callId, out _);
+        }
+    }
+
+    /// <inheritdoc />
+    public bool SubmitDecision(string callId, ToolApprovalDecisionDto decision)
+    {
+        return _pendingCalls.TryGetValue(callId, out var completion) && completion.TrySetResult(decision);
+    }
+}
\ No newline at end of file
@@ -1,5 +1,6 @@
 using SemanticKernelFunctionCaller.Application.DTOs;
 using SemanticKernelFunctionCaller.Application.Interfaces;
+using SemanticKernelFunctionCaller.Application.Mappers;
 using SemanticKernelFunctionCaller.Domain.ValueObjects;
 
 namespace SemanticKernelFunctionCaller.Application.UseCases;
@@ -16,7 +17,15 @@ public class GetProviderModelsUseCase(IModelCatalog modelCatalog) : IGetProvider
         return new ModelInfoDto
         {
             Id = config.Id,
-            DisplayName = config.DisplayName
+            DisplayName = config.DisplayName,
+            ContextWindow = config.ContextWindow > 0 ? config.ContextWindow : null,
+            SupportsVision = config.SupportsVision,
+            DefaultSettings = GenerationSettingsMapper.ToDto(config.DefaultSettings),
+            Pricing = config.Pricing is null ? null : new ModelPricingDto
+            {
+                PromptPerMillionTokens = config.Pricing.PromptPerMillionTokens,
+                CompletionPerMillionTokens = config.Pricing.CompletionPerMillionTokens
+            }
         };
     }
 }
\ No newline at end of file
@@ -0,0 +1,86 @@
+using System.Diagnostics;
+using Microsoft.Extensions.Logging;
+using Microsoft.SemanticKernel;
+using SemanticKernelFunctionCaller.Application.DTOs;
+using SemanticKernelFunctionCaller.Application.Interfaces;
+
+namespace SemanticKernelFunctionCaller.Application.UseCases;
+
+/// <summary>
+/// Implements the use case for invoking a plugin function directly, bypassing the model.
+/// </summary>
+public class InvokePluginFunctionUseCase : IInvokePluginFunctionUseCase
+{
+    private readonly Kernel _kernel;
+    private readonly ILogger<InvokePluginFunctionUseCase> _logger;
+
+    /// <summary>
+    /// Initializes a new instance of the <see cref="InvokePluginFunctionUseCase"/> class.
+    /// </summary>
+    /// <param name="kernel">The Semantic Kernel instance.</param>
+    /// <param name="logger">The logger instance.</param>
+    public InvokePluginFunctionUseCase(Kernel kernel, ILogger<InvokePluginFunctionUseCase> logger)
+    {
+        _kernel = kernel ?? throw new ArgumentNullException(nameof(kernel));
+        _logger = logger ?? throw new ArgumentNullException(nameof(logger));
+    }
+
+    /// <summary>
+    /// Invokes a kernel function with the given arguments. Failures of the function itself are
+    /// returned in the result rather than thrown, so callers can show them next to the timing.
+    /// </summary>
+    /// <param name="pluginName">The name of the plugin.</param>
+    /// <param name="functionName">The name of the function.</param>
+    /// <param name="arguments">The argument values by parameter name.</param>
+    /// <param name="cancellationToken">The cancellation token to cancel the operation.</param>
+    /// <returns>The function result or error, with the elapsed time.</returns>
+    public async Task<FunctionInvocationResultDto> ExecuteAsync(
+        string pluginName,
+        string functionName,
+        IDictionary<string, string?> arguments,
+        CancellationToken cancellationToken = default)
+    {
+        if (!_kernel.Plugins.TryGetFunction(pluginName, functionName, out var function))
+        {
+            throw new KeyNotFoundException($"Function '{pluginName}.{functionName}' was not found");
+        }
+
+        // Blank values are left out so optional parameters fall back to their defaults
+        var kernelArguments = new KernelArguments();
+        foreach (var (name, value) in arguments)
+        {
+            if (!string.IsNullOrEmpty(value))
+            {
+                kernelArguments[name] = value;
+            }
+        }
+
+        _logger.LogInformation("Invoking {PluginName}.{FunctionName} directly", pluginName, functionName);
+
+        var result = new FunctionInvocationResultDto
+        {
+            PluginName = pluginName,
+            FunctionName = functionName
+        };
+
+        var stopwatch = Stopwatch.StartNew();
+        try
+        {
+            var functionResult = await function.InvokeAsync(_kernel, kernelArguments, cancellationToken);
+            result.Succeeded = true;
+            result.Result = functionResult.GetValue<object>()?.ToString();
+        }
+        catch (Exception ex) when (ex is not OperationCanceledException)
+        {
+            _logger.LogWarning(ex, "Direct invocation of {PluginName}.{FunctionName} failed", pluginName, functionName);
+            result.Error = ex.Message;
+        }
+        finally
+        {
+            stopwatch.Stop();
+            result.DurationMs = stopwatch.ElapsedMilliseconds;
+        }
+
+        return result;
+    }
+}
\ No newline at end of file
@@ -1,36 +1,78 @@
+using System.Text;
 using SemanticKernelFunctionCaller.Application.DTOs;
 using SemanticKernelFunctionCaller.Application.Interfaces;
+using SemanticKernelFunctionCaller.Application.Mappers;
 using SemanticKernelFunctionCaller.Domain.Entities;
 using SemanticKernelFunctionCaller.Domain.Enums;
 
 namespace SemanticKernelFunctionCaller.Application.UseCases;
 
-public class SendChatMessageUseCase(IProviderFactory providerFactory) : ISendChatMessageUseCase
+public class SendChatMessageUseCase(IProviderFactory providerFactory, IStreamWithToolsUseCase streamWithToolsUseCase) : ISendChatMessageUseCase
 {
     public async Task<ChatResponseDto> ExecuteAsync(ChatRequestDto request)
     {
+        if (request.UseTools)
+        {
+            return await SendWithToolsAsync(request);
+        }
+
         // Map DTO to domain models
         var messages = request.Messages.Select(m => new ChatMessage
         {
             Role = m.Role,
             Content = m.Content,
+            Attachments = AttachmentMapper.ToDomain(m.Attachments),
             // Note: We're not setting Id and Timestamp as they're not in the DTO
             // In a real implementation, we might want to generate these
         }).ToList();
 
         var providerType = Enum.Parse<ProviderType>(request.ProviderId);
         var provider = providerFactory.CreateProvider(providerType.ToString(), request.ModelId);
-        var response = await provider.SendMessageAsync(messages);
+        var response = await provider.SendMessageAsync(messages, GenerationSettingsMapper.ToDomain(request.Settings));
         return MapToDto(response);
     }
 
+    // Tools only run through Semantic Kernel, so this drives the streaming tool loop and collects it into one response
+    private async Task<ChatResponseDto> SendWithToolsAsync(ChatRequestDto request)
+    {
+        var content = new StringBuilder();
+        var toolCalls = new List<ToolStreamingUpdate>();
+        TokenUsageDto? usage = null;
+
+        await foreach (var update in streamWithToolsUseCase.ExecuteAsync(request))
+        {
+            if (update.IsFinal)
+            {
+                usage = update.Usage;
+            }
+            else if (update.Type == StreamEventTypes.Content)
+            {
+                content.Append(update.Content);
+            }
+            else
+            {
+                toolCalls.Add(update);
+            }
+        }
+
+        return new ChatResponseDto
+        {
+            Content = content.ToString(),
+            ModelId = request.ModelId,
+            ProviderId = request.ProviderId,
+            Usage = usage,
+            ToolCalls = toolCalls
+        };
+    }
+
     private static ChatResponseDto MapToDto(ChatResponse response)
     {
         return new ChatResponseDto
         {
             Content = response.Message.Content,
             ModelId = response.ModelUsed,
-            ProviderId = response.ProviderUsed
+            ProviderId = response.ProviderUsed,
+            Usage = TokenUsageMapper.ToDto(response.Usage)
         };
     }
 }
\ No newline at end of file
@@ -1,7 +1,9 @@
 using SemanticKernelFunctionCaller.Application.DTOs;
 using SemanticKernelFunctionCaller.Application.Interfaces;
+using SemanticKernelFunctionCaller.Application.Mappers;
 using SemanticKernelFunctionCaller.Domain.Entities;
 using SemanticKernelFunctionCaller.Domain.Enums;
+using SemanticKernelFunctionCaller.Domain.ValueObjects;
 using System.Runtime.CompilerServices;
 
 namespace SemanticKernelFunctionCaller.Application.UseCases;
@@ -17,17 +19,25 @@ public class StreamChatMessageUseCase(IProviderFactory providerFactory) : IStrea
         {
             Role = m.Role,
             Content = m.Content,
+            Attachments = AttachmentMapper.ToDomain(m.Attachments),
             // Note: We're not setting Id and Timestamp as they're not in the DTO
         }).ToList();
 
         var providerType = Enum.Parse<ProviderType>(request.ProviderId);
         var provider = providerFactory.CreateProvider(providerType.ToString(), request.ModelId);
 
-        await foreach (var content in provider.StreamMessageAsync(messages, cancellationToken))
+        var settings = GenerationSettingsMapper.ToDomain(request.Settings);
+
+        TokenUsage? usage = null;
+        await foreach (var chunk in provider.StreamMessageAsync(messages, settings, cancellationToken))
         {
-            yield return new StreamingChatUpdate { Content = content, IsFinal = false };
+            usage = chunk.Usage ?? usage;
+            if (!string.IsNullOrEmpty(chunk.Content))
+            {
+                yield return new StreamingChatUpdate { Content = chunk.Content, IsFinal = false };
+            }
         }
 
-        yield return new StreamingChatUpdate { Content = string.Empty, IsFinal = true };
+        yield return new StreamingChatUpdate { Content = string.Empty, IsFinal = true, Usage = TokenUsageMapper.ToDto(usage) };
     }
 }
\ No newline at end of file
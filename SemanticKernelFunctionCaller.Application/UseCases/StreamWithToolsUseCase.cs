@@ -1,10 +1,15 @@
+using System.Threading.Channels;
 using Microsoft.Extensions.Logging;
 using Microsoft.SemanticKernel;
 using Microsoft.SemanticKernel.ChatCompletion;
 using Microsoft.SemanticKernel.Connectors.OpenAI;
 using SemanticKernelFunctionCaller.Application.DTOs;
+using SemanticKernelFunctionCaller.Application.Filters;
 using SemanticKernelFunctionCaller.Application.Interfaces;
+using SemanticKernelFunctionCaller.Application.Mappers;
 using SemanticKernelFunctionCaller.Domain.Enums;
+using SemanticKernelFunctionCaller.Domain.ValueObjects;
+using ChatTokenUsage = OpenAI.Chat.ChatTokenUsage;
 
 namespace SemanticKernelFunctionCaller.Application.UseCases;
 
@@ -14,16 +19,19 @@ namespace SemanticKernelFunctionCaller.Application.UseCases;
 public class StreamWithToolsUseCase : IStreamWithToolsUseCase
 {
     private readonly Kernel _kernel;
+    private readonly IToolApprovalService _toolApprovalService;
     private readonly ILogger<StreamWithToolsUseCase> _logger;
 
     /// <summary>
     /// Initializes a new instance of the <see cref="StreamWithToolsUseCase"/> class.
     /// </summary>
     /// <param name="kernel">The Semantic Kernel instance.</param>
+    /// <param name="toolApprovalService">The service that delivers tool call approvals.</param>
     /// <param name="logger">The logger instance.</param>
-    public StreamWithToolsUseCase(Kernel kernel, ILogger<StreamWithToolsUseCase> logger)
+    public StreamWithToolsUseCase(Kernel kernel, IToolApprovalService toolApprovalService, ILogger<StreamWithToolsUseCase> logger)
     {
         _kernel = kernel ?? throw new ArgumentNullException(nameof(kernel));
+        _toolApprovalService = toolApprovalService ?? throw new ArgumentNullException(nameof(toolApprovalService));
         _logger = logger ?? throw new ArgumentNullException(nameof(logger));
     }
 
@@ -43,10 +51,13 @@ public class StreamWithToolsUseCase : IStreamWithToolsUseCase
         var chatHistory = new ChatHistory();
         foreach (var msg in request.Messages)
         {
-            var role = msg.Role == ChatRole.User
-                ? AuthorRole.User
-                : AuthorRole.Assistant;
-            chatHistory.Add(new ChatMessageContent(role, msg.Content));
+            var role = msg.Role switch
+            {
+                ChatRole.User => AuthorRole.User,
+                ChatRole.System => AuthorRole.System,
+                _ => AuthorRole.Assistant
+            };
+            chatHistory.Add(CreateMessageContent(role, msg));
         }
 
         // Configure execution settings for tool calling
@@ -54,45 +65,159 @@ public class StreamWithToolsUseCase : IStreamWithToolsUseCase
         {
             ToolCallBehavior = ToolCallBehavior.AutoInvokeKernelFunctions
         };
+        var generation = GenerationSettingsMapper.ToDomain(request.Settings);
+        if (generation is not null)
+        {
+            ApplyGenerationSettings(settings, generation);
+        }
 
-        // Stream the response with tool calling
-        await foreach (var update in _kernel.GetRequiredService<IChatCompletionService>().GetStreamingChatMessageContentsAsync(
-            chatHistory,
-            settings,
-            _kernel,
-            cancellationToken: cancellationToken))
+        // Tool call details are reported by a filter while the model stream is being consumed,
+        // so both are funnelled through one channel and yielded in the order they happen.
+        // The filter is added to a per-request clone because the shared kernel is a singleton.
+        var updates = Channel.CreateUnbounded<ToolStreamingUpdate>(new UnboundedChannelOptions { SingleReader = true });
+        var kernel = _kernel.Clone();
+        if (request.EnabledFunctions is not null)
         {
-            // Show tool invocation in the stream
-            if (update.Role == AuthorRole.Tool && update.Content != null)
-            {
-                _logger.LogInformation("Tool invocation: {FunctionName}", update.Content);
-                
-                yield return new ToolStreamingUpdate
-                {
-                    Type = "tool_call",
-                    FunctionName = update.Content,
-                    Content = $"🔧 Calling {update.Content}...",
-                    IsFinal = false
-                };
-            }
-            else if (!string.IsNullOrEmpty(update.Content))
-            {
-                yield return new ToolStreamingUpdate
-                {
-                    Type = "content",
-                    Content = update.Content,
-                    IsFinal = false
-                };
-            }
+            RestrictPlugins(kernel, request.EnabledFunctions);
+        }
+        if (request.RequireToolApproval)
+        {
+            // Added first so it wraps the tracking filter and denied calls never show as running
+            kernel.AutoFunctionInvocationFilters.Add(new ToolApprovalFilter(
+                updates.Writer, _toolApprovalService, request.AutoApprovedFunctions ?? [], _logger));
         }
+        kernel.AutoFunctionInvocationFilters.Add(new ToolCallTrackingFilter(updates.Writer, _logger));
+
+        // Every model round trip of the tool loop reports its own usage; the response total is their sum
+        var usage = new TokenUsage();
+        var producer = ProduceUpdatesAsync(kernel, chatHistory, settings, updates.Writer, usage, cancellationToken);
+
+        await foreach (var update in updates.Reader.ReadAllAsync(cancellationToken))
+        {
+            yield return update;
+        }
+
+        // Surface any exception thrown while streaming
+        await producer;
 
         _logger.LogInformation("Completed stream-with-tools request successfully");
         
         // Send final update
         yield return new ToolStreamingUpdate
         {
-            Type = "content",
+            Type = StreamEventTypes.Content,
+            Usage = usage.TotalTokens is null ? null : TokenUsageMapper.ToDto(usage),
             IsFinal = true
         };
     }
+
+    private static ChatMessageContent CreateMessageContent(AuthorRole role, MessageDto message)
+    {
+        var attachments = AttachmentMapper.ToDomain(message.Attachments);
+        if (attachments is null)
+        {
+            return new ChatMessageContent(role, message.Content);
+        }
+
+        var items = new ChatMessageContentItemCollection { new TextContent(message.Content) };
+        foreach (var attachment in attachments)
+        {
+            items.Add(new ImageContent(attachment.Data, attachment.MediaType));
+        }
+        return new ChatMessageContent(role, items);
+    }
+
+    private static void ApplyGenerationSettings(OpenAIPromptExecutionSettings settings, GenerationSettings generation)
+    {
+        settings.Temperature = generation.Temperature;
+        settings.TopP = generation.TopP;
+        settings.MaxTokens = generation.MaxOutputTokens;
+        settings.StopSequences = generation.StopSequences is { Count: > 0 } ? generation.StopSequences : null;
+        settings.PresencePenalty = generation.PresencePenalty;
+        settings.FrequencyPenalty = generation.FrequencyPenalty;
+        settings.Seed = generation.Seed;
+    }
+
+    private static void AddUsage(TokenUsage usage, StreamingChatMessageContent update)
+    {
+        if (update.Metadata?.TryGetValue("Usage", out var value) != true || value is not ChatTokenUsage tokenUsage)
+        {
+            return;
+        }
+
+        usage.PromptTokens = (usage.PromptTokens ?? 0) + tokenUsage.InputTokenCount;
+        usage.CompletionTokens = (usage.CompletionTokens ?? 0) + tokenUsage.OutputTokenCount;
+        usage.TotalTokens = (usage.TotalTokens ?? 0) + tokenUsage.TotalTokenCount;
+    }
+
+    /// <summary>
+    /// Replaces the plugins of a per-request kernel with copies that only contain the enabled functions,
+    /// so functions the user switched off are never advertised to the model nor invokable.
+    /// </summary>
+    private void RestrictPlugins(Kernel kernel, IEnumerable<string> enabledFunctions)
+    {
+        var enabled = new HashSet<string>(enabledFunctions, StringComparer.OrdinalIgnoreCase);
+
+        var plugins = kernel.Plugins
+            .Select(plugin => KernelPluginFactory.CreateFromFunctions(
+                plugin.Name,
+                plugin.Description,
+                plugin.Where(function => enabled.Contains($"{plugin.Name}.{function.Name}"))))
+            .Where(plugin => plugin.FunctionCount > 0)
+            .ToList();
+
+        kernel.Plugins.Clear();
+        kernel.Plugins.AddRange(plugins);
+
+        _logger.LogInformation("Tool calling restricted to {Count} enabled functions", plugins.Sum(p => p.FunctionCount));
+    }
+
+    private async Task ProduceUpdatesAsync(
+        Kernel kernel,
+        ChatHistory chatHistory,
+        OpenAIPromptExecutionSettings settings,
+        ChannelWriter<ToolStreamingUpdate> writer,
+        TokenUsage usage,
+        CancellationToken cancellationToken)
+    {
+        try
+        {
+            // Stream the response with tool calling
+            await foreach (var update in kernel.GetRequiredService<IChatCompletionService>().GetStreamingChatMessageContentsAsync(
+                chatHistory,
+                settings,
+                kernel,
+                cancellationToken: cancellationToken))
+            {
+                AddUsage(usage, update);
+
+                // Connectors that report tool invocations as messages in the stream
+                if (update.Role == AuthorRole.Tool && update.Content != null)
+                {
+                    _logger.LogInformation("Tool invocation: {FunctionName}", update.Content);
+                    
+                    await writer.WriteAsync(new ToolStreamingUpdate
+                    {
+                        Type = StreamEventTypes.ToolCall,
+                        FunctionName = update.Content,
+                        Content = $"🔧 Calling {update.Content}...",
+                        IsFinal = false
+                    }, cancellationToken);
+                }
+                else if (!string.IsNullOrEmpty(update.Content))
+                {
+                    await writer.WriteAsync(new ToolStreamingUpdate
+                    {
+                        Type = StreamEventTypes.Content,
+                        Content = update.Content,
+                        IsFinal = false
+                    }, cancellationToken);
+                }
+            }
+        }
+        finally
+        {
+            writer.TryComplete();
+        }
+    }
 }
\ No newline at end of file
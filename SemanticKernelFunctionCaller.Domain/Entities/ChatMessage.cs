@@ -6,4 +6,6 @@ public class ChatMessage
     public required Enums.ChatRole Role { get; set; } // "User", "Assistant", "System"
     public required string Content { get; set; }
     public DateTime Timestamp { get; set; }
+    // Images sent alongside the text; documents are inlined into Content by the client
+    public List<ValueObjects.ChatAttachment>? Attachments { get; set; }
 }
@@ -1,3 +1,5 @@
+using SemanticKernelFunctionCaller.Domain.ValueObjects;
+
 namespace SemanticKernelFunctionCaller.Domain.Entities;
 
 public class ChatResponse
@@ -5,5 +7,6 @@ public class ChatResponse
     public required ChatMessage Message { get; set; }
     public required string ModelUsed { get; set; }
     public required string ProviderUsed { get; set; }
-    // Additional metadata like TokenUsage, ResponseTime can be added later.
+    public TokenUsage? Usage { get; set; }
+    // Additional metadata like ResponseTime can be added later.
 }
@@ -0,0 +1,10 @@
+using SemanticKernelFunctionCaller.Domain.ValueObjects;
+
+namespace SemanticKernelFunctionCaller.Domain.Entities;
+
+public class StreamingChatChunk
+{
+    public string Content { get; set; } = string.Empty;
+    // Set on the chunk that reports the token usage of the response, usually the last one
+    public TokenUsage? Usage { get; set; }
+}
@@ -0,0 +1,8 @@
+namespace SemanticKernelFunctionCaller.Domain.ValueObjects;
+
+public class ChatAttachment
+{
+    public required string MediaType { get; set; }
+    public required byte[] Data { get; set; }
+    public string? Name { get; set; }
+}
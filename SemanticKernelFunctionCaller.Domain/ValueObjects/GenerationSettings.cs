@@ -0,0 +1,12 @@
+namespace SemanticKernelFunctionCaller.Domain.ValueObjects;
+
+public class GenerationSettings
+{
+    public float? Temperature { get; set; }
+    public float? TopP { get; set; }
+    public int? MaxOutputTokens { get; set; }
+    public List<string>? StopSequences { get; set; }
+    public float? PresencePenalty { get; set; }
+    public float? FrequencyPenalty { get; set; }
+    public long? Seed { get; set; }
+}
@@ -5,4 +5,9 @@ public class ModelConfiguration
     public required string Id { get; set; }
     public required string DisplayName { get; set; }
     public int ContextWindow { get; set; }
+    // Whether the model accepts images as part of a user message
+    public bool SupportsVision { get; set; }
+    // Sampling defaults for this model; unset values fall back to the provider's own defaults
+    public GenerationSettings? DefaultSettings { get; set; }
+    public ModelPricing? Pricing { get; set; }
 }
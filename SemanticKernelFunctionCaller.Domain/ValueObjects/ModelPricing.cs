@@ -0,0 +1,8 @@
+namespace SemanticKernelFunctionCaller.Domain.ValueObjects;
+
+public class ModelPricing
+{
+    // Prices in US dollars per million tokens, as listed by the provider
+    public decimal? PromptPerMillionTokens { get; set; }
+    public decimal? CompletionPerMillionTokens { get; set; }
+}
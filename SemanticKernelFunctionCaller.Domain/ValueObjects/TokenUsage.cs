@@ -0,0 +1,8 @@
+namespace SemanticKernelFunctionCaller.Domain.ValueObjects;
+
+public class TokenUsage
+{
+    public long? PromptTokens { get; set; }
+    public long? CompletionTokens { get; set; }
+    public long? TotalTokens { get; set; }
+}
@@ -1,3 +1,5 @@
+using SemanticKernelFunctionCaller.Domain.ValueObjects;
+
 namespace SemanticKernelFunctionCaller.Infrastructure.Configuration;
 
 public class ProviderSettings
@@ -25,4 +27,8 @@ public class ModelInfo
 {
     public required string Id { get; set; }
     public required string DisplayName { get; set; }
+    public int? ContextWindow { get; set; }
+    public bool SupportsVision { get; set; }
+    public GenerationSettings? DefaultSettings { get; set; }
+    public ModelPricing? Pricing { get; set; }
 }
@@ -12,7 +12,17 @@ public static class ModelConverter
 {
     public static ProviderChatMessage ToProviderMessage(DomainChatMessage domainMessage)
     {
-        return new ProviderChatMessage(new Microsoft.Extensions.AI.ChatRole(domainMessage.Role.ToString()), domainMessage.Content);
+        var role = new Microsoft.Extensions.AI.ChatRole(domainMessage.Role.ToString());
+        if (domainMessage.Attachments is not { Count: > 0 })
+        {
+            return new ProviderChatMessage(role, domainMessage.Content);
+        }
+
+        // Images travel as content parts next to the text so vision models receive them inline
+        var contents = new List<AIContent> { new TextContent(domainMessage.Content) };
+        contents.AddRange(domainMessage.Attachments.Select(attachment =>
+            new DataContent(attachment.Data, attachment.MediaType) { Name = attachment.Name }));
+        return new ProviderChatMessage(role, contents);
     }
 
 
@@ -47,7 +57,10 @@ public static class ModelConverter
         {
             Id = modelInfo.Id,
             DisplayName = modelInfo.DisplayName,
-            ContextWindow = 0 // Or get this from config if available
+            ContextWindow = modelInfo.ContextWindow ?? 0,
+            SupportsVision = modelInfo.SupportsVision,
+            DefaultSettings = modelInfo.DefaultSettings,
+            Pricing = modelInfo.Pricing
         };
     }
 }
@@ -57,47 +57,59 @@ public abstract class BaseChatProvider : ISemanticKernelFunctionCaller
     /// Sends a chat message to the provider and returns the response.
     /// </summary>
     /// <param name="messages">Collection of domain chat message entities to send.</param>
+    /// <param name="settings">Optional sampling settings for this request.</param>
     /// <param name="cancellationToken">Cancellation token for the operation.</param>
     /// <returns>The chat response containing the provider's reply message.</returns>
     public virtual async Task<DomainChatResponse> SendMessageAsync(
         IEnumerable<DomainChatMessage> messages,
+        GenerationSettings? settings = null,
         CancellationToken cancellationToken = default)
     {
         ArgumentNullException.ThrowIfNull(messages);
 
         var providerMessages = PrepareMessages(messages);
-                var response = await _chatClient.GetResponseAsync(providerMessages, cancellationToken: cancellationToken);
+                var response = await _chatClient.GetResponseAsync(providerMessages, CreateChatOptions(settings), cancellationToken);
         
                 var domainMessage = ModelConverter.ToDomainMessage(response.Messages.First());
         return new DomainChatResponse
         {
             Message = domainMessage,
             ModelUsed = _modelId,
-            ProviderUsed = _providerName
+            ProviderUsed = _providerName,
+            Usage = ToTokenUsage(response.Usage)
         };
     }
 
     /// <summary>
     /// Streams a chat message to the provider and yields response content as it arrives.
+    /// The token usage, when the provider reports it, arrives on a chunk of its own.
     /// </summary>
     /// <param name="messages">Collection of domain chat message entities to send.</param>
+    /// <param name="settings">Optional sampling settings for this request.</param>
     /// <param name="cancellationToken">Cancellation token for the operation.</param>
     /// <returns>Async enumerable of streaming content updates from the provider.</returns>
-    public virtual async IAsyncEnumerable<string> StreamMessageAsync(
+    public virtual async IAsyncEnumerable<StreamingChatChunk> StreamMessageAsync(
         IEnumerable<DomainChatMessage> messages,
+        GenerationSettings? settings = null,
         [EnumeratorCancellation] CancellationToken cancellationToken = default)
     {
         ArgumentNullException.ThrowIfNull(messages);
 
         var providerMessages = PrepareMessages(messages);
-                var streamingResponse = _chatClient.GetStreamingResponseAsync(providerMessages, cancellationToken: cancellationToken);
+                var streamingResponse = _chatClient.GetStreamingResponseAsync(providerMessages, CreateChatOptions(settings), cancellationToken);
 
         await foreach (var update in streamingResponse.WithCancellation(cancellationToken))
         {
-            var content = ExtractStreamingContent(update);
+            string? content = ExtractStreamingContent(update);
             if (!string.IsNullOrEmpty(content))
             {
-                yield return content;
+                yield return new StreamingChatChunk { Content = content };
+            }
+
+            var usage = update.Contents.OfType<UsageContent>().FirstOrDefault();
+            if (usage is not null)
+            {
+                yield return new StreamingChatChunk { Usage = ToTokenUsage(usage.Details) };
             }
         }
     }
@@ -134,25 +146,76 @@ public abstract class BaseChatProvider : ISemanticKernelFunctionCaller
     }
 
     /// <summary>
-    /// Prepares messages by optionally injecting system prompt
+    /// Translates domain generation settings into chat client options.
+    /// </summary>
+    /// <param name="settings">The requested sampling settings.</param>
+    /// <returns>The chat options, or null to use the provider defaults.</returns>
+    protected static ChatOptions? CreateChatOptions(GenerationSettings? settings)
+    {
+        if (settings is null)
+        {
+            return null;
+        }
+
+        return new ChatOptions
+        {
+            Temperature = settings.Temperature,
+            TopP = settings.TopP,
+            MaxOutputTokens = settings.MaxOutputTokens,
+            StopSequences = settings.StopSequences is { Count: > 0 } ? settings.StopSequences : null,
+            PresencePenalty = settings.PresencePenalty,
+            FrequencyPenalty = settings.FrequencyPenalty,
+            Seed = settings.Seed
+        };
+    }
+
+    /// <summary>
+    /// Translates provider usage details into domain token usage.
+    /// </summary>
+    /// <param name="usage">The usage reported by the chat client, if any.</param>
+    /// <returns>The token usage, or null when the provider did not report it.</returns>
+    protected static TokenUsage? ToTokenUsage(UsageDetails? usage)
+    {
+        if (usage is null)
+        {
+            return null;
+        }
+
+        return new TokenUsage
+        {
+            PromptTokens = usage.InputTokenCount,
+            CompletionTokens = usage.OutputTokenCount,
+            TotalTokens = usage.TotalTokenCount
+        };
+    }
+
+    /// <summary>
+    /// Prepares messages by optionally injecting system prompt.
+    /// A system prompt sent with the conversation takes precedence over the configured one.
     /// </summary>
     protected virtual List<ProviderChatMessage> PrepareMessages(
         IEnumerable<DomainChatMessage> messages)
     {
         var messageList = messages.Select(ModelConverter.ToProviderMessage).ToList();
 
-        // Remove any system messages from user conversation
-                messageList.RemoveAll(m =>
-                    m.Role.ToString().Equals("System", StringComparison.OrdinalIgnoreCase));
-        
-                // Then inject yours at position 0
-                if (!string.IsNullOrWhiteSpace(_systemPrompt))
-                {
-                    messageList.Insert(0, new ProviderChatMessage(
-                        new Microsoft.Extensions.AI.ChatRole("System"),
-                        _systemPrompt
-                    ));
-                }
+        // Keep only the first system message of the conversation, moved to the front
+        var conversationSystemMessage = messageList.FirstOrDefault(m =>
+            m.Role.ToString().Equals("System", StringComparison.OrdinalIgnoreCase));
+        messageList.RemoveAll(m =>
+            m.Role.ToString().Equals("System", StringComparison.OrdinalIgnoreCase));
+
+        if (conversationSystemMessage != null && !string.IsNullOrWhiteSpace(conversationSystemMessage.Text))
+        {
+            messageList.Insert(0, conversationSystemMessage);
+        }
+        // Otherwise inject the configured one at position 0
+        else if (!string.IsNullOrWhiteSpace(_systemPrompt))
+        {
+            messageList.Insert(0, new ProviderChatMessage(
+                new Microsoft.Extensions.AI.ChatRole("System"),
+                _systemPrompt
+            ));
+        }
 
         return messageList;
     }
@@ -149,6 +149,37 @@ public class BaseChatProviderTests
         Assert.Equal("User message 2", result[3].Text);
     }
 
+    [Fact]
+    public void PrepareMessages_WithAttachments_AddsThemAsDataContent()
+    {
+        // Arrange
+        var imageData = new byte[] { 0xFF, 0xD8, 0xFF };
+        var messages = new List<DomainChatMessage>
+        {
+            new DomainChatMessage
+            {
+                Role = ChatRole.User,
+                Content = "Describe this",
+                Attachments = new List<ChatAttachment>
+                {
+                    new ChatAttachment { MediaType = "image/jpeg", Data = imageData, Name = "photo.jpg" }
+                }
+            }
+        };
+
+        // Act
+        var result = _provider.PrepareMessages(messages);
+
+        // Assert
+        var contents = result[1].Contents;
+        Assert.Equal(2, contents.Count);
+        Assert.Equal("Describe this", Assert.IsType<TextContent>(contents[0]).Text);
+        var image = Assert.IsType<DataContent>(contents[1]);
+        Assert.Equal("image/jpeg", image.MediaType);
+        Assert.Equal("photo.jpg", image.Name);
+        Assert.Equal(imageData, image.Data.ToArray());
+    }
+
     [Fact]
     public void PrepareMessages_WithoutSystemPrompt_DoesNotInjectSystemMessage()
     {
@@ -172,12 +203,12 @@ public class BaseChatProviderTests
     }
 
     [Fact]
-    public void PrepareMessages_WithExistingSystemMessage_RemovesAndReplaces()
+    public void PrepareMessages_WithConversationSystemMessage_UsesItInsteadOfConfiguredPrompt()
     {
         // Arrange
         var messages = new List<DomainChatMessage>
         {
-            new DomainChatMessage { Role = ChatRole.System, Content = "Existing system prompt" },
+            new DomainChatMessage { Role = ChatRole.System, Content = "Conversation system prompt" },
             new DomainChatMessage { Role = ChatRole.User, Content = "User message" }
         };
 
@@ -185,15 +216,55 @@ public class BaseChatProviderTests
         var result = _provider.PrepareMessages(messages);
 
         // Assert
-        Assert.Equal(2, result.Count); // 1 original system removed, 1 new system added
+        Assert.Equal(2, result.Count); // Configured prompt is not added on top
 
-        // Only our system prompt should remain
+        // The conversation's system prompt wins
         Assert.Equal("System", result[0].Role.ToString());
-        Assert.Equal("Test system prompt", result[0].Text);
+        Assert.Equal("Conversation system prompt", result[0].Text);
         Assert.Equal("User", result[1].Role.ToString());
         Assert.Equal("User message", result[1].Text);
     }
 
+    [Fact]
+    public void PrepareMessages_WithBlankConversationSystemMessage_FallsBackToConfiguredPrompt()
+    {
+        // Arrange
+        var messages = new List<DomainChatMessage>
+        {
+            new DomainChatMessage { Role = ChatRole.System, Content = "   " },
+            new DomainChatMessage { Role = ChatRole.User, Content = "User message" }
+        };
+
+        // Act
+        var result = _provider.PrepareMessages(messages);
+
+        // Assert
+        Assert.Equal(2, result.Count);
+        Assert.Equal("System", result[0].Role.ToString());
+        Assert.Equal("Test system prompt", result[0].Text);
+        Assert.Equal("User message", result[1].Text);
+    }
+
+    [Fact]
+    public void PrepareMessages_WithSeveralSystemMessages_KeepsOnlyTheFirstAtTheFront()
+    {
+        // Arrange
+        var messages = new List<DomainChatMessage>
+        {
+            new DomainChatMessage { Role = ChatRole.User, Content = "User message" },
+            new DomainChatMessage { Role = ChatRole.System, Content = "First system prompt" },
+            new DomainChatMessage { Role = ChatRole.System, Content = "Second system prompt" }
+        };
+
+        // Act
+        var result = _provider.PrepareMessages(messages);
+
+        // Assert
+        Assert.Equal(2, result.Count);
+        Assert.Equal("First system prompt", result[0].Text);
+        Assert.Equal("User message", result[1].Text);
+    }
+
     [Fact]
     public async Task SendMessageAsync_WithNullMessages_ThrowsArgumentNullException()
     {
@@ -226,10 +297,56 @@ public class BaseChatProviderTests
         // Act & Assert
         await Assert.ThrowsAsync<ArgumentNullException>(async () =>
         {
-            await foreach (var _ in _provider.StreamMessageAsync(nullMessages, cancellationToken))
+            await foreach (var _ in _provider.StreamMessageAsync(nullMessages, cancellationToken: cancellationToken))
             {
                 // This should not be reached
             }
         });
     }
+
+    [Fact]
+    public async Task StreamMessageAsync_WhenUsageIsReported_YieldsItAsSeparateChunk()
+    {
+        // Arrange
+        var mockChatClient = new Mock<IChatClient>();
+        mockChatClient
+            .Setup(c => c.GetStreamingResponseAsync(It.IsAny<IEnumerable<ProviderChatMessage>>(), It.IsAny<ChatOptions?>(), It.IsAny<CancellationToken>()))
+            .Returns(ToAsyncEnumerable(
+                new ChatResponseUpdate(Microsoft.Extensions.AI.ChatRole.Assistant, "Hello"),
+                new ChatResponseUpdate(Microsoft.Extensions.AI.ChatRole.Assistant, new List<AIContent>
+                {
+                    new UsageContent(new UsageDetails { InputTokenCount = 12, OutputTokenCount = 3, TotalTokenCount = 15 })
+                })));
+        _provider.InitializeChatClient((_, _, _) => mockChatClient.Object, "test-key", _modelId, "https://test.com");
+
+        var messages = new List<DomainChatMessage>
+        {
+            new DomainChatMessage { Role = ChatRole.User, Content = "Hi" }
+        };
+
+        // Act
+        var chunks = new List<StreamingChatChunk>();
+        await foreach (var chunk in _provider.StreamMessageAsync(messages))
+        {
+            chunks.Add(chunk);
+        }
+
+        // Assert
+        Assert.Equal(2, chunks.Count);
+        Assert.Equal("Hello", chunks[0].Content);
+        Assert.Null(chunks[0].Usage);
+        Assert.Equal(string.Empty, chunks[1].Content);
+        Assert.Equal(12, chunks[1].Usage!.PromptTokens);
+        Assert.Equal(3, chunks[1].Usage!.CompletionTokens);
+        Assert.Equal(15, chunks[1].Usage!.TotalTokens);
+    }
+
+    private static async IAsyncEnumerable<ChatResponseUpdate> ToAsyncEnumerable(params ChatResponseUpdate[] updates)
+    {
+        await Task.CompletedTask;
+        foreach (var update in updates)
+        {
+            yield return update;
+        }
+    }
 }
\ No newline at end of file